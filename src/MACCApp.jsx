@@ -16,8 +16,33 @@ import React, { useMemo, useState, useEffect, useRef } from "react";
 import {
   XAxis, YAxis, Tooltip, CartesianGrid,
   Line, LineChart, ReferenceLine, ResponsiveContainer,
-  ComposedChart, ReferenceArea, Customized,
+  ComposedChart, ReferenceArea, Customized, Area, Bar, BarChart, Legend,
 } from "recharts";
+import {
+  csvToJson, jsonToCsv, interpolateSeries, computeMeasure, isTemplateMeasure, resampleTemplate, COST_BASES, costForBasis,
+  DEFAULT_YEARS, DEFAULT_HORIZON, normalizeHorizon, buildYears, sameYears,
+  normalizeCarbonPath, carbonPriceSeries, generatedCarbonPrice, priceAt,
+  PRICE_BASES, DEFAULT_INFLATION, normalizeInflation, realRate, deflateCarbonPrice, priceBasisMatches,
+  MODEL_CURRENCY, CURRENCIES, currencyCode, currencySymbol, normalizeFx, fxRate, measureCostToInr, catalogRowToInr,
+  EMPTY_INTERACTIONS, normalizeInteractions, applyInteractions,
+  DEPRECIATION_METHODS, normalizeTax, REPAYMENT_TYPES, normalizeTranche, loanTranches,
+  END_OF_LIFE, projectLife,
+  normalizeBau, generatedBauEmissions, projectBaseline, emissionsPathway, complianceSummary,
+  DEFAULT_UNITS, normalizeUnits, productionLabels,
+  SCOPES, ALL_SCOPES, CCTS_SCOPES, driverScopes, normalizeScopeFilter, measureScopes, filterScopes, scopeTotals,
+  GASES, GWP_SETS, DEFAULT_GWP, normalizeGwp, gwpMatches, gasField, gasEFs, gasOverrides, efCO2e, measureGases, NON_CO2_GASES,
+  INVENTORY_SOURCES, EMPTY_INVENTORY, normalizeInventory, inventoryEmissions, coveredEmissions, inventoryDrives, syncInventories,
+  OPTIMISER_GOALS, optimisePortfolio, greedyPortfolio,
+  SENSITIVITY_METRICS, tornado, rankTornado,
+  DISTRIBUTIONS, TEMPLATE_UNCERTAINTY_KEYS, EMPTY_UNCERTAINTY, normalizeRange, normalizeUncertainty, catalogKey, efRangeKey, runMonteCarlo,
+  getUnitPrice, getElecPricePerMWh, normalizeFRTW, normalizeElec, resolveCatalogs,
+  ALL_SECTORS, isFirmSectorLabel, normalizeMeasures, aggregateBaseline, baselineIntensity as intensityOf,
+  X_MODES, curveIntensity, targetPctFromIntensity,
+  filterMeasures, measuresAtYear, sortByEffectiveCost, computeTotals, buildSegments, buildMaccData, fitMaccCurves,
+  FIT_MODELS, bestFitModel, scaleFit, fitEquation, fitParams, fitExport,
+  responseCurve, viableAbatement, targetCarbonPrice,
+  budgetToTarget as greedyBudget, fitBudgetToTarget, targetToX as targetAlongX,
+} from "./engine/index.js";
 
 /* ---------------- Helpers ---------------- */
 function formatNumber(x) {
@@ -31,50 +56,26 @@ function formatNumber(x) {
   return n.toFixed(2);
 }
 
-function csvToJson(text) {
-  const clean = (text || "").replace(/^\uFEFF/, "");
-  const lines = clean.split(/\r?\n/).filter((ln) => ln.trim().length > 0);
-  if (lines.length === 0) return [];
-  const parseLine = (line) => {
-    const result = []; let cur = ""; let inQuotes = false;
-    for (let i = 0; i < line.length; i++) {
-      const ch = line[i];
-      if (ch === '"') {
-        if (inQuotes && line[i + 1] === '"') { cur += '"'; i++; }
-        else { inQuotes = !inQuotes; }
-      } else if (ch === ',' && !inQuotes) { result.push(cur); cur = ""; }
-      else { cur += ch; }
-    }
-    result.push(cur);
-    return result.map((s) => s.trim());
-  };
-  const headers = parseLine(lines.shift());
-  return lines.map((line) => {
-    const cells = parseLine(line); const obj = {};
-    headers.forEach((h, i) => obj[h] = cells[i] !== undefined ? cells[i] : "");
-    if (obj.details) {
-      try { obj.details = JSON.parse(obj.details); } catch (e) { console.error("Failed to parse details JSON:", e); }
-    }
-    return obj;
-  });
+// Figures are held in ₹; `cur` = { code, symbol, rate (₹ per unit) } is the firm's reporting view
+const inCur = (vInr, cur) => Number(vInr || 0) / (cur?.rate || 1);
+
+// ₹ crore → "₹ 12.3 cr" when reporting in INR, else millions of the reporting currency
+function fmtCr(vCr, cur) {
+  if (!cur || cur.code === MODEL_CURRENCY) return `₹ ${formatNumber(vCr)} cr`;
+  return `${cur.symbol} ${formatNumber((Number(vCr || 0) * 10_000_000) / cur.rate / 1_000_000)} M`;
 }
 
-function jsonToCsv(arr) {
-  if (!arr || arr.length === 0) return "";
-  const processedArr = arr.map(row => {
-    const newRow = { ...row };
-    if (newRow.details) newRow.details = JSON.stringify(newRow.details);
-    return newRow;
-  });
-  const headers = Object.keys(processedArr[0]);
-  const esc = (v) => {
-    if (v === null || v === undefined) return "";
-    const s = String(v);
-    return /[",\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
-  };
-  const headerLine = headers.map(esc).join(",");
-  const body = processedArr.map((row) => headers.map((h) => esc(row[h])).join(",")).join("\n");
-  return headerLine + "\n" + body;
+// Curve x values in the units of the view mode (see X_MODES)
+function fmtX(v, mode) {
+  if (mode === "capacity") return formatNumber(v);
+  if (mode === "physical") return Number(v).toFixed(3);
+  return `${Number(v).toFixed(1)}%`;
+}
+
+function xAxisLabel(mode, unit) {
+  if (mode === "capacity") return "Cumulative abatement (tCO₂)";
+  if (mode === "physical") return `Cumulative intensity reduction (tCO₂/${unit})`;
+  return "Cumulative intensity reduction (%)";
 }
 
 function saveBlob(filename, mime, text) {
@@ -100,84 +101,6 @@ function useLocalStorage(key, initialValue) {
   return [value, setValue];
 }
 
-// Quadratic LS fit with R²
-function quadraticFit(xs, ys) {
-  const n = xs.length;
-  if (n < 3) return { a: 0, b: 0, c: 0, r2: null };
-
-  let Sx = 0, Sx2 = 0, Sx3 = 0, Sx4 = 0, Sy = 0, Sxy = 0, Sx2y = 0;
-  for (let i = 0; i < n; i++) {
-    const x = Number(xs[i]);
-    const y = Number(ys[i]);
-    const x2 = x * x;
-    Sx  += x; Sx2 += x2; Sx3 += x2 * x; Sx4 += x2 * x2;
-    Sy  += y; Sxy += x * y; Sx2y += x2 * y;
-  }
-
-  const det = (m) =>
-    m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
-    m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
-    m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
-
-  const M  = [[n,  Sx,  Sx2], [Sx,  Sx2, Sx3], [Sx2, Sx3, Sx4]];
-  const My = [[Sy, Sx,  Sx2], [Sxy, Sx2, Sx3], [Sx2y, Sx3, Sx4]];
-  const Mb = [[n,  Sy,  Sx2], [Sx,  Sxy, Sx3], [Sx2, Sx2y, Sx4]];
-  const Mc = [[n,  Sx,  Sy ], [Sx,  Sx2, Sxy], [Sx2, Sx3, Sx2y]];
-
-  const D = det(M);
-  if (Math.abs(D) < 1e-12) return { a: 0, b: 0, c: 0, r2: null };
-
-  const a = det(My) / D;
-  const b = det(Mb) / D;
-  const c = det(Mc) / D;
-
-  const yMean = ys.reduce((s, y) => s + Number(y), 0) / n;
-  let sse = 0, sst = 0;
-  for (let i = 0; i < n; i++) {
-    const x = Number(xs[i]);
-    const y = Number(ys[i]);
-    const yhat = a + b * x + c * x * x;
-    sse += (y - yhat) ** 2;
-    sst += (y - yMean) ** 2;
-  }
-  const r2 = sst > 0 ? 1 - (sse / sst) : null;
-  return { a, b, c, r2 };
-}
-
-/* Interpolation across 5‑year steps */
-function interpolateSeries(series) {
-  const s = [...series];
-  let lastIdx = null;
-  for (let i = 0; i < s.length; i++) {
-    if (s[i] === "" || s[i] == null || !Number.isFinite(Number(s[i]))) continue;
-    if (lastIdx === null) { lastIdx = i; continue; }
-    const dv = (Number(s[i]) - Number(s[lastIdx])) / (i - lastIdx);
-    for (let k = lastIdx + 1; k < i; k++) s[k] = Number(s[lastIdx]) + dv * (k - lastIdx);
-    lastIdx = i;
-  }
-  return s;
-}
-
-/* Finance: NPV & IRR */
-function npv(rate, amounts, years, baseYear) {
-  const r = Number(rate);
-  return amounts.reduce((acc, amt, i) => acc + (Number(amt) / Math.pow(1 + r, Math.max(0, years[i] - baseYear))), 0);
-}
-function irr(amounts, years, baseYear, guessLow = -0.9, guessHigh = 3.0, tol = 1e-6, maxIter = 100) {
-  const f = (r) => npv(r, amounts, years, baseYear);
-  let lo = guessLow, hi = guessHigh;
-  let fLo = f(lo), fHi = f(hi);
-  if (Number.isNaN(fLo) || Number.isNaN(fHi)) return null;
-  if (fLo * fHi > 0) return null;
-  for (let it = 0; it < maxIter; it++) {
-    const mid = (lo + hi) / 2;
-    const fMid = f(mid);
-    if (Math.abs(fMid) < tol) return mid;
-    if (fLo * fMid < 0) { hi = mid; fHi = fMid; } else { lo = mid; fLo = fMid; }
-  }
-  return (lo + hi) / 2;
-}
-
 /* Export chart SVG to PNG (hardened) */
 async function exportContainerSvgToPng(containerEl, filename = "macc.png", scale = 2) {
   if (!containerEl) return;
@@ -214,29 +137,6 @@ async function exportContainerSvgToPng(containerEl, filename = "macc.png", scale
 const DEFAULT_SECTORS = [];
 const DEFAULT_BASELINES = {};
 
-// Normalize getters for wizard data sources
-const getUnitPrice = (row) => (row?.price ?? row?.price_per_unit_inr ?? 0);
-const getEFperUnit = (row) => (row?.ef_tco2_per_unit ?? row?.ef_t_per_unit ?? 0);
-const getElecPricePerMWh = (row) => (row?.price_per_mwh ?? row?.price_per_mwh_inr ?? 500);
-const getElecEFperMWh = (row) => (row?.ef_tco2_per_mwh ?? 0.710);
-
-// Catalog field helpers (tolerant)
-function normalizeFRTW(row) { // Fuels/Raw/Transport/Waste
-  return {
-    name: row.name ?? row.fuel ?? row.material ?? row.transport ?? row.item ?? "",
-    unit: row.unit ?? "",
-    price_per_unit_inr: Number(row.price_per_unit_inr ?? row.price_per_unit ?? row.price ?? 0),
-    ef_tco2_per_unit: Number(row.ef_tco2_per_unit ?? row.ef_t_per_unit ?? row.ef_t ?? 0),
-  };
-}
-function normalizeElec(row) {
-  return {
-    state: row.state ?? row.region ?? row.grid ?? "",
-    price_per_mwh_inr: Number(row.price_per_mwh_inr ?? row.price_per_mwh ?? row.price ?? 0),
-    ef_tco2_per_mwh: Number(row.ef_tco2_per_mwh ?? row.ef_t_per_mwh ?? row.ef_t ?? 0.710),
-  };
-}
-
 /* ---------------- Colour palette ---------------- */
 const PALETTE = [
   "#4e79a7","#f28e2b","#e15759","#76b7b2","#59a14f",
@@ -248,7 +148,7 @@ const PALETTE = [
 
 
 
-function ColorLegend({ items, max = 30 }) {
+function ColorLegend({ items, dropped = [], max = 30 }) {
   const shown = (items || []).slice(0, max);
   const extra = Math.max(0, (items || []).length - shown.length);
   return (
@@ -257,9 +157,17 @@ function ColorLegend({ items, max = 30 }) {
         <div key={s.id} className="flex items-center gap-2">
           <span style={{ background: s.color, width: 12, height: 12, display: 'inline-block', borderRadius: 2 }} />
           <span>{s.name}</span>
+          {s.reducedPct > 0 && <span className="text-amber-700" title="Abatement reduced by overlap with a stacked measure">−{s.reducedPct.toFixed(0)}% overlap</span>}
         </div>
       ))}
       {extra > 0 && <span className="text-gray-500">+{extra} more</span>}
+      {dropped.map((d) => (
+        <div key={`dropped-${d.id}`} className="flex items-center gap-2 text-gray-400" title={`Not stacked: exclusivity group “${d.group}”`}>
+          <span style={{ border: '1px dashed #9ca3af', width: 12, height: 12, display: 'inline-block', borderRadius: 2 }} />
+          <span className="line-through">{d.name}</span>
+          <span>(dropped, {d.group})</span>
+        </div>
+      ))}
     </div>
   );
 }
@@ -301,23 +209,1116 @@ function CollapsibleSection({
 }
 
 
+/* ---------------- Modelling horizon (per firm) ---------------- */
+function HorizonEditor({ horizon, onApply }) {
+  // Draft locally so typing a year doesn't re-grid the app on every keystroke
+  const [draft, setDraft] = useState(horizon);
+  useEffect(() => { setDraft(horizon); }, [horizon]);
+  const next = normalizeHorizon(draft);
+  const count = buildYears(next).length;
+
+  return (
+    <div className="flex flex-wrap items-end gap-3 text-sm border rounded-xl p-3 bg-gray-50">
+      <div className="font-medium self-center">Modelling horizon</div>
+      <label className="text-xs">Start year
+        <input type="number" className="mt-1 block border rounded-lg px-2 py-1 w-24 text-right" value={draft.start} onChange={(e) => setDraft({ ...draft, start: e.target.value })} />
+      </label>
+      <label className="text-xs">End year
+        <input type="number" className="mt-1 block border rounded-lg px-2 py-1 w-24 text-right" value={draft.end} onChange={(e) => setDraft({ ...draft, end: e.target.value })} />
+      </label>
+      <label className="text-xs">Step
+        <select className="mt-1 block border rounded-lg px-2 py-1" value={draft.step} onChange={(e) => setDraft({ ...draft, step: Number(e.target.value) })}>
+          <option value={1}>Annual</option>
+          <option value={5}>5‑yearly</option>
+        </select>
+      </label>
+      <button type="button" className="px-3 py-1.5 rounded-xl border" onClick={() => onApply(next)}>Apply</button>
+      <div className="text-xs text-gray-500 self-center">
+        {next.start}–{next.end}, {count} columns. Saved measures on another grid are resampled when opened.
+      </div>
+    </div>
+  );
+}
+
+
+/* ---------------- Carbon price path (per firm) ---------------- */
+function CarbonPathEditor({ path, onChange, years }) {
+  const base = years[0];
+  const setOverride = (y, v) => {
+    const overrides = { ...(path.overrides || {}) };
+    if (v === "") delete overrides[String(y)]; else overrides[String(y)] = Number(v);
+    onChange({ ...path, overrides });
+  };
+  const nOverrides = Object.keys(path.overrides || {}).length;
+
+  return (
+    <div className="mt-3 text-sm border rounded-xl p-3 bg-gray-50 space-y-2">
+      <div className="flex flex-wrap items-end gap-3">
+        <div className="font-medium self-center">Carbon price path</div>
+        <label className="text-xs">Start ({base})
+          <input type="number" className="mt-1 block border rounded-lg px-2 py-1 w-28 text-right" value={path.start} onChange={(e) => onChange({ ...path, start: Number(e.target.value) })} />
+        </label>
+        <label className="text-xs">Growth (%/yr)
+          <input type="number" step="0.1" className="mt-1 block border rounded-lg px-2 py-1 w-24 text-right" value={path.growthPct} onChange={(e) => onChange({ ...path, growthPct: Number(e.target.value) })} />
+        </label>
+        {nOverrides > 0 && (
+          <button type="button" className="px-3 py-1.5 rounded-xl border" onClick={() => onChange({ ...path, overrides: {} })}>Clear {nOverrides} override(s)</button>
+        )}
+        <div className="text-xs text-gray-500 self-center">₹/tCO₂. Blank years follow start × (1+growth)^(year−{base}); type a value to override.</div>
+      </div>
+      <div className="overflow-x-auto">
+        <div className="flex gap-2">
+          {years.map(y => (
+            <label key={y} className="text-[10px] text-gray-500 flex flex-col">
+              {y}
+              <input
+                type="number"
+                className="border rounded-lg px-2 py-1 w-24 text-right text-sm"
+                placeholder={formatNumber(generatedCarbonPrice(path, y, base))}
+                value={path.overrides?.[String(y)] ?? ""}
+                onChange={(e) => setOverride(y, e.target.value)}
+              />
+            </label>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+
+/* ---------------- GHG Protocol scope picker; `inherit` adds a "default" option ---------------- */
+function ScopeSelect({ value, onChange, inherit = null, className = "" }) {
+  return (
+    <select className={`border rounded-lg px-2 py-1 text-xs ${className}`} value={value ?? ""} onChange={(e) => onChange(e.target.value === "" ? null : Number(e.target.value))}>
+      {inherit != null && <option value="">Default ({SCOPES[inherit]})</option>}
+      {Object.entries(SCOPES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+    </select>
+  );
+}
+
+/* ---------------- Per-gas EF overrides on a wizard line (tonnes of gas per unit; blank = catalog) ---------------- */
+function GasEfOverrides({ line, base, perMwh = false, unit, gwp, onChange }) {
+  const cat = gasEFs(base, perMwh);
+  const ov = line.efOvGas || {};
+  // A per-gas entry replaces the legacy single tCO₂e override
+  const set = (g, v) => {
+    const next = { ...ov, [g]: v === "" ? null : Number(v) };
+    onChange({ efOvGas: gasOverrides(next) ? next : null, efOv: null });
+  };
+  const total = gasOverrides(ov) || line.efOv == null ? efCO2e(base, gwp, perMwh, ov).ef : Number(line.efOv);
+  return (
+    <div className="text-sm col-span-full">
+      <div>EF override by gas (t gas/{unit})</div>
+      <div className="grid grid-cols-5 gap-1 mt-1">
+        {Object.entries(GASES).map(([g, label]) => (
+          <label key={g} className="text-xs text-gray-600">{label}
+            <input type="number" className="mt-0.5 border rounded-lg px-2 py-1 w-full" placeholder={String(cat[g])} value={ov[g] ?? ""} onChange={e => set(g, e.target.value)} />
+          </label>
+        ))}
+      </div>
+      {line.efOv != null && !gasOverrides(ov) && (
+        <div className="text-[11px] text-amber-700 mt-0.5">
+          Single override {line.efOv} tCO₂e/{unit} in use, split by the catalog's gas shares.{" "}
+          <button type="button" className="underline" onClick={() => onChange({ efOv: null })}>Clear</button>
+        </div>
+      )}
+      <div className="text-[11px] text-gray-500 mt-0.5">
+        Blank = catalog factor. Line EF {formatNumber(total)} tCO₂e/{unit} at {normalizeGwp(gwp)}; EF drift (%/yr) compounds from the base year.
+      </div>
+    </div>
+  );
+}
+
+// Scope filter checkboxes; the last ticked scope stays on
+function ScopeChecks({ value, onChange }) {
+  const on = normalizeScopeFilter(value);
+  const toggle = (k) => {
+    const next = on.includes(k) ? on.filter(x => x !== k) : [...on, k];
+    if (next.length) onChange(normalizeScopeFilter(next));
+  };
+  return (
+    <div className="flex gap-3 text-sm">
+      {ALL_SCOPES.map(k => (
+        <label key={k} className="flex items-center gap-1 cursor-pointer">
+          <input type="checkbox" checked={on.includes(k)} onChange={() => toggle(k)} />
+          {SCOPES[k]}
+        </label>
+      ))}
+    </div>
+  );
+}
+
+
+/* ---------------- Loan tranches + repayment schedule (template measures) ---------------- */
+function LoansEditor({ loans, onChange, years, schedule }) {
+  const [showSchedule, setShowSchedule] = useState(false);
+  const setLoan = (id, patch) => onChange(loans.map(t => t.id === id ? { ...t, ...patch } : t));
+  const addLoan = () => onChange([...loans, normalizeTranche({
+    id: Math.max(0, ...loans.map(t => t.id)) + 1, drawdown_year: years[0], amount_cr: 0, rate_pct: 7, tenure_years: 10,
+  })]);
+  const numIn = (t, k, w = "w-20") => (
+    <input type="number" className={`border rounded-lg px-2 py-1 ${w} text-right`} value={t[k]} onChange={(e) => setLoan(t.id, { [k]: e.target.value === "" ? "" : Number(e.target.value) })} />
+  );
+
+  return (
+    <div className="rounded-xl border p-3 space-y-2 text-sm">
+      <div className="flex items-center justify-between">
+        <div className="font-semibold">Financed capex (loan tranches)</div>
+        <div className="flex gap-2">
+          {schedule.length > 0 && (
+            <button type="button" className="px-3 py-1.5 rounded-xl border" onClick={() => setShowSchedule(v => !v)}>{showSchedule ? "Hide" : "Show"} schedule</button>
+          )}
+          <button type="button" className="px-3 py-1.5 rounded-xl border" onClick={addLoan}>+ Tranche</button>
+        </div>
+      </div>
+      <div className="text-xs text-gray-500">
+        Each tranche is drawn (and first serviced) in its drawdown year, pays interest only through the moratorium, then repays over the tenure.
+        Debt service in each year counts as financing cost; interest is tax‑deductible.
+      </div>
+      {loans.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="text-xs">
+            <thead>
+              <tr className="text-gray-500 text-left">
+                <th className="pr-2 font-normal">Drawdown</th><th className="pr-2 font-normal">Amount (₹ cr)</th><th className="pr-2 font-normal">Rate (%)</th>
+                <th className="pr-2 font-normal">Tenure (yrs)</th><th className="pr-2 font-normal">Moratorium (yrs)</th><th className="pr-2 font-normal">Repayment</th><th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {loans.map(t => (
+                <tr key={t.id}>
+                  <td className="pr-2 py-1">{numIn(t, "drawdown_year")}</td>
+                  <td className="pr-2">{numIn(t, "amount_cr", "w-24")}</td>
+                  <td className="pr-2">{numIn(t, "rate_pct", "w-16")}</td>
+                  <td className="pr-2">{numIn(t, "tenure_years", "w-16")}</td>
+                  <td className="pr-2">{numIn(t, "grace_years", "w-16")}</td>
+                  <td className="pr-2">
+                    <select className="border rounded-lg px-2 py-1" value={t.repayment} onChange={(e) => setLoan(t.id, { repayment: e.target.value })}>
+                      {Object.entries(REPAYMENT_TYPES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+                    </select>
+                  </td>
+                  <td><button type="button" className="px-2 py-1 rounded-lg border" onClick={() => onChange(loans.filter(x => x.id !== t.id))}>Delete</button></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      {showSchedule && schedule.length > 0 && (
+        <div className="overflow-x-auto max-h-72 overflow-y-auto">
+          <table className="text-xs w-full">
+            <thead className="sticky top-0 bg-white">
+              <tr className="text-gray-500 text-right">
+                <th className="text-left font-normal">Year</th><th className="font-normal">Drawdown</th><th className="font-normal">Interest</th>
+                <th className="font-normal">Principal</th><th className="font-normal">Debt service</th><th className="font-normal">Closing balance</th>
+              </tr>
+            </thead>
+            <tbody>
+              {schedule.map(r => (
+                <tr key={r.year} className={`text-right ${years.includes(r.year) ? "font-semibold" : ""} ${r.year > years[years.length - 1] ? "text-gray-400" : ""}`}>
+                  <td className="text-left">{r.year}</td>
+                  <td>{formatNumber(r.drawdown)}</td>
+                  <td>{formatNumber(r.interest)}</td>
+                  <td>{formatNumber(r.principal)}</td>
+                  <td>{formatNumber(r.payment)}</td>
+                  <td>{formatNumber(r.closing)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="text-[11px] text-gray-500 mt-1">Nominal ₹ cr. Bold rows are grid years; each grid year carries the average yearly debt service of its period (up to the next grid year) in the cost stack and cash flows. Greyed payments fall after the horizon end.</div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+
+/* ---------------- Inflation & price basis (per firm) ---------------- */
+function InflationEditor({ inflation, onChange, baseYear, stale }) {
+  const real = inflation.basis === "real";
+  return (
+    <div className="mt-3 text-sm border rounded-xl p-3 bg-gray-50 space-y-2">
+      <div className="flex flex-wrap items-end gap-3">
+        <div className="font-medium self-center">Inflation</div>
+        <label className="text-xs">General inflation (%/yr)
+          <input type="number" step="0.1" className="mt-1 block border rounded-lg px-2 py-1 w-24 text-right" value={inflation.ratePct} onChange={(e) => onChange({ ...inflation, ratePct: Number(e.target.value) })} />
+        </label>
+        <label className="text-xs">Price basis
+          <select className="mt-1 block border rounded-lg px-2 py-1" value={inflation.basis} onChange={(e) => onChange({ ...inflation, basis: e.target.value })}>
+            {Object.entries(PRICE_BASES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+          </select>
+        </label>
+        <div className="text-xs text-gray-500 self-center">
+          {real
+            ? <>Template results are deflated to {baseYear} ₹ and discounted at the real rate (e.g. 10% nominal → {formatNumber(realRate(0.10, inflation.ratePct) * 100)}% real).</>
+            : "Template results are in as-spent ₹ at the entered (nominal) rates."}
+        </div>
+      </div>
+      {stale > 0 && (
+        <div className="text-xs text-amber-700">{stale} Template measure(s) were saved on another price basis; open and save them to refresh their cost.</div>
+      )}
+    </div>
+  );
+}
+
+
+/* ---------------- GWP set (per firm) ---------------- */
+function GwpEditor({ gwp, onChange, stale }) {
+  const set = GWP_SETS[gwp];
+  return (
+    <div className="mt-3 text-sm border rounded-xl p-3 bg-gray-50 space-y-2">
+      <div className="flex flex-wrap items-end gap-3">
+        <div className="font-medium self-center">Greenhouse gases</div>
+        <label className="text-xs">GWP set
+          <select className="mt-1 block border rounded-lg px-2 py-1" value={gwp} onChange={(e) => onChange(e.target.value)}>
+            {Object.entries(GWP_SETS).map(([k, v]) => <option key={k} value={k}>{v.label}</option>)}
+          </select>
+        </label>
+        <div className="text-xs text-gray-500 self-center">
+          Catalog CH₄, N₂O, PFC and SF₆ factors count as tCO₂e at {Object.keys(GASES).filter(g => g !== "co2").map(g => `${GASES[g]} ${set[g]}`).join(" · ")}.
+        </div>
+      </div>
+      {stale > 0 && (
+        <div className="text-xs text-amber-700">{stale} Template measure(s) were saved with another GWP set; open and save them to refresh their abatement.</div>
+      )}
+    </div>
+  );
+}
+
+
+/* ---------------- Emissions inventory (per firm, per sector) ---------------- */
+function InventoryEditor({ baselines, sectors, selectedSector, catalogs, gwp, onChange }) {
+  const [picked, setPicked] = useState(null);
+  const sector = sectors.includes(picked) ? picked : (sectors.includes(selectedSector) ? selectedSector : sectors[0]);
+  if (!sector) return null;
+  const inv = normalizeInventory(baselines[sector]?.inventory || EMPTY_INVENTORY);
+  const result = inventoryEmissions(inv, catalogs, gwp);
+  const itemsOf = (source) => (catalogs?.[source] || []).map(r => String(r?.[INVENTORY_SOURCES[source].key] ?? "")).filter(Boolean);
+  const setLines = (lines) => onChange(sector, { ...inv, lines });
+  const setLine = (id, patch) => setLines(inv.lines.map(l => (l.id === id ? { ...l, ...patch } : l)));
+  const addLine = () => {
+    const id = inv.lines.reduce((m, l) => Math.max(m, Number(l.id) || 0), 0) + 1;
+    setLines([...inv.lines, { id, source: "fuels", item: itemsOf("fuels")[0] || "", qty: 0 }]);
+  };
+
+  return (
+    <div className="mt-3 text-sm border rounded-xl p-3 bg-gray-50 space-y-2">
+      <div className="flex flex-wrap items-end gap-3">
+        <div className="font-medium self-center">Emissions inventory</div>
+        <label className="text-xs">Sector
+          <select className="mt-1 block border rounded-lg px-2 py-1" value={sector} onChange={(e) => setPicked(e.target.value)}>
+            {sectors.map(s => <option key={s}>{s}</option>)}
+          </select>
+        </label>
+        <label className="text-xs flex items-center gap-1 self-center">
+          <input type="checkbox" checked={inv.linked} onChange={(e) => onChange(sector, { ...inv, linked: e.target.checked })} />
+          Sets baseline emissions
+        </label>
+        <button type="button" className="px-3 py-1.5 rounded-xl border" onClick={addLine}>+ Activity</button>
+        <div className="text-xs text-gray-500 self-center">
+          Annual activity × catalog EF. Scopes follow the template defaults (fuels Scope 1, grid electricity MWh Scope 2, materials, transport and waste Scope 3); set a line's own scope where it differs.
+        </div>
+      </div>
+      {inv.lines.length > 0 ? (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-xs">
+            <thead>
+              <tr className="text-gray-600">
+                <th className="p-1 text-left">Source</th>
+                <th className="p-1 text-left">Catalog row</th>
+                <th className="p-1 text-right">Quantity / yr</th>
+                <th className="p-1 text-left">Unit</th>
+                <th className="p-1 text-right">EF (tCO₂e/unit)</th>
+                <th className="p-1 text-right">tCO₂e/yr</th>
+                <th className="p-1 text-center">Scope</th>
+                <th className="p-1"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.lines.map(l => (
+                <tr key={l.id} className="border-t">
+                  <td className="p-1">
+                    <select className="border rounded px-1 py-0.5" value={l.source} onChange={(e) => setLine(l.id, { source: e.target.value, item: itemsOf(e.target.value)[0] || "" })}>
+                      {Object.entries(INVENTORY_SOURCES).map(([k, v]) => <option key={k} value={k}>{v.label}</option>)}
+                    </select>
+                  </td>
+                  <td className="p-1">
+                    <select className={`border rounded px-1 py-0.5 max-w-[16rem] ${l.missing ? 'border-amber-500' : ''}`} value={l.item} onChange={(e) => setLine(l.id, { item: e.target.value })}>
+                      {l.missing && <option value={l.item}>{l.item || "—"} (not in catalog)</option>}
+                      {itemsOf(l.source).map(n => <option key={n} value={n}>{n}</option>)}
+                    </select>
+                  </td>
+                  <td className="p-1 text-right">
+                    <input type="number" min="0" className="border rounded px-1 w-28 text-right" value={l.qty} onChange={(e) => setLine(l.id, { qty: e.target.value === "" ? "" : Number(e.target.value) })} />
+                  </td>
+                  <td className="p-1">{l.unit}</td>
+                  <td className="p-1 text-right">{formatNumber(l.ef)}</td>
+                  <td className="p-1 text-right">{formatNumber(l.tco2)}</td>
+                  <td className="p-1 text-center">
+                    <ScopeSelect value={inv.lines.find(x => x.id === l.id)?.scope} inherit={driverScopes()[INVENTORY_SOURCES[l.source].category]} onChange={v => setLine(l.id, { scope: v })} />
+                  </td>
+                  <td className="p-1 text-right">
+                    <button type="button" className="px-2 py-0.5 rounded border" onClick={() => setLines(inv.lines.filter(x => x.id !== l.id))}>✕</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div className="text-xs text-gray-500">No activity data for {sector}; its baseline emissions are entered by hand.</div>
+      )}
+      {inv.lines.length > 0 && (
+        <div className="text-xs text-gray-700">
+          Scope 1: <b>{formatNumber(result.scope1)}</b> · Scope 2: <b>{formatNumber(result.scope2)}</b> · Scope 3: <b>{formatNumber(result.scope3)}</b> · Total: <b>{formatNumber(result.total)}</b> tCO₂e/yr
+          {result.total > result.byGas.co2 && <> ({Object.keys(GASES).filter(g => result.byGas[g] > 0).map(g => `${GASES[g]} ${formatNumber(result.byGas[g])}`).join(" · ")})</>}
+          {inv.linked ? <> — Scopes {CCTS_SCOPES.join(" + ")} (<b>{formatNumber(coveredEmissions(result))}</b>) used as the baseline emissions.</> : " — not linked; the baseline keeps its typed value."}
+          {result.lines.some(l => l.missing) && <span className="text-amber-700"> Some rows are missing from the active catalogs and count as zero.</span>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+
+/* ---------------- BAU projection (per firm, per sector) ---------------- */
+function BauEditor({ baselines, sectors, selectedSector, onChange, years }) {
+  const [picked, setPicked] = useState(null);
+  const sector = sectors.includes(picked) ? picked : (sectors.includes(selectedSector) ? selectedSector : sectors[0]);
+  if (!sector) return null;
+  const row = baselines[sector] || { annual_production: 0, annual_emissions: 0 };
+  const bau = normalizeBau(row.bau);
+  const set = (patch) => onChange(sector, { ...bau, ...patch });
+  const setOverride = (y, v) => {
+    const overrides = { ...bau.overrides };
+    if (v === "") delete overrides[String(y)]; else overrides[String(y)] = Number(v);
+    set({ overrides });
+  };
+  const nOverrides = Object.keys(bau.overrides).length;
+
+  return (
+    <div className="mt-3 text-sm border rounded-xl p-3 bg-gray-50 space-y-2">
+      <div className="flex flex-wrap items-end gap-3">
+        <div className="font-medium self-center">BAU emissions</div>
+        <label className="text-xs">Sector
+          <select className="mt-1 block border rounded-lg px-2 py-1" value={sector} onChange={(e) => setPicked(e.target.value)}>
+            {sectors.map(s => <option key={s}>{s}</option>)}
+          </select>
+        </label>
+        <label className="text-xs">Baseline year
+          <input type="number" className="mt-1 block border rounded-lg px-2 py-1 w-20 text-right" value={bau.base_year} onChange={(e) => set({ base_year: Number(e.target.value) })} />
+        </label>
+        <label className="text-xs">Production growth (%/yr)
+          <input type="number" step="0.1" className="mt-1 block border rounded-lg px-2 py-1 w-24 text-right" value={bau.production_growth_pct} onChange={(e) => set({ production_growth_pct: Number(e.target.value) })} />
+        </label>
+        <label className="text-xs">Intensity improvement (%/yr)
+          <input type="number" step="0.1" className="mt-1 block border rounded-lg px-2 py-1 w-24 text-right" value={bau.intensity_improvement_pct} onChange={(e) => set({ intensity_improvement_pct: Number(e.target.value) })} />
+        </label>
+        {nOverrides > 0 && (
+          <button type="button" className="px-3 py-1.5 rounded-xl border" onClick={() => set({ overrides: {} })}>Clear {nOverrides} override(s)</button>
+        )}
+        <div className="text-xs text-gray-500 self-center">tCO₂/yr. Blank years follow the baseline × (1+growth)^n × (1−improvement)^n; type a value to override.</div>
+      </div>
+      <div className="overflow-x-auto">
+        <div className="flex gap-2">
+          {years.map(y => (
+            <label key={y} className="text-[10px] text-gray-500 flex flex-col">
+              {y}
+              <input
+                type="number"
+                className="border rounded-lg px-2 py-1 w-28 text-right text-sm"
+                placeholder={formatNumber(generatedBauEmissions(row, y))}
+                value={bau.overrides[String(y)] ?? ""}
+                onChange={(e) => setOverride(y, e.target.value)}
+              />
+            </label>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+
+/* ---------------- CCTS GEI targets (per firm, per sector) ---------------- */
+function GeiTargetsEditor({ baselines, sectors, selectedSector, onChange, years }) {
+  const [picked, setPicked] = useState(null);
+  const sector = sectors.includes(picked) ? picked : (sectors.includes(selectedSector) ? selectedSector : sectors[0]);
+  if (!sector) return null;
+  const row = baselines[sector] || {};
+  const targets = row.gei_targets || {};
+  const entries = Object.entries(targets).sort((a, b) => Number(a[0]) - Number(b[0]));
+  const moveYear = (from, to) => {
+    const y = String(Math.round(Number(to)));
+    if (!Number.isFinite(Number(to)) || y === from) return;
+    const { [from]: v, ...rest } = targets;
+    onChange(sector, { ...rest, [y]: v });
+  };
+  const addYear = () => {
+    const ys = entries.map(([y]) => Number(y));
+    const next = ys.length ? Math.max(...ys) + 1 : years[0];
+    const last = entries[entries.length - 1]?.[1];
+    onChange(sector, { ...targets, [String(next)]: last ?? Number(intensityOf(row).toFixed(4)) });
+  };
+
+  return (
+    <div className="mt-3 text-sm border rounded-xl p-3 bg-gray-50 space-y-2">
+      <div className="flex flex-wrap items-end gap-3">
+        <div className="font-medium self-center">CCTS GEI targets</div>
+        <label className="text-xs">Sector
+          <select className="mt-1 block border rounded-lg px-2 py-1" value={sector} onChange={(e) => setPicked(e.target.value)}>
+            {sectors.map(s => <option key={s}>{s}</option>)}
+          </select>
+        </label>
+        <button type="button" className="px-3 py-1.5 rounded-xl border" onClick={addYear}>+ Compliance year</button>
+        <div className="text-xs text-gray-500 self-center">
+          Notified GHG emission intensity in tCO₂e per {row.production_label || "unit"} (baseline: {formatNumber(intensityOf(row))}).
+        </div>
+      </div>
+      <div className="flex flex-wrap gap-2">
+        {entries.map(([y, v]) => (
+          <div key={y} className="flex items-end gap-1 border rounded-lg px-2 py-1 bg-white">
+            <label className="text-[10px] text-gray-500 flex flex-col">Year
+              <input type="number" className="border rounded px-1 w-16 text-sm" defaultValue={y} onBlur={(e) => moveYear(y, e.target.value)} />
+            </label>
+            <label className="text-[10px] text-gray-500 flex flex-col">tCO₂e/unit
+              <input type="number" step="0.0001" className="border rounded px-1 w-24 text-sm text-right" value={v} onChange={(e) => onChange(sector, { ...targets, [y]: e.target.value === "" ? "" : Number(e.target.value) })} />
+            </label>
+            <button type="button" className="px-2 py-1 rounded border text-xs" onClick={() => { const { [y]: _, ...rest } = targets; onChange(sector, rest); }}>✕</button>
+          </div>
+        ))}
+        {entries.length === 0 && <div className="text-xs text-gray-500">No targets for {sector}.</div>}
+      </div>
+    </div>
+  );
+}
+
+
+/* ---------------- Production units (per firm, for "All sectors") ---------------- */
+function UnitsEditor({ units, baselines, onChange }) {
+  const labels = productionLabels(Object.entries(baselines).filter(([k]) => !isFirmSectorLabel(k)).map(([, b]) => b));
+  if (labels.length <= 1) return null;
+  const u = units || DEFAULT_UNITS;
+  const missing = labels.filter(l => !normalizeUnits(u).factors[l]);
+  const setFactor = (label, v) => onChange({ ...u, factors: { ...(u.factors || {}), [label]: v === "" ? "" : Number(v) } });
+
+  return (
+    <div className="mt-3 text-sm border rounded-xl p-3 bg-gray-50 space-y-2">
+      <div className="flex flex-wrap items-end gap-3">
+        <div className="font-medium self-center">Production units</div>
+        <label className="text-xs">Common unit
+          <input className="mt-1 block border rounded-lg px-2 py-1 w-40" placeholder="e.g. t product-eq" value={u.common_label || ""} onChange={(e) => onChange({ ...u, common_label: e.target.value })} />
+        </label>
+        <div className="text-xs text-gray-500 self-center">
+          Sectors report production in different units. "All sectors" adds production up only when every unit has a factor (common units per 1 unit).
+        </div>
+      </div>
+      <div className="flex flex-wrap gap-2">
+        {labels.map(l => (
+          <label key={l} className="text-[10px] text-gray-500 flex flex-col border rounded-lg px-2 py-1 bg-white">1 {l} =
+            <input type="number" step="any" min="0" className="border rounded px-1 w-24 text-sm text-right" value={u.factors?.[l] ?? ""} onChange={(e) => setFactor(l, e.target.value)} />
+          </label>
+        ))}
+      </div>
+      {missing.length > 0 && <div className="text-xs text-amber-700">No factor for {missing.join(", ")} — "All sectors" production is shown as mixed units.</div>}
+    </div>
+  );
+}
+
+
+/* ---------------- CCTS compliance summary ---------------- */
+function ComplianceTable({ rows, cur, sector }) {
+  const cr = (vInr) => fmtCr(Number(vInr || 0) / 10_000_000, cur);
+  const exportCsv = () => saveBlob("ccts_compliance.csv", "text/csv", jsonToCsv(rows.map(r => ({
+    year: r.year, production: r.production, bau_tco2: r.bau, abated_tco2: r.abated, achieved_tco2: r.achieved,
+    bau_intensity: r.bauIntensity, achieved_intensity: r.achievedIntensity, target_intensity: r.targetIntensity,
+    allowed_tco2: r.allowed, ccc_surplus: r.credits, carbon_price_inr: r.carbonPrice,
+    buy_only_cost_inr: r.buyOnlyCost, abatement_cost_inr: r.abatementCost, credit_cost_inr: r.creditCost, net_cost_inr: r.netCost, saving_inr: r.saving,
+  }))));
+  if (!rows.length) return <div className="text-sm text-gray-500">No GEI targets for {sector}. Add compliance years under Firm Data.</div>;
+
+  return (
+    <div className="space-y-2">
+      <div className="flex justify-end">
+        <button className="px-3 py-1.5 rounded-xl border" onClick={exportCsv}>Export CSV</button>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="bg-gray-100 text-gray-700 text-right">
+              <th className="p-2 text-left">Year</th>
+              <th className="p-2">BAU (tCO₂)</th>
+              <th className="p-2">Abated</th>
+              <th className="p-2">Intensity BAU → achieved</th>
+              <th className="p-2">GEI target</th>
+              <th className="p-2">CCC surplus / shortfall</th>
+              <th className="p-2">Buy credits only</th>
+              <th className="p-2">Abate + trade</th>
+              <th className="p-2">Saving from abating</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(r => (
+              <tr key={r.year} className="border-b text-right">
+                <td className="p-2 text-left">{r.year}{r.sectors != null && <span className="text-[11px] text-gray-500"> ({r.sectors} sector{r.sectors === 1 ? "" : "s"})</span>}</td>
+                <td className="p-2">{formatNumber(r.bau)}</td>
+                <td className="p-2">{formatNumber(r.abated)}</td>
+                <td className="p-2">{r.achievedIntensity == null ? "—" : <>{r.bauIntensity.toFixed(4)} → {r.achievedIntensity.toFixed(4)}</>}</td>
+                <td className="p-2">{r.targetIntensity == null ? "—" : r.targetIntensity.toFixed(4)}</td>
+                <td className={`p-2 font-semibold ${r.credits >= 0 ? "text-emerald-700" : "text-red-700"}`}>{r.credits >= 0 ? "+" : ""}{formatNumber(r.credits)}</td>
+                <td className="p-2">{cr(r.buyOnlyCost)}</td>
+                <td className="p-2" title={`Measures ${cr(r.abatementCost)}; credits ${cr(r.creditCost)}`}>{cr(r.netCost)}</td>
+                <td className={`p-2 ${r.saving >= 0 ? "text-emerald-700" : "text-red-700"}`}>{cr(r.saving)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+
+/* ---------------- Emissions pathway chart (BAU / target / with measures) ---------------- */
+function PathwayChart({ data }) {
+  return (
+    <ResponsiveContainer width="100%" height={280}>
+      <LineChart data={data}>
+        <CartesianGrid strokeDasharray="3 3" />
+        <XAxis dataKey="year" />
+        <YAxis tickFormatter={formatNumber} />
+        <Tooltip formatter={(v) => `${formatNumber(v)} tCO₂`} />
+        <Legend />
+        <Line type="monotone" dataKey="bau" name="BAU" stroke="#6b7280" strokeWidth={2} />
+        <Line type="monotone" dataKey="target" name="Target" stroke="#dc2626" strokeDasharray="6 4" />
+        <Line type="monotone" dataKey="withMeasures" name="With selected measures" stroke="#059669" strokeWidth={2} />
+      </LineChart>
+    </ResponsiveContainer>
+  );
+}
+
+
+/* ---------------- Abatement wedges (stacked per-measure abatement under BAU) ---------------- */
+function WedgeChart({ pathway, rankOf, rankCount, sector }) {
+  const ref = useRef(null);
+  // One wedge per measure stacked in any year, in MACC order so colours match the curve;
+  // measures not on the plotted curve take the ranks after it
+  const wedges = useMemo(() => {
+    const seen = new Map();
+    pathway.forEach(p => p.measures.forEach(w => { if (!seen.has(w.id)) seen.set(w.id, w.name); }));
+    let next = rankCount;
+    return [...seen.entries()]
+      .map(([id, name]) => ({ id, name, key: `w${id}`, rank: rankOf(id) ?? next++ }))
+      .sort((a, b) => a.rank - b.rank);
+  }, [pathway, rankOf, rankCount]);
+  const rows = useMemo(() => pathway.map(p => {
+    const row = { year: p.year, remaining: p.withMeasures, target: p.target, bau: p.bau };
+    wedges.forEach(w => { row[w.key] = p.measures.find(m => m.id === w.id)?.abatement || 0; });
+    return row;
+  }), [pathway, wedges]);
+
+  const exportCsv = () => saveBlob("abatement_wedges.csv", "text/csv", jsonToCsv(rows.map(r => {
+    const out = { year: r.year, bau_tco2: r.bau, target_tco2: r.target, remaining_tco2: r.remaining };
+    wedges.forEach(w => { out[`${w.name} (#${w.id})`] = r[w.key]; });
+    return out;
+  })));
+
+  return (
+    <div className="space-y-2">
+      <div className="flex justify-end gap-2">
+        <button className="px-3 py-1.5 rounded-xl border" onClick={exportCsv}>Export CSV</button>
+        <button className="px-3 py-1.5 rounded-xl border" onClick={() => exportContainerSvgToPng(ref.current, `wedges_${sector}.png`)}>Export PNG</button>
+      </div>
+      <div ref={ref}>
+        <ResponsiveContainer width="100%" height={360}>
+          <ComposedChart data={rows}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="year" />
+            <YAxis tickFormatter={formatNumber} />
+            <Tooltip formatter={(v) => `${formatNumber(v)} tCO₂`} />
+            <Legend />
+            <Area type="monotone" dataKey="remaining" stackId="e" name="Remaining emissions" stroke="#9ca3af" fill="#e5e7eb" isAnimationActive={false} />
+            {wedges.map(w => (
+              <Area key={w.key} type="monotone" dataKey={w.key} stackId="e" name={w.name} stroke={PALETTE[w.rank % PALETTE.length]} fill={PALETTE[w.rank % PALETTE.length]} fillOpacity={0.75} isAnimationActive={false} />
+            ))}
+            <Line type="monotone" dataKey="bau" name="BAU" stroke="#374151" strokeWidth={2} dot={false} isAnimationActive={false} />
+            <Line type="monotone" dataKey="target" name="Target" stroke="#dc2626" strokeDasharray="6 4" dot={false} isAnimationActive={false} />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
+
+
+/* ---------------- Carbon price response (viable abatement vs flat carbon price) ---------------- */
+function ResponseChart({ curve, goal, currentPrice, cur, mode, productionLabel, targetX, sector }) {
+  const ref = useRef(null);
+  const price = (v) => inCur(v, cur);
+  // Step points: nothing viable below the cheapest breakeven, flat past the dearest (and the current price)
+  const data = useMemo(() => {
+    if (!curve.length) return [];
+    const lo = Math.min(0, curve[0].breakeven), hi = Math.max(curve[curve.length - 1].breakeven, currentPrice, goal?.marginalPrice ?? 0);
+    return [
+      { price: price(lo), viable: 0 },
+      ...curve.map(p => ({ price: price(p.breakeven), viable: p.x })),
+      { price: price(hi + Math.max(1, Math.abs(hi - lo) * 0.05)), viable: curve[curve.length - 1].x },
+    ];
+  }, [curve, currentPrice, goal, cur]);
+
+  const exportCsv = () => saveBlob(`carbon_price_response_${sector}.csv`, "text/csv", jsonToCsv(curve.map(p => ({
+    id: p.id, name: p.name, sector: p.sector, abatement_tco2: p.abatement,
+    [`breakeven_${cur.code.toLowerCase()}_per_tco2e`]: price(p.breakeven), cumulative_viable_tco2: p.cumAbate,
+  }))));
+
+  if (!curve.length) return <div className="text-sm text-gray-500">No selected measures with abatement.</div>;
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-start justify-between gap-3 text-sm">
+        <div className="space-y-1">
+          <div>
+            Viable now at {cur.symbol} {formatNumber(price(currentPrice))}/tCO₂e: <b>{formatNumber(viableAbatement(curve, currentPrice))} tCO₂e</b>
+            {mode !== "capacity" && <> ({fmtX(curve.filter(p => p.breakeven <= currentPrice).pop()?.x ?? 0, mode)}{mode === "physical" ? ` tCO₂/${productionLabel}` : ""})</>}
+          </div>
+          {goal?.reachable && goal.price != null ? (
+            <>
+              <div>Lowest carbon price meeting the target at zero net cost: <b>{cur.symbol} {formatNumber(price(goal.price))}/tCO₂e</b>
+                {goal.averagePrice < 0 && <span className="text-gray-500"> (the target already pays for itself)</span>}
+              </div>
+              <div className="text-gray-600">Every tonne to the target viable on its own from {cur.symbol} {formatNumber(price(goal.marginalPrice))}/tCO₂e</div>
+            </>
+          ) : (
+            <div className="text-amber-700">{goal?.reachable ? "No target set." : "The selected measures cannot reach the target at any carbon price."}</div>
+          )}
+        </div>
+        <div className="flex gap-2">
+          <button className="px-3 py-1.5 rounded-xl border" onClick={exportCsv}>Export CSV</button>
+          <button className="px-3 py-1.5 rounded-xl border" onClick={() => exportContainerSvgToPng(ref.current, `carbon_price_response_${sector}.png`)}>Export PNG</button>
+        </div>
+      </div>
+      <div ref={ref}>
+        <ResponsiveContainer width="100%" height={320}>
+          <LineChart data={data} margin={{ top: 20, right: 24, left: 24, bottom: 32 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="price" type="number" domain={["dataMin", "dataMax"]} tickFormatter={(v) => `${cur.symbol} ${formatNumber(v)}`}
+              label={{ value: `Carbon price (${cur.symbol}/tCO₂e)`, position: "insideBottom", dy: 20, fill: "#374151" }} />
+            <YAxis tickFormatter={(v) => fmtX(v, mode)} />
+            <Tooltip formatter={(v) => fmtX(v, mode)} labelFormatter={(v) => `${cur.symbol} ${formatNumber(v)}/tCO₂e`} />
+            <ReferenceLine x={price(currentPrice)} stroke="#2563eb" strokeDasharray="4 4" label={{ value: "Current", position: "top", fill: "#2563eb", fontSize: 11 }} />
+            {targetX > 0 && <ReferenceLine y={targetX} stroke="#dc2626" strokeDasharray="6 4" label={{ value: "Target", position: "insideTopLeft", fill: "#dc2626", fontSize: 11 }} />}
+            {goal?.price != null && <ReferenceLine x={price(goal.price)} stroke="#059669" label={{ value: "Zero net cost", position: "insideTopRight", fill: "#059669", fontSize: 11 }} />}
+            <Line type="stepAfter" dataKey="viable" name="Viable abatement" stroke={PALETTE[0]} strokeWidth={2} dot={false} isAnimationActive={false} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+      <div className="max-h-64 overflow-y-auto">
+        <table className="min-w-full text-xs">
+          <thead>
+            <tr className="text-gray-600">
+              <th className="p-1 text-left">Measure</th>
+              <th className="p-1 text-left">Sector</th>
+              <th className="p-1 text-right">Abatement (tCO₂e)</th>
+              <th className="p-1 text-right">Breakeven ({cur.symbol}/tCO₂e)</th>
+              <th className="p-1 text-center">Viable now</th>
+            </tr>
+          </thead>
+          <tbody>
+            {curve.map(p => (
+              <tr key={p.id} className="border-t">
+                <td className="p-1">{p.name}</td>
+                <td className="p-1">{p.sector}</td>
+                <td className="p-1 text-right">{formatNumber(p.abatement)}</td>
+                <td className="p-1 text-right">{formatNumber(price(p.breakeven))}</td>
+                <td className="p-1 text-center">{p.breakeven <= currentPrice ? "✓" : ""}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+
+/* ---------------- FX table (per firm) ---------------- */
+function FxEditor({ fx, onChange, currency, cur, years }) {
+  const codes = Object.keys(CURRENCIES).filter(c => c !== MODEL_CURRENCY);
+  const setTable = (code, table) => onChange({ ...fx, [code]: table });
+  const setRate = (code, y, v) => setTable(code, { ...fx[code], [y]: Number(v) });
+  const moveYear = (code, from, to) => {
+    const y = String(Math.round(Number(to)));
+    if (!Number.isFinite(Number(to)) || y === from) return;
+    const { [from]: rate, ...rest } = fx[code] || {};
+    setTable(code, { ...rest, [y]: rate });
+  };
+  const removeYear = (code, y) => { const { [y]: _, ...rest } = fx[code] || {}; setTable(code, rest); };
+  const addYear = (code) => {
+    const table = fx[code] || {};
+    const ys = Object.keys(table).map(Number).sort((a, b) => a - b);
+    const last = ys[ys.length - 1];
+    setTable(code, { ...table, [String(ys.length ? last + 1 : years[0])]: ys.length ? table[String(last)] : 1 });
+  };
+
+  return (
+    <div className="mt-3 text-sm border rounded-xl p-3 bg-gray-50 space-y-2">
+      <div className="flex flex-wrap items-center gap-3">
+        <div className="font-medium">FX table</div>
+        <div className="text-xs text-gray-500">
+          ₹ per unit. Linear between years, flat outside. Figures are held in ₹; {currency === MODEL_CURRENCY
+            ? "the reporting currency is INR, so nothing is converted."
+            : <>reporting in {currency} at <b>₹ {formatNumber(cur.rate)}</b> per {cur.symbol} ({cur.year}).</>}
+        </div>
+      </div>
+      {codes.map(code => {
+        const entries = Object.entries(fx[code] || {}).sort((a, b) => Number(a[0]) - Number(b[0]));
+        return (
+          <div key={code} className="flex flex-wrap items-end gap-2">
+            <div className="w-20 self-center">{CURRENCIES[code].symbol} {code}</div>
+            {entries.map(([y, rate]) => (
+              <div key={y} className="flex items-end gap-1 border rounded-lg px-2 py-1 bg-white">
+                <label className="text-[10px] text-gray-500 flex flex-col">Year
+                  <input type="number" className="border rounded px-1 w-16 text-sm" defaultValue={y} onBlur={(e) => moveYear(code, y, e.target.value)} />
+                </label>
+                <label className="text-[10px] text-gray-500 flex flex-col">₹/{CURRENCIES[code].symbol}
+                  <input type="number" step="0.01" className="border rounded px-1 w-20 text-right text-sm" value={rate} onChange={(e) => setRate(code, y, e.target.value)} />
+                </label>
+                <button type="button" className="text-gray-500 px-1" onClick={() => removeYear(code, y)}>×</button>
+              </div>
+            ))}
+            <button type="button" className="px-2 py-1 rounded-lg border" onClick={() => addYear(code)}>+ Year</button>
+            {!entries.length && <span className="text-xs text-amber-700">No rate: {code} figures fall back to ₹.</span>}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+
+/* ---------------- Measure interactions (per firm) ---------------- */
+function InteractionsEditor({ interactions, onChange, measures, options, dropped, reduced }) {
+  const { groups, overlaps } = interactions;
+  const nameOf = (id) => (measures || []).find(m => m.id === id)?.name ?? `#${id} (deleted)`;
+  const nextId = (arr) => Math.max(0, ...arr.map(x => x.id)) + 1;
+  const setGroup = (id, patch) => onChange({ ...interactions, groups: groups.map(g => g.id === id ? { ...g, ...patch } : g) });
+  const setOverlap = (id, patch) => onChange({ ...interactions, overlaps: overlaps.map(o => o.id === id ? { ...o, ...patch } : o) });
+  const toId = (v) => (v === "" ? null : Number(v));
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 text-sm">
+      <div className="space-y-3">
+        <div className="flex items-center justify-between">
+          <h3 className="font-semibold">Exclusivity groups</h3>
+          <button className="px-3 py-1.5 rounded-xl border" onClick={() => onChange({ ...interactions, groups: [...groups, { id: nextId(groups), name: `Group ${groups.length + 1}`, members: [], chosen: null }] })}>+ Group</button>
+        </div>
+        <p className="text-xs text-gray-500">Only one member of a group is stacked: the chosen one, or the cheapest (by effective cost) if none is chosen.</p>
+        {groups.map(g => (
+          <div key={g.id} className="border rounded-xl p-3 space-y-2">
+            <div className="flex items-center gap-2">
+              <input className="border rounded-lg px-2 py-1 flex-1" value={g.name} onChange={(e) => setGroup(g.id, { name: e.target.value })} />
+              <label className="text-xs flex items-center gap-1">Stack
+                <select className="border rounded-lg px-2 py-1" value={g.chosen ?? ""} onChange={(e) => setGroup(g.id, { chosen: toId(e.target.value) })}>
+                  <option value="">Cheapest</option>
+                  {g.members.map(id => <option key={id} value={id}>{nameOf(id)}</option>)}
+                </select>
+              </label>
+              <button className="px-2 py-1 rounded-lg border" onClick={() => onChange({ ...interactions, groups: groups.filter(x => x.id !== g.id) })}>Delete</button>
+            </div>
+            <div className="flex flex-wrap gap-2">
+              {g.members.map(id => (
+                <span key={id} className="px-2 py-0.5 rounded-full bg-gray-100 text-xs">
+                  {nameOf(id)}{" "}
+                  <button className="text-gray-500" onClick={() => setGroup(g.id, { members: g.members.filter(x => x !== id), chosen: g.chosen === id ? null : g.chosen })}>×</button>
+                </span>
+              ))}
+              <select className="border rounded-lg px-2 py-1 text-xs" value="" onChange={(e) => e.target.value && setGroup(g.id, { members: [...g.members, Number(e.target.value)] })}>
+                <option value="">+ member…</option>
+                {options.filter(m => !g.members.includes(m.id)).map(m => <option key={m.id} value={m.id}>{m.name}</option>)}
+              </select>
+            </div>
+          </div>
+        ))}
+        {dropped.length > 0 && (
+          <div className="text-xs text-gray-600">Not stacked: {dropped.map(d => `${d.name} (${d.group})`).join(", ")}</div>
+        )}
+      </div>
+
+      <div className="space-y-3">
+        <div className="flex items-center justify-between">
+          <h3 className="font-semibold">Overlaps</h3>
+          <button className="px-3 py-1.5 rounded-xl border" onClick={() => onChange({ ...interactions, overlaps: [...overlaps, { id: nextId(overlaps), a: null, b: null, pct: 0 }] })}>+ Overlap</button>
+        </div>
+        <p className="text-xs text-gray-500">If measure A is stacked, measure B's abatement drops by X%. Several overlaps on B apply one after another; B's ₹/tCO₂ is unchanged.</p>
+        {overlaps.map(o => (
+          <div key={o.id} className="flex flex-wrap items-center gap-2">
+            <span className="text-xs">If</span>
+            <select className="border rounded-lg px-2 py-1 w-48" value={o.a ?? ""} onChange={(e) => setOverlap(o.id, { a: toId(e.target.value) })}>
+              <option value="">— A —</option>
+              {options.map(m => <option key={m.id} value={m.id}>{m.name}</option>)}
+            </select>
+            <span className="text-xs">is stacked,</span>
+            <select className="border rounded-lg px-2 py-1 w-48" value={o.b ?? ""} onChange={(e) => setOverlap(o.id, { b: toId(e.target.value) })}>
+              <option value="">— B —</option>
+              {options.filter(m => m.id !== o.a).map(m => <option key={m.id} value={m.id}>{m.name}</option>)}
+            </select>
+            <span className="text-xs">loses</span>
+            <input type="number" min={0} max={100} className="border rounded-lg px-2 py-1 w-20 text-right" value={o.pct} onChange={(e) => setOverlap(o.id, { pct: Math.min(100, Math.max(0, Number(e.target.value))) })} />
+            <span className="text-xs">%</span>
+            <button className="px-2 py-1 rounded-lg border" onClick={() => onChange({ ...interactions, overlaps: overlaps.filter(x => x.id !== o.id) })}>Delete</button>
+          </div>
+        ))}
+        {reduced.length > 0 && (
+          <div className="text-xs text-gray-600">Reduced: {reduced.map(r => `${r.name} −${r.reducedPct.toFixed(0)}% (by ${r.by.join(", ")})`).join("; ")}</div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+
+/* ---------------- Monte Carlo (per firm catalog ranges + run) ---------------- */
+function CatalogRangesEditor({ catalogs, ranges, onChange }) {
+  const [tab, setTab] = useState("fuels");
+  const [filter, setFilter] = useState("");
+  const isElec = tab === "electricity";
+  const priceKey = isElec ? "price_per_mwh_inr" : "price_per_unit_inr";
+  const rows = (catalogs?.[tab] || []).filter(r => String(isElec ? r.state : r.name).toLowerCase().includes(filter.toLowerCase()));
+  // CO₂ always gets a range; other gases only on rows that carry a factor for them (or already have a range)
+  const gasesOf = (row, key) => Object.keys(GASES).filter(g => g === "co2" || Number(row[gasField(g, isElec)] || 0) > 0 || ranges[key]?.[efRangeKey(g)]);
+  const setRange = (key, field, r) => {
+    const next = { ...ranges, [key]: { ...(ranges[key] || {}), [field]: r } };
+    if (!Object.values(next[key]).some(v => normalizeRange(v))) delete next[key];
+    onChange(next);
+  };
+
+  return (
+    <div className="space-y-2 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        {["fuels", "raw", "transport", "waste", "electricity"].map(t => (
+          <button key={t} className={`px-3 py-1.5 rounded-xl border ${tab === t ? 'bg-black text-white' : ''}`} onClick={() => setTab(t)}>{t}</button>
+        ))}
+        <input className="border rounded-lg px-2 py-1 ml-auto" placeholder="Filter…" value={filter} onChange={(e) => setFilter(e.target.value)} />
+      </div>
+      <div className="overflow-x-auto max-h-72 overflow-y-auto">
+        <table className="min-w-full text-xs">
+          <thead>
+            <tr className="bg-gray-100 text-gray-700">
+              <th className="p-2 text-left">{isElec ? "State/Region" : "Name"}</th>
+              <th className="p-2 text-left">Price range ({isElec ? "₹/MWh" : "₹/unit"})</th>
+              <th className="p-2 text-left">EF range by gas ({isElec ? "t gas/MWh" : "t gas/unit"})</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => {
+              const key = catalogKey(tab, row);
+              return (
+                <tr key={key} className="border-b">
+                  <td className="p-2">{isElec ? row.state : `${row.name} (${row.unit})`}</td>
+                  <td className="p-2"><RangeInputs value={ranges[key]?.price} point={row[priceKey]} onChange={(r) => setRange(key, "price", r)} /></td>
+                  <td className="p-2 space-y-1">
+                    {gasesOf(row, key).map(g => (
+                      <RangeInputs key={g} value={ranges[key]?.[efRangeKey(g)]} point={row[gasField(g, isElec)]} unit={GASES[g]} onChange={(r) => setRange(key, efRangeKey(g), r)} />
+                    ))}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <div className="text-xs text-gray-500">{Object.keys(ranges).length} catalog row(s) carry ranges. They apply to Template measures, which are recomputed in every run.</div>
+    </div>
+  );
+}
+
+function MonteCarloSection({ inputs, uncertainty, setUncertainty, catalogs, cur, mode, targetPct }) {
+  const currency = cur.symbol;
+  const [runs, setRuns] = useLocalStorage("macc_mc_runs", 500);
+  const [seed, setSeed] = useLocalStorage("macc_mc_seed", 1);
+  const [result, setResult] = useState(null);
+  // Any change to the curve inputs invalidates the last run
+  useEffect(() => { setResult(null); }, [inputs, uncertainty]);
+
+  const run = () => setResult(runMonteCarlo({ ...inputs, uncertainty, runs: Math.min(5000, Math.max(10, Number(runs) || 500)), seed }));
+  const fmtXm = (v) => fmtX(v, mode);
+  const band = (result?.band || []).map(b => ({ x: b.x, p50: inCur(b.p50, cur), range: [inCur(b.p10, cur), inCur(b.p90, cur)] }));
+  const hist = (result?.budget.histogram || []).map(h => ({ mid: inCur((h.x0 + h.x1) / 2, cur), count: h.count }));
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-end gap-3 text-sm">
+        <label>Runs
+          <input type="number" min={10} max={5000} className="mt-1 block border rounded-lg px-2 py-1 w-24 text-right" value={runs} onChange={(e) => setRuns(Number(e.target.value))} />
+        </label>
+        <label>Seed
+          <input type="number" className="mt-1 block border rounded-lg px-2 py-1 w-20 text-right" value={seed} onChange={(e) => setSeed(Number(e.target.value))} />
+        </label>
+        <button className="px-3 py-2 rounded-xl bg-black text-white" onClick={run}>Run simulation</button>
+        <div className="text-xs text-gray-500">Uses the sector, year, carbon price path and interactions of the MACC above. Ranges: Quick/Template measures in the wizard, catalogs below.</div>
+      </div>
+
+      {result && (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="lg:col-span-2">
+            <div className="text-sm font-medium mb-1">Marginal cost band (P10–P90, P50 line) — {result.runs} runs</div>
+            <ResponsiveContainer width="100%" height={280}>
+              <ComposedChart data={band} margin={{ top: 10, right: 20, bottom: 20, left: 30 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="x" type="number" domain={[0, 'dataMax']} tickFormatter={fmtXm} />
+                <YAxis tickFormatter={(v) => `${currency} ${formatNumber(v)}`} />
+                <Tooltip formatter={(v) => Array.isArray(v) ? v.map(x => formatNumber(x)).join(" – ") : formatNumber(v)} labelFormatter={fmtXm} />
+                <Area type="stepAfter" dataKey="range" name="P10–P90" stroke="none" fill="#4e79a7" fillOpacity={0.25} isAnimationActive={false} />
+                <Line type="stepAfter" dataKey="p50" name="P50" stroke="#4e79a7" dot={false} isAnimationActive={false} />
+                <ReferenceLine y={0} stroke="#111827" strokeDasharray="4 4" />
+              </ComposedChart>
+            </ResponsiveContainer>
+            <div className="text-[11px] text-gray-500">Past the P10 total abatement, fewer draws reach that x; the band there is drawn from the draws that do.</div>
+          </div>
+          <div className="space-y-3 text-sm">
+            <div>P(reach {+Number(targetPct).toFixed(1)}% target): <b>{(result.probTarget * 100).toFixed(1)}%</b></div>
+            <div>
+              Budget to target ({currency}): P10 <b>{formatNumber(inCur(result.budget.p10, cur))}</b> · P50 <b>{formatNumber(inCur(result.budget.p50, cur))}</b> · P90 <b>{formatNumber(inCur(result.budget.p90, cur))}</b>
+            </div>
+            <div>
+              Total abatement (tCO₂): P10 <b>{formatNumber(result.abatement.p10)}</b> · P50 <b>{formatNumber(result.abatement.p50)}</b> · P90 <b>{formatNumber(result.abatement.p90)}</b>
+            </div>
+            <ResponsiveContainer width="100%" height={160}>
+              <BarChart data={hist}>
+                <XAxis dataKey="mid" tickFormatter={(v) => formatNumber(v)} />
+                <YAxis allowDecimals={false} />
+                <Tooltip labelFormatter={(v) => `${currency} ${formatNumber(v)}`} />
+                <Bar dataKey="count" name="Runs" fill="#59a14f" isAnimationActive={false} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      )}
+
+      <div>
+        <div className="text-sm font-medium mb-2">Catalog price / EF ranges</div>
+        <CatalogRangesEditor catalogs={catalogs} ranges={uncertainty.catalogs} onChange={(c) => setUncertainty({ ...uncertainty, catalogs: c })} />
+      </div>
+    </div>
+  );
+}
+
+
+/* ---------------- Sensitivity tornado (wizard) ---------------- */
+function TornadoPanel({ template, catalogs, carbonPrice, inflation, gwp, costBasis, withCP, cur }) {
+  const [pct, setPct] = useLocalStorage("macc_tornado_pct", 10);
+  const [metric, setMetric] = useLocalStorage("macc_tornado_metric", "npvWO");
+  const result = useMemo(
+    () => tornado(template, { catalogs, carbonPrice, inflation, gwp, pct, costBasis, withCP }),
+    [template, catalogs, carbonPrice, inflation, gwp, pct, costBasis, withCP]
+  );
+  const rows = useMemo(() => rankTornado(result, metric), [result, metric]);
+  const isCost = metric === "cost";
+  const fmt = (v) => isCost ? `${cur.symbol} ${formatNumber(inCur(v, cur))}` : fmtCr(v / 10_000_000, cur);
+  const maxAbs = Math.max(0, ...rows.flatMap(r => [Math.abs(r.low), Math.abs(r.high)])) || 1;
+  // Bar from the centre line: left for a fall, right for a rise
+  const bar = (v, color) => (
+    <div
+      className="absolute top-0.5 bottom-0.5 rounded-sm"
+      style={{ background: color, opacity: 0.8, width: `${(Math.abs(v) / maxAbs) * 50}%`, ...(v < 0 ? { right: '50%' } : { left: '50%' }) }}
+    />
+  );
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="flex items-center gap-2">Vary each driver by ±
+          <input type="number" min={1} max={100} className="border rounded-lg px-2 py-1 w-16 text-right" value={pct} onChange={(e) => setPct(Math.min(100, Math.max(1, Number(e.target.value))))} />%
+        </label>
+        <select className="border rounded-lg px-2 py-1" value={metric} onChange={(e) => setMetric(e.target.value)}>
+          {Object.entries(SENSITIVITY_METRICS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+        </select>
+        <span className="text-xs text-gray-500">Base: {fmt(result.base[metric])}{isCost ? "/tCO₂" : ""}</span>
+        <span className="text-xs ml-auto">
+          <span className="inline-block w-3 h-3 align-middle mr-1" style={{ background: "#e15759" }} />−{pct}%
+          <span className="inline-block w-3 h-3 align-middle ml-3 mr-1" style={{ background: "#4e79a7" }} />+{pct}%
+        </span>
+      </div>
+      {rows.length === 0 ? (
+        <div className="text-xs text-gray-500">No driver moves this metric.</div>
+      ) : (
+        <div className="space-y-1">
+          {rows.map(r => (
+            <div key={r.key} className="grid grid-cols-12 items-center gap-2 text-xs">
+              <div className="col-span-4 truncate" title={r.label}>{r.label}</div>
+              <div className="col-span-6 relative h-5 bg-gray-50 rounded">
+                <div className="absolute top-0 bottom-0 left-1/2 border-l border-gray-400" />
+                {Math.abs(r.low) >= Math.abs(r.high) ? <>{bar(r.low, "#e15759")}{bar(r.high, "#4e79a7")}</> : <>{bar(r.high, "#4e79a7")}{bar(r.low, "#e15759")}</>}
+              </div>
+              <div className="col-span-2 text-right text-gray-600">{fmt(r.low)} / {fmt(r.high)}</div>
+            </div>
+          ))}
+        </div>
+      )}
+      <div className="text-xs text-gray-500">
+        Change from base when one driver is scaled by ±{pct}% and the rest held. Drift rates scale relative to their value (0 stays 0); adoption is capped at 1. Saved cost follows the basis selected below.
+      </div>
+    </div>
+  );
+}
+
+
+/* ---------------- Uncertainty range (low / mode / high) ---------------- */
+function RangeInputs({ value, onChange, point, unit }) {
+  const r = value || {};
+  const set = (patch) => onChange({ dist: "triangular", ...r, ...patch });
+  const cell = (k, placeholder) => (
+    <input
+      type="number"
+      className="border rounded-lg px-2 py-1 w-24 text-right"
+      placeholder={placeholder}
+      value={r[k] ?? ""}
+      onChange={(e) => set({ [k]: e.target.value === "" ? "" : Number(e.target.value) })}
+    />
+  );
+  return (
+    <div className="flex flex-wrap items-center gap-1 text-xs">
+      <select className="border rounded-lg px-1 py-1" value={r.dist || "triangular"} onChange={(e) => set({ dist: e.target.value })}>
+        {Object.entries(DISTRIBUTIONS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+      </select>
+      {cell("low", "low")}
+      {(r.dist || "triangular") === "triangular" && cell("mode", point != null ? formatNumber(point) : "mode")}
+      {cell("high", "high")}
+      {unit && <span className="text-gray-500">{unit}</span>}
+    </div>
+  );
+}
+
+// Keep only ranges with both ends set (blank rows are not saved)
+const cleanRanges = (u) => Object.fromEntries(Object.entries(u || {}).filter(([, r]) => normalizeRange(r) != null));
+
+
 /* ---------------- Measure Wizard (DB-aware, multi-line) ---------------- */
-function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSources, initialMeasure }) {
+function MeasureWizard({ onClose, onSave, sectors, cur, carbonPrices, inflation, gwp, dataSources, years, initialMeasure }) {
+  // Inputs are in ₹; results are shown in the firm's reporting currency
+  const currency = cur.symbol;
 
-  const YEARS = [2025, 2030, 2035, 2040, 2045, 2050];
+  // Firm modelling horizon (annual or 5‑yearly); every series below is sized to it
+  const YEARS = years?.length ? years : DEFAULT_YEARS;
   const BASE_YEAR = YEARS[0];
+  const END_YEAR = YEARS[YEARS.length - 1];
 
   const { fuels: DS_FUELS, raw: DS_RAW, transport: DS_TRANSPORT, waste: DS_WASTE, electricity: DS_ELECTRICITY } = dataSources;
 
   const [tab, setTab] = useState("template");
   const [applyCarbonPriceInSave, setApplyCarbonPriceInSave] = useLocalStorage("macc_apply_cp_in_save", false);
+  const [costBasis, setCostBasis] = useLocalStorage("macc_cost_basis", "representative");
 
   // Quick
   const [q, setQ] = useState({ name: "New Measure", sector: sectors[0] || "Power", abatement_tco2: 0, cost_per_tco2: 0, selected: true });
+  // Monte Carlo ranges: absolute for Quick, % of the entered series for Template
+  const [qUnc, setQUnc] = useState({});
+  const [tplUnc, setTplUnc] = useState({});
 
   // Template meta & adoption
-  const [meta, setMeta] = useState({ project_name: "Industrial Efficiency Project", sector: sectors[0] || "Power", discount_rate: 0.10, project_life_years: 30 });
-  const [adoption, setAdoption] = useState(YEARS.map((y, i) => i === 0 ? 0 : 0.2 * i));
+  const [meta, setMeta] = useState({ project_name: "Industrial Efficiency Project", sector: sectors[0] || "Power", discount_rate: 0.10, project_life_years: 30, end_of_life: "replace" });
+  const [adoption, setAdoption] = useState(YEARS.map((y) => END_YEAR > BASE_YEAR ? (y - BASE_YEAR) / (END_YEAR - BASE_YEAR) : 1));
 
   // Other direct tCO2e
   const [otherDirectT, setOtherDirectT] = useState(YEARS.map(() => 0));
@@ -327,19 +1328,19 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
 
   // Multi-line drivers with drift
   const [fuelLines, setFuelLines] = useState([
-    { id: 1, name: DS_FUELS[0]?.name || "", priceOv: null, efOv: null, priceEscPctYr: 0, efEscPctYr: 0, delta: makeZeros() }
+    { id: 1, name: DS_FUELS[0]?.name || "", priceOv: null, efOv: null, efOvGas: null, priceEscPctYr: 0, efEscPctYr: 0, delta: makeZeros() }
   ]);
   const [rawLines, setRawLines] = useState([
-    { id: 1, name: DS_RAW[0]?.name || "", priceOv: null, efOv: null, priceEscPctYr: 0, efEscPctYr: 0, delta: makeZeros() }
+    { id: 1, name: DS_RAW[0]?.name || "", priceOv: null, efOv: null, efOvGas: null, priceEscPctYr: 0, efEscPctYr: 0, delta: makeZeros() }
   ]);
   const [transLines, setTransLines] = useState([
-    { id: 1, name: DS_TRANSPORT[0]?.name || "", priceOv: null, efOv: null, priceEscPctYr: 0, efEscPctYr: 0, delta: makeZeros() }
+    { id: 1, name: DS_TRANSPORT[0]?.name || "", priceOv: null, efOv: null, efOvGas: null, priceEscPctYr: 0, efEscPctYr: 0, delta: makeZeros() }
   ]);
   const [wasteLines, setWasteLines] = useState([
-    { id: 1, name: DS_WASTE[0]?.name || "", priceOv: null, efOv: null, priceEscPctYr: 0, efEscPctYr: 0, delta: makeZeros() }
+    { id: 1, name: DS_WASTE[0]?.name || "", priceOv: null, efOv: null, efOvGas: null, priceEscPctYr: 0, efEscPctYr: 0, delta: makeZeros() }
   ]);
   const [elecLines, setElecLines] = useState([
-    { id: 1, state: DS_ELECTRICITY[0]?.state || "India", priceOv: null, priceEscPctYr: 0, efEscPctYr: 0, efOvPerYear: makeEmptyEf(), deltaMWh: makeZeros() }
+    { id: 1, state: DS_ELECTRICITY[0]?.state || "India", priceOv: null, efOvGas: null, priceEscPctYr: 0, efEscPctYr: 0, efOvPerYear: makeEmptyEf(), deltaMWh: makeZeros() }
   ]);
 
   // Stack / finance (₹ cr)
@@ -348,9 +1349,7 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
     savings_cr: YEARS.map(() => 0),
     other_cr: YEARS.map(() => 0),
     capex_upfront_cr: YEARS.map(() => 0),
-    capex_financed_cr: YEARS.map(() => 0),
-    financing_tenure_years: YEARS.map(() => 10),
-    interest_rate_pct: YEARS.map(() => 7),
+    loans: [], // financing tranches, see LoansEditor
   });
 
 
@@ -377,9 +1376,11 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
   useEffect(() => {
     if (!initialMeasure) return;
 
-    const d = initialMeasure.details || {};
+    const saved = initialMeasure.details || {};
     // If the saved row came from the Template wizard, fully hydrate Template tab
-    if (d.mode === "template_db_multiline") {
+    if (saved.mode === "template_db_multiline") {
+      // Measures saved on another year grid (e.g. legacy 5‑yearly) are resampled onto the firm horizon
+      const d = resampleTemplate(saved, YEARS);
       setTab("template");
 
       if (d.meta) setMeta(d.meta);
@@ -395,8 +1396,10 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
         name: ln.name ?? (dataSources.fuels[0]?.name || ""),
         priceOv: (ln.priceOv ?? null),
         efOv: (ln.efOv ?? null),
+        efOvGas: (ln.efOvGas ?? null),
         priceEscPctYr: ln.priceEscPctYr ?? 0,
         efEscPctYr: ln.efEscPctYr ?? 0,
+        scope: ln.scope ?? null,
         delta: Array.isArray(ln.delta) ? ln.delta : zeros(),
       })));
 
@@ -405,8 +1408,10 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
         name: ln.name ?? (dataSources.raw[0]?.name || ""),
         priceOv: (ln.priceOv ?? null),
         efOv: (ln.efOv ?? null),
+        efOvGas: (ln.efOvGas ?? null),
         priceEscPctYr: ln.priceEscPctYr ?? 0,
         efEscPctYr: ln.efEscPctYr ?? 0,
+        scope: ln.scope ?? null,
         delta: Array.isArray(ln.delta) ? ln.delta : zeros(),
       })));
 
@@ -415,8 +1420,10 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
         name: ln.name ?? (dataSources.transport[0]?.name || ""),
         priceOv: (ln.priceOv ?? null),
         efOv: (ln.efOv ?? null),
+        efOvGas: (ln.efOvGas ?? null),
         priceEscPctYr: ln.priceEscPctYr ?? 0,
         efEscPctYr: ln.efEscPctYr ?? 0,
+        scope: ln.scope ?? null,
         delta: Array.isArray(ln.delta) ? ln.delta : zeros(),
       })));
 
@@ -425,8 +1432,10 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
         name: ln.name ?? (dataSources.waste[0]?.name || ""),
         priceOv: (ln.priceOv ?? null),
         efOv: (ln.efOv ?? null),
+        efOvGas: (ln.efOvGas ?? null),
         priceEscPctYr: ln.priceEscPctYr ?? 0,
         efEscPctYr: ln.efEscPctYr ?? 0,
+        scope: ln.scope ?? null,
         delta: Array.isArray(ln.delta) ? ln.delta : zeros(),
       })));
 
@@ -436,13 +1445,21 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
         priceOv: (ln.priceOv ?? null),
         priceEscPctYr: ln.priceEscPctYr ?? 0,
         efEscPctYr: ln.efEscPctYr ?? 0,
+        scope: ln.scope ?? null,
         efOvPerYear: Array.isArray(ln.efOvPerYear) ? ln.efOvPerYear : empties(),
+        efOvGas: (ln.efOvGas ?? null),
         deltaMWh: Array.isArray(ln.deltaMWh) ? ln.deltaMWh : zeros(),
       })));
 
       if (Array.isArray(d.drivers?.other_direct_t)) setOtherDirectT([...d.drivers.other_direct_t]);
-      if (d.stack) setStack(d.stack);
+      if (d.stack) {
+        // Legacy per-year financing arrays become tranches, read on the grid they were saved on
+        const { capex_financed_cr, financing_tenure_years, interest_rate_pct, ...rest } = d.stack;
+        setStack({ ...rest, loans: loanTranches(saved.stack, saved.years) });
+      }
       setApplyCarbonPriceInSave(!!d.saved_cost_includes_carbon_price);
+      setCostBasis(COST_BASES[d.cost_basis] ? d.cost_basis : "representative");
+      setTplUnc(d.uncertainty || {});
     } else {
       // If it was a "Quick" row or a simple imported row, hydrate the Quick tab
       setTab("quick");
@@ -453,8 +1470,9 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
         cost_per_tco2: Number(initialMeasure.cost_per_tco2) || 0,
         selected: !!initialMeasure.selected,
       });
+      setQUnc(saved.uncertainty || {});
     }
-  }, [initialMeasure, dataSources, sectors]); // <-- deps
+  }, [initialMeasure, dataSources, sectors, YEARS]); // <-- deps
 
 
   const setSeries = (arr, setArr, idx, val) => {
@@ -466,167 +1484,38 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
   const addLine = (list, setList, sample) => { const nextId = Math.max(0, ...list.map(l => l.id)) + 1; setList([...list, { id: nextId, ...sample }]); };
   const removeLine = (list, setList, id) => setList(list.filter(l => l.id !== id));
 
-  const annuityFactor = (r, n) => {
-    const R = Number(r), N = Number(n);
-    if (!Number.isFinite(R) || !Number.isFinite(N) || N <= 0) return 0;
-    if (Math.abs(R) < 1e-9) return 1 / N;
-    return (R * Math.pow(1 + R, N)) / (Math.pow(1 + R, N) - 1);
-  };
-
-  const computed = useMemo(() => {
-    const YEARS = [2025, 2030, 2035, 2040, 2045, 2050];
-    const BASE_YEAR = 2025;
-
-    const perYear = YEARS.map((year, i) => {
-      const a = Math.max(0, Math.min(1, Number(adoption[i] || 0)));
-      const yearsSinceBase = Math.max(0, year - BASE_YEAR);
-
-      let fuel_t = 0, raw_t = 0, trans_t = 0, waste_t = 0, elec_t = 0;
-      let driver_cr = 0;
-
-      // Fuel lines
-      for (const ln of fuelLines) {
-        const base = DS_FUELS.find(x => x.name === ln.name);
-        const basePrice = (ln.priceOv ?? getUnitPrice(base) ?? 0);
-        const priceEsc = Number(ln.priceEscPctYr || 0) / 100;
-        const effPrice = basePrice * Math.pow(1 + priceEsc, yearsSinceBase);
-
-        const baseEf = (ln.efOv ?? getEFperUnit(base) ?? 0);
-        const efEsc = Number(ln.efEscPctYr || 0) / 100;
-        const effEf = baseEf * Math.pow(1 + efEsc, yearsSinceBase);
-
-        const qty = a * Number(ln.delta[i] || 0);
-
-        fuel_t += qty * effEf;
-        driver_cr += (qty * effPrice) / 10_000_000;
-      }
-
-      // Raw lines
-      for (const ln of rawLines) {
-        const base = DS_RAW.find(x => x.name === ln.name);
-        const basePrice = (ln.priceOv ?? getUnitPrice(base) ?? 0);
-        const priceEsc = Number(ln.priceEscPctYr || 0) / 100;
-        const effPrice = basePrice * Math.pow(1 + priceEsc, yearsSinceBase);
-
-        const baseEf = (ln.efOv ?? getEFperUnit(base) ?? 0);
-        const efEsc = Number(ln.efEscPctYr || 0) / 100;
-        const effEf = baseEf * Math.pow(1 + efEsc, yearsSinceBase);
-
-        const qty = a * Number(ln.delta[i] || 0);
-
-        raw_t += qty * effEf;
-        driver_cr += (qty * effPrice) / 10_000_000;
-      }
-
-      // Transport lines
-      for (const ln of transLines) {
-        const base = DS_TRANSPORT.find(x => x.name === ln.name);
-        const basePrice = (ln.priceOv ?? getUnitPrice(base) ?? 0);
-        const priceEsc = Number(ln.priceEscPctYr || 0) / 100;
-        const effPrice = basePrice * Math.pow(1 + priceEsc, yearsSinceBase);
-
-        const baseEf = (ln.efOv ?? getEFperUnit(base) ?? 0);
-        const efEsc = Number(ln.efEscPctYr || 0) / 100;
-        const effEf = baseEf * Math.pow(1 + efEsc, yearsSinceBase);
-
-        const qty = a * Number(ln.delta[i] || 0);
-
-        trans_t += qty * effEf;
-        driver_cr += (qty * effPrice) / 10_000_000;
-      }
-
-      // Water & waste lines
-      for (const ln of wasteLines) {
-        const base = DS_WASTE.find(x => x.name === ln.name);
-        const basePrice = (ln.priceOv ?? getUnitPrice(base) ?? 0);
-        const priceEsc = Number(ln.priceEscPctYr || 0) / 100;
-        const effPrice = basePrice * Math.pow(1 + priceEsc, yearsSinceBase);
-
-        const baseEf = (ln.efOv ?? getEFperUnit(base) ?? 0);
-        const efEsc = Number(ln.efEscPctYr || 0) / 100;
-        const effEf = baseEf * Math.pow(1 + efEsc, yearsSinceBase);
-
-        const qty = a * Number(ln.delta[i] || 0);
-
-        waste_t += qty * effEf;
-        driver_cr += (qty * effPrice) / 10_000_000;
-      }
-
-      // Electricity lines
-      for (const ln of elecLines) {
-        const base = DS_ELECTRICITY.find(x => x.state === ln.state) || DS_ELECTRICITY[0];
-        const basePrice = (ln.priceOv ?? getElecPricePerMWh(base) ?? 0);
-        const priceEsc = Number(ln.priceEscPctYr || 0) / 100;
-        const effPrice = basePrice * Math.pow(1 + priceEsc, yearsSinceBase);
-
-        const efEsc = Number(ln.efEscPctYr || 0) / 100;
-        const hasPerYearOv = ln.efOvPerYear[i] !== "" && ln.efOvPerYear[i] != null;
-        const baseEf = getElecEFperMWh(base) ?? 0;
-        const effEf = hasPerYearOv ? Number(ln.efOvPerYear[i]) : baseEf * Math.pow(1 + efEsc, yearsSinceBase);
-
-        const mwh = a * Number(ln.deltaMWh[i] || 0);
-
-        elec_t += mwh * effEf;
-        driver_cr += (mwh * effPrice) / 10_000_000;
-      }
-
-      const other_t = a * Number(otherDirectT[i] || 0);
-      const direct_t = fuel_t + raw_t + trans_t + waste_t + elec_t + other_t;
-
-      // Stack & financing
-      const opex_cr = Number(stack.opex_cr[i] || 0);
-      const savings_cr = Number(stack.savings_cr[i] || 0);
-      const other_cr = Number(stack.other_cr[i] || 0);
-      const capex_upfront_cr = Number(stack.capex_upfront_cr[i] || 0);
-
-      const capex_financed_cr = Number(stack.capex_financed_cr[i] || 0);
-      const i_nominal = Number(stack.interest_rate_pct[i] || 0) / 100;
-      const n_tenure = Number(stack.financing_tenure_years[i] || 0);
-      const financedAnnual_cr = (capex_financed_cr > 0 && i_nominal > 0 && n_tenure > 0)
-        ? capex_financed_cr * annuityFactor(i_nominal, n_tenure)
-        : 0;
-
-      const net_cost_cr = (driver_cr + opex_cr + other_cr - savings_cr) + financedAnnual_cr;
-
-      // Cash flow in ₹
-      const cashflow_inr_wo_cp = (savings_cr - opex_cr - driver_cr - other_cr - financedAnnual_cr - capex_upfront_cr) * 10_000_000;
-      const cashflow_inr_w_cp = cashflow_inr_wo_cp + (Number(carbonPrice || 0) * direct_t);
-
-      const implied_cost_per_t_wo = direct_t > 0 ? (net_cost_cr * 10_000_000) / direct_t : 0;
-      const implied_cost_per_t_w = direct_t > 0 ? ((net_cost_cr * 10_000_000) - (Number(carbonPrice || 0) * direct_t)) / direct_t : 0;
-
-      return {
-        year, direct_t, net_cost_cr,
-        implied_cost_per_t_wo, implied_cost_per_t_w,
-        cashflow_inr_wo_cp, cashflow_inr_w_cp,
-        pieces: { fuel_t, raw_t, trans_t, waste_t, elec_t, other_t, driver_cr, opex_cr, other_cr, savings_cr, financedAnnual_cr, capex_upfront_cr }
-      };
-    });
+  const tax = normalizeTax(meta.tax);
+  const setTax = (patch) => setMeta({ ...meta, tax: { ...tax, ...patch } });
+  const setCategoryScope = (category) => (scope) => setMeta({ ...meta, scopes: { ...(meta.scopes || {}), [category]: scope } });
+  const taxed = tax.rate_pct > 0;
+  const pctOrDash = (v) => (v != null ? (v * 100).toFixed(2) + "%" : "—");
+
+  const draft = useMemo(() => ({
+    years: YEARS,
+    meta,
+    adoption,
+    drivers: {
+      fuel_lines: fuelLines,
+      raw_lines: rawLines,
+      transport_lines: transLines,
+      waste_lines: wasteLines,
+      electricity_lines: elecLines,
+      other_direct_t: otherDirectT,
+    },
+    stack,
+  }), [YEARS, adoption, fuelLines, rawLines, transLines, wasteLines, elecLines, otherDirectT, stack, meta]);
+
+  const computed = useMemo(
+    () => computeMeasure(draft, { catalogs: dataSources, carbonPrice: carbonPrices, inflation, gwp }),
+    [draft, carbonPrices, inflation, gwp, dataSources]
+  );
 
-    let repIdx = perYear.findIndex(y => y.direct_t > 0);
-    if (repIdx < 0) repIdx = YEARS.indexOf(2035) >= 0 ? YEARS.indexOf(2035) : Math.floor(YEARS.length / 2);
-
-    const years = perYear.map(y => y.year);
-    const flowsWO = perYear.map(y => y.cashflow_inr_wo_cp);
-    const flowsW = perYear.map(y => y.cashflow_inr_w_cp);
-    const r = Number(meta.discount_rate || 0.10);
-    const npvWO = npv(r, flowsWO, years, BASE_YEAR);
-    const npvW = npv(r, flowsW, years, BASE_YEAR);
-    const irrWO = irr(flowsWO, years, BASE_YEAR);
-    const irrW = irr(flowsW, years, BASE_YEAR);
-
-    const sumDirect = perYear.reduce((s, y) => s + Math.max(0, y.direct_t), 0);
-    const sumCostInrWO = perYear.reduce((s, y) => s + (y.net_cost_cr * 10_000_000), 0);
-    const sumCostInrW = perYear.reduce((s, y) => s + ((y.net_cost_cr * 10_000_000) - Number(carbonPrice || 0) * y.direct_t), 0);
-    const avgCostWO = sumDirect > 0 ? sumCostInrWO / sumDirect : 0;
-    const avgCostW = sumDirect > 0 ? sumCostInrW / sumDirect : 0;
-
-    return {
-      YEARS: YEARS, BASE_YEAR, perYear, repIdx,
-      rep: perYear[repIdx] || { direct_t: 0, implied_cost_per_t_wo: 0, implied_cost_per_t_w: 0 },
-      finance: { npvWO, npvW, irrWO, irrW, avgCostWO, avgCostW, sumDirect }
-    };
-  }, [adoption, fuelLines, rawLines, transLines, wasteLines, elecLines, otherDirectT, stack, meta.discount_rate, carbonPrice]);
+  // On the computed price basis (deflated when real)
+  const repCarbonPrice = computed.rep.carbon_price ?? priceAt(carbonPrices, computed.rep.year);
+  const priceBasis = computed.finance.priceBasis;
+  // Project life roll-up (₹ cr on the computed basis)
+  const lifeReplacement = computed.perYear.reduce((s, y) => s + y.pieces.replacement_cr, 0);
+  const lifeSalvage = computed.perYear.reduce((s, y) => s + y.pieces.salvage_cr, 0);
 
   function saveQuick() {
     onSave({
@@ -636,14 +1525,14 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
       abatement_tco2: Number(q.abatement_tco2) || 0,
       cost_per_tco2: Number(q.cost_per_tco2) || 0,
       selected: !!q.selected,
-      details: { mode: "quick" },
+      details: { mode: "quick", ...(Object.keys(cleanRanges(qUnc)).length ? { uncertainty: cleanRanges(qUnc) } : {}) },
     });
   }
 
 
   function saveTemplate() {
     const repAbate = Math.max(0, computed.rep.direct_t);
-    const repCost = applyCarbonPriceInSave ? computed.rep.implied_cost_per_t_w : computed.rep.implied_cost_per_t_wo;
+    const repCost = costForBasis(computed, costBasis, applyCarbonPriceInSave);
 
     if (repAbate <= 0) {
       const ok = typeof window === "undefined" ? true :
@@ -676,7 +1565,12 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
         representative_index: computed.repIdx,
         finance_summary: computed.finance,
         saved_cost_includes_carbon_price: !!applyCarbonPriceInSave,
-        carbon_price_at_save: Number(carbonPrice || 0),
+        uncertainty: cleanRanges(tplUnc),
+        cost_basis: costBasis,
+        // Both on the saved price basis, so the MACC subtracts a like-for-like carbon price delta
+        carbon_price_path_at_save: { years: computed.perYear.map(p => p.year), prices: computed.perYear.map(p => p.carbon_price) },
+        price_basis: priceBasis,
+        gwp_set: computed.finance.gwp,
       },
     });
   }
@@ -690,7 +1584,7 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
 
 
   const SeriesRow = ({ label, unit, series, onChange, onInterpolate, help }) => {
-    const years = (dataSources?.YEARS?.length ? dataSources.YEARS : YEARS);
+    const years = YEARS;
     const colTemplate = `minmax(190px,1fr) 80px repeat(${years.length}, minmax(96px,1fr)) ${onInterpolate ? "max-content" : ""}`.trim();
 
     return (
@@ -782,18 +1676,30 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
                 <label className="text-sm">Abatement (tCO₂/yr)
                   <input type="number" className="mt-1 border rounded-xl px-3 py-2 w-full" value={q.abatement_tco2} onChange={e => setQ({ ...q, abatement_tco2: Number(e.target.value) })} />
                 </label>
-                <label className="text-sm">Cost ({currency}/tCO₂)
+                <label className="text-sm">Cost (₹/tCO₂)
                   <input type="number" className="mt-1 border rounded-xl px-3 py-2 w-full" value={q.cost_per_tco2} onChange={e => setQ({ ...q, cost_per_tco2: Number(e.target.value) })} />
                 </label>
               </div>
               <label className="flex items-center gap-2 text-sm">
                 <input type="checkbox" checked={q.selected} onChange={e => setQ({ ...q, selected: e.target.checked })} /> Use in MACC
               </label>
+              <div className="rounded-xl border p-3 space-y-2 text-sm">
+                <div className="font-semibold">Uncertainty (optional, for Monte Carlo)</div>
+                <div className="flex flex-wrap items-center gap-3">
+                  <span className="w-28">Abatement</span>
+                  <RangeInputs value={qUnc.abatement} point={q.abatement_tco2} unit="tCO₂/yr" onChange={(r) => setQUnc({ ...qUnc, abatement: r })} />
+                </div>
+                <div className="flex flex-wrap items-center gap-3">
+                  <span className="w-28">Cost</span>
+                  <RangeInputs value={qUnc.cost} point={q.cost_per_tco2} unit="₹/tCO₂" onChange={(r) => setQUnc({ ...qUnc, cost: r })} />
+                </div>
+                <div className="text-xs text-gray-500">Leave low/high blank for a fixed value. Mode defaults to the point value above.</div>
+              </div>
             </div>
           ) : (
             <div className="space-y-6">
               <div className="text-sm font-semibold text-gray-800">Project Metadata</div>
-              <div className="grid grid-cols-1 sm:grid-cols-4 gap-3">
+              <div className="grid grid-cols-1 sm:grid-cols-5 gap-3">
                 <label className="text-sm">Project name
                   <input className="mt-1 border rounded-xl px-3 py-2 w-full" value={meta.project_name} onChange={e => setMeta({ ...meta, project_name: e.target.value })} />
                 </label>
@@ -802,12 +1708,50 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
                     {sectors.map(s => <option key={s}>{s}</option>)}
                   </select>
                 </label>
-                <label className="text-sm">Discount rate (real)
+                <label className="text-sm">Discount rate (nominal)
                   <input type="number" step="0.01" className="mt-1 border rounded-xl px-3 py-2 w-full" value={meta.discount_rate} onChange={e => setMeta({ ...meta, discount_rate: Number(e.target.value) })} />
+                  {priceBasis.basis === "real" && (
+                    <span className="text-[11px] text-gray-500">= {formatNumber(computed.finance.discountRate * 100)}% real at {priceBasis.ratePct}% inflation</span>
+                  )}
                 </label>
                 <label className="text-sm">Project life (yrs)
                   <input type="number" className="mt-1 border rounded-xl px-3 py-2 w-full" value={meta.project_life_years} onChange={e => setMeta({ ...meta, project_life_years: Number(e.target.value) })} />
                 </label>
+                <label className="text-sm">At end of life
+                  <InfoTip text="Replace: each capex vintage is bought again (at its cost escalated by firm inflation) when it reaches the project life. Retire: abatement and operating flows stop at the end of life. Either way the unexpired share of the equipment is credited as salvage in the last horizon year." />
+                  <select className="mt-1 border rounded-xl px-3 py-2 w-full" value={meta.end_of_life || "replace"} onChange={e => setMeta({ ...meta, end_of_life: e.target.value })}>
+                    {Object.entries(END_OF_LIFE).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+                  </select>
+                </label>
+              </div>
+              <div className="rounded-xl border p-3">
+                <div className="text-sm font-semibold mb-2">
+                  Tax & depreciation
+                  <InfoTip text="Capex (upfront + financed) is depreciated for tax from the year it is entered. Tax = rate × (savings − opex − drivers − other − depreciation, plus carbon revenue with CP); a loss saves tax against the firm's other profits. A 0% rate gives pre-tax results." />
+                </div>
+                <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+                  <label className="text-sm">Corporate tax rate (%)
+                    <input type="number" step="0.01" className="mt-1 border rounded-xl px-3 py-2 w-full" value={tax.rate_pct} onChange={e => setTax({ rate_pct: Number(e.target.value) })} />
+                  </label>
+                  <label className="text-sm">Depreciation
+                    <select className="mt-1 border rounded-xl px-3 py-2 w-full" value={tax.method} onChange={e => setTax({ method: e.target.value })}>
+                      {Object.entries(DEPRECIATION_METHODS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+                    </select>
+                  </label>
+                  <label className="text-sm">Asset life (yrs)
+                    <input type="number" className="mt-1 border rounded-xl px-3 py-2 w-full" value={tax.life_years} onChange={e => setTax({ life_years: Number(e.target.value) })} />
+                  </label>
+                  {tax.method === "wdv" && (
+                    <label className="text-sm">WDV rate (%)
+                      <input type="number" className="mt-1 border rounded-xl px-3 py-2 w-full" value={tax.wdv_rate_pct} onChange={e => setTax({ wdv_rate_pct: Number(e.target.value) })} />
+                    </label>
+                  )}
+                  {tax.method === "accelerated" && (
+                    <label className="text-sm">Accelerated rate (%)
+                      <input type="number" className="mt-1 border rounded-xl px-3 py-2 w-full" value={tax.accel_rate_pct} onChange={e => setTax({ accel_rate_pct: Number(e.target.value) })} />
+                    </label>
+                  )}
+                </div>
               </div>
               <div className="rounded-xl border p-3">
                 <div className="text-sm font-semibold mb-2">Adoption profile (fraction 0–1)</div>
@@ -835,8 +1779,8 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
                 {/* Fuel group */}
                 <div>
                   <div className="flex items-center justify-between">
-                    <div className="text-sm font-semibold">Fuel lines</div>
-                    <button type="button" className="text-xs px-2 py-1 rounded border" onClick={() => addLine(fuelLines, setFuelLines, { name: DS_FUELS[0]?.name || "", priceOv: null, efOv: null, priceEscPctYr: 0, efEscPctYr: 0, delta: makeZeros() })}>+ Add fuel line</button>
+                    <div className="text-sm font-semibold flex items-center gap-2">Fuel lines <ScopeSelect value={driverScopes(meta).fuel_lines} onChange={setCategoryScope("fuel_lines")} /></div>
+                    <button type="button" className="text-xs px-2 py-1 rounded border" onClick={() => addLine(fuelLines, setFuelLines, { name: DS_FUELS[0]?.name || "", priceOv: null, efOv: null, efOvGas: null, priceEscPctYr: 0, efEscPctYr: 0, delta: makeZeros() })}>+ Add fuel line</button>
                   </div>
                   {fuelLines.map((ln) => {
                     const base = DS_FUELS.find(x => x.name === ln.name);
@@ -853,15 +1797,16 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
                           <label className="text-sm">Price override (₹/{unit})
                             <input type="number" className="mt-1 border rounded-xl px-3 py-2 w-full" placeholder={(getUnitPrice(base)).toString()} value={ln.priceOv ?? ""} onChange={e => updateLine(fuelLines, setFuelLines, ln.id, { priceOv: e.target.value === "" ? null : Number(e.target.value) })} />
                           </label>
-                          <label className="text-sm">EF override (tCO₂/{unit})
-                            <input type="number" className="mt-1 border rounded-xl px-3 py-2 w-full" placeholder={(getEFperUnit(base)).toString()} value={ln.efOv ?? ""} onChange={e => updateLine(fuelLines, setFuelLines, ln.id, { efOv: e.target.value === "" ? null : Number(e.target.value) })} />
-                          </label>
+                          <GasEfOverrides line={ln} base={base} unit={unit} gwp={gwp} onChange={patch => updateLine(fuelLines, setFuelLines, ln.id, patch)} />
                           <label className="text-sm">Price drift (%/yr)
                             <input type="number" className="mt-1 border rounded-xl px-3 py-2 w-full" value={ln.priceEscPctYr} onChange={e => updateLine(fuelLines, setFuelLines, ln.id, { priceEscPctYr: Number(e.target.value) })} />
                           </label>
                           <label className="text-sm">EF drift (%/yr)
                             <input type="number" className="mt-1 border rounded-xl px-3 py-2 w-full" value={ln.efEscPctYr} onChange={e => updateLine(fuelLines, setFuelLines, ln.id, { efEscPctYr: Number(e.target.value) })} />
                           </label>
+                          <label className="text-sm">Scope
+                            <ScopeSelect className="mt-1 w-full rounded-xl py-2" value={ln.scope} inherit={driverScopes(meta).fuel_lines} onChange={v => updateLine(fuelLines, setFuelLines, ln.id, { scope: v })} />
+                          </label>
                         </div>
                         <SeriesRow
                           label={`ΔFuel quantity (${unit})`}
@@ -883,8 +1828,8 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
                 {/* Raw group */}
                 <div>
                   <div className="flex items-center justify-between">
-                    <div className="text-sm font-semibold">Raw material lines</div>
-                    <button type="button" className="text-xs px-2 py-1 rounded border" onClick={() => addLine(rawLines, setRawLines, { name: DS_RAW[0]?.name || "", priceOv: null, efOv: null, priceEscPctYr: 0, efEscPctYr: 0, delta: makeZeros() })}>+ Add raw line</button>
+                    <div className="text-sm font-semibold flex items-center gap-2">Raw material lines <ScopeSelect value={driverScopes(meta).raw_lines} onChange={setCategoryScope("raw_lines")} /></div>
+                    <button type="button" className="text-xs px-2 py-1 rounded border" onClick={() => addLine(rawLines, setRawLines, { name: DS_RAW[0]?.name || "", priceOv: null, efOv: null, efOvGas: null, priceEscPctYr: 0, efEscPctYr: 0, delta: makeZeros() })}>+ Add raw line</button>
                   </div>
                   {rawLines.map((ln) => {
                     const base = DS_RAW.find(x => x.name === ln.name);
@@ -911,25 +1856,16 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
                               Blank = use catalog price. Drift (%/yr) compounds from the base year (e.g., 2030 uses {BASE_YEAR}×(1+drift)^(2030−{BASE_YEAR})).
                             </div>                          
                             </label>
-                          <label className="text-sm">EF override (tCO₂/{unit})
-                            <input
-                                type="number"
-                                className="mt-1 border rounded-xl px-3 py-2 w-full"
-                                placeholder={(getEFperUnit(base)).toString()}
-                                title="Leave blank to use the catalog emission factor (EF). If filled, this replaces EF in the base year; EF drift then applies on top."
-                                value={ln.efOv ?? ""}
-                                onChange={e => updateLine(fuelLines, setFuelLines, ln.id, { efOv: e.target.value === "" ? null : Number(e.target.value) })}
-                              />
-                              <div className="text-[11px] text-gray-500 mt-0.5">
-                                Blank = use catalog EF. EF drift (%/yr) compounds from the base year.
-                              </div>                          
-                          </label>
+                          <GasEfOverrides line={ln} base={base} unit={unit} gwp={gwp} onChange={patch => updateLine(rawLines, setRawLines, ln.id, patch)} />
                           <label className="text-sm">Price drift (%/yr)
                             <input type="number" className="mt-1 border rounded-xl px-3 py-2 w-full" value={ln.priceEscPctYr} onChange={e => updateLine(rawLines, setRawLines, ln.id, { priceEscPctYr: Number(e.target.value) })} />
                           </label>
                           <label className="text-sm">EF drift (%/yr)
                             <input type="number" className="mt-1 border rounded-xl px-3 py-2 w-full" value={ln.efEscPctYr} onChange={e => updateLine(rawLines, setRawLines, ln.id, { efEscPctYr: Number(e.target.value) })} />
                           </label>
+                          <label className="text-sm">Scope
+                            <ScopeSelect className="mt-1 w-full rounded-xl py-2" value={ln.scope} inherit={driverScopes(meta).raw_lines} onChange={v => updateLine(rawLines, setRawLines, ln.id, { scope: v })} />
+                          </label>
                         </div>
                         <SeriesRow
                           label={`ΔRaw quantity (${unit})`}
@@ -946,8 +1882,8 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
                 {/* Transport group */}
                 <div>
                   <div className="flex items-center justify-between">
-                    <div className="text-sm font-semibold">Transport lines</div>
-                    <button type="button" className="text-xs px-2 py-1 rounded border" onClick={() => addLine(transLines, setTransLines, { name: DS_TRANSPORT[0]?.name || "", priceOv: null, efOv: null, priceEscPctYr: 0, efEscPctYr: 0, delta: makeZeros() })}>+ Add transport line</button>
+                    <div className="text-sm font-semibold flex items-center gap-2">Transport lines <ScopeSelect value={driverScopes(meta).transport_lines} onChange={setCategoryScope("transport_lines")} /></div>
+                    <button type="button" className="text-xs px-2 py-1 rounded border" onClick={() => addLine(transLines, setTransLines, { name: DS_TRANSPORT[0]?.name || "", priceOv: null, efOv: null, efOvGas: null, priceEscPctYr: 0, efEscPctYr: 0, delta: makeZeros() })}>+ Add transport line</button>
                   </div>
                   {transLines.map((ln) => {
                     const base = DS_TRANSPORT.find(x => x.name === ln.name);
@@ -964,15 +1900,16 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
                           <label className="text-sm">Price override (₹/{unit})
                             <input type="number" className="mt-1 border rounded-xl px-3 py-2 w-full" placeholder={(getUnitPrice(base)).toString()} value={ln.priceOv ?? ""} onChange={e => updateLine(transLines, setTransLines, ln.id, { priceOv: e.target.value === "" ? null : Number(e.target.value) })} />
                           </label>
-                          <label className="text-sm">EF override (tCO₂/{unit})
-                            <input type="number" className="mt-1 border rounded-xl px-3 py-2 w-full" placeholder={(getEFperUnit(base)).toString()} value={ln.efOv ?? ""} onChange={e => updateLine(transLines, setTransLines, ln.id, { efOv: e.target.value === "" ? null : Number(e.target.value) })} />
-                          </label>
+                          <GasEfOverrides line={ln} base={base} unit={unit} gwp={gwp} onChange={patch => updateLine(transLines, setTransLines, ln.id, patch)} />
                           <label className="text-sm">Price drift (%/yr)
                             <input type="number" className="mt-1 border rounded-xl px-3 py-2 w-full" value={ln.priceEscPctYr} onChange={e => updateLine(transLines, setTransLines, ln.id, { priceEscPctYr: Number(e.target.value) })} />
                           </label>
                           <label className="text-sm">EF drift (%/yr)
                             <input type="number" className="mt-1 border rounded-xl px-3 py-2 w-full" value={ln.efEscPctYr} onChange={e => updateLine(transLines, setTransLines, ln.id, { efEscPctYr: Number(e.target.value) })} />
                           </label>
+                          <label className="text-sm">Scope
+                            <ScopeSelect className="mt-1 w-full rounded-xl py-2" value={ln.scope} inherit={driverScopes(meta).transport_lines} onChange={v => updateLine(transLines, setTransLines, ln.id, { scope: v })} />
+                          </label>
                         </div>
                         <SeriesRow
                           label={`ΔTransport activity (${unit})`}
@@ -989,8 +1926,8 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
                 {/* Water & waste group */}
                 <div>
                   <div className="flex items-center justify-between">
-                    <div className="text-sm font-semibold">Water & waste lines</div>
-                    <button type="button" className="text-xs px-2 py-1 rounded border" onClick={() => addLine(wasteLines, setWasteLines, { name: DS_WASTE[0]?.name || "", priceOv: null, efOv: null, priceEscPctYr: 0, efEscPctYr: 0, delta: makeZeros() })}>+ Add water/waste line</button>
+                    <div className="text-sm font-semibold flex items-center gap-2">Water & waste lines <ScopeSelect value={driverScopes(meta).waste_lines} onChange={setCategoryScope("waste_lines")} /></div>
+                    <button type="button" className="text-xs px-2 py-1 rounded border" onClick={() => addLine(wasteLines, setWasteLines, { name: DS_WASTE[0]?.name || "", priceOv: null, efOv: null, efOvGas: null, priceEscPctYr: 0, efEscPctYr: 0, delta: makeZeros() })}>+ Add water/waste line</button>
                   </div>
                   {wasteLines.map((ln) => {
                     const base = DS_WASTE.find(x => x.name === ln.name);
@@ -1007,15 +1944,16 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
                           <label className="text-sm">Price override (₹/{unit})
                             <input type="number" className="mt-1 border rounded-xl px-3 py-2 w-full" placeholder={(getUnitPrice(base)).toString()} value={ln.priceOv ?? ""} onChange={e => updateLine(wasteLines, setWasteLines, ln.id, { priceOv: e.target.value === "" ? null : Number(e.target.value) })} />
                           </label>
-                          <label className="text-sm">EF override (tCO₂/{unit})
-                            <input type="number" className="mt-1 border rounded-xl px-3 py-2 w-full" placeholder={(getEFperUnit(base)).toString()} value={ln.efOv ?? ""} onChange={e => updateLine(wasteLines, setWasteLines, ln.id, { efOv: e.target.value === "" ? null : Number(e.target.value) })} />
-                          </label>
+                          <GasEfOverrides line={ln} base={base} unit={unit} gwp={gwp} onChange={patch => updateLine(wasteLines, setWasteLines, ln.id, patch)} />
                           <label className="text-sm">Price drift (%/yr)
                             <input type="number" className="mt-1 border rounded-xl px-3 py-2 w-full" value={ln.priceEscPctYr} onChange={e => updateLine(wasteLines, setWasteLines, ln.id, { priceEscPctYr: Number(e.target.value) })} />
                           </label>
                           <label className="text-sm">EF drift (%/yr)
                             <input type="number" className="mt-1 border rounded-xl px-3 py-2 w-full" value={ln.efEscPctYr} onChange={e => updateLine(wasteLines, setWasteLines, ln.id, { efEscPctYr: Number(e.target.value) })} />
                           </label>
+                          <label className="text-sm">Scope
+                            <ScopeSelect className="mt-1 w-full rounded-xl py-2" value={ln.scope} inherit={driverScopes(meta).waste_lines} onChange={v => updateLine(wasteLines, setWasteLines, ln.id, { scope: v })} />
+                          </label>
                         </div>
                         <SeriesRow
                           label={`ΔWater/waste quantity (${unit})`}
@@ -1032,8 +1970,8 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
                 {/* Electricity group */}
                 <div className="md:col-span-2">
                   <div className="flex items-center justify-between">
-                    <div className="text-sm font-semibold">Electricity lines</div>
-                    <button type="button" className="text-xs px-2 py-1 rounded border" onClick={() => addLine(elecLines, setElecLines, { state: DS_ELECTRICITY[0]?.state || "India", priceOv: null, priceEscPctYr: 0, efEscPctYr: 0, efOvPerYear: makeEmptyEf(), deltaMWh: makeZeros() })}>+ Add electricity line</button>
+                    <div className="text-sm font-semibold flex items-center gap-2">Electricity lines <ScopeSelect value={driverScopes(meta).electricity_lines} onChange={setCategoryScope("electricity_lines")} /></div>
+                    <button type="button" className="text-xs px-2 py-1 rounded border" onClick={() => addLine(elecLines, setElecLines, { state: DS_ELECTRICITY[0]?.state || "India", priceOv: null, efOvGas: null, priceEscPctYr: 0, efEscPctYr: 0, efOvPerYear: makeEmptyEf(), deltaMWh: makeZeros() })}>+ Add electricity line</button>
                   </div>
                   {elecLines.map((ln) => {
                     const base = DS_ELECTRICITY.find(x => x.state === ln.state) || DS_ELECTRICITY[0];
@@ -1055,6 +1993,10 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
                           <label className="text-sm">EF drift (%/yr)
                             <input type="number" className="mt-1 border rounded-xl px-3 py-2 w-full" value={ln.efEscPctYr} onChange={e => updateLine(elecLines, setElecLines, ln.id, { efEscPctYr: Number(e.target.value) })} />
                           </label>
+                          <label className="text-sm">Scope
+                            <ScopeSelect className="mt-1 w-full rounded-xl py-2" value={ln.scope} inherit={driverScopes(meta).electricity_lines} onChange={v => updateLine(elecLines, setElecLines, ln.id, { scope: v })} />
+                          </label>
+                          <GasEfOverrides line={ln} base={base} perMwh unit="MWh" gwp={gwp} onChange={patch => updateLine(elecLines, setElecLines, ln.id, patch)} />
                         </div>
                         <SeriesRow
                           label="ΔElectricity use"
@@ -1065,8 +2007,8 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
                         />
                         <div className="mt-2">
                           <SeriesRow
-                            label="EF override (blank = use state/EF drift)"
-                            unit="tCO₂/MWh"
+                            label="EF override (blank = per-gas EF with drift)"
+                            unit="tCO₂e/MWh"
                             series={ln.efOvPerYear}
                             onChange={(i, v) => updateLine(elecLines, setElecLines, ln.id, { efOvPerYear: ln.efOvPerYear.map((vv, idx) => idx === i ? v : vv) })}
                             onInterpolate={() => updateLine(elecLines, setElecLines, ln.id, { efOvPerYear: interpolateSeries(ln.efOvPerYear) })}
@@ -1080,7 +2022,11 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
 </CollapsibleSection>
               {/* Other direct tCO2e */}
               <div className="rounded-xl border p-3">
-                <div className="text-sm font-semibold mb-2">Other direct emissions reduction (optional)</div>
+                <div className="text-sm font-semibold mb-2 flex items-center gap-2">Other direct emissions reduction (optional) <ScopeSelect value={driverScopes(meta).other_direct_t} onChange={setCategoryScope("other_direct_t")} />
+                  <select className="border rounded-lg px-2 py-1 text-xs font-normal" title="Gas of the other direct tonnes" value={GASES[meta.other_gas] ? meta.other_gas : "co2"} onChange={e => setMeta({ ...meta, other_gas: e.target.value })}>
+                    {Object.entries(GASES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+                  </select>
+                </div>
                 <SeriesRow
                   label="Other direct reduction"
                   unit="tCO₂e"
@@ -1130,36 +2076,34 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
                       setStack(s => ({ ...s, capex_upfront_cr: s.capex_upfront_cr.map((vv, idx) => idx === i ? (v === "" ? "" : Number(v)) : vv) }))}
                   />
 
-                  <SeriesRow
-                    label="Capex financed"
-                    unit="₹ cr"
-                    series={stack.capex_financed_cr}
-                    help="Portion of capex to be financed and converted to a yearly annuity using Interest rate and Tenure."
-                    onChange={(i, v) =>
-                      setStack(s => ({ ...s, capex_financed_cr: s.capex_financed_cr.map((vv, idx) => idx === i ? (v === "" ? "" : Number(v)) : vv) }))}
-                  />
-
-                  <SeriesRow
-                    label="Financing tenure"
-                    unit="years"
-                    series={stack.financing_tenure_years}
-                    help="Loan tenure used to compute the annualized financing cost. 0 disables the annuity."
-                    onChange={(i, v) =>
-                      setStack(s => ({ ...s, financing_tenure_years: s.financing_tenure_years.map((vv, idx) => idx === i ? (v === "" ? "" : Number(v)) : vv) }))}
-                  />
-
-                  <SeriesRow
-                    label="Interest rate"
-                    unit="%"
-                    series={stack.interest_rate_pct}
-                    help="Nominal annual interest rate used for the financing annuity."
-                    onChange={(i, v) =>
-                      setStack(s => ({ ...s, interest_rate_pct: s.interest_rate_pct.map((vv, idx) => idx === i ? (v === "" ? "" : Number(v)) : vv) }))}
+                  <LoansEditor
+                    loans={stack.loans || []}
+                    onChange={(loans) => setStack(s => ({ ...s, loans }))}
+                    years={YEARS}
+                    schedule={computed.debt}
                   />
              
              </div>
 
+              {/* Uncertainty */}
+              <div className="rounded-xl border p-3 space-y-2 text-sm">
+                <div className="font-semibold">Uncertainty (optional, for Monte Carlo)</div>
+                <div className="text-xs text-gray-500">Ranges in % of the series entered above (100 = as entered). One draw per run scales every year. Catalog price/EF ranges are set per firm under Monte Carlo.</div>
+                {Object.entries(TEMPLATE_UNCERTAINTY_KEYS).map(([k, label]) => (
+                  <div key={k} className="flex flex-wrap items-center gap-3">
+                    <span className="w-40">{label}</span>
+                    <RangeInputs value={tplUnc[k]} point={100} unit="%" onChange={(r) => setTplUnc({ ...tplUnc, [k]: r })} />
+                  </div>
+                ))}
+              </div>
+
               {/* Roll-ups */}
+              <div className="text-xs text-gray-500">
+                {priceBasis.basis === "real"
+                  ? <>Results in <b>real {computed.BASE_YEAR} ₹</b> (deflated at {priceBasis.ratePct}%/yr inflation).</>
+                  : <>Results in <b>nominal ₹</b> (as spent).</>}{" "}
+                The price basis is set per firm under Firm Data.
+              </div>
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                 <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 text-sm bg-gray-50 rounded-xl p-3 border">
                   <div>
@@ -1169,43 +2113,94 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
                   <div>
                     <div className="text-gray-500">Rep. direct abatement</div>
                     <div className="font-semibold">{formatNumber(computed.rep.direct_t)} tCO₂e</div>
+                    {computed.rep.scope_t && (
+                      <div className="text-[11px] text-gray-500">{ALL_SCOPES.map(k => `S${k} ${formatNumber(computed.rep.scope_t[k])}`).join(" · ")}</div>
+                    )}
+                    {computed.rep.gas_tco2e && computed.rep.gas_tco2e.co2 !== computed.rep.direct_t && (
+                      <div className="text-[11px] text-gray-500">{Object.keys(GASES).filter(g => computed.rep.gas_tco2e[g]).map(g => `${GASES[g]} ${formatNumber(computed.rep.gas_tco2e[g])}`).join(" · ")}</div>
+                    )}
                   </div>
                   <div>
                     <div className="text-gray-500">Rep. cost (w/o CP)</div>
-                    <div className="font-semibold">{currency} {formatNumber(computed.rep.implied_cost_per_t_wo)} / tCO₂e</div>
+                    <div className="font-semibold">{currency} {formatNumber(inCur(computed.rep.implied_cost_per_t_wo, cur))} / tCO₂e</div>
                   </div>
                   <div className="sm:col-span-3">
-                    <div className="text-gray-500">Rep. cost (with CP = {currency} {formatNumber(carbonPrice)}/tCO₂)</div>
-                    <div className="font-semibold">{currency} {formatNumber(computed.rep.implied_cost_per_t_w)} / tCO₂e</div>
+                    <div className="text-gray-500">Rep. cost (with CP = {currency} {formatNumber(inCur(repCarbonPrice, cur))}/tCO₂ in {computed.rep.year ?? "—"})</div>
+                    <div className="font-semibold">{currency} {formatNumber(inCur(computed.rep.implied_cost_per_t_w, cur))} / tCO₂e</div>
                   </div>
                 </div>
 
                 <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 text-sm bg-gray-50 rounded-xl p-3 border">
-                  <div>
-                    <div className="text-gray-500">NPV (w/o CP)</div>
-                    <div className="font-semibold">{currency} {formatNumber(computed.finance.npvWO / 10_000_000)} cr</div>
-                  </div>
-                  <div>
-                    <div className="text-gray-500">NPV (with CP)</div>
-                    <div className="font-semibold">{currency} {formatNumber(computed.finance.npvW / 10_000_000)} cr</div>
-                  </div>
-                  <div>
-                    <div className="text-gray-500">IRR (w/o CP)</div>
-                    <div className="font-semibold">{computed.finance.irrWO != null ? (computed.finance.irrWO * 100).toFixed(2) + "%" : "—"}</div>
-                  </div>
-                  <div>
-                    <div className="text-gray-500">IRR (with CP)</div>
-                    <div className="font-semibold">{computed.finance.irrW != null ? (computed.finance.irrW * 100).toFixed(2) + "%" : "—"}</div>
-                  </div>
+                  {[["npvWO", "irrWO", "w/o CP"], ["npvW", "irrW", "with CP"]].map(([n, r, label]) => (
+                    <React.Fragment key={n}>
+                      <div>
+                        <div className="text-gray-500">NPV{taxed ? " after tax" : ""} ({label})</div>
+                        <div className="font-semibold">{fmtCr(computed.finance[n] / 10_000_000, cur)}</div>
+                        {taxed && <div className="text-[11px] text-gray-500">pre-tax {fmtCr(computed.finance.preTax[n] / 10_000_000, cur)}</div>}
+                      </div>
+                      <div>
+                        <div className="text-gray-500">IRR{taxed ? " after tax" : ""} ({label})</div>
+                        <div className="font-semibold">{pctOrDash(computed.finance[r])}</div>
+                        {taxed && <div className="text-[11px] text-gray-500">pre-tax {pctOrDash(computed.finance.preTax[r])}</div>}
+                      </div>
+                    </React.Fragment>
+                  ))}
                   <div className="sm:col-span-2">
                     <div className="text-gray-500">Average cost over life</div>
                     <div className="font-semibold">
-                      w/o CP: {currency} {formatNumber(computed.finance.avgCostWO)} / tCO₂e &nbsp;|&nbsp;
-                      with CP: {currency} {formatNumber(computed.finance.avgCostW)} / tCO₂e
+                      w/o CP: {currency} {formatNumber(inCur(computed.finance.avgCostWO, cur))} / tCO₂e &nbsp;|&nbsp;
+                      with CP: {currency} {formatNumber(inCur(computed.finance.avgCostW, cur))} / tCO₂e
+                    </div>
+                  </div>
+                  <div className="sm:col-span-2">
+                    <div className="text-gray-500">
+                      Levelized cost (LCOA, {computed.finance.lcoaYears} yrs at {formatNumber(computed.finance.discountRate * 100)}%{priceBasis.basis === "real" ? " real" : ""})
+                      <InfoTip text="Discounted lifetime costs (incl. upfront capex) ÷ discounted lifetime abatement over the project life, capped at the horizon end." />
+                    </div>
+                    <div className="font-semibold">
+                      w/o CP: {currency} {formatNumber(inCur(computed.finance.lcoaWO, cur))} / tCO₂e &nbsp;|&nbsp;
+                      with CP: {currency} {formatNumber(inCur(computed.finance.lcoaW, cur))} / tCO₂e
                     </div>
                   </div>
+                  {(computed.lifecycle.replacements.length > 0 || lifeSalvage > 0 || Number.isFinite(computed.lifecycle.end)) && (
+                    <div className="sm:col-span-2">
+                      <div className="text-gray-500">Project life ({projectLife(meta, YEARS)} yrs)</div>
+                      <div className="font-semibold">
+                        {computed.lifecycle.replacements.length} replacement{computed.lifecycle.replacements.length === 1 ? "" : "s"}
+                        {computed.lifecycle.replacements.length > 0 && <> ({fmtCr(lifeReplacement, cur)} in {computed.lifecycle.replacements.map(r => r.year).join(", ")})</>}
+                        {Number.isFinite(computed.lifecycle.end) && <> · retires after {computed.lifecycle.end}</>}
+                        {" "}· salvage {fmtCr(lifeSalvage, cur)} in {YEARS[YEARS.length - 1]}
+                      </div>
+                    </div>
+                  )}
+                  {taxed && (
+                    <div className="sm:col-span-2">
+                      <div className="text-gray-500">
+                        Levelized cost after tax ({tax.rate_pct}%)
+                        <InfoTip text="As LCOA, with each year's cost net of the tax it saves (incl. the depreciation shield) and the carbon credit net of tax." />
+                      </div>
+                      <div className="font-semibold">
+                        w/o CP: {currency} {formatNumber(inCur(computed.finance.lcoaAtWO, cur))} / tCO₂e &nbsp;|&nbsp;
+                        with CP: {currency} {formatNumber(inCur(computed.finance.lcoaAtW, cur))} / tCO₂e
+                      </div>
+                    </div>
+                  )}
                 </div>
               </div>
+
+              {/* Sensitivity */}
+              <CollapsibleSection title="Sensitivity (tornado)" storageKey="macc_collapse_wizard_tornado" defaultOpen={false}>
+                <TornadoPanel
+                  template={draft}
+                  catalogs={dataSources}
+                  carbonPrice={carbonPrices}
+                  inflation={inflation}
+                  gwp={gwp}
+                  costBasis={costBasis}
+                  withCP={applyCarbonPriceInSave}
+                  cur={cur}
+                />
+              </CollapsibleSection>
             </div>
           )}
         </div>
@@ -1213,10 +2208,19 @@ function MeasureWizard({ onClose, onSave, sectors, currency, carbonPrice, dataSo
         {/* Sticky footer */}
         <div className="p-3 border-t bg-white sticky bottom-0 flex items-center justify-end gap-2">
           {tab !== "quick" && (
-            <label className="mr-auto flex items-center gap-2 text-xs">
-              <input type="checkbox" checked={applyCarbonPriceInSave} onChange={(e) => setApplyCarbonPriceInSave(e.target.checked)} />
-              Save cost including carbon price ({currency} {formatNumber(carbonPrice)}/tCO₂)
-            </label>
+            <div className="mr-auto flex flex-wrap items-center gap-3 text-xs">
+              <label className="flex items-center gap-2">
+                Cost written to MACC
+                <select className="border rounded-lg px-2 py-1" value={costBasis} onChange={(e) => setCostBasis(e.target.value)}>
+                  {Object.entries(COST_BASES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+                </select>
+                <span className="text-gray-500">= {currency} {formatNumber(inCur(costForBasis(computed, costBasis, applyCarbonPriceInSave), cur))}/tCO₂</span>
+              </label>
+              <label className="flex items-center gap-2">
+                <input type="checkbox" checked={applyCarbonPriceInSave} onChange={(e) => setApplyCarbonPriceInSave(e.target.checked)} />
+                Save cost including the firm carbon price path (rep. year {currency} {formatNumber(inCur(repCarbonPrice, cur))}/tCO₂)
+              </label>
+            </div>
           )}
           <button className="px-4 py-2 rounded-xl border" onClick={onClose}>Cancel</button>
           {tab === "quick" ? (
@@ -1291,16 +2295,20 @@ function HoverOverlay(props) {
 function CatalogsEditor({
   sample, customCatalogs, setCustomCatalogs,
   catalogMode, setCatalogMode,
+  fx, fxYear, cur,
 }) {
   const tabs = ["fuels", "raw", "transport", "waste", "electricity"];
   const [tab, setTab] = useState("fuels");
 
+  // Non-CO₂ factors are tonnes of gas per unit; blank = none
+  const gasCols = (perMwh) => NON_CO2_GASES.map(g => gasField(g, perMwh));
+  const gasHeaders = (per) => NON_CO2_GASES.map(g => `${GASES[g]} (t/${per})`);
   const schemaByTab = {
-    fuels: { cols: ["name","unit","price_per_unit_inr","ef_tco2_per_unit"], normalize: normalizeFRTW, headerNice: ["Name","Unit","Price/Unit (₹)","EF (tCO₂/Unit)"] },
-    raw: { cols: ["name","unit","price_per_unit_inr","ef_tco2_per_unit"], normalize: normalizeFRTW, headerNice: ["Name","Unit","Price/Unit (₹)","EF (tCO₂/Unit)"] },
-    transport: { cols: ["name","unit","price_per_unit_inr","ef_tco2_per_unit"], normalize: normalizeFRTW, headerNice: ["Name","Unit","Price/Unit (₹)","EF (tCO₂/Unit)"] },
-    waste: { cols: ["name","unit","price_per_unit_inr","ef_tco2_per_unit"], normalize: normalizeFRTW, headerNice: ["Name","Unit","Price/Unit (₹)","EF (tCO₂/Unit)"] },
-    electricity: { cols: ["state","price_per_mwh_inr","ef_tco2_per_mwh"], normalize: normalizeElec, headerNice: ["State/Region","Price/MWh (₹)","EF (tCO₂/MWh)"] },
+    fuels: { cols: ["name","unit","price_per_unit_inr","ef_tco2_per_unit",...gasCols()], normalize: normalizeFRTW, headerNice: ["Name","Unit","Price/Unit (₹)","EF (tCO₂/Unit)",...gasHeaders("Unit")] },
+    raw: { cols: ["name","unit","price_per_unit_inr","ef_tco2_per_unit",...gasCols()], normalize: normalizeFRTW, headerNice: ["Name","Unit","Price/Unit (₹)","EF (tCO₂/Unit)",...gasHeaders("Unit")] },
+    transport: { cols: ["name","unit","price_per_unit_inr","ef_tco2_per_unit",...gasCols()], normalize: normalizeFRTW, headerNice: ["Name","Unit","Price/Unit (₹)","EF (tCO₂/Unit)",...gasHeaders("Unit")] },
+    waste: { cols: ["name","unit","price_per_unit_inr","ef_tco2_per_unit",...gasCols()], normalize: normalizeFRTW, headerNice: ["Name","Unit","Price/Unit (₹)","EF (tCO₂/Unit)",...gasHeaders("Unit")] },
+    electricity: { cols: ["state","price_per_mwh_inr","ef_tco2_per_mwh",...gasCols(true)], normalize: normalizeElec, headerNice: ["State/Region","Price/MWh (₹)","EF (tCO₂/MWh)",...gasHeaders("MWh")] },
   };
 
   const cat = customCatalogs[tab] || [];
@@ -1321,7 +2329,7 @@ function CatalogsEditor({
       const arr = JSON.parse(text || "[]");
       if (!Array.isArray(arr)) throw new Error("JSON must be an array");
       const norm = schemaByTab[tab].normalize;
-      setCat(arr.map(norm));
+      setCat(arr.map(r => norm(catalogRowToInr(r, fx, fxYear))));
       alert("Imported JSON successfully.");
     } catch (e) {
       console.error(e);
@@ -1332,15 +2340,19 @@ function CatalogsEditor({
   const importCSV = (text) => {
     const rows = csvToJson(text);
     const norm = schemaByTab[tab].normalize;
-    setCat(rows.map(norm));
+    setCat(rows.map(r => norm(catalogRowToInr(r, fx, fxYear))));
     alert("Imported CSV successfully.");
   };
 
+  // Reporting in another currency adds a converted price column next to the ₹ one
   const toCSV = (arr) => {
-    const cols = schemaByTab[tab].cols;
+    const priceCol = tab === "electricity" ? "price_per_mwh_inr" : "price_per_unit_inr";
+    const curCol = cur && cur.code !== MODEL_CURRENCY ? priceCol.replace(/_inr$/, `_${cur.code.toLowerCase()}`) : null;
+    const cols = curCol ? [...schemaByTab[tab].cols, curCol] : schemaByTab[tab].cols;
     const header = cols.join(",");
     const esc = (v) => (v==null ? "" : /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g,'""')}"` : String(v));
-    const body = (arr || []).map(r => cols.map(c => esc(r[c])).join(",")).join("\n");
+    const cell = (r, c) => (c === curCol ? inCur(r[priceCol], cur) : r[c]);
+    const body = (arr || []).map(r => cols.map(c => esc(cell(r, c))).join(",")).join("\n");
     return header + "\n" + body;
   };
 
@@ -1440,6 +2452,7 @@ function CatalogsEditor({
         {tab === "electricity"
           ? " state, price_per_mwh_inr, ef_tco2_per_mwh (aliases accepted: price_per_mwh | price; ef_t_per_mwh | ef_t)"
           : " name, unit, price_per_unit_inr, ef_tco2_per_unit (aliases accepted: price_per_unit | price; ef_t_per_unit | ef_t)"}
+        ; optional non-CO₂ factors in tonnes of gas: {gasCols(tab === "electricity").join(", ")} (PFC as CF₄), counted as tCO₂e at the firm's GWP set.
       </div>
     </section>
   );
@@ -1454,7 +2467,7 @@ function ManageFirmsModal({
 
   const [name, setName] = useState("");
   const [startMode, setStartMode] = useState("sample"); // 'sample' | 'blank'
-  const [currency, setCurrency] = useState("₹");
+  const [currency, setCurrency] = useState(MODEL_CURRENCY);
   const [carbonPrice, setCarbonPrice] = useState(0);
 
   const createFirm = async () => {
@@ -1498,6 +2511,14 @@ function ManageFirmsModal({
     localStorage.setItem(`macc_firm_${nextId}_measures`, JSON.stringify(measures));
     localStorage.setItem(`macc_firm_${nextId}_currency`, JSON.stringify(currency));
     localStorage.setItem(`macc_firm_${nextId}_carbon_price`, JSON.stringify(carbonPrice));
+    localStorage.setItem(`macc_firm_${nextId}_carbon_price_path`, JSON.stringify(normalizeCarbonPath(null, carbonPrice)));
+    localStorage.setItem(`macc_firm_${nextId}_horizon`, JSON.stringify(DEFAULT_HORIZON));
+    localStorage.setItem(`macc_firm_${nextId}_interactions`, JSON.stringify(EMPTY_INTERACTIONS));
+    localStorage.setItem(`macc_firm_${nextId}_fx`, JSON.stringify(normalizeFx()));
+    localStorage.setItem(`macc_firm_${nextId}_inflation`, JSON.stringify(DEFAULT_INFLATION));
+    localStorage.setItem(`macc_firm_${nextId}_units`, JSON.stringify(DEFAULT_UNITS));
+    localStorage.setItem(`macc_firm_${nextId}_gwp`, JSON.stringify(DEFAULT_GWP));
+    localStorage.setItem(`macc_firm_${nextId}_uncertainty`, JSON.stringify(EMPTY_UNCERTAINTY));
     localStorage.setItem(`macc_firm_${nextId}_catalogs_fuels`, JSON.stringify(catalogs.fuels));
     localStorage.setItem(`macc_firm_${nextId}_catalogs_raw`, JSON.stringify(catalogs.raw));
     localStorage.setItem(`macc_firm_${nextId}_catalogs_transport`, JSON.stringify(catalogs.transport));
@@ -1564,7 +2585,7 @@ function ManageFirmsModal({
     }
     if (!window.confirm("Delete this firm and all its local data? This cannot be undone.")) return;
     // Remove storage
-    ["sectors","baselines","measures","currency","carbon_price","catalogs_fuels","catalogs_raw","catalogs_transport","catalogs_waste","catalogs_electricity","catalog_mode"].forEach(suffix => {
+    ["sectors","baselines","measures","currency","carbon_price","carbon_price_path","horizon","interactions","uncertainty","fx","inflation","units","gwp","catalogs_fuels","catalogs_raw","catalogs_transport","catalogs_waste","catalogs_electricity","catalog_mode"].forEach(suffix => {
       localStorage.removeItem(`macc_firm_${id}_${suffix}`);
     });
     const next = firms.filter(f => f.id !== id);
@@ -1637,15 +2658,15 @@ function ManageFirmsModal({
               </label>
             </div>
             <div className="grid grid-cols-2 gap-2 mt-2">
-              <label className="text-sm">Currency
+              <label className="text-sm">Reporting currency
                 <select className="mt-1 border rounded-xl px-3 py-2 w-full" value={currency} onChange={(e) => setCurrency(e.target.value)}>
-                  <option>₹</option>
+                  {Object.entries(CURRENCIES).map(([code, c]) => <option key={code} value={code}>{c.symbol} {code}</option>)}
                 </select>
               </label>
               <label className="text-sm">Carbon price
                 <div className="flex items-center gap-2">
                   <input type="number" className="mt-1 border rounded-xl px-3 py-2 w-full" value={carbonPrice} onChange={(e) => setCarbonPrice(Number(e.target.value))} />
-                  <span className="text-xs text-gray-500">per tCO₂</span>
+                  <span className="text-xs text-gray-500">₹/tCO₂</span>
                 </div>
               </label>
             </div>
@@ -1667,7 +2688,7 @@ function ManageFirmsModal({
                   }} />
               </label>
             </div>
-            <div className="text-xs text-gray-500 mt-1">Import replaces the active firm's sectors, baselines, measures, currency, carbon price, and catalogs.</div>
+            <div className="text-xs text-gray-500 mt-1">Import replaces the active firm's sectors, baselines, measures, interactions, uncertainty ranges, currency & FX table, inflation, production units, GWP set, carbon price, horizon, and catalogs.</div>
           </div>
         </div>
       </div>
@@ -1697,11 +2718,21 @@ function MACCAppInner() {
   const maccRef = useRef(null);
 
   // App prefs (not firm-specific)
-  const [mode, setMode] = useLocalStorage("macc_mode", "capacity");
+  const [modeSetting, setMode] = useLocalStorage("macc_mode", "capacity");
   const [costModel, setCostModel] = useLocalStorage("macc_costModel", "step");
   const [fitPositiveCostsOnly, setFitPositiveCostsOnly] = useLocalStorage("macc_fitPositiveCostsOnly", false);
+  const [fitModel, setFitModel] = useLocalStorage("macc_fitModel", "quadratic");
   const [selectedSector, setSelectedSector] = useLocalStorage("macc_selected_sector", "All sectors");
   const [targetIntensityPct, setTargetIntensityPct] = useLocalStorage("macc_targetIntensityPct", 20);
+  // Physical-intensity mode: absolute target in tCO₂ per production unit ("" = baseline)
+  const [targetIntensityAbs, setTargetIntensityAbs] = useLocalStorage("macc_targetIntensityAbs", "");
+  // GHG Protocol scopes counted on the curve (voluntary targets) and toward the CCTS obligation
+  const [curveScopes, setCurveScopes] = useLocalStorage("macc_scopes", ALL_SCOPES);
+  const [cctsScopes, setCctsScopes] = useLocalStorage("macc_cctsScopes", CCTS_SCOPES);
+  const [maccYear, setMaccYear] = useLocalStorage("macc_year", null); // null = representative year
+  const [optGoal, setOptGoal] = useLocalStorage("macc_opt_goal", "off");
+  const [capexBudgetCr, setCapexBudgetCr] = useLocalStorage("macc_opt_capex_cr", 0);
+  const [playing, setPlaying] = useState(false);
 
   // Data sources (global sample catalogs used by wizard)
   const [dataSources, setDataSources] = useState({
@@ -1716,8 +2747,17 @@ function MACCAppInner() {
   const [manageOpen, setManageOpen] = useState(false);
 
   // Per-firm state
-  const [currency, setCurrency] = useState("₹");
-  const [carbonPrice, setCarbonPrice] = useState(0);
+  const [currency, setCurrency] = useState(MODEL_CURRENCY); // reporting currency code
+  const [fx, setFx] = useState(() => normalizeFx());
+  const [carbonPath, setCarbonPath] = useState(() => normalizeCarbonPath());
+  const carbonPrice = carbonPath.start; // base-year price; the header input edits it
+  const setCarbonPrice = (v) => setCarbonPath((p) => ({ ...p, start: v }));
+  const [horizon, setHorizon] = useState(DEFAULT_HORIZON);
+  const [interactions, setInteractions] = useState(EMPTY_INTERACTIONS);
+  const [uncertainty, setUncertainty] = useState(EMPTY_UNCERTAINTY);
+  const [inflation, setInflation] = useState(DEFAULT_INFLATION); // { ratePct, basis: nominal | real }
+  const [units, setUnits] = useState(DEFAULT_UNITS); // production-unit equivalence for "All sectors"
+  const [gwp, setGwp] = useState(DEFAULT_GWP); // GWP set that turns catalog gases into tCO₂e
   const [sectors, setSectors] = useState(DEFAULT_SECTORS);
   const [baselines, setBaselines] = useState(DEFAULT_BASELINES);
   const [measures, setMeasures] = useState(null);
@@ -1770,13 +2810,7 @@ function MACCAppInner() {
         const wasteJson = await wasteResponse.json();
         const electricityJson = await electricityResponse.json();
 
-        const parsedMeasures = csvToJson(measuresText).map((m, i) => ({
-          ...m,
-          id: m.id ? Number(m.id) : i + 1,
-          abatement_tco2: Number(m.abatement_tco2),
-          cost_per_tco2: Number(m.cost_per_tco2),
-          selected: String(m.selected ?? "true").toLowerCase() !== "false"
-        }));
+        const parsedMeasures = normalizeMeasures(csvToJson(measuresText));
 
         setDataSources({
           sectors: sectorsJson,
@@ -1799,29 +2833,25 @@ function MACCAppInner() {
     fetchData();
   }, []);
   
-  const isFirmSectorLabel = (label) => typeof label === "string" && label.startsWith("Firm – ");
-
   // Helpers for firm storage
   const keyFor = (id, suffix) => `macc_firm_${id}_${suffix}`;
 
-  function normalizeMeasures(arr) {
-    return (arr || []).map((m, i) => ({
-      ...m,
-      id: m.id ? Number(m.id) : (i + 1),
-      abatement_tco2: Number(m.abatement_tco2 || 0),
-      cost_per_tco2: Number(m.cost_per_tco2 || 0),
-      selected: String(m.selected ?? "true").toLowerCase() !== "false",
-    }));
-  }
-
   const loadFirmDataIntoState = (id) => {
     if (!id) return;
     try {
       const sectorsL = JSON.parse(localStorage.getItem(keyFor(id, "sectors")) || "[]");
       const baselinesL = JSON.parse(localStorage.getItem(keyFor(id, "baselines")) || "{}");
       const measuresL = JSON.parse(localStorage.getItem(keyFor(id, "measures")) || "[]");
-      const currencyL = JSON.parse(localStorage.getItem(keyFor(id, "currency")) || JSON.stringify("$"));
+      const currencyL = JSON.parse(localStorage.getItem(keyFor(id, "currency")) || JSON.stringify(MODEL_CURRENCY));
+      const fxL = JSON.parse(localStorage.getItem(keyFor(id, "fx")) || "null");
       const carbonPriceL = JSON.parse(localStorage.getItem(keyFor(id, "carbon_price")) || "0");
+      const horizonL = JSON.parse(localStorage.getItem(keyFor(id, "horizon")) || "null");
+      const interactionsL = JSON.parse(localStorage.getItem(keyFor(id, "interactions")) || "null");
+      const uncertaintyL = JSON.parse(localStorage.getItem(keyFor(id, "uncertainty")) || "null");
+      const inflationL = JSON.parse(localStorage.getItem(keyFor(id, "inflation")) || "null");
+      const unitsL = JSON.parse(localStorage.getItem(keyFor(id, "units")) || "null");
+      const gwpL = JSON.parse(localStorage.getItem(keyFor(id, "gwp")) || "null");
+      const carbonPathL = JSON.parse(localStorage.getItem(keyFor(id, "carbon_price_path")) || "null");
 
       const fuelsC = JSON.parse(localStorage.getItem(keyFor(id, "catalogs_fuels")) || "[]");
       const rawC = JSON.parse(localStorage.getItem(keyFor(id, "catalogs_raw")) || "[]");
@@ -1833,8 +2863,15 @@ function MACCAppInner() {
       setSectors(sectorsL.length ? sectorsL : dataSources.sectors || []);
       setBaselines(Object.keys(baselinesL || {}).length ? baselinesL : dataSources.baselines || {});
       setMeasures(normalizeMeasures(measuresL.length ? measuresL : dataSources.measures || []));
-      setCurrency("₹"); // locked to INR
-      setCarbonPrice(Number(carbonPriceL || 0));
+      setCurrency(currencyCode(currencyL)); // legacy firms stored "₹"
+      setFx(normalizeFx(fxL));
+      setCarbonPath(normalizeCarbonPath(carbonPathL, Number(carbonPriceL || 0)));
+      setHorizon(normalizeHorizon(horizonL));
+      setInteractions(normalizeInteractions(interactionsL));
+      setUncertainty(normalizeUncertainty(uncertaintyL));
+      setInflation(normalizeInflation(inflationL));
+      setUnits(normalizeUnits(unitsL));
+      setGwp(normalizeGwp(gwpL));
       setCustomCatalogs({
         fuels: (fuelsC || []).map(normalizeFRTW),
         raw: (rawC || []).map(normalizeFRTW),
@@ -1856,15 +2893,23 @@ function MACCAppInner() {
   useEffect(() => {
     if (!dataLoaded || dataError) return;
     if (!firms || firms.length === 0) {
-      const defaultFirm = { id: 1, name: "My Firm", currency: "₹", carbonPrice: 0, catalogMode: "merged" };
+      const defaultFirm = { id: 1, name: "My Firm", currency: MODEL_CURRENCY, carbonPrice: 0, catalogMode: "merged" };
       setFirms([defaultFirm]);
       setActiveFirmId(1);
       // seed storage with sample
       localStorage.setItem(keyFor(1, "sectors"), JSON.stringify(dataSources.sectors || []));
       localStorage.setItem(keyFor(1, "baselines"), JSON.stringify(dataSources.baselines || {}));
       localStorage.setItem(keyFor(1, "measures"), JSON.stringify(dataSources.measures || []));
-      localStorage.setItem(keyFor(1, "currency"), JSON.stringify("₹"));
+      localStorage.setItem(keyFor(1, "currency"), JSON.stringify(MODEL_CURRENCY));
+      localStorage.setItem(keyFor(1, "fx"), JSON.stringify(normalizeFx()));
       localStorage.setItem(keyFor(1, "carbon_price"), JSON.stringify(0));
+      localStorage.setItem(keyFor(1, "carbon_price_path"), JSON.stringify(normalizeCarbonPath()));
+      localStorage.setItem(keyFor(1, "horizon"), JSON.stringify(DEFAULT_HORIZON));
+      localStorage.setItem(keyFor(1, "interactions"), JSON.stringify(EMPTY_INTERACTIONS));
+      localStorage.setItem(keyFor(1, "uncertainty"), JSON.stringify(EMPTY_UNCERTAINTY));
+      localStorage.setItem(keyFor(1, "inflation"), JSON.stringify(DEFAULT_INFLATION));
+      localStorage.setItem(keyFor(1, "units"), JSON.stringify(DEFAULT_UNITS));
+      localStorage.setItem(keyFor(1, "gwp"), JSON.stringify(DEFAULT_GWP));
       localStorage.setItem(keyFor(1, "catalogs_fuels"), JSON.stringify(dataSources.fuels || []));
       localStorage.setItem(keyFor(1, "catalogs_raw"), JSON.stringify(dataSources.raw || []));
       localStorage.setItem(keyFor(1, "catalogs_transport"), JSON.stringify(dataSources.transport || []));
@@ -1891,7 +2936,15 @@ function MACCAppInner() {
       localStorage.setItem(keyFor(activeFirmId, "baselines"), JSON.stringify(baselines));
       localStorage.setItem(keyFor(activeFirmId, "measures"), JSON.stringify(measures || []));
       localStorage.setItem(keyFor(activeFirmId, "currency"), JSON.stringify(currency));
+      localStorage.setItem(keyFor(activeFirmId, "fx"), JSON.stringify(fx));
       localStorage.setItem(keyFor(activeFirmId, "carbon_price"), JSON.stringify(carbonPrice));
+      localStorage.setItem(keyFor(activeFirmId, "carbon_price_path"), JSON.stringify(carbonPath));
+      localStorage.setItem(keyFor(activeFirmId, "horizon"), JSON.stringify(horizon));
+      localStorage.setItem(keyFor(activeFirmId, "interactions"), JSON.stringify(interactions));
+      localStorage.setItem(keyFor(activeFirmId, "uncertainty"), JSON.stringify(uncertainty));
+      localStorage.setItem(keyFor(activeFirmId, "inflation"), JSON.stringify(inflation));
+      localStorage.setItem(keyFor(activeFirmId, "units"), JSON.stringify(units));
+      localStorage.setItem(keyFor(activeFirmId, "gwp"), JSON.stringify(gwp));
 
       localStorage.setItem(keyFor(activeFirmId, "catalogs_fuels"), JSON.stringify(customCatalogs.fuels || []));
       localStorage.setItem(keyFor(activeFirmId, "catalogs_raw"), JSON.stringify(customCatalogs.raw || []));
@@ -1907,7 +2960,7 @@ function MACCAppInner() {
     } catch (e) {
       console.error("Failed to persist firm data:", e);
     }
-  }, [activeFirmId, sectors, baselines, measures, currency, carbonPrice, customCatalogs, catalogMode, setFirms]);
+  }, [activeFirmId, sectors, baselines, measures, currency, fx, carbonPrice, carbonPath, horizon, interactions, uncertainty, inflation, units, gwp, customCatalogs, catalogMode, setFirms]);
 
   // Export/Import firm JSON
   const exportFirmAsJson = (id) => {
@@ -1915,11 +2968,19 @@ function MACCAppInner() {
     const payload = {
       name: (firms.find(f => f.id === id)?.name) || `Firm ${id}`,
       currency,
+      fx,
       carbonPrice,
+      carbonPricePath: carbonPath,
+      horizon,
       catalogMode,
       sectors,
       baselines,
       measures: measures || [],
+      interactions,
+      uncertainty,
+      inflation,
+      units,
+      gwp,
       catalogs: customCatalogs
     };
     saveFile(`${payload.name.replace(/\s+/g,'_')}_macc.json`, JSON.stringify(payload, null, 2));
@@ -1933,15 +2994,31 @@ function MACCAppInner() {
         alert("Invalid firm JSON. Expect keys: sectors[], baselines{}, measures[], catalogs{}.");
         return;
       }
-      const newCurrency = "₹"; // locked to INR
+      const newCurrency = currencyCode(obj.currency);
+      const newFx = normalizeFx(obj.fx);
       const newCp = Number(obj.carbonPrice ?? carbonPrice);
       const newMode = obj.catalogMode ?? "merged";
+      const newHorizon = normalizeHorizon(obj.horizon);
+      const newInteractions = normalizeInteractions(obj.interactions);
+      const newUncertainty = normalizeUncertainty(obj.uncertainty);
+      const newInflation = normalizeInflation(obj.inflation);
+      const newUnits = normalizeUnits(obj.units);
+      const newGwp = normalizeGwp(obj.gwp);
 
       localStorage.setItem(keyFor(activeFirmId, "sectors"), JSON.stringify(obj.sectors));
       localStorage.setItem(keyFor(activeFirmId, "baselines"), JSON.stringify(obj.baselines));
       localStorage.setItem(keyFor(activeFirmId, "measures"), JSON.stringify(obj.measures));
       localStorage.setItem(keyFor(activeFirmId, "currency"), JSON.stringify(newCurrency));
-      localStorage.setItem(keyFor(activeFirmId, "carbon_price"), JSON.stringify(newCp));
+      localStorage.setItem(keyFor(activeFirmId, "fx"), JSON.stringify(newFx));
+      const newCarbonPath = normalizeCarbonPath(obj.carbonPricePath, newCp);
+      localStorage.setItem(keyFor(activeFirmId, "carbon_price"), JSON.stringify(newCarbonPath.start));
+      localStorage.setItem(keyFor(activeFirmId, "carbon_price_path"), JSON.stringify(newCarbonPath));
+      localStorage.setItem(keyFor(activeFirmId, "horizon"), JSON.stringify(newHorizon));
+      localStorage.setItem(keyFor(activeFirmId, "interactions"), JSON.stringify(newInteractions));
+      localStorage.setItem(keyFor(activeFirmId, "uncertainty"), JSON.stringify(newUncertainty));
+      localStorage.setItem(keyFor(activeFirmId, "inflation"), JSON.stringify(newInflation));
+      localStorage.setItem(keyFor(activeFirmId, "units"), JSON.stringify(newUnits));
+      localStorage.setItem(keyFor(activeFirmId, "gwp"), JSON.stringify(newGwp));
       localStorage.setItem(keyFor(activeFirmId, "catalogs_fuels"), JSON.stringify(obj.catalogs?.fuels || []));
       localStorage.setItem(keyFor(activeFirmId, "catalogs_raw"), JSON.stringify(obj.catalogs?.raw || []));
       localStorage.setItem(keyFor(activeFirmId, "catalogs_transport"), JSON.stringify(obj.catalogs?.transport || []));
@@ -1953,7 +3030,14 @@ function MACCAppInner() {
       setBaselines(obj.baselines);
       setMeasures(normalizeMeasures(obj.measures));
       setCurrency(newCurrency);
-      setCarbonPrice(newCp);
+      setFx(newFx);
+      setCarbonPath(newCarbonPath);
+      setHorizon(newHorizon);
+      setInteractions(newInteractions);
+      setUncertainty(newUncertainty);
+      setInflation(newInflation);
+      setUnits(newUnits);
+      setGwp(newGwp);
       setCustomCatalogs({
         fuels: (obj.catalogs?.fuels || []).map(normalizeFRTW),
         raw: (obj.catalogs?.raw || []).map(normalizeFRTW),
@@ -1973,155 +3057,189 @@ function MACCAppInner() {
   };
 
   // Resolve catalogs for wizard use
-  const mergedBy = (arrA, arrB, keyName) => {
-    const map = new Map();
-    (arrA || []).forEach(x => { if (x?.[keyName]) map.set(String(x[keyName]).toLowerCase(), x); });
-    (arrB || []).forEach(x => { if (x?.[keyName]) map.set(String(x[keyName]).toLowerCase(), x); }); // custom overrides
-    return Array.from(map.values());
-  };
-  const resolvedCatalogs = useMemo(() => {
-    const sample = dataSources;
-    const custom = customCatalogs;
-    if (catalogMode === "sample") {
-      return {
-        fuels: sample.fuels || [], raw: sample.raw || [], transport: sample.transport || [], waste: sample.waste || [], electricity: sample.electricity || []
-      };
-    } else if (catalogMode === "custom") {
-      return {
-        fuels: custom.fuels || [], raw: custom.raw || [], transport: custom.transport || [], waste: custom.waste || [], electricity: custom.electricity || []
-      };
-    }
-    // merged: sample + custom override by name/state
-    return {
-      fuels: mergedBy(sample.fuels || [], custom.fuels || [], "name"),
-      raw: mergedBy(sample.raw || [], custom.raw || [], "name"),
-      transport: mergedBy(sample.transport || [], custom.transport || [], "name"),
-      waste: mergedBy(sample.waste || [], custom.waste || [], "name"),
-      electricity: mergedBy(sample.electricity || [], custom.electricity || [], "state"),
-    };
-  }, [dataSources, customCatalogs, catalogMode]);
-
-  // UI helpers
-  const sectorOptions = useMemo(() => ["All sectors", ...sectors], [sectors]);
-
-  const activeBaseline = useMemo(() => {
-    if (selectedSector === "All sectors") {
-      const entries = Object.entries(baselines || {}).filter(([key]) => !isFirmSectorLabel(key));
-      const emissions = entries.reduce((s, [, b]) => s + Number(b?.annual_emissions || 0), 0);
-      const production = entries.reduce((s, [, b]) => s + Number(b?.annual_production || 0), 0);
-      const production_label = entries[0]?.[1]?.production_label || "units";
-      return { production_label, annual_production: production, annual_emissions: emissions };
-    }
-    return baselines?.[selectedSector] || { production_label: "units", annual_production: 1, annual_emissions: 1 };
-  }, [selectedSector, baselines]);
+  const resolvedCatalogs = useMemo(
+    () => resolveCatalogs(dataSources, customCatalogs, catalogMode),
+    [dataSources, customCatalogs, catalogMode]
+  );
 
+  // Linked activity inventories set their sector's baseline emissions and follow catalog EF updates
+  useEffect(() => {
+    if (!dataLoaded) return;
+    setBaselines(prev => syncInventories(prev, resolvedCatalogs, gwp));
+  }, [dataLoaded, baselines, resolvedCatalogs, gwp]);
+
+  const years = useMemo(() => buildYears(horizon), [horizon]);
+  // Per-year carbon price on the horizon grid; drives the wizard, the MACC and saved measures
+  const carbonSeries = useMemo(() => carbonPriceSeries(carbonPath, years), [carbonPath, years]);
+  // The curve reads the carbon price on the firm's price basis (deflated to base-year ₹ when real)
+  const stackCarbon = useMemo(() => deflateCarbonPrice(carbonSeries, inflation), [carbonSeries, inflation]);
+  // Template measures whose saved results are on another basis (they refresh when re-saved)
+  const staleBasisCount = useMemo(
+    () => (measures || []).filter(m => isTemplateMeasure(m) && !priceBasisMatches(m.details, inflation)).length,
+    [measures, inflation]
+  );
+  const staleGwpCount = useMemo(
+    () => (measures || []).filter(m => isTemplateMeasure(m) && !gwpMatches(m.details, gwp)).length,
+    [measures, gwp]
+  );
 
-  const filtered = useMemo(() =>
-    (measures || []).filter(m => m.selected && (selectedSector === "All sectors" || m.sector === selectedSector)),
-    [measures, selectedSector]
+  // UI helpers
+  const sectorOptions = useMemo(() => [ALL_SECTORS, ...sectors], [sectors]);
+
+  const activeBaseline = useMemo(() => aggregateBaseline(baselines, selectedSector, units), [selectedSector, baselines, units]);
+  // Production in mixed units cannot be added up, so the physical view falls back to intensity
+  const mode = modeSetting === "physical" && activeBaseline.mixed_units ? "intensity" : modeSetting;
+  // BAU in the plotted year: intensity % and the target are measured against it
+  const projectedBaseline = useMemo(() => projectBaseline(baselines, selectedSector, maccYear, units), [baselines, selectedSector, maccYear, units]);
+
+  // Template measures are read at the selected year from their saved per-year results
+  const filtered = useMemo(
+    () => filterScopes(filterMeasures(measuresAtYear(measures, maccYear), selectedSector), curveScopes),
+    [measures, maccYear, selectedSector, curveScopes]
+  );
+  // Abatement by scope of the selected measures before the filter, for the scope picker
+  const scopeAbatement = useMemo(
+    () => scopeTotals(filterMeasures(measuresAtYear(measures, maccYear), selectedSector)),
+    [measures, maccYear, selectedSector]
+  );
+  // tCO₂e by gas of what the curve stacks
+  const gasAbatement = useMemo(() => {
+    const out = Object.fromEntries(Object.keys(GASES).map(g => [g, 0]));
+    for (const m of filtered) for (const [g, t] of Object.entries(measureGases(m))) out[g] += t;
+    return out;
+  }, [filtered]);
+
+  // Effective cost (carbon price delta aware), then exclusivity groups and overlaps
+  const ordered = useMemo(() => sortByEffectiveCost(filtered, stackCarbon), [filtered, stackCarbon]);
+  const stacked = useMemo(() => applyInteractions(ordered, interactions), [ordered, interactions]);
+  const sorted = stacked.sorted;
+
+  const totals = useMemo(() => computeTotals(sorted, sorted), [sorted]);
+
+  const baselineIntensity = useMemo(() => intensityOf(activeBaseline), [activeBaseline]);
+
+  // Reporting-currency view, at the plotted year's FX rate (₹ stays the model currency)
+  const cur = useMemo(() => {
+    const year = maccYear ?? years[0];
+    return { code: currency, symbol: currencySymbol(currency), rate: fxRate(fx, currency, year) ?? 1, year };
+  }, [currency, fx, maccYear, years]);
+
+  const curveOpts = useMemo(
+    () => ({ mode, baselineEmissions: Number(projectedBaseline.annual_emissions || 0), baselineProduction: Number(projectedBaseline.annual_production || 0) }),
+    [mode, projectedBaseline.annual_emissions, projectedBaseline.annual_production]
   );
 
-  // Effective cost (carbon price delta aware)
-  const sorted = useMemo(() => {
-    const copy = filtered.map(m => {
-      const baseCost = Number(m.cost_per_tco2 || 0);
-      const cpNow = Number(carbonPrice || 0);
-      const savedIncludesCP = Boolean(m?.details?.saved_cost_includes_carbon_price);
-      const cpAtSave = Number(m?.details?.carbon_price_at_save || 0);
-      const effective_cost = savedIncludesCP ? (baseCost - (cpNow - cpAtSave)) : (baseCost - cpNow);
-      return { ...m, effective_cost };
-    });
-    copy.sort((a, b) => (a.effective_cost || 0) - (b.effective_cost || 0));
-    return copy;
-  }, [filtered, carbonPrice]);
-
-  const totals = useMemo(() => {
-    const totalAbatement = filtered.reduce((s, m) => s + Number(m.abatement_tco2 || 0), 0);
-    const avgCost = filtered.length ? filtered.reduce((s, m) => s + Number(m.cost_per_tco2 || 0), 0) / filtered.length : 0;
-    const negCostAbatement = sorted.filter(m => (m.effective_cost) < 0).reduce((s, m) => s + Number(m.abatement_tco2 || 0), 0);
-    return { totalAbatement, avgCost, negCostAbatement };
-  }, [filtered, sorted]);
-
-  const baselineIntensity = useMemo(() => {
-    const prod = Number(activeBaseline.annual_production || 0);
-    const emis = Number(activeBaseline.annual_emissions || 0);
-    return prod > 0 ? emis / prod : 0;
-  }, [activeBaseline]);
+  // The % cut everything downstream works with; an absolute intensity target converts to it
+  const curveBaseIntensity = curveIntensity(curveOpts);
+  const physicalTarget = mode === "physical" && targetIntensityAbs !== "" ? Number(targetIntensityAbs) : null;
+  const targetPct = mode === "physical"
+    ? (physicalTarget == null ? 0 : targetPctFromIntensity(physicalTarget, curveOpts))
+    : targetIntensityPct;
 
   const { segments, totalX } = useMemo(() => {
-    let cum = 0; const segs = [];
-    sorted.forEach((m, idx) => {
-      const A = Number(m.abatement_tco2 || 0);
-      const C = Number(m.effective_cost || 0);
-      if (!Number.isFinite(A) || !Number.isFinite(C) || A <= 0) return;
-      const x1_cap = cum, x2_cap = cum + Math.max(0, A); cum = x2_cap;
-      const denom = Number(activeBaseline.annual_emissions || 0);
-      const x1_plot = (mode === "capacity") ? x1_cap : (denom > 0 ? (x1_cap / denom) * 100 : 0);
-      const x2_plot = (mode === "capacity") ? x2_cap : (denom > 0 ? (x2_cap / denom) * 100 : 0);
-      segs.push({ id: m.id, name: m.name, sector: m.sector, x1_plot, x2_plot, cost: C, abatement: A, color: PALETTE[idx % PALETTE.length] });
-    });
-    const totalX_plot = segs.length ? segs[segs.length - 1].x2_plot : 0;
-    return { segments: segs, totalX: totalX_plot };
-  }, [sorted, mode, activeBaseline.annual_emissions]);
-
-  const maccData = useMemo(() => {
-    let cumAbate = 0; const points = [];
-    for (const m of sorted) {
-      const A = Number(m.abatement_tco2 || 0); const C = Number(m.effective_cost || 0);
-      cumAbate += Math.max(0, A);
-      const xCapacity = cumAbate;
-      const xIntensityPct = activeBaseline.annual_emissions > 0 ? (cumAbate / activeBaseline.annual_emissions) * 100 : 0;
-      const x = mode === "capacity" ? xCapacity : xIntensityPct;
-      points.push({ id: m.id, name: m.name, sector: m.sector, abatement: A, cost: C, cumAbate, x });
-    }
-    return points;
-  }, [sorted, mode, activeBaseline.annual_emissions]);
+    const { segments: segs, totalX: tx } = buildSegments(sorted, curveOpts);
+    return { segments: segs.map(s => ({ ...s, cost: inCur(s.cost, cur), color: PALETTE[s.rank % PALETTE.length] })), totalX: tx };
+  }, [sorted, curveOpts, cur]);
 
-  const quad = useMemo(() => {
-    const dataToFit = fitPositiveCostsOnly ? maccData.filter(p => p.cost >= 0) : maccData;
-    if (dataToFit.length < 3) return null;
+  const maccData = useMemo(() => buildMaccData(sorted, curveOpts), [sorted, curveOpts]);
 
-    const xs = dataToFit.map(p => p.x);
-    const ys = dataToFit.map(p => p.cost);
+  const fitsInr = useMemo(() => fitMaccCurves(maccData, { positiveCostsOnly: fitPositiveCostsOnly }), [maccData, fitPositiveCostsOnly]);
+  // Cost is linear in each model's cost parameters, so the fits convert by scaling them
+  const fits = useMemo(
+    () => Object.fromEntries(Object.entries(fitsInr).map(([k, f]) => [k, scaleFit(f, inCur(1, cur))])),
+    [fitsInr, cur]
+  );
+  const bestFit = useMemo(() => bestFitModel(fits), [fits]);
+  const curveFit = fits[fitModel] || null;
+  const fitUnits = {
+    xUnit: mode === "capacity" ? "tCO2" : mode === "physical" ? `tCO2/${activeBaseline.production_label}` : "% of BAU emissions",
+    costUnit: `${cur.code}/tCO2e`,
+  };
 
-    const { a, b, c, r2 } = quadraticFit(xs, ys);
 
-    // draw across full x-domain
-    const fitted = maccData.map(p => ({ x: p.x, y: a + b * p.x + c * p.x * p.x }));
+  useEffect(() => {
+    if (costModel === 'fit' && !curveFit) setCostModel('step');
+  }, [costModel, curveFit, setCostModel]);
 
-    return { a, b, c, r2, fitted };
-  }, [maccData, fitPositiveCostsOnly]);
+  const budgetToTarget = useMemo(
+    () => greedyBudget(maccData, { ...curveOpts, targetPct }),
+    [maccData, curveOpts, targetPct]
+  );
+  // Stacked measures by breakeven carbon price, and the price that meets the target at zero net cost
+  const response = useMemo(() => responseCurve(sorted, curveOpts), [sorted, curveOpts]);
+  const responseGoal = useMemo(() => targetCarbonPrice(response, { ...curveOpts, targetPct }), [response, curveOpts, targetPct]);
+  // The same read off the fitted curve (₹), shown next to the step walk while the fit is drawn
+  const fitBudget = useMemo(
+    () => (costModel === 'fit' ? fitBudgetToTarget(maccData, fitsInr[fitModel], { ...curveOpts, targetPct }) : null),
+    [costModel, maccData, fitsInr, fitModel, curveOpts, targetPct]
+  );
 
+  // Optimal (indivisible) portfolio next to the whole-measure greedy walk; the optimiser works on the
+  // list before interactions so overlaps and exclusivity follow the measures it picks
+  const optimised = useMemo(() => {
+    if (!OPTIMISER_GOALS[optGoal]) return null;
+    const opts = { ...curveOpts, goal: optGoal, targetPct, capexBudgetCr };
+    const opt = optimisePortfolio(ordered, { ...opts, interactions });
+    const onCurve = new Set(sorted.map(m => m.id));
+    return { opt, greedy: greedyPortfolio(sorted, opts), chosen: new Set(opt.chosenIds), offCurve: opt.chosen.filter(it => !onCurve.has(it.id)) };
+  }, [optGoal, ordered, interactions, sorted, curveOpts, targetPct, capexBudgetCr]);
+
+  // Everything a Monte Carlo run needs besides the ranges; a change clears the last result
+  const mcInputs = useMemo(() => ({
+    measures, catalogs: resolvedCatalogs, carbonPrice: carbonSeries, inflation, gwp, sector: selectedSector, scopes: curveScopes,
+    year: maccYear, interactions, targetPct, ...curveOpts,
+  }), [measures, resolvedCatalogs, carbonSeries, inflation, gwp, selectedSector, curveScopes, maccYear, interactions, targetPct, curveOpts]);
+
+  // Year selector: drop a year that fell outside the horizon; "play" steps through the horizon
+  useEffect(() => {
+    if (maccYear != null && !years.includes(maccYear)) setMaccYear(null);
+  }, [years, maccYear, setMaccYear]);
 
   useEffect(() => {
-    if (costModel === 'fit' && !quad) setCostModel('step');
-  }, [costModel, quad, setCostModel]);
-
-  const budgetToTarget = useMemo(() => {
-    if (!maccData.length) return { targetReached: 0, budget: 0 };
-    const targetX = mode === "capacity" ? (activeBaseline.annual_emissions * (targetIntensityPct / 100)) : targetIntensityPct;
-    let cum = 0, budget = 0, reached = 0;
-    for (const p of maccData) {
-      const remaining = Math.max(0, targetX - cum);
-      const take = Math.min(remaining, p.abatement);
-      if (take > 0) { budget += take * p.cost; cum += take; reached = mode === "capacity" ? cum : (cum / activeBaseline.annual_emissions * 100); }
-    }
-    const maxPossible = (mode === "capacity")
-      ? cum
-      : (activeBaseline.annual_emissions > 0 ? (cum / activeBaseline.annual_emissions) * 100 : 0);
-    return { targetReached: Math.min(reached, maxPossible), budget };
-  }, [maccData, activeBaseline.annual_emissions, mode, targetIntensityPct]);
+    if (!playing) return;
+    const idx = years.indexOf(maccYear);
+    if (idx >= years.length - 1) { setPlaying(false); return; }
+    const t = setTimeout(() => setMaccYear(years[idx + 1]), 900);
+    return () => clearTimeout(t);
+  }, [playing, maccYear, years, setMaccYear]);
+
+  const startPlay = () => { setMaccYear(years[0]); setPlaying(true); };
+
+  // While playing, hold the x-axis at the widest year so the curve visibly grows
+  const playWidth = useMemo(() => {
+    if (!playing) return 0;
+    return Math.max(0, ...years.map(y => {
+      const sortedY = sortByEffectiveCost(filterScopes(filterMeasures(measuresAtYear(measures, y), selectedSector), curveScopes), stackCarbon);
+      const b = projectBaseline(baselines, selectedSector, y, units);
+      const opts = { mode, baselineEmissions: Number(b.annual_emissions || 0), baselineProduction: Number(b.annual_production || 0) };
+      return buildSegments(applyInteractions(sortedY, interactions).sorted, opts).totalX;
+    }));
+  }, [playing, years, measures, selectedSector, curveScopes, stackCarbon, interactions, mode, baselines, units]);
+
+  const compliance = useMemo(
+    () => complianceSummary({ measures, baselines, sector: selectedSector, carbonPrice: stackCarbon, interactions, scopes: cctsScopes }),
+    [measures, baselines, selectedSector, stackCarbon, interactions, cctsScopes]
+  );
+
+  // Wedge colours follow the plotted curve's palette ranks
+  const rankOf = useMemo(() => {
+    const ranks = new Map(sorted.map((m, i) => [m.id, i]));
+    return (id) => ranks.get(id);
+  }, [sorted]);
 
-  const totalWidth = useMemo(() => (mode === 'capacity' ? (totalX > 0 ? totalX : 1) : Math.max(100, totalX || 1)), [totalX, mode]);
+  const pathway = useMemo(
+    () => emissionsPathway({ measures, baselines, units, sector: selectedSector, scopes: curveScopes, years, targetPct, targetIntensity: physicalTarget, carbonPrice: stackCarbon, interactions }),
+    [measures, baselines, units, selectedSector, curveScopes, years, targetPct, physicalTarget, stackCarbon, interactions]
+  );
+
+  const totalWidth = useMemo(() => {
+    const w = Math.max(totalX, playWidth);
+    if (mode === 'physical') return Math.max(curveBaseIntensity, w) || 1;
+    return mode === 'capacity' ? (w > 0 ? w : 1) : Math.max(100, w || 1);
+  }, [totalX, playWidth, mode, curveBaseIntensity]);
   // PATCH: compute visual guide for the target (vertical line in the MACC)
-  const targetX = useMemo(() => {
-    const t = Number(targetIntensityPct || 0);
-    if (mode === 'capacity') {
-      const baseEmis = Number(activeBaseline.annual_emissions || 0);
-      return baseEmis > 0 ? baseEmis * (t / 100) : 0; // convert % target to tCO₂ along x
-    }
-    return t; // in intensity mode the X-axis already is %
-  }, [mode, activeBaseline.annual_emissions, targetIntensityPct]);
+  const targetX = useMemo(() => targetAlongX(targetPct, curveOpts), [curveOpts, targetPct]);
+  const targetLabel = mode === 'physical' && physicalTarget != null ? `Target ${physicalTarget.toFixed(3)}` : 'Target';
 
   const axisData = useMemo(() => [{ x: 0 }, { x: totalWidth > 0 ? totalWidth : 1 }], [totalWidth]);
   const yDomain = useMemo(() => {
@@ -2159,14 +3277,39 @@ function MACCAppInner() {
       name: r.name || r.Measure || r.intervention || `Row ${i + 1}`,
       sector: r.sector || r.Sector || "Power",
       abatement_tco2: Number(r.abatement_tco2 || r.abatement || r.Abatement || 0),
-      cost_per_tco2: Number(r.cost_per_tco2 || r.cost || r.Cost || 0),
+      cost_per_tco2: measureCostToInr(r, fx, years[0]) ?? Number(r.cost || r.Cost || 0),
       selected: String(r.selected ?? "true").toLowerCase() !== "false",
+      ...(r.scope !== "" && r.scope != null ? { scope: Number(r.scope) } : {}),
+      ...(GASES[String(r.gas ?? "").toLowerCase()] ? { gas: String(r.gas).toLowerCase() } : {}),
       details: r.details,
     }));
     setMeasures([...(measures || []), ...parsed]);
   };
+  // Chosen curve fit for other models: equation, parameters and statistics in the plotted units
+  const exportFitJson = () => {
+    if (!curveFit) return;
+    saveBlob(`macc_fit_${curveFit.model}.json`, "application/json", JSON.stringify(fitExport(curveFit, fitUnits), null, 2));
+  };
+  const exportFitCsv = () => {
+    if (!curveFit) return;
+    const { params, domain, ...info } = fitExport(curveFit, fitUnits);
+    const rows = [
+      ...Object.entries(info).map(([name, value]) => ({ name, value })),
+      { name: "x_min", value: domain[0] }, { name: "x_max", value: domain[1] },
+      ...fitParams(curveFit),
+    ];
+    saveBlob(`macc_fit_${curveFit.model}.csv`, "text/csv", jsonToCsv(rows));
+  };
   const exportCSV = () => {
-    const rows = (measures || []).map(({ id, ...rest }) => rest);
+    // ₹ stays the canonical column; a reporting currency adds cost_per_tco2_<code> at the base-year rate
+    const rate = fxRate(fx, currency, years[0]) ?? 1;
+    // Abatement split per gas (tCO₂e) follows the measure's own columns
+    const byGas = (m) => Object.fromEntries(Object.entries(measureGases(m)).map(([g, t]) => [`tco2e_${g}`, t]));
+    const rows = (measures || []).map(({ id, ...rest }) => ({
+      ...rest,
+      ...(currency === MODEL_CURRENCY ? {} : { [`cost_per_tco2_${currency.toLowerCase()}`]: Number(rest.cost_per_tco2 || 0) / rate }),
+      ...byGas(rest),
+    }));
     const text = jsonToCsv(rows);
     saveBlob("macc_measures.csv", "text/csv", text);
   };
@@ -2175,15 +3318,25 @@ function MACCAppInner() {
   const [inspectedId, setInspectedId] = useState(null);
   const inspected = useMemo(() => (measures || []).find(m => m.id === inspectedId), [measures, inspectedId]);
   const inspectedSeries = useMemo(() => {
-    const per = inspected?.details?.per_year;
-    const years = inspected?.details?.years;
-    if (!per || !years) return null;
-    return years.map((year, idx) => ({
-      year,
-      direct_t: Number(per[idx]?.direct_t || 0),
-      net_cost_cr: Number(per[idx]?.net_cost_cr || 0),
-    }));
-  }, [inspected]);
+    const d = inspected?.details;
+    if (!d?.per_year || !d?.years) return null;
+    // Saved on another year grid → resample onto the firm horizon and recompute
+    const per = sameYears(d.years, years)
+      ? d.per_year
+      : computeMeasure(resampleTemplate(d, years), { catalogs: resolvedCatalogs, carbonPrice: carbonSeries, inflation, gwp }).perYear;
+    // Net cost in ₹ cr, or millions of the reporting currency at each year's FX rate
+    // (the base-year rate for real results, which are already in base-year ₹)
+    const inr = currency === MODEL_CURRENCY;
+    return years.map((year, idx) => {
+      const conv = (cr) => (inr ? cr : (cr * 10) / (fxRate(fx, currency, inflation.basis === "real" ? years[0] : year) ?? 1));
+      return {
+        year,
+        direct_t: Number(per[idx]?.direct_t || 0),
+        net_cost: conv(Number(per[idx]?.net_cost_cr || 0)),
+        tax_shield: conv(Number(per[idx]?.tax_shield_cr || 0)), // 0 for measures saved before tax inputs
+      };
+    });
+  }, [inspected, years, resolvedCatalogs, carbonSeries, inflation, gwp, currency, fx]);
 
   const [hoverInfo, setHoverInfo] = useState(null);
 
@@ -2244,13 +3397,13 @@ function MACCAppInner() {
               <select className="border rounded-xl px-3 py-2" value={selectedSector} onChange={(e) => setSelectedSector(e.target.value)}>
                 {sectorOptions.map((s) => <option key={s}>{s}</option>)}
               </select>
-              <select className="border rounded-xl px-3 py-2" value={currency} onChange={(e) => setCurrency(e.target.value)}>
-                <option>₹</option>
+              <select className="border rounded-xl px-3 py-2" value={currency} onChange={(e) => setCurrency(e.target.value)} title="Reporting currency (figures are held in ₹)">
+                {Object.entries(CURRENCIES).map(([code, c]) => <option key={code} value={code}>{c.symbol} {code}</option>)}
               </select>
               <div className="flex items-center gap-2 border rounded-xl px-3 py-2">
-                <span className="text-sm">Carbon price</span>
+                <span className="text-sm" title="Base-year price; growth and per-year overrides are under Firm Data">Carbon price ({years[0]})</span>
                 <input type="number" className="w-24 border rounded-lg px-2 py-1 text-right" value={carbonPrice} onChange={(e) => setCarbonPrice(Number(e.target.value))} />
-                <span className="text-sm">{currency}/tCO₂</span>
+                <span className="text-sm">₹/tCO₂</span>
               </div>
 
               <button className="px-3 py-2 rounded-xl bg-gray-100" onClick={exportCSV}>Export CSV</button>
@@ -2280,18 +3433,42 @@ function MACCAppInner() {
           <div className="space-y-2">
             <label className="block text-sm font-medium">View Mode</label>
             <div className="flex gap-2">
-              <button className={`px-3 py-2 rounded-xl border ${mode === 'capacity' ? 'bg-black text-white' : ''}`} onClick={() => setMode("capacity")}>Capacity-based</button>
-              <button className={`px-3 py-2 rounded-xl border ${mode === 'intensity' ? 'bg-black text-white' : ''}`} onClick={() => setMode("intensity")}>Intensity-based</button>
+              {Object.entries(X_MODES).map(([k, label]) => (
+                <button
+                  key={k}
+                  disabled={k === "physical" && !!activeBaseline.mixed_units}
+                  title={k === "physical" && activeBaseline.mixed_units ? "Production is in mixed units — set equivalence factors under Firm Data" : undefined}
+                  className={`px-3 py-2 rounded-xl border disabled:opacity-40 ${mode === k ? 'bg-black text-white' : ''}`}
+                  onClick={() => setMode(k)}
+                >{label}</button>
+              ))}
             </div>
-            <p className="text-xs text-gray-500">Capacity: cumulative tCO₂; Intensity: cumulative % reduction vs baseline.</p>
+            <p className="text-xs text-gray-500">Capacity: cumulative tCO₂; Intensity: cumulative % reduction vs BAU emissions in the plotted year; Physical: reduction in tCO₂ per {activeBaseline.production_label} of BAU production.</p>
+            <label className="block text-sm font-medium pt-2">Scopes on the curve</label>
+            <ScopeChecks value={curveScopes} onChange={setCurveScopes} />
+            <p className="text-xs text-gray-500">
+              Selected measures abate {ALL_SCOPES.map(k => `${SCOPES[k]} ${formatNumber(scopeAbatement[k])}`).join(" · ")} tCO₂; only the ticked scopes' share of each measure is stacked, at its unit cost.
+            </p>
+            <p className="text-xs text-gray-500">
+              By gas: {Object.keys(GASES).filter(g => g === "co2" || gasAbatement[g]).map(g => `${GASES[g]} ${formatNumber(gasAbatement[g])}`).join(" · ")} tCO₂e ({GWP_SETS[gwp].label}).
+            </p>
           </div>
 
           <div className="space-y-2">
             <label className="block text-sm font-medium">Marginal Cost Model</label>
             <div className="flex gap-2">
               <button className={`px-3 py-2 rounded-xl border ${costModel === 'step' ? 'bg-black text-white' : ''}`} onClick={() => setCostModel("step")}>Continuous (coloured)</button>
-              <button className={`px-3 py-2 rounded-xl border ${costModel === 'fit' ? 'bg-black text-white' : ''}`} onClick={() => { if (maccData.length >= 3) setCostModel("fit"); }}>Quadratic Fit</button>
+              <button className={`px-3 py-2 rounded-xl border ${costModel === 'fit' ? 'bg-black text-white' : ''}`} onClick={() => { if (maccData.length >= 3) setCostModel("fit"); }}>Fitted curve</button>
             </div>
+            {costModel === 'fit' && (
+              <label className="mt-2 text-sm flex items-center gap-2">Model
+                <select className="border rounded-lg px-2 py-1" value={fitModel} onChange={(e) => setFitModel(e.target.value)}>
+                  {Object.entries(FIT_MODELS).map(([k, label]) => (
+                    <option key={k} value={k} disabled={!fits[k]}>{label}{k === bestFit ? " (lowest AIC)" : ""}</option>
+                  ))}
+                </select>
+              </label>
+            )}
             {costModel === 'fit' && (
               <div className="mt-2 text-sm flex items-center gap-2">
                 <input
@@ -2306,7 +3483,7 @@ function MACCAppInner() {
                 </label>
               </div>
             )}
-            <p className="text-xs text-gray-500">Costs in MACC reflect <b>saved cost − carbon price</b> (delta-adjusted if cost already included CP).</p>
+            <p className="text-xs text-gray-500">Costs in MACC reflect <b>saved cost − carbon price</b> for the plotted year from the firm's carbon price path (delta-adjusted if cost already included CP).</p>
           </div>
 
           <div className="space-y-2">
@@ -2327,13 +3504,28 @@ function MACCAppInner() {
                 type="number"
                 className="col-span-2 border rounded-xl px-3 py-2"
                 value={activeBaseline.annual_emissions}
+                readOnly={inventoryDrives(baselines[selectedSector])}
+                title={inventoryDrives(baselines[selectedSector]) ? "Set by the emissions inventory" : undefined}
                 onChange={(e) => {
                   if (selectedSector === "All sectors") return;
                   setBaselines({ ...baselines, [selectedSector]: { ...activeBaseline, annual_emissions: (e.target.value === "" ? "" : Number(e.target.value)) } });
                 }}
               />
             </div>
-            <p className="text-xs text-gray-500">Baseline intensity: {formatNumber(baselineIntensity)} tCO₂ per {activeBaseline.production_label}.</p>
+            {activeBaseline.mixed_units ? (
+              <p className="text-xs text-amber-700">
+                Production is in mixed units ({activeBaseline.mixed_units.join(", ")}) and cannot be added up — baseline intensity is n/a and the Physical view is off.
+                Set equivalence factors under Firm Data → Production units to combine them.
+              </p>
+            ) : (
+              <p className="text-xs text-gray-500">
+                Baseline intensity: {formatNumber(baselineIntensity)} tCO₂ per {activeBaseline.production_label}.
+                {activeBaseline.converted && " Production converted to common units with the firm's equivalence factors."}
+              </p>
+            )}
+            {maccYear != null && (
+              <p className="text-xs text-gray-500">BAU in {maccYear}: <b>{formatNumber(projectedBaseline.annual_emissions)}</b> tCO₂ — intensity % and the target are measured against it.</p>
+            )}
           </div>
         </section>
 
@@ -2355,6 +3547,34 @@ function MACCAppInner() {
           </button>
         }
       >
+        <HorizonEditor horizon={horizon} onApply={setHorizon} />
+        <CarbonPathEditor path={carbonPath} onChange={setCarbonPath} years={years} />
+        <FxEditor fx={fx} onChange={setFx} currency={currency} cur={cur} years={years} />
+        <InflationEditor inflation={inflation} onChange={setInflation} baseYear={years[0]} stale={staleBasisCount} />
+        <GwpEditor gwp={gwp} onChange={setGwp} stale={staleGwpCount} />
+        <InventoryEditor
+          baselines={baselines}
+          sectors={sectors}
+          selectedSector={selectedSector}
+          catalogs={resolvedCatalogs}
+          gwp={gwp}
+          onChange={(s, inventory) => setBaselines({ ...baselines, [s]: { ...(baselines[s] || { production_label: "units", annual_production: 0, annual_emissions: 0 }), inventory } })}
+        />
+        <BauEditor
+          baselines={baselines}
+          sectors={sectors}
+          selectedSector={selectedSector}
+          years={years}
+          onChange={(s, bau) => setBaselines({ ...baselines, [s]: { ...(baselines[s] || { production_label: "units", annual_production: 0, annual_emissions: 0 }), bau } })}
+        />
+        <GeiTargetsEditor
+          baselines={baselines}
+          sectors={sectors}
+          selectedSector={selectedSector}
+          years={years}
+          onChange={(s, gei_targets) => setBaselines({ ...baselines, [s]: { ...(baselines[s] || { production_label: "units", annual_production: 0, annual_emissions: 0 }), gei_targets } })}
+        />
+        <UnitsEditor units={units} baselines={baselines} onChange={setUnits} />
         <div className="overflow-x-auto mt-3">
           <table className="min-w-full text-sm">
             <thead>
@@ -2407,6 +3627,8 @@ function MACCAppInner() {
                         type="number"
                         className="border rounded-lg px-2 py-1 w-40 text-right"
                         value={b.annual_emissions}
+                        readOnly={inventoryDrives(b)}
+                        title={inventoryDrives(b) ? "Set by the emissions inventory" : undefined}
                         onChange={(e) => setBaselines({ ...baselines, [s]: { ...b, annual_emissions: (e.target.value === "" ? "" : Number(e.target.value)) } })}
                       />
                     </td>
@@ -2451,6 +3673,9 @@ function MACCAppInner() {
             setCustomCatalogs={setCustomCatalogs}
             catalogMode={catalogMode}
             setCatalogMode={setCatalogMode}
+            fx={fx}
+            fxYear={years[0]}
+            cur={cur}
           />
         </CollapsibleSection>
 
@@ -2461,9 +3686,12 @@ function MACCAppInner() {
             onClose={() => { setWizardOpen(false); setEditingMeasure(null); }}
             onSave={saveWizard}
             sectors={sectors}
-            currency={currency}
-            carbonPrice={carbonPrice}
-            dataSources={resolvedCatalogs}  
+            cur={cur}
+            carbonPrices={carbonSeries}
+            inflation={inflation}
+            gwp={gwp}
+            dataSources={resolvedCatalogs}
+            years={years}
             initialMeasure={editingMeasure} 
           />
         )}
@@ -2473,25 +3701,46 @@ function MACCAppInner() {
 <section className="bg-white rounded-2xl shadow border p-6 space-y-4">
   <div className="flex items-center justify-between">
     <h2 className="text-lg font-semibold">
-      Sectoral MACC — {selectedSector}{" "}
+      Sectoral MACC — {selectedSector}{maccYear != null ? ` — ${maccYear}` : ""}{" "}
       ({mode === 'capacity'
         ? 'Cumulative tCO₂ abated'
-        : 'Cumulative intensity reduction %'} on X; Marginal cost on Y)
+        : mode === 'physical'
+          ? `Intensity reduction, tCO₂/${activeBaseline.production_label}`
+          : 'Cumulative intensity reduction %'} on X; Marginal cost on Y)
     </h2>
-    <button
-      className="px-3 py-1.5 rounded-xl border"
-      onClick={() => exportContainerSvgToPng(maccRef.current, "macc.png")}
-    >
-      Export PNG
-    </button>
+    <div className="flex items-center gap-2">
+      <label className="text-sm flex items-center gap-2">Year
+        <select
+          className="border rounded-xl px-2 py-1"
+          value={maccYear ?? ""}
+          onChange={(e) => { setPlaying(false); setMaccYear(e.target.value === "" ? null : Number(e.target.value)); }}
+          title="Template measures use their saved per-year abatement, and the year's implied cost when saved on the representative-year basis (average and levelized costs are lifetime figures and stay as saved); Quick measures are constant."
+        >
+          <option value="">Representative</option>
+          {years.map(y => <option key={y} value={y}>{y}</option>)}
+        </select>
+      </label>
+      <button
+        className="px-3 py-1.5 rounded-xl border"
+        onClick={() => (playing ? setPlaying(false) : startPlay())}
+      >
+        {playing ? "❚❚ Pause" : "▶ Play"}
+      </button>
+      <button
+        className="px-3 py-1.5 rounded-xl border"
+        onClick={() => exportContainerSvgToPng(maccRef.current, maccYear != null ? `macc_${maccYear}.png` : "macc.png")}
+      >
+        Export PNG
+      </button>
+    </div>
   </div>
 
   <div className="flex flex-col lg:flex-row gap-6">
     <div className="flex-1 relative" ref={maccRef}>
       <ResponsiveContainer width="100%" height={380}>
-        {costModel === 'fit' && quad ? (
+        {costModel === 'fit' && curveFit ? (
           <LineChart
-            data={quad.fitted}
+            data={curveFit.fitted}
             margin={{ top: 20, right: 24, left: 24, bottom: 48 }}
           >
             <defs>
@@ -2506,14 +3755,9 @@ function MACCAppInner() {
               dataKey="x"
               type="number"
               domain={[0, totalWidth]}
-              tickFormatter={(v) =>
-                mode === 'capacity' ? formatNumber(v) : Number(v).toFixed(1) + '%'
-              }
+              tickFormatter={(v) => fmtX(v, mode)}
               label={{
-                value:
-                  mode === 'capacity'
-                    ? 'Cumulative abatement (tCO₂)'
-                    : 'Cumulative intensity reduction (%)',
+                value: xAxisLabel(mode, activeBaseline.production_label),
                 position: 'insideBottom',
                 dy: 24,
                 fill: '#374151',
@@ -2523,9 +3767,9 @@ function MACCAppInner() {
               tick={{ fill: '#374151', fontSize: 12 }}
             />
             <YAxis
-              tickFormatter={(v) => `${currency} ${formatNumber(v)}`}
+              tickFormatter={(v) => `${cur.symbol} ${formatNumber(v)}`}
               label={{
-                value: `Marginal cost (${currency}/tCO₂)`,
+                value: `Marginal cost (${cur.symbol}/tCO₂)`,
                 angle: -90,
                 position: 'insideLeft',
                 fill: '#374151',
@@ -2542,7 +3786,15 @@ function MACCAppInner() {
                 x={targetX}
                 stroke="#111827"
                 strokeDasharray="3 3"
-                label={{ value: 'Target', position: 'top', fill: '#111827', fontSize: 11 }}
+                label={{ value: targetLabel, position: 'top', fill: '#111827', fontSize: 11 }}
+              />
+            )}
+            {/* physical mode: x = 0 is the baseline intensity */}
+            {mode === 'physical' && curveBaseIntensity > 0 && (
+              <ReferenceLine
+                x={0}
+                stroke="#6b7280"
+                label={{ value: `Baseline ${curveBaseIntensity.toFixed(3)} tCO₂/${activeBaseline.production_label}`, position: 'insideTopLeft', fill: '#374151', fontSize: 11 }}
               />
             )}
 
@@ -2550,9 +3802,9 @@ function MACCAppInner() {
             <Line
               type="monotone"
               dataKey="y"
-              name={`Quadratic MACC${
-                quad?.r2 != null && Number.isFinite(quad.r2)
-                  ? ` (R² = ${quad.r2.toFixed(3)})`
+              name={`${FIT_MODELS[curveFit.model]} MACC${
+                curveFit.r2 != null && Number.isFinite(curveFit.r2)
+                  ? ` (R² = ${curveFit.r2.toFixed(3)})`
                   : ""
               }`}
               dot={false}
@@ -2578,14 +3830,9 @@ function MACCAppInner() {
               type="number"
               dataKey="x"
               domain={[0, totalWidth]}
-              tickFormatter={(v) =>
-                mode === 'capacity' ? formatNumber(v) : Number(v).toFixed(1) + '%'
-              }
+              tickFormatter={(v) => fmtX(v, mode)}
               label={{
-                value:
-                  mode === 'capacity'
-                    ? 'Cumulative abatement (tCO₂)'
-                    : 'Cumulative intensity reduction (%)',
+                value: xAxisLabel(mode, activeBaseline.production_label),
                 position: 'insideBottom',
                 dy: 24,
                 fill: '#374151',
@@ -2597,9 +3844,9 @@ function MACCAppInner() {
             <YAxis
               type="number"
               domain={yDomain}
-              tickFormatter={(v) => `${currency} ${formatNumber(v)}`}
+              tickFormatter={(v) => `${cur.symbol} ${formatNumber(v)}`}
               label={{
-                value: `Marginal cost (${currency}/tCO₂)`,
+                value: `Marginal cost (${cur.symbol}/tCO₂)`,
                 angle: -90,
                 position: 'insideLeft',
                 fill: '#374151',
@@ -2616,7 +3863,15 @@ function MACCAppInner() {
                 x={targetX}
                 stroke="#111827"
                 strokeDasharray="3 3"
-                label={{ value: 'Target', position: 'top', fill: '#111827', fontSize: 11 }}
+                label={{ value: targetLabel, position: 'top', fill: '#111827', fontSize: 11 }}
+              />
+            )}
+            {/* physical mode: x = 0 is the baseline intensity */}
+            {mode === 'physical' && curveBaseIntensity > 0 && (
+              <ReferenceLine
+                x={0}
+                stroke="#6b7280"
+                label={{ value: `Baseline ${curveBaseIntensity.toFixed(3)} tCO₂/${activeBaseline.production_label}`, position: 'insideTopLeft', fill: '#374151', fontSize: 11 }}
               />
             )}
 
@@ -2629,7 +3884,7 @@ function MACCAppInner() {
                 y1={0}
                 y2={s.cost}
                 fill={s.color}
-                fillOpacity={0.9}
+                fillOpacity={optimised && !optimised.chosen.has(s.id) ? 0.2 : 0.9}
                 stroke="#ffffff"
                 strokeOpacity={0.7}
                 filter="url(#softShadow)"
@@ -2656,69 +3911,205 @@ function MACCAppInner() {
           <div className="font-semibold">{hoverInfo.seg.name}</div>
           <div className="text-gray-600">Sector: {hoverInfo.seg.sector}</div>
           <div>Abatement: <b>{formatNumber(hoverInfo.seg.abatement)}</b> tCO₂</div>
+          {optimised && (
+            <div className={optimised.chosen.has(hoverInfo.seg.id) ? "text-emerald-700" : "text-gray-500"}>
+              {optimised.chosen.has(hoverInfo.seg.id) ? "In optimal set" : "Not in optimal set"}
+            </div>
+          )}
+          {hoverInfo.seg.reducedPct > 0 && (
+            <div className="text-amber-700">Reduced {hoverInfo.seg.reducedPct.toFixed(0)}% by overlap</div>
+          )}
           <div>
-            Effective cost: <b>{currency} {formatNumber(hoverInfo.seg.cost)}</b> /tCO₂
+            Effective cost: <b>{cur.symbol} {formatNumber(hoverInfo.seg.cost)}</b> /tCO₂
           </div>
         </div>
       )}
 
-      <ColorLegend items={segments} max={16} />
+      <ColorLegend items={segments} dropped={stacked.dropped} max={16} />
     </div>
 
     <div className="w-full lg:w-[380px]">
       <h3 className="text-base font-semibold mb-2">Target & Budget (greedy stack)</h3>
-      <div className="flex items-center gap-2">
-        {/* (Optional) consider making max=100 in intensity mode */}
-        <input
-          type="range"
-          min={0}
-          max={mode === 'capacity' ? 100 : 100}
-          step={1}
-          value={targetIntensityPct}
-          onChange={(e) => setTargetIntensityPct(Number(e.target.value))}
-        />
-        <div className="w-24 text-right">{targetIntensityPct}%</div>
-      </div>
-      <div className="mt-1 text-[11px] text-gray-500">
-        In <b>Intensity</b> mode, % refers to share of baseline emissions per <b>{activeBaseline.production_label}</b>.
-      </div>
-      <div className="mt-3 space-y-1 text-sm">
-        <div>
-          Target reached:{" "}
-          <b>
-            {mode === 'capacity'
-              ? formatNumber(budgetToTarget.targetReached) + ' tCO₂'
-              : budgetToTarget.targetReached.toFixed(2) + '%'}
-          </b>
-        </div>
-        <div>
-          Budget required (Σ cost×tCO₂):{" "}
-          <b>{currency} {formatNumber(budgetToTarget.budget)}</b>
-        </div>
-      </div>
-
-      {quad && (
-        <div className="mt-4">
-          <h4 className="font-medium">Quadratic fit</h4>
-          <div className="text-sm text-gray-600">cost(x) = a + b·x + c·x²</div>
-          <div className="text-sm mt-1">
-            a = {Number.isFinite(quad.a) ? quad.a.toFixed(4) : "—"},{" "}
-            b = {Number.isFinite(quad.b) ? quad.b.toFixed(4) : "—"},{" "}
-            c = {Number.isFinite(quad.c) ? quad.c.toFixed(6) : "—"}
+      {mode === 'physical' ? (
+        <>
+          <label className="flex items-center gap-2 text-sm">Target intensity
+            <input
+              type="number"
+              step="0.001"
+              min={0}
+              className="border rounded-lg px-2 py-1 w-28 text-right"
+              placeholder={curveBaseIntensity.toFixed(3)}
+              value={targetIntensityAbs}
+              onChange={(e) => setTargetIntensityAbs(e.target.value === "" ? "" : Number(e.target.value))}
+            />
+            tCO₂/{activeBaseline.production_label}
+          </label>
+          <div className="mt-1 text-[11px] text-gray-500">
+            Baseline {curveBaseIntensity.toFixed(3)} tCO₂/{activeBaseline.production_label}{maccYear != null ? ` (${maccYear} BAU)` : ""} → a {targetPct.toFixed(1)}% cut.
+          </div>
+        </>
+      ) : (
+        <>
+          <div className="flex items-center gap-2">
+            {/* (Optional) consider making max=100 in intensity mode */}
+            <input
+              type="range"
+              min={0}
+              max={mode === 'capacity' ? 100 : 100}
+              step={1}
+              value={targetIntensityPct}
+              onChange={(e) => setTargetIntensityPct(Number(e.target.value))}
+            />
+            <div className="w-24 text-right">{targetIntensityPct}%</div>
           </div>
-          <div className="text-sm mt-1">
-            Equation:&nbsp;
-            <code>
-              cost(x) = {Number.isFinite(quad.a) ? quad.a.toFixed(4) : "—"}
-              {Number.isFinite(quad.b) ? (quad.b >= 0 ? " + " : " − ") : " ± "}
-              {Number.isFinite(quad.b) ? Math.abs(quad.b).toFixed(4) : "—"}·x
-              {Number.isFinite(quad.c) ? (quad.c >= 0 ? " + " : " − ") : " ± "}
-              {Number.isFinite(quad.c) ? Math.abs(quad.c).toFixed(6) : "—"}·x²
-            </code>
+          <div className="mt-1 text-[11px] text-gray-500">
+            In <b>Intensity</b> mode, % refers to share of {maccYear != null ? <>{maccYear} BAU</> : "baseline"} emissions per <b>{activeBaseline.production_label}</b>.
           </div>
-          <div className="text-sm text-gray-700 mt-1">
-            R² = {quad.r2 != null && Number.isFinite(quad.r2) ? quad.r2.toFixed(4) : "—"}
+        </>
+      )}
+      {(() => {
+        const reached = (b) => (mode === 'capacity'
+          ? formatNumber(b.targetReached) + ' tCO₂'
+          : mode === 'physical'
+            ? `−${b.targetReached.toFixed(3)} → ${(curveBaseIntensity - b.targetReached).toFixed(3)} tCO₂/${activeBaseline.production_label}`
+            : b.targetReached.toFixed(2) + '%');
+        const perT = (v) => (v == null ? "—" : `${cur.symbol} ${formatNumber(inCur(v, cur))}/tCO₂e`);
+        const rows = [
+          ["Target reached", reached],
+          ["Budget required", (b) => `${cur.symbol} ${formatNumber(inCur(b.budget, cur))}`],
+          ["Marginal cost at target", (b) => perT(b.marginalCost)],
+          ["Average cost", (b) => perT(b.averageCost)],
+          ["No‑regret volume (cost < 0)", (b) => `${formatNumber(b.noRegret)} tCO₂`],
+        ];
+        const cols = fitBudget ? [["Steps", budgetToTarget], [FIT_MODELS[fitModel], fitBudget]] : [["Steps", budgetToTarget]];
+        return (
+          <div className="mt-3 text-sm">
+            <table className="w-full">
+              {fitBudget && (
+                <thead>
+                  <tr className="text-xs text-gray-600">
+                    <th></th>
+                    {cols.map(([label]) => <th key={label} className="p-1 text-right font-medium">{label}</th>)}
+                  </tr>
+                </thead>
+              )}
+              <tbody>
+                {rows.map(([label, fmt]) => (
+                  <tr key={label}>
+                    <td className="py-0.5 pr-2">{label}</td>
+                    {cols.map(([k, b]) => <td key={k} className="py-0.5 text-right font-semibold">{fmt(b)}</td>)}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="mt-1 text-[11px] text-gray-500">
+              Steps: Σ cost × tCO₂ taking measures in cost order; marginal cost is the last measure's cost (the carbon price needed to pay for it).
+              {fitBudget && " Fit: ∫ fitted cost from 0 to the target; marginal cost is the fitted cost at the target."}
+              {" "}No‑regret volume counts the whole curve.
+            </div>
           </div>
+        );
+      })()}
+
+      <div className="mt-4 space-y-2 text-sm">
+        <h4 className="font-medium">Optimiser (whole measures)</h4>
+        <select className="border rounded-xl px-2 py-1 w-full" value={optGoal} onChange={(e) => setOptGoal(e.target.value)}>
+          <option value="off">Off</option>
+          {Object.entries(OPTIMISER_GOALS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+        </select>
+        {optGoal === "max_abatement" && (
+          <label className="flex items-center gap-2">Capex budget
+            <input type="number" min={0} className="border rounded-lg px-2 py-1 w-32 text-right" value={capexBudgetCr} onChange={(e) => setCapexBudgetCr(Math.max(0, Number(e.target.value)))} />
+            ₹ cr
+          </label>
+        )}
+        {optimised && (
+          <>
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-gray-500">
+                  <th className="text-left font-normal"></th>
+                  <th className="text-right font-normal">Greedy</th>
+                  <th className="text-right font-normal">Optimal</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[
+                  ["Measures", r => r.chosenIds.length],
+                  ["Abatement (tCO₂)", r => formatNumber(r.abatement)],
+                  [`Cost (${cur.symbol})`, r => formatNumber(inCur(r.cost, cur))],
+                  ["Capex", r => fmtCr(r.capexCr, cur)],
+                ].map(([label, f]) => (
+                  <tr key={label}>
+                    <td>{label}</td>
+                    <td className="text-right">{f(optimised.greedy)}</td>
+                    <td className="text-right font-semibold">{f(optimised.opt)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {!optimised.opt.feasible && <div className="text-xs text-red-600">Target cannot be reached even with every measure.</div>}
+            {!optimised.opt.exact && <div className="text-xs text-amber-700">Search limit hit: best portfolio found so far is shown.</div>}
+            {optimised.offCurve.length > 0 && (
+              <div className="text-xs text-gray-600">Also picks, in place of the group member stacked on the curve: {optimised.offCurve.map(it => it.name).join(", ")}.</div>
+            )}
+            <div className="text-[11px] text-gray-500">
+              Greedy takes whole measures in cost order. The optimal set is solid on the chart; measures left out are faded. Overlaps and exclusivity groups apply to the measures the optimiser picks.
+              {optGoal === "max_abatement" && " Capex = Σ upfront + financed capex of Template measures; Quick measures count as zero."}
+            </div>
+          </>
+        )}
+      </div>
+
+      {Object.values(fits).some(Boolean) && (
+        <div className="mt-4">
+          <h4 className="font-medium">Curve fits</h4>
+          <div className="text-xs text-gray-500">Fitted to the step points (right edge of each measure){fitPositiveCostsOnly ? ", positive costs only" : ""}; x in {fitUnits.xUnit}, cost in {fitUnits.costUnit}. Lower AIC is better; pick the model that draws the fitted curve.</div>
+          <table className="mt-2 text-sm">
+            <thead>
+              <tr className="text-gray-600">
+                <th className="p-1 text-left">Model</th>
+                <th className="p-1 text-right">R²</th>
+                <th className="p-1 text-right">RMSE ({cur.symbol}/tCO₂e)</th>
+                <th className="p-1 text-right">AIC</th>
+                <th className="p-1 text-right">Params</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(FIT_MODELS).map(([k, label]) => {
+                const f = fits[k];
+                const stat = (v, d) => (v != null && Number.isFinite(v) ? v.toFixed(d) : "—");
+                return (
+                  <tr key={k} className={`border-t ${k === fitModel ? 'bg-gray-50 font-medium' : ''}`}>
+                    <td className="p-1">
+                      <label className="flex items-center gap-2">
+                        <input type="radio" name="fit-model" checked={k === fitModel} disabled={!f} onChange={() => setFitModel(k)} />
+                        {label}{k === bestFit && <span className="text-xs text-emerald-700">lowest AIC</span>}
+                      </label>
+                    </td>
+                    <td className="p-1 text-right">{stat(f?.r2, 4)}</td>
+                    <td className="p-1 text-right">{f ? formatNumber(f.rmse) : "—"}</td>
+                    <td className="p-1 text-right">{stat(f?.aic, 1)}</td>
+                    <td className="p-1 text-right">{f ? f.k : "—"}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {curveFit && (
+            <>
+              <div className="text-sm mt-2">
+                Equation:&nbsp;<code className="break-all">{fitEquation(curveFit)}</code>
+              </div>
+              <div className="text-xs text-gray-600 mt-1">
+                {fitParams(curveFit).map(r => `${r.name} = ${Number(r.value.toPrecision(6))}`).join(" · ")}
+              </div>
+              <div className="mt-2 flex gap-2">
+                <button className="px-3 py-1.5 rounded-xl border text-sm" onClick={exportFitJson}>Export fit JSON</button>
+                <button className="px-3 py-1.5 rounded-xl border text-sm" onClick={exportFitCsv}>Export fit CSV</button>
+              </div>
+            </>
+          )}
         </div>
       )}
     </div>
@@ -2731,6 +4122,54 @@ function MACCAppInner() {
 </section>
 
 
+        <CollapsibleSection title={`Carbon price response — ${selectedSector}`} storageKey="macc_collapse_response" defaultOpen={false}>
+          <ResponseChart
+            curve={response}
+            goal={responseGoal}
+            currentPrice={priceAt(stackCarbon, maccYear)}
+            cur={cur}
+            mode={mode}
+            productionLabel={activeBaseline.production_label}
+            targetX={targetX}
+            sector={selectedSector}
+          />
+          <p className="text-xs text-gray-500 mt-2">
+            A measure is viable once the carbon price covers its saved cost (plus the carbon price it was saved with, if its cost already credited one).
+            A flat price shifts every measure's cost alike, so the MACC order and interactions hold at any price.
+            The zero‑net‑cost price is the tonne‑weighted average breakeven of the cheapest measures reaching the target{inflation.basis === "real" ? "; prices are in base‑year ₹ terms" : ""}.
+          </p>
+        </CollapsibleSection>
+
+        {/* Emissions over time */}
+        <CollapsibleSection title={`Emissions pathway — ${selectedSector}`} storageKey="macc_collapse_pathway" defaultOpen={false}>
+          <PathwayChart data={pathway} />
+          <p className="text-xs text-gray-500 mt-2">
+            BAU from each sector's baseline, production growth and autonomous intensity improvement (overrides under Firm Data).
+            Target = {physicalTarget != null ? <>{physicalTarget} tCO₂/{activeBaseline.production_label} × BAU production</> : <>BAU less {targetPct}%</>}; the pathway subtracts the abatement of the selected measures stacked in each year.
+          </p>
+        </CollapsibleSection>
+
+        <CollapsibleSection title={`Abatement wedges — ${selectedSector}`} storageKey="macc_collapse_wedges" defaultOpen={false}>
+          <WedgeChart pathway={pathway} rankOf={rankOf} rankCount={sorted.length} sector={selectedSector} />
+          <p className="text-xs text-gray-500 mt-2">
+            Each wedge is a selected measure's abatement in that year (Template measures from their saved per‑year results, Quick measures constant),
+            stacked on the remaining emissions up to BAU and coloured as on the MACC. Where measures abate more than BAU the wedges overshoot the BAU line.
+          </p>
+        </CollapsibleSection>
+
+        <CollapsibleSection title={`CCTS compliance — ${selectedSector}`} storageKey="macc_collapse_ccts" defaultOpen={false}>
+          <div className="flex flex-wrap items-center gap-3 mb-3 text-sm">
+            <span className="font-medium">Scopes covered by the obligation</span>
+            <ScopeChecks value={cctsScopes} onChange={setCctsScopes} />
+          </div>
+          <ComplianceTable rows={compliance} cur={cur} sector={selectedSector} />
+          <p className="text-xs text-gray-500 mt-2">
+            Allowed emissions = GEI target × BAU production; the selected measures stacked in each year cut BAU to the achieved emissions.
+            A surplus earns Carbon Credit Certificates (1 CCC = 1 tCO₂e) sold at the carbon price; a shortfall is bought at it.
+            "Abate + trade" is the measures' cost before any carbon credit plus the net credit purchase; hover for the split.
+          </p>
+        </CollapsibleSection>
+
         {/* Measures table */}
         <CollapsibleSection title="Measures" storageKey="macc_collapse_measures" defaultOpen={true}>
           <div className="flex items-center justify-between mb-3">
@@ -2748,8 +4187,10 @@ function MACCAppInner() {
                   <th className="p-2 text-left">Use</th>
                   <th className="p-2 text-left">Measure</th>
                   <th className="p-2 text-left">Sector</th>
-                  <th className="p-2 text-right">Abatement (tCO₂)</th>
-                  <th className="p-2 text-right">Marginal cost (input) ({currency}/tCO₂)</th>
+                  <th className="p-2 text-right">Abatement (tCO₂e)</th>
+                  <th className="p-2 text-right">Marginal cost (input) (₹/tCO₂e)</th>
+                  <th className="p-2 text-left">Scope</th>
+                  <th className="p-2 text-left">Gas</th>
                   <th className="p-2 text-right">Actions</th>
                 </tr>
               </thead>
@@ -2778,6 +4219,26 @@ function MACCAppInner() {
                       <td className="p-2 text-right">
                         <input type="number" className="border rounded-lg px-2 py-1 w-40 text-right" value={m.cost_per_tco2} onChange={(e) => { const copy = [...(measures || [])]; const pos = copy.findIndex(x => x.id === m.id); copy[pos] = { ...m, cost_per_tco2: Number(e.target.value) }; setMeasures(copy); }} />
                       </td>
+                      <td className="p-2">
+                        {isTemplateMeasure(m) ? (
+                          <span className="text-xs text-gray-600" title="Split of the representative year's abatement; set per driver in the wizard">
+                            {(() => { const sp = measureScopes(m); const tot = ALL_SCOPES.reduce((t, k) => t + sp[k], 0); return ALL_SCOPES.filter(k => sp[k] !== 0).map(k => `S${k} ${tot ? Math.round(sp[k] / tot * 100) : 0}%`).join(" · ") || "—"; })()}
+                          </span>
+                        ) : (
+                          <ScopeSelect value={m.scope ?? 1} onChange={(v) => { const copy = [...(measures || [])]; const pos = copy.findIndex(x => x.id === m.id); copy[pos] = { ...m, scope: v }; setMeasures(copy); }} />
+                        )}
+                      </td>
+                      <td className="p-2">
+                        {isTemplateMeasure(m) ? (
+                          <span className="text-xs text-gray-600" title="Split of the representative year's abatement in tCO₂e; set by catalog gas factors">
+                            {(() => { const gs = measureGases(m); const tot = Object.values(gs).reduce((t, v) => t + v, 0); return Object.keys(GASES).filter(g => gs[g] !== 0).map(g => `${GASES[g]} ${tot ? Math.round(gs[g] / tot * 100) : 0}%`).join(" · ") || "—"; })()}
+                          </span>
+                        ) : (
+                          <select className="border rounded-lg px-2 py-1" value={GASES[m.gas] ? m.gas : "co2"} onChange={(e) => { const copy = [...(measures || [])]; const pos = copy.findIndex(x => x.id === m.id); copy[pos] = { ...m, gas: e.target.value }; setMeasures(copy); }}>
+                            {Object.entries(GASES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+                          </select>
+                        )}
+                      </td>
                       <td className="p-2 text-right space-x-2">
                         <button
                           className="px-2 py-1 rounded-lg border"
@@ -2799,10 +4260,35 @@ function MACCAppInner() {
           </div>
 
           <div className="mt-3 text-xs text-gray-500">
-            CSV columns: <code>id, name, sector, abatement_tco2, cost_per_tco2, selected, details</code>. If <code>details.saved_cost_includes_carbon_price=true</code>, the chart subtracts only the <i>delta</i> between the current carbon price and <code>details.carbon_price_at_save</code>.
+            CSV columns: <code>id, name, sector, abatement_tco2, cost_per_tco2, selected, details</code>, optional <code>scope</code> (1–3, Quick measures; default 1) and <code>gas</code> (co2, ch4, n2o, pfc, sf6; default co2) (cost in ₹, or in the row's <code>currency</code>; <code>cost_per_tco2_usd</code>/<code>_eur</code> are converted at the base‑year FX rate). If <code>details.saved_cost_includes_carbon_price=true</code>, the chart subtracts only the <i>delta</i> between the current carbon price path and <code>details.carbon_price_path_at_save</code> (legacy rows: <code>carbon_price_at_save</code>) in the plotted year.
           </div>
         </CollapsibleSection>
 
+        {/* Measure interactions */}
+        <CollapsibleSection title="Measure interactions" storageKey="macc_collapse_interactions" defaultOpen={false}>
+          <InteractionsEditor
+            interactions={interactions}
+            onChange={setInteractions}
+            measures={measures}
+            options={(measures || []).filter(m => selectedSector === ALL_SECTORS || m.sector === selectedSector)}
+            dropped={stacked.dropped}
+            reduced={stacked.reduced}
+          />
+        </CollapsibleSection>
+
+        {/* Monte Carlo */}
+        <CollapsibleSection title="Uncertainty — Monte Carlo" storageKey="macc_collapse_montecarlo" defaultOpen={false}>
+          <MonteCarloSection
+            inputs={mcInputs}
+            uncertainty={uncertainty}
+            setUncertainty={setUncertainty}
+            catalogs={resolvedCatalogs}
+            cur={cur}
+            mode={mode}
+            targetPct={targetPct}
+          />
+        </CollapsibleSection>
+
         {/* Timeseries viewer */}
         {inspected && inspectedSeries && (
           <section className="bg-white rounded-2xl shadow border p-6">
@@ -2824,9 +4310,11 @@ function MACCAppInner() {
                 <LineChart data={inspectedSeries}>
                   <CartesianGrid strokeDasharray="3 3" />
                   <XAxis dataKey="year" />
-                  <YAxis yAxisId="left" tickFormatter={(v) => `${currency} ${formatNumber(v)}`} />
+                  <YAxis yAxisId="left" tickFormatter={(v) => `${cur.symbol} ${formatNumber(v)}`} />
                   <Tooltip />
-                  <Line yAxisId="left" type="monotone" dataKey="net_cost_cr" name={`Net cost (${currency} cr)`} />
+                  <Legend />
+                  <Line yAxisId="left" type="monotone" dataKey="net_cost" name={`Net cost (${cur.symbol} ${currency === MODEL_CURRENCY ? "cr" : "M"})`} />
+                  <Line yAxisId="left" type="monotone" dataKey="tax_shield" stroke="#059669" name={`Depreciation tax shield (${cur.symbol} ${currency === MODEL_CURRENCY ? "cr" : "M"})`} />
                 </LineChart>
               </ResponsiveContainer>
             </div>
@@ -2838,11 +4326,31 @@ function MACCAppInner() {
           <h2 className="text-lg font-semibold mb-2">Methodology</h2>
           <ul className="list-disc pl-5 text-sm space-y-1 text-gray-700">
             <li>Wizard uses the selected <b>catalog source</b> (Sample / Custom / Merged). In Merged mode, custom entries override sample by <code>name</code> (or <code>state</code> for electricity).</li>
+            <li><b>Physical intensity</b> mode plots the cumulative reduction in tCO₂ per production unit (abatement ÷ BAU production of the plotted year) and takes the target as an absolute intensity, the way CCTS GEI targets are written; the chart marks the baseline and target intensities, and the target converts to the equivalent % cut for the budget, optimiser and Monte Carlo.</li>
+            <li><b>Scopes</b>: Template abatement is split by GHG Protocol scope per driver (fuels and other direct Scope 1, grid electricity Scope 2, purchased raw materials, transport and waste Scope 3 by default; overridable per category and per line) and saved per year; Quick measures carry one scope. The curve, pathway and Monte Carlo stack only the ticked scopes' share of each measure at its unit cost, and CCTS compliance counts only the scopes its obligation covers.</li>
+            <li><b>Emissions inventory</b>: a sector's baseline emissions can be built from annual activity data (fuel, process material, transport and waste quantities and grid electricity MWh) priced at the active catalogs' EFs. Each line takes the scope of the matching template driver category (fuels Scope 1, electricity Scope 2, materials, transport and waste Scope 3) unless it sets its own. While linked, the inventory's Scope 1 + 2 emissions — the scopes CCTS covers — replace the typed baseline and are recalculated whenever a catalog EF changes; Scope 3 is shown but kept out of the baseline.</li>
+            <li><b>Greenhouse gases</b>: Catalog rows may add CH₄, N₂O, PFC (as CF₄) and SF₆ factors in tonnes of gas next to the CO₂ factor; each is converted to tCO₂e with the firm's GWP-100 set (IPCC AR4, AR5 or AR6). Abatement, inventories and costs per tonne are in tCO₂e, and Template results keep the per-gas split (a line's EF overrides are entered per gas and replace those gases' catalog factors; an older single tCO₂e override is split like its catalog row; other direct tonnes count as the chosen gas). Monte Carlo catalog ranges can be set on each gas's factor.. Templates saved under another set refresh when re-saved.</li>
+            <li><b>Production units</b>: "All sectors" adds sector production only when the units match, or when every unit has an equivalence factor to the firm's common unit. Otherwise production is marked as mixed units; emissions still add up, but intensity is n/a and the Physical view falls back to Intensity.</li>
             <li>Continuous MACC uses coloured rectangles (width = potential, height = cost − carbon price or delta‑adjusted if already applied).</li>
+            <li>With a <b>year</b> selected, Template measures are plotted from their saved per‑year abatement and implied cost (interpolated between saved years); Quick measures keep their constant values.</li>
             <li>Wizard computes per‑year reductions via Σ(Δquantity × EF × adoption).</li>
-            <li>Costs include drivers + opex + other − savings + financed annuity; upfront capex is added as that year’s cash flow.</li>
-            <li>NPV/IRR are computed from yearly cash flows (with/without carbon price) discounted at the real rate.</li>
-            <li>Interpolation buttons linearly fill missing 5‑year columns.</li>
+            <li>Costs include drivers + opex + other − savings + that year's debt service on financed capex; upfront capex is added as that year’s cash flow.</li>
+            <li>Template measures can carry a <b>corporate tax rate</b> and tax <b>depreciation</b> (SLM, WDV or accelerated WDV for RE assets) of their capex over an asset life, added up over every calendar year of each grid period so the asset is written off in full; NPV/IRR then use after‑tax cash flows (pre‑tax shown alongside), the <i>Levelized after tax</i> cost basis nets the tax saved off each year's cost, and the timeseries viewer shows the depreciation tax shield per year.</li>
+            <li><b>Financed capex</b> is entered as loan tranches (drawdown year, amount, rate, tenure, moratorium, EMI or equal principal). Their combined annual repayment schedule is generated and each grid year carries the average yearly debt service over its period (the calendar years up to the next grid year; the last grid year stands for itself) as financing cost, so every payment within the horizon is counted; interest is deducted for tax. Older measures' per‑year financed capex is read as one EMI tranche per year.</li>
+            <li><b>Project life</b>: each capex vintage (upfront or a loan drawdown) lasts the project life. On <i>Replace</i> it is bought again outright when it expires inside the horizon (cost escalated by firm inflation, booked in the next horizon year); on <i>Retire</i> abatement and operating flows stop at the end of life. The unexpired straight‑line share of equipment still in service is credited as salvage in the final horizon year.</li>
+            <li><b>BAU emissions</b>: each sector's baseline is a base‑year snapshot projected with production growth and autonomous intensity improvement (emissions × (1+g)ⁿ × (1−i)ⁿ), with optional per‑year overrides. With a year selected, intensity % and the target are measured against that year's BAU; the emissions pathway shows BAU, the target and BAU less the selected measures' abatement per year.</li>
+            <li>The <b>abatement wedge</b> chart stacks each selected measure's yearly abatement on the remaining emissions, so the stack reaches BAU, with the target overlaid; wedges use the MACC's colours and export to CSV/PNG.</li>
+            <li><b>CCTS compliance</b>: each sector (or firm) row can carry notified GEI targets (tCO₂e per unit) by compliance year. Allowed emissions are target × BAU production; achieved emissions are BAU less the selected measures' abatement that year, and the difference is the CCC surplus or shortfall. The summary compares buying credits for the whole gap at the carbon price with abating (measures at their cost before the carbon credit) and trading the remainder.</li>
+            <li>NPV/IRR are computed from yearly cash flows (with/without carbon price). Entered prices, escalations, cost stack, carbon price and discount/interest rates are <b>nominal</b>. On the firm's <b>real</b> price basis every year's ₹ figures are deflated to constant base‑year ₹ at the inflation rate and discounted at the Fisher real rate (1 + r)/(1 + π) − 1, so NPV is unchanged while IRR, per‑year costs and the saved ₹/tCO₂ come out in real terms; loan annuities keep their nominal rate and lose real value over the tenure.</li>
+            <li>The cost a Template measure writes to the MACC is its <b>representative‑year</b> implied cost, the <b>simple average</b> over the horizon, or the <b>levelized</b> cost (discounted lifetime cost incl. upfront capex ÷ discounted lifetime abatement); the choice is stored in <code>details.cost_basis</code>. NPV/IRR, the average and the LCOA all use the same calendar‑year flows: each grid year's recurring cost and abatement run through its period up to the next grid year, upfront capex is paid in its grid year. With a curve year selected, representative‑year measures plot that year's implied cost; average and levelized costs are lifetime figures and stay as saved.</li>
+            <li>The firm's modelling horizon (start/end year, annual or 5‑yearly step) sets the wizard columns; measures saved on another grid are resampled. Interpolation buttons linearly fill missing year columns.</li>
+            <li>The <b>carbon price</b> is a per‑firm path: a start price compounding at a growth rate, with optional per‑year overrides. The wizard credits each year’s own price, and the MACC reads the price in the plotted year (the representative year when none is selected).</li>
+            <li><b>Measure interactions</b> are applied after ordering by effective cost: an exclusivity group stacks only its chosen (else cheapest) member, and an overlap pair cuts B's abatement by X% when A is stacked (B's ₹/tCO₂ is kept). The curve, totals and target budget all use the adjusted stack.</li>
+            <li><b>Curve fits</b>: the fitted curve is a least‑squares fit of marginal cost to the step points (the right edge of each measure) with one of five models — quadratic, continuous piecewise linear (up to three segments, breakpoints at data points), exponential a + b·e^(k·x), power law a + b·(x/x0)^c, or a monotone cubic spline through up to six binned knots. R², RMSE and AIC (n·ln(SSE/n) + 2k) compare them; the chosen fit's equation and parameters export as JSON or CSV in the plotted x units and reporting currency. While the fit is drawn, the target panel also reads the budget off it (∫ fitted cost from 0 to the target, Simpson's rule), with the fitted cost at the target as the marginal cost, next to the step walk's figures.</li>
+            <li><b>Breakeven carbon price</b>: a measure becomes viable (effective cost ≤ 0) at its saved cost, or, when the saved cost already credited a carbon price, at the saved cost plus the price at save (saved path, else the legacy scalar). The response chart stacks viable abatement against a flat carbon price; the goal‑seek returns the lowest price at which the cheapest measures reaching the target cost nothing in total (Σ tonnes × (breakeven − price) = 0), next to the marginal price at which each of them pays on its own.</li>
+            <li>The <b>optimiser</b> treats measures as indivisible and solves a 0/1 knapsack exactly by branch and bound in the browser: either the cheapest set reaching the target (negative‑cost measures are always included), or the most abatement whose total capex (upfront + financed, ₹ cr) fits the budget. Interactions follow the picked measures: each choice of exclusivity group member and of overlapping measures taken is solved as its own knapsack, so an overlap only cuts a measure when the one it overlaps with is in the set.</li>
+            <li><b>Monte Carlo</b> draws triangular/uniform ranges on Quick measure abatement and cost, catalog prices/EFs and Template inputs (activity, capex, opex, savings as % of entered values), rebuilds the stack per draw and reports the P10/P50/P90 marginal‑cost band, the probability that total abatement reaches the target, and the distribution of the greedy budget. Runs are seeded and repeatable.</li>
+            <li>Everything is modelled in <b>₹</b>. The firm's <b>reporting currency</b> (INR / USD / EUR) converts the curve, budgets and wizard outputs with its per‑year FX table (₹ per unit, read at the plotted year). Catalog and measure CSVs priced in USD/EUR (<code>_usd</code>/<code>_eur</code> columns or a <code>currency</code> column) are converted to ₹ on import at the base‑year rate.</li>
             <li>Firm data and catalogs are stored locally per firm and portable via JSON export/import.</li>
           </ul>
         </section>
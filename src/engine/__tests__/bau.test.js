@@ -0,0 +1,47 @@
+import { describe, it, expect } from "vitest";
+import { normalizeBau, bauAt, bauProjection, projectBaseline, emissionsPathway, runMacc, ALL_SECTORS } from "../index.js";
+
+const steel = {
+  production_label: "tonnes", annual_production: 100, annual_emissions: 200,
+  bau: { base_year: 2025, production_growth_pct: 5, intensity_improvement_pct: 1 },
+};
+const baselines = { Steel: steel, Cement: { production_label: "tonnes", annual_production: 50, annual_emissions: 40 } };
+
+describe("BAU projection", () => {
+  it("compounds production growth and intensity improvement", () => {
+    const p = bauAt(steel, 2030);
+    expect(p.production).toBeCloseTo(100 * Math.pow(1.05, 5), 9);
+    expect(p.emissions).toBeCloseTo(200 * Math.pow(1.05, 5) * Math.pow(0.99, 5), 9);
+    expect(p.intensity).toBeCloseTo(2 * Math.pow(0.99, 5), 9);
+  });
+
+  it("honours per-year overrides and stays flat without settings", () => {
+    const b = { ...steel, bau: { ...steel.bau, overrides: { 2035: 150, 2040: "" } } };
+    expect(bauProjection(b, [2035, 2040]).map(r => r.overridden)).toEqual([true, false]);
+    expect(bauAt(b, 2035).emissions).toBe(150);
+    expect(bauAt(baselines.Cement, 2050).emissions).toBe(40);
+    expect(normalizeBau(null)).toEqual({ base_year: 2025, production_growth_pct: 0, intensity_improvement_pct: 0, overrides: {} });
+  });
+
+  it("sums projected sectors for All sectors and keeps the snapshot without a year", () => {
+    expect(projectBaseline(baselines, ALL_SECTORS, 2030).annual_emissions).toBeCloseTo(bauAt(steel, 2030).emissions + 40, 9);
+    expect(projectBaseline(baselines, "Steel", null).annual_emissions).toBe(200);
+  });
+});
+
+describe("BAU in the curve", () => {
+  const quick = { id: 1, name: "Q", sector: "Steel", abatement_tco2: 20, cost_per_tco2: 100, selected: true };
+
+  it("measures intensity % against the projected year", () => {
+    const r = runMacc({ measures: [quick], baselines, sector: "Steel", mode: "intensity", year: 2030 });
+    expect(r.baseline.annual_emissions).toBeCloseTo(bauAt(steel, 2030).emissions, 9);
+    expect(r.totalX).toBeCloseTo(20 / bauAt(steel, 2030).emissions * 100, 9);
+  });
+
+  it("builds BAU, target and with-measures pathways", () => {
+    const path = emissionsPathway({ measures: [quick], baselines, sector: "Steel", years: [2025, 2030], targetPct: 25 });
+    expect(path[0]).toMatchObject({ year: 2025, bau: 200, target: 150, withMeasures: 180, abated: 20 });
+    expect(path[1].withMeasures).toBeCloseTo(path[1].bau - 20, 9);
+    expect(path[0].measures).toEqual([{ id: 1, name: "Q", abatement: 20 }]);
+  });
+});
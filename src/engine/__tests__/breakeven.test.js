@@ -0,0 +1,48 @@
+import { describe, it, expect } from "vitest";
+import { breakevenCarbonPrice, responseCurve, viableAbatement, targetCarbonPrice, effectiveCost, runMacc } from "../index.js";
+
+const path = { years: [2025, 2030], prices: [100, 600] };
+
+describe("breakeven carbon price", () => {
+  it("is the saved cost, plus the carbon price credited at save", () => {
+    expect(breakevenCarbonPrice({ cost_per_tco2: 800 })).toBe(800);
+    const legacy = { cost_per_tco2: 800, details: { saved_cost_includes_carbon_price: true, carbon_price_at_save: 200 } };
+    expect(breakevenCarbonPrice(legacy)).toBe(1000);
+    const saved = { cost_per_tco2: 800, year: 2030, details: { saved_cost_includes_carbon_price: true, carbon_price_path_at_save: path } };
+    expect(breakevenCarbonPrice(saved)).toBe(1400);
+    expect(effectiveCost(saved, breakevenCarbonPrice(saved))).toBe(0);
+  });
+});
+
+describe("response curve and target price", () => {
+  const sorted = [
+    { id: 1, name: "A", abatement_tco2: 100, cost_per_tco2: -50 },
+    { id: 2, name: "B", abatement_tco2: 100, cost_per_tco2: 300, details: { saved_cost_includes_carbon_price: true, carbon_price_at_save: 100 } },
+    { id: 3, name: "C", abatement_tco2: 100, cost_per_tco2: 200 },
+  ];
+  const opts = { mode: "intensity", baselineEmissions: 1000 };
+  const curve = responseCurve(sorted, opts);
+
+  it("stacks abatement by breakeven price", () => {
+    expect(curve.map(p => [p.id, p.breakeven, p.cumAbate, p.x])).toEqual([[1, -50, 100, 10], [3, 200, 200, 20], [2, 400, 300, 30]]);
+    expect(viableAbatement(curve, 200)).toBe(200);
+    expect(viableAbatement(curve, 0)).toBe(100);
+  });
+
+  it("goal-seeks the zero-net-cost price for the target", () => {
+    const r = targetCarbonPrice(curve, { ...opts, targetPct: 25 });
+    // 100 t at −50, 100 t at 200, 50 t at 400 → Σ = 35 000 over 250 t
+    expect(r.averagePrice).toBeCloseTo(140, 9);
+    expect(r.price).toBeCloseTo(140, 9);
+    expect(r.marginalPrice).toBe(400);
+    expect(r.targetX).toBe(25);
+    expect(targetCarbonPrice(curve, { ...opts, targetPct: 5 })).toMatchObject({ price: 0, averagePrice: -50 });
+    expect(targetCarbonPrice(curve, { ...opts, targetPct: 40 })).toMatchObject({ price: null, reachable: false });
+  });
+
+  it("comes back from runMacc on the stacked curve", () => {
+    const r = runMacc({ measures: sorted.map(m => ({ ...m, sector: "Steel", selected: true })), baselines: { Steel: { annual_emissions: 1000 } }, carbonPrice: 150, targetPct: 25 });
+    expect(r.response.map(p => p.id)).toEqual([1, 3, 2]);
+    expect(r.targetPrice.price).toBeCloseTo(140, 9);
+  });
+});
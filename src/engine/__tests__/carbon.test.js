@@ -0,0 +1,59 @@
+import { describe, it, expect } from "vitest";
+import { normalizeCarbonPath, carbonPriceSeries, priceAt, effectiveCost, computeMeasure } from "../index.js";
+
+describe("carbon price path", () => {
+  it("builds a legacy flat path from a scalar", () => {
+    expect(normalizeCarbonPath(null, 500)).toEqual({ start: 500, growthPct: 0, overrides: {} });
+  });
+
+  it("compounds growth from the base year and lets overrides win", () => {
+    const s = carbonPriceSeries({ start: 1000, growthPct: 10, overrides: { 2027: 5000 } }, [2025, 2026, 2027, 2028]);
+    expect(s.prices[0]).toBe(1000);
+    expect(s.prices[1]).toBeCloseTo(1100, 6);
+    expect(s.prices[2]).toBe(5000);
+    expect(s.prices[3]).toBeCloseTo(1331, 6);
+  });
+
+  it("drops blank overrides", () => {
+    expect(normalizeCarbonPath({ start: 1, overrides: { 2030: "", 2035: "7" } }).overrides).toEqual({ 2035: 7 });
+  });
+
+  it("reads a series linearly between years and flat outside", () => {
+    const s = { years: [2025, 2030], prices: [100, 200] };
+    expect(priceAt(s, 2027)).toBe(140);
+    expect(priceAt(s, 2020)).toBe(100);
+    expect(priceAt(s, 2040)).toBe(200);
+    expect(priceAt(s, null)).toBe(100);
+    expect(priceAt(300, 2040)).toBe(300);
+  });
+});
+
+describe("path-aware costs", () => {
+  const path = { years: [2025, 2030], prices: [100, 600] };
+
+  it("reads the price at the measure's curve year", () => {
+    expect(effectiveCost({ cost_per_tco2: 1000, year: 2030 }, path)).toBe(400);
+    expect(effectiveCost({ cost_per_tco2: 1000 }, path)).toBe(900);
+  });
+
+  it("subtracts only the path delta when the saved cost included the saved path", () => {
+    const m = {
+      cost_per_tco2: 1000, year: 2030,
+      details: { saved_cost_includes_carbon_price: true, carbon_price_path_at_save: { years: [2025, 2030], prices: [100, 500] } },
+    };
+    expect(effectiveCost(m, path)).toBe(900);
+  });
+
+  it("credits each year's own price in the with-CP cashflow", () => {
+    const template = {
+      years: [2025, 2030],
+      meta: { discount_rate: 0.1 },
+      adoption: [1, 1],
+      drivers: { other_direct_t: [10, 10] },
+      stack: { opex_cr: [0, 0], savings_cr: [0, 0], other_cr: [0, 0], capex_upfront_cr: [0, 0], capex_financed_cr: [0, 0] },
+    };
+    const { perYear } = computeMeasure(template, { carbonPrice: path });
+    expect(perYear.map(r => r.carbon_price)).toEqual([100, 600]);
+    expect(perYear[1].cashflow_inr_w_cp - perYear[1].cashflow_inr_wo_cp).toBeCloseTo(6000, 6);
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it, expect } from "vitest";
+import { normalizeGeiTargets, complianceSummary, ALL_SECTORS } from "../index.js";
+
+// 100 t product at 2 tCO₂e/t, target 1.8 in 2026 and 1.5 in 2027
+const baselines = {
+  Steel: { production_label: "tonnes", annual_production: 100, annual_emissions: 200, gei_targets: { 2026: 1.8, 2027: 1.5 } },
+  Cement: { production_label: "tonnes", annual_production: 50, annual_emissions: 50, gei_targets: { 2026: 1.1 } },
+};
+const measures = [
+  { id: 1, name: "Cheap", sector: "Steel", abatement_tco2: 30, cost_per_tco2: 500, selected: true },
+  { id: 2, name: "Dear", sector: "Steel", abatement_tco2: 10, cost_per_tco2: 5000, selected: true },
+];
+
+describe("CCTS compliance", () => {
+  it("cleans target tables", () => {
+    expect(normalizeGeiTargets({ 2026: "1.2", x: 1, 2027: "", 2028: -1 })).toEqual({ 2026: 1.2 });
+  });
+
+  it("computes achieved intensity and credit surplus or shortfall", () => {
+    const [y26, y27] = complianceSummary({ measures, baselines, sector: "Steel", carbonPrice: 1000 });
+    expect(y26).toMatchObject({ year: 2026, allowed: 180, achieved: 160, credits: 20, achievedIntensity: 1.6, bauIntensity: 2 });
+    expect(y27).toMatchObject({ year: 2027, allowed: 150, credits: -10 });
+  });
+
+  it("compares buying credits with abating", () => {
+    const [y26, y27] = complianceSummary({ measures, baselines, sector: "Steel", carbonPrice: 1000 });
+    expect(y26.buyOnlyCost).toBe(20 * 1000);
+    expect(y26.abatementCost).toBe(30 * 500 + 10 * 5000);
+    expect(y26.creditCost).toBe(-20 * 1000);
+    expect(y26.saving).toBe(20_000 - (65_000 - 20_000));
+    expect(y27.netCost).toBe(65_000 + 10 * 1000);
+  });
+
+  it("costs abatement gross of the carbon price on a rising path", () => {
+    const path = { years: [2025, 2040], prices: [1000, 5000] };
+    const steel = { Steel: { ...baselines.Steel, gei_targets: { 2040: 1.8 } } };
+    const withCp = { id: 3, name: "Saved with CP", sector: "Steel", abatement_tco2: 5, cost_per_tco2: 700, selected: true, details: { saved_cost_includes_carbon_price: true, carbon_price_at_save: 200 } };
+    const [row] = complianceSummary({ measures: [measures[0], withCp], baselines: steel, sector: "Steel", carbonPrice: path });
+    expect(row).toMatchObject({ year: 2040, carbonPrice: 5000, abated: 35 });
+    expect(row.abatementCost).toBe(30 * 500 + 5 * 900);
+  });
+
+  it("adds sectors with a target for All sectors", () => {
+    const rows = complianceSummary({ measures, baselines, sector: ALL_SECTORS, carbonPrice: 1000 });
+    expect(rows.map(r => r.year)).toEqual([2026, 2027]);
+    expect(rows[0]).toMatchObject({ sectors: 2, allowed: expect.closeTo(180 + 55, 9), credits: expect.closeTo(20 + 5, 9), achievedIntensity: null });
+    expect(rows[1].sectors).toBe(1);
+  });
+});
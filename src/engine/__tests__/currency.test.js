@@ -0,0 +1,54 @@
+import { describe, it, expect } from "vitest";
+import { currencyCode, normalizeFx, fxRate, toInr, fromInr, measureCostToInr, catalogRowToInr, normalizeFRTW, normalizeElec } from "../index.js";
+import { loadSample } from "./sample.js";
+
+const fx = normalizeFx({ USD: { 2025: 80, 2035: 100 }, EUR: { 2025: 90 } });
+
+describe("currency codes", () => {
+  it("maps legacy symbols to codes", () => {
+    expect(currencyCode("₹")).toBe("INR");
+    expect(currencyCode("$")).toBe("USD");
+    expect(currencyCode("eur")).toBe("EUR");
+    expect(currencyCode(undefined)).toBe("INR");
+  });
+});
+
+describe("FX table", () => {
+  it("interpolates between years and holds flat outside", () => {
+    expect(fxRate(fx, "USD", 2030)).toBe(90);
+    expect(fxRate(fx, "USD", 2050)).toBe(100);
+    expect(fxRate(fx, "USD")).toBe(80);
+    expect(fxRate(fx, "INR", 2030)).toBe(1);
+  });
+
+  it("converts both ways", () => {
+    expect(toInr(10, "EUR", fx)).toBe(900);
+    expect(fromInr(900, "USD", fx, 2030)).toBe(10);
+  });
+
+  it("falls back to default rates and drops bad entries", () => {
+    expect(normalizeFx(null).USD).toEqual({ 2025: 80 });
+    expect(normalizeFx({ USD: { 2025: "x", 2030: 85 } }).USD).toEqual({ 2030: 85 });
+  });
+});
+
+describe("import conversion", () => {
+  it("reads the sample's USD cost column at its ₹80/$ rate", () => {
+    const { measures } = loadSample();
+    for (const m of measures) {
+      expect(measureCostToInr({ cost_per_tco2_usd: m.cost_per_tco2_usd }, fx)).toBeCloseTo(m.cost_per_tco2, -2);
+    }
+  });
+
+  it("prefers the ₹ cost, or converts it from the row currency", () => {
+    expect(measureCostToInr({ cost_per_tco2: 500, cost_per_tco2_usd: 1 }, fx)).toBe(500);
+    expect(measureCostToInr({ cost_per_tco2: 5, currency: "USD" }, fx, 2035)).toBe(500);
+    expect(measureCostToInr({ name: "x" }, fx)).toBeNull();
+  });
+
+  it("converts catalog prices before normalising", () => {
+    expect(normalizeFRTW(catalogRowToInr({ name: "Coal", price_per_unit_usd: 100, ef_tco2_per_unit: 2.4 }, fx)).price_per_unit_inr).toBe(8000);
+    expect(normalizeElec(catalogRowToInr({ state: "X", price_per_mwh: 50, currency: "EUR" }, fx)).price_per_mwh_inr).toBe(4500);
+    expect(catalogRowToInr({ price_per_unit_inr: 7, price_per_unit_usd: 1 }, fx).price_per_unit_inr).toBe(7);
+  });
+});
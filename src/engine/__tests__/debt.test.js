@@ -0,0 +1,77 @@
+import { describe, it, expect } from "vitest";
+import { amortise, debtSchedule, loanTranches, annuityFactor, computeMeasure, INR_PER_CRORE } from "../index.js";
+import { loadSample, coalTemplate } from "./sample.js";
+
+const { catalogs } = loadSample();
+const sum = (rows, k) => rows.reduce((s, r) => s + r[k], 0);
+
+describe("amortise", () => {
+  it("pays equal instalments that clear the loan", () => {
+    const rows = amortise({ drawdown_year: 2025, amount_cr: 100, rate_pct: 8, tenure_years: 5 });
+    const emi = 100 * annuityFactor(0.08, 5);
+    expect(rows.map(r => r.year)).toEqual([2025, 2026, 2027, 2028, 2029]);
+    rows.forEach(r => expect(r.payment).toBeCloseTo(emi, 9));
+    expect(rows[0].interest).toBeCloseTo(8, 12);
+    expect(sum(rows, "principal")).toBeCloseTo(100, 9);
+    expect(rows[4].closing).toBeCloseTo(0, 9);
+  });
+
+  it("pays interest only through the moratorium, then equal principal", () => {
+    const rows = amortise({ drawdown_year: 2030, amount_cr: 60, rate_pct: 10, tenure_years: 3, grace_years: 2, repayment: "equal_principal" });
+    expect(rows.map(r => r.principal)).toEqual([0, 0, 20, 20, 20]);
+    expect(rows.map(r => r.interest)).toEqual([6, 6, 6, 4, 2].map(v => expect.closeTo(v, 12)));
+  });
+
+  it("repays a zero-rate loan in equal parts", () => {
+    expect(amortise({ drawdown_year: 2025, amount_cr: 30, rate_pct: 0, tenure_years: 3 }).map(r => r.payment)).toEqual([10, 10, 10]);
+  });
+});
+
+describe("debtSchedule", () => {
+  it("combines overlapping tranches by calendar year", () => {
+    const s = debtSchedule([
+      { drawdown_year: 2025, amount_cr: 50, rate_pct: 0, tenure_years: 5 },
+      { drawdown_year: 2027, amount_cr: 20, rate_pct: 0, tenure_years: 2 },
+    ]);
+    expect(s.map(r => r.year)).toEqual([2025, 2026, 2027, 2028, 2029]);
+    expect(s[2]).toMatchObject({ drawdown: 20, principal: 20, closing: 30 });
+    expect(s[4].closing).toBeCloseTo(0, 12);
+  });
+
+  it("reads legacy per-year financing arrays as tranches", () => {
+    const stack = { capex_financed_cr: [0, 40], interest_rate_pct: [7, 9], financing_tenure_years: [10, 8] };
+    expect(loanTranches(stack, [2025, 2030])).toEqual([
+      { id: 1, drawdown_year: 2030, amount_cr: 40, rate_pct: 9, tenure_years: 8, grace_years: 0, repayment: "annuity" },
+    ]);
+  });
+});
+
+describe("computeMeasure with loan tranches", () => {
+  it("counts every payment of the schedule in the grid periods it falls in", () => {
+    const t = coalTemplate();
+    t.stack.loans = [{ id: 1, drawdown_year: 2025, amount_cr: 100, rate_pct: 7, tenure_years: 8 }];
+    const r = computeMeasure(t, { catalogs });
+    const emi = 100 * annuityFactor(0.07, 8);
+    expect(r.debt).toHaveLength(8);
+    expect(r.perYear.map(y => y.period_years)).toEqual([5, 5, 5, 5, 5, 1]);
+    // 2025–2029 pays five instalments, 2030–2034 the last three
+    expect(r.perYear[0].pieces.financedAnnual_cr).toBeCloseTo(emi, 9);
+    expect(r.perYear[1].pieces.financedAnnual_cr).toBeCloseTo(emi * 3 / 5, 9);
+    expect(r.perYear[2].pieces.financedAnnual_cr).toBe(0);
+    const fed = r.perYear.reduce((s, y) => s + y.pieces.financedAnnual_cr * y.period_years, 0);
+    expect(fed).toBeCloseTo(sum(r.debt, "payment"), 9);
+    const interest = r.perYear.reduce((s, y) => s + y.pieces.interest_cr * y.period_years, 0);
+    expect(interest).toBeCloseTo(sum(r.debt, "interest"), 9);
+    expect(r.perYear[1].net_cost_cr - r.perYear[1].pieces.driver_cr).toBeCloseTo(emi * 3 / 5, 9);
+    expect(r.perYear[0].cashflow_inr_wo_cp).toBeCloseTo(-emi * INR_PER_CRORE, 3);
+  });
+
+  it("deducts loan interest from taxable income", () => {
+    const t = coalTemplate();
+    t.stack.loans = [{ id: 1, drawdown_year: 2025, amount_cr: 100, rate_pct: 10, tenure_years: 10, grace_years: 10 }];
+    t.meta = { ...t.meta, tax: { rate_pct: 30, life_years: 100 } };
+    const y0 = computeMeasure(t, { catalogs }).perYear[0];
+    expect(y0.pieces.interest_cr).toBeCloseTo(10, 12);
+    expect(y0.tax_cr).toBeCloseTo(-0.3 * (10 + 1), 12);
+  });
+});
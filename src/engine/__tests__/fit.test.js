@@ -0,0 +1,56 @@
+import { describe, it, expect } from "vitest";
+import { fitModels, fitValue, bestFitModel, scaleFit, fitEquation, fitExport, fitParams, runMacc, FIT_MODELS } from "../index.js";
+import { loadSample } from "./sample.js";
+
+const xs = Array.from({ length: 20 }, (_, i) => (i + 1) * 1_000_000);
+const u = (x) => x / 20_000_000;
+
+describe("curve models", () => {
+  it("recovers the parameters of exact data", () => {
+    const exp = fitModels(xs, xs.map(x => -500 + 40 * Math.exp(3 * u(x)))).exponential;
+    expect(exp.params.k * 20_000_000).toBeCloseTo(3, 4);
+    expect(exp.r2).toBeCloseTo(1, 9);
+    const pow = fitModels(xs, xs.map(x => 100 + 900 * Math.pow(u(x), 2.5))).power;
+    expect(pow.params.c).toBeCloseTo(2.5, 4);
+    expect(pow.params.a).toBeCloseTo(100, 3);
+    const kinked = fitModels(xs, xs.map(x => (x <= 8_000_000 ? -1000 + x / 10_000 : -200 + (x - 8_000_000) / 1000))).piecewise;
+    expect(kinked.rmse).toBeLessThan(1e-6);
+    expect(kinked.params.knots.map(k => k.x)).toContain(8_000_000);
+  });
+
+  it("keeps the spline monotone and scores every model", () => {
+    const ys = xs.map((x, i) => (i < 5 ? -800 : i < 15 ? 50 * i : 2000 + i));
+    const fits = fitModels(xs, ys);
+    expect(Object.keys(fits)).toEqual(Object.keys(FIT_MODELS));
+    let prev = -Infinity;
+    for (let x = 0; x <= 21_000_000; x += 250_000) {
+      const y = fitValue(fits.spline, x);
+      expect(y).toBeGreaterThanOrEqual(prev - 1e-9);
+      prev = y;
+    }
+    for (const f of Object.values(fits)) {
+      expect(f.n).toBe(20);
+      expect(Number.isFinite(f.rmse) && Number.isFinite(f.aic)).toBe(true);
+    }
+    expect(bestFitModel(fits)).toBe(Object.values(fits).reduce((b, f) => (f.aic < b.aic ? f : b)).model);
+  });
+
+  it("scales cost parameters and exports the equation", () => {
+    const fit = fitModels(xs, xs.map(x => 100 + 900 * Math.pow(u(x), 2))).power;
+    const usd = scaleFit(fit, 1 / 80);
+    expect(fitValue(usd, 5_000_000)).toBeCloseTo(fitValue(fit, 5_000_000) / 80, 9);
+    expect(usd.params.c).toBe(fit.params.c);
+    expect(fitEquation(fitModels([1, 2, 3, 4], [1, 2, 3, 4].map(x => 1 + 2 * x - 3 * x * x)).quadratic)).toBe("cost(x) = 1 + 2·x − 3·x²");
+    expect(fitParams(fit).map(r => r.name)).toEqual(["a", "b", "c", "x0"]);
+    expect(fitParams(fitModels(xs, xs).spline)[2]).toEqual({ name: "knot1_m", value: expect.closeTo(1, 9) });
+    expect(fitExport(fit, { xUnit: "tCO2", costUnit: "INR/tCO2e" })).toMatchObject({ model: "power", x_unit: "tCO2", params: fit.params, domain: [1_000_000, 20_000_000] });
+  });
+
+  it("fits the sample curve with every model through runMacc", () => {
+    const r = runMacc({ ...loadSample(), sector: "Steel", carbonPrice: 0, fitModel: "spline" });
+    expect(r.fits.quadratic.r2).toBeCloseTo(r.fit.r2, 12);
+    expect(r.curveFit.model).toBe("spline");
+    expect(r.curveFit.fitted).toHaveLength(r.maccData.length);
+    expect(r.fits.piecewise.r2).toBeGreaterThan(r.fit.r2);
+  });
+});
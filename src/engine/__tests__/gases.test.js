@@ -0,0 +1,82 @@
+import { describe, it, expect } from "vitest";
+import { efCO2e, gasEFs, gasOverrides, normalizeFRTW, computeMeasure, measureAtYear, measureGases, inventoryEmissions, gwpMatches, GWP_SETS } from "../index.js";
+import { coalTemplate, YEARS } from "./sample.js";
+
+// Nitric acid: 0.1 tCO₂ and 0.007 tN₂O per tonne; 1 000 t avoided a year from 2030
+const catalogs = {
+  fuels: [{ name: "Coal (industrial)", unit: "ton", price_per_unit_inr: 0, ef_tco2_per_unit: 2 }],
+  raw: [{ name: "Nitric acid", unit: "ton", price_per_unit_inr: 0, ef_tco2_per_unit: 0.1, ef_n2o_per_unit: 0.007 }],
+};
+const nitric = () => {
+  const t = coalTemplate();
+  t.drivers.fuel_lines = [];
+  t.drivers.raw_lines = [{ id: 1, name: "Nitric acid", priceEscPctYr: 0, efEscPctYr: 0, delta: YEARS.map(() => 1000) }];
+  return t;
+};
+
+describe("GWP sets", () => {
+  it("converts per-gas factors to tCO₂e with the chosen set", () => {
+    const row = catalogs.raw[0];
+    expect(efCO2e(row, "AR5").ef).toBeCloseTo(0.1 + 0.007 * 265, 12);
+    expect(efCO2e(row, "AR6").ef).toBeCloseTo(0.1 + 0.007 * 273, 12);
+    expect(efCO2e(row, "AR4").split.n2o).toBeCloseTo(0.007 * 298 / (0.1 + 0.007 * 298), 12);
+    expect(efCO2e(catalogs.fuels[0], "AR4").ef).toBe(2);
+    expect(gasEFs(undefined, true).co2).toBe(0.71);
+    expect(Object.keys(GWP_SETS)).toEqual(["AR4", "AR5", "AR6"]);
+    expect(gwpMatches({}, "AR6")).toBe(true);
+    expect(gwpMatches({ gwp_set: "AR4" }, "AR6")).toBe(false);
+  });
+
+  it("keeps non-CO₂ catalog columns through normalisation", () => {
+    expect(normalizeFRTW({ name: "Rice", ef_ch4_per_unit: "0.02", ef_sf6_per_unit: "" })).toEqual({
+      name: "Rice", unit: "", price_per_unit_inr: 0, ef_tco2_per_unit: 0, ef_ch4_per_unit: 0.02,
+    });
+  });
+});
+
+describe("per-gas results", () => {
+  it("reports tCO₂e abatement with the gas split kept", () => {
+    const r = computeMeasure(nitric(), { catalogs, gwp: "AR6" });
+    const y = r.perYear[1];
+    expect(y.direct_t).toBeCloseTo(1000 * (0.1 + 0.007 * 273), 9);
+    expect(y.gas_tco2e.co2).toBeCloseTo(100, 9);
+    expect(y.gas_tco2e.n2o).toBeCloseTo(1911, 9);
+    expect(r.finance.gwp).toBe("AR6");
+  });
+
+  it("splits an EF override like the catalog row and counts other tonnes as meta.other_gas", () => {
+    const t = nitric();
+    t.drivers.raw_lines[0].efOv = 1;
+    t.drivers.other_direct_t = YEARS.map(() => 50);
+    t.meta = { ...t.meta, other_gas: "ch4" };
+    const y = computeMeasure(t, { catalogs, gwp: "AR5" }).perYear[1];
+    expect(y.direct_t).toBeCloseTo(1050, 9);
+    expect(y.gas_tco2e.co2).toBeCloseTo(1000 * 0.1 / (0.1 + 0.007 * 265), 9);
+    expect(y.gas_tco2e.ch4).toBe(50);
+  });
+
+  it("builds the EF and split from per-gas overrides on a line", () => {
+    const t = nitric();
+    t.drivers.raw_lines[0].efOv = 5; // ignored once a gas is overridden
+    t.drivers.raw_lines[0].efOvGas = { n2o: 0.002, ch4: 0.01, co2: "" };
+    const y = computeMeasure(t, { catalogs, gwp: "AR5" }).perYear[1];
+    expect(y.direct_t).toBeCloseTo(1000 * (0.1 + 0.002 * 265 + 0.01 * 28), 9);
+    expect(y.gas_tco2e.co2).toBeCloseTo(100, 9);
+    expect(y.gas_tco2e.n2o).toBeCloseTo(530, 9);
+    expect(y.gas_tco2e.ch4).toBeCloseTo(280, 9);
+    expect(gasOverrides({ co2: "", sf6: null })).toBe(null);
+  });
+
+  it("carries the split onto the curve and the inventory", () => {
+    const r = computeMeasure(nitric(), { catalogs, gwp: "AR6" });
+    const m = {
+      id: 1, name: "N₂O abatement", sector: "Fertiliser", selected: true, abatement_tco2: r.rep.direct_t, cost_per_tco2: 0,
+      details: { mode: "template_db_multiline", years: r.YEARS, per_year: r.perYear, representative_index: r.repIdx, meta: {} },
+    };
+    expect(measureGases(measureAtYear(m, 2030)).n2o).toBeCloseTo(1911, 9);
+    expect(measureGases({ abatement_tco2: 10, gas: "sf6" }).sf6).toBe(10);
+    const inv = inventoryEmissions({ lines: [{ source: "raw", item: "Nitric acid", qty: 10 }] }, catalogs, "AR5");
+    expect(inv.total).toBeCloseTo(10 * (0.1 + 0.007 * 265), 9);
+    expect(inv.byGas.n2o).toBeCloseTo(10 * 0.007 * 265, 9);
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it, expect } from "vitest";
+import {
+  normalizeInflation, realRate, deflator, deflateCarbonPrice, priceBasisMatches,
+  computeMeasure, runMacc, INR_PER_CRORE,
+} from "../index.js";
+import { loadSample, coalTemplate } from "./sample.js";
+
+const { catalogs } = loadSample();
+const REAL = { ratePct: 5, basis: "real" };
+
+describe("inflation helpers", () => {
+  it("defaults to a nominal basis", () => {
+    expect(normalizeInflation(null)).toEqual({ ratePct: 0, basis: "nominal" });
+    expect(normalizeInflation({ ratePct: "4", basis: "bogus" })).toEqual({ ratePct: 4, basis: "nominal" });
+  });
+
+  it("converts rates with Fisher and deflates to the base year", () => {
+    expect(realRate(0.10, 5)).toBeCloseTo(1.10 / 1.05 - 1, 12);
+    expect(deflator(REAL, 2030, 2025)).toBeCloseTo(Math.pow(1.05, -5), 12);
+    expect(deflator({ ratePct: 5, basis: "nominal" }, 2030, 2025)).toBe(1);
+  });
+
+  it("deflates a carbon price series from its first year", () => {
+    const s = deflateCarbonPrice({ years: [2025, 2030], prices: [1000, 1000] }, REAL);
+    expect(s.prices[0]).toBe(1000);
+    expect(s.prices[1]).toBeCloseTo(1000 / Math.pow(1.05, 5), 9);
+    expect(deflateCarbonPrice(500, null)).toBe(500);
+  });
+
+  it("treats legacy measures as nominal", () => {
+    expect(priceBasisMatches({}, null)).toBe(true);
+    expect(priceBasisMatches({}, REAL)).toBe(false);
+    expect(priceBasisMatches({ price_basis: REAL }, { ...REAL, ratePct: 6 })).toBe(false);
+  });
+});
+
+describe("computeMeasure on a real basis", () => {
+  const t = () => {
+    const x = coalTemplate();
+    x.stack.capex_upfront_cr = [0, 10, 0, 0, 0, 0];
+    return x;
+  };
+
+  it("deflates per-year costs and the carbon price", () => {
+    const nom = computeMeasure(t(), { catalogs, carbonPrice: 1000 });
+    const real = computeMeasure(t(), { catalogs, carbonPrice: 1000, inflation: REAL });
+    const d = Math.pow(1.05, -5);
+    expect(real.perYear[1].net_cost_cr).toBeCloseTo(nom.perYear[1].net_cost_cr * d, 9);
+    expect(real.perYear[1].pieces.capex_upfront_cr).toBeCloseTo(10 * d, 9);
+    expect(real.perYear[1].carbon_price).toBeCloseTo(1000 * d, 9);
+    expect(real.rep.implied_cost_per_t_wo).toBeCloseTo(nom.rep.implied_cost_per_t_wo * d, 6);
+    expect(real.perYear[1].direct_t).toBe(nom.perYear[1].direct_t);
+  });
+
+  it("keeps NPV and converts IRR and the discount rate", () => {
+    const x = t();
+    x.stack.capex_upfront_cr = [50, 0, 0, 0, 0, 0];
+    x.stack.savings_cr = [0, 20, 20, 20, 20, 20];
+    const nom = computeMeasure(x, { catalogs, carbonPrice: 1000 });
+    const real = computeMeasure(x, { catalogs, carbonPrice: 1000, inflation: REAL });
+    expect(real.finance.discountRate).toBeCloseTo(realRate(0.10, 5), 12);
+    expect(real.finance.npvWO / INR_PER_CRORE).toBeCloseTo(nom.finance.npvWO / INR_PER_CRORE, 6);
+    expect(real.finance.npvW / INR_PER_CRORE).toBeCloseTo(nom.finance.npvW / INR_PER_CRORE, 6);
+    expect(real.finance.irrW).toBeCloseTo(realRate(nom.finance.irrW, 5), 4);
+  });
+
+  it("stacks saved real costs against the deflated carbon price", () => {
+    const cp = { years: [2025, 2030], prices: [1000, 1000] };
+    const c = computeMeasure(coalTemplate(), { catalogs, carbonPrice: cp, inflation: REAL });
+    const details = { mode: "template_db_multiline", ...coalTemplate(), per_year: c.perYear, representative_index: c.repIdx, price_basis: REAL };
+    const m = { id: 1, name: "Coal cut", sector: "Steel", abatement_tco2: c.rep.direct_t, cost_per_tco2: c.rep.implied_cost_per_t_wo, selected: true, details };
+    const r = runMacc({ measures: [m], catalogs, carbonPrice: cp, inflation: REAL, year: 2030 });
+    expect(r.sorted[0].effective_cost).toBeCloseTo(c.perYear[1].implied_cost_per_t_w, 6);
+  });
+});
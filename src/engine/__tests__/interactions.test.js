@@ -0,0 +1,64 @@
+import { describe, it, expect } from "vitest";
+import { applyInteractions, normalizeInteractions, runMacc } from "../index.js";
+import { loadSample } from "./sample.js";
+
+const list = [
+  { id: 1, name: "A", abatement_tco2: 100, effective_cost: -50 },
+  { id: 2, name: "B", abatement_tco2: 200, effective_cost: 10 },
+  { id: 3, name: "C", abatement_tco2: 300, effective_cost: 40 },
+];
+
+describe("exclusivity groups", () => {
+  it("stacks only the cheapest member by default", () => {
+    const r = applyInteractions(list, { groups: [{ name: "Route", members: [2, 3] }] });
+    expect(r.sorted.map(m => m.id)).toEqual([1, 2]);
+    expect(r.dropped).toEqual([{ id: 3, name: "C", sector: undefined, group: "Route" }]);
+  });
+
+  it("stacks the chosen member when set", () => {
+    const r = applyInteractions(list, { groups: [{ name: "Route", members: [2, 3], chosen: 3 }] });
+    expect(r.sorted.map(m => m.id)).toEqual([1, 3]);
+  });
+
+  it("ignores members with nothing to abate", () => {
+    const r = applyInteractions([{ ...list[0], abatement_tco2: 0 }, list[1]], { groups: [{ members: [1, 2] }] });
+    expect(r.dropped).toHaveLength(0);
+  });
+});
+
+describe("overlap pairs", () => {
+  it("reduces B only when A is stacked, applying several overlaps sequentially", () => {
+    const r = applyInteractions(list, { overlaps: [{ a: 1, b: 3, pct: 50 }, { a: 2, b: 3, pct: 20 }] });
+    expect(r.sorted[2].abatement_tco2).toBeCloseTo(120, 9);
+    expect(r.sorted[2].interaction.reducedPct).toBeCloseTo(60, 9);
+    expect(r.reduced[0].by).toEqual(["A", "B"]);
+  });
+
+  it("skips overlaps whose A was dropped by a group", () => {
+    const r = applyInteractions(list, { groups: [{ members: [1, 2], chosen: 2 }], overlaps: [{ a: 1, b: 3, pct: 50 }] });
+    expect(r.sorted.find(m => m.id === 3).abatement_tco2).toBe(300);
+  });
+
+  it("clamps percentages and drops blank ids", () => {
+    expect(normalizeInteractions({ overlaps: [{ a: "1", b: "", pct: 150 }] }).overlaps[0]).toEqual({ id: 1, a: 1, b: null, pct: 100 });
+  });
+});
+
+describe("runMacc with interactions — Steel", () => {
+  const sample = loadSample();
+  // PCI rate (id 1) and COG in DRI (id 2) compete; WHR power (id 5) overlaps 50% with the blower (id 4)
+  const r = runMacc({
+    ...sample, sector: "Steel", targetPct: 5,
+    interactions: { groups: [{ name: "Reductant", members: [1, 2] }], overlaps: [{ a: 4, b: 5, pct: 50 }] },
+  });
+
+  it("shrinks segments, totals and the budget walk consistently", () => {
+    expect(r.dropped.map(d => d.id)).toEqual([2]);
+    expect(r.segments).toHaveLength(16);
+    expect(r.segments.find(s => s.id === 5).reducedPct).toBe(50);
+    expect(r.totalX).toBe(297_000_000 - 8_740_000 - 750_000);
+    expect(r.totals.totalAbatement).toBe(r.totalX);
+    expect(r.maccData[r.maccData.length - 1].cumAbate).toBe(r.totalX);
+    expect(r.budget.targetReached).toBe(14_850_000);
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect } from "vitest";
+import { normalizeInventory, inventoryEmissions, syncInventories, runMacc } from "../index.js";
+import { loadSample } from "./sample.js";
+
+const { catalogs } = loadSample();
+
+const inventory = {
+  lines: [
+    { id: 1, source: "fuels", item: "Coal (industrial)", qty: 1000 },
+    { id: 2, source: "electricity", item: "India", qty: 500 },
+    { id: 3, source: "fuels", item: "Unobtainium", qty: 5 },
+  ],
+};
+
+describe("emissions inventory", () => {
+  it("prices activity at catalog EFs and splits by scope", () => {
+    const inv = inventoryEmissions(inventory, catalogs);
+    expect(inv.scope1).toBeCloseTo(1000 * 2.411, 9);
+    expect(inv.scope2).toBeCloseTo(500 * 0.71, 9);
+    expect(inv.total).toBeCloseTo(inv.scope1 + inv.scope2, 9);
+    expect(inv.lines[2]).toMatchObject({ missing: true, tco2: 0 });
+    expect(normalizeInventory({ lines: [{ source: "nope" }, { source: "raw", qty: "" }] })).toEqual({ linked: true, lines: [{ id: 1, source: "raw", item: "", qty: 0 }] });
+  });
+
+  it("takes line scopes from the driver categories with per-line overrides", () => {
+    const inv = inventoryEmissions({
+      lines: [
+        ...inventory.lines,
+        { id: 4, source: "raw", item: "Sinter", qty: 100 },
+        { id: 5, source: "transport", item: "HGV | diesel", qty: 100 },
+        { id: 6, source: "transport", item: "HGV | diesel", qty: 100, scope: 1 },
+      ],
+    }, catalogs);
+    expect(inv.lines.map(l => l.scope)).toEqual([1, 2, 1, 3, 3, 1]);
+    expect(inv.scope3).toBeCloseTo(26.2 + 11, 9);
+    expect(inv.scope1).toBeCloseTo(2411 + 11, 9);
+    expect(inv.total).toBeCloseTo(inv.scope1 + inv.scope2 + inv.scope3, 9);
+    expect(normalizeInventory({ lines: [{ source: "raw", scope: "3" }, { source: "raw", scope: 7 }] }).lines.map(l => l.scope)).toEqual([3, undefined]);
+  });
+
+  it("keeps only the covered scopes in the baseline", () => {
+    const lines = [...inventory.lines, { id: 4, source: "raw", item: "Sinter", qty: 100 }];
+    const synced = syncInventories({ Steel: { production_label: "tonnes", annual_production: 100, annual_emissions: 1, inventory: { lines } } }, catalogs);
+    expect(synced.Steel.annual_emissions).toBeCloseTo(2411 + 355, 9);
+    expect(synced.Steel.emissions_by_scope[3]).toBeCloseTo(26.2, 9);
+    expect(syncInventories(synced, catalogs, null, [1, 2, 3]).Steel.annual_emissions).toBeCloseTo(2411 + 355 + 26.2, 9);
+  });
+
+  it("fills linked baselines and follows catalog EF updates", () => {
+    const baselines = {
+      Steel: { production_label: "tonnes", annual_production: 100, annual_emissions: 1, inventory },
+      Cement: { production_label: "tonnes", annual_production: 100, annual_emissions: 7, inventory: { ...inventory, linked: false } },
+    };
+    const synced = syncInventories(baselines, catalogs);
+    expect(synced.Steel.annual_emissions).toBeCloseTo(2411 + 355, 9);
+    expect(synced.Steel.emissions_by_scope[2]).toBeCloseTo(355, 9);
+    expect(synced.Cement).toBe(baselines.Cement);
+    expect(syncInventories(synced, catalogs)).toBe(synced);
+
+    const cleaner = { ...catalogs, electricity: [{ state: "India", ef_tco2_per_mwh: 0.5 }] };
+    expect(syncInventories(synced, cleaner).Steel.annual_emissions).toBeCloseTo(2411 + 250, 9);
+    expect(runMacc({ baselines, catalogs: cleaner, sector: "Steel" }).baseline.annual_emissions).toBeCloseTo(2411 + 250, 9);
+  });
+});
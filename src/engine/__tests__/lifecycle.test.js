@@ -0,0 +1,63 @@
+import { describe, it, expect } from "vitest";
+import { projectLife, lifecycle, computeMeasure } from "../index.js";
+import { loadSample, coalTemplate, YEARS } from "./sample.js";
+
+const { catalogs } = loadSample();
+
+describe("lifecycle", () => {
+  it("defaults the life to the horizon", () => {
+    expect(projectLife({}, YEARS)).toBe(26);
+    expect(projectLife({ project_life_years: 12.4 }, YEARS)).toBe(12);
+  });
+
+  it("repeats capex on the replacement cycle and credits the unexpired share", () => {
+    const lc = lifecycle(YEARS, [{ year: 2025, cr: 100 }], { life: 12 });
+    expect(lc.replacements).toEqual([
+      { year: 2040, due: 2037, cr: 100 },
+      { year: 2050, due: 2049, cr: 100 },
+    ]);
+    expect(lc.replacement_cr).toEqual([0, 0, 0, 100, 0, 100]);
+    // Bought in 2049, 10 of 12 years left after 2050
+    expect(lc.salvage_cr[5]).toBeCloseTo(100 * 10 / 12, 12);
+    expect(lc.end).toBe(Infinity);
+  });
+
+  it("escalates replacements by firm inflation", () => {
+    const lc = lifecycle(YEARS, [{ year: 2030, cr: 10 }], { life: 10, inflationPct: 5 });
+    expect(lc.replacements[0]).toMatchObject({ year: 2040, cr: expect.closeTo(10 * Math.pow(1.05, 10), 9) });
+  });
+
+  it("stops at end of life when retiring", () => {
+    const lc = lifecycle(YEARS, [{ year: 2030, cr: 50 }], { life: 10, endOfLife: "retire" });
+    expect(lc.end).toBe(2039);
+    expect(lc.replacements).toEqual([]);
+    expect(lc.salvage_cr.every(v => v === 0)).toBe(true);
+  });
+});
+
+describe("computeMeasure over the project life", () => {
+  const project = (meta) => {
+    const t = coalTemplate();
+    t.stack.capex_upfront_cr = [40, 0, 0, 0, 0, 0];
+    t.stack.savings_cr = YEARS.map(() => 20);
+    t.meta = { ...t.meta, ...meta };
+    return t;
+  };
+
+  it("makes a short-lived asset cost more than a long-lived one", () => {
+    const short = computeMeasure(project({ project_life_years: 10 }), { catalogs });
+    const long = computeMeasure(project({ project_life_years: 30 }), { catalogs });
+    expect(short.perYear[2].pieces.replacement_cr).toBe(40);
+    expect(short.perYear[4].pieces.replacement_cr).toBe(40);
+    expect(long.perYear[5].pieces.salvage_cr).toBeCloseTo(40 * 4 / 30, 12);
+    expect(short.finance.npvWO).toBeLessThan(long.finance.npvWO);
+  });
+
+  it("drops abatement and operating flows after retirement", () => {
+    const r = computeMeasure(project({ project_life_years: 10, end_of_life: "retire" }), { catalogs });
+    expect(r.perYear[1].direct_t).toBeGreaterThan(0);
+    expect(r.perYear[2].direct_t).toBe(0);
+    expect(r.perYear[2].pieces.savings_cr).toBe(0);
+    expect(r.perYear[2].cashflow_inr_wo_cp).toBe(0);
+  });
+});
@@ -0,0 +1,212 @@
+import { describe, it, expect } from "vitest";
+import {
+  runMacc, effectiveCost, sortByEffectiveCost, buildMaccData, budgetToTarget, aggregateBaseline, measureAtYear, perYearAt,
+  targetPctFromIntensity, fitBudgetToTarget, fitValue,
+} from "../index.js";
+import { loadSample } from "./sample.js";
+
+const sample = loadSample();
+
+describe("sample data", () => {
+  it("parses every measure row", () => {
+    expect(sample.measures).toHaveLength(95);
+    expect(sample.measures.every(m => Number.isFinite(m.abatement_tco2) && Number.isFinite(m.cost_per_tco2))).toBe(true);
+  });
+});
+
+describe("runMacc — Steel, no carbon price", () => {
+  const r = runMacc({ ...sample, sector: "Steel", carbonPrice: 0, targetPct: 5 });
+
+  it("orders measures by effective cost", () => {
+    expect(r.sorted.slice(0, 3).map(m => m.name)).toEqual([
+      "Increasing PCI rate", "COG use in DRI production", "Mullite-based kiln lining",
+    ]);
+    const costs = r.sorted.map(m => m.effective_cost);
+    expect(costs).toEqual([...costs].sort((a, b) => a - b));
+  });
+
+  it("builds contiguous segments covering the total abatement", () => {
+    expect(r.segments).toHaveLength(17);
+    expect(r.segments[0].x1_plot).toBe(0);
+    for (let i = 1; i < r.segments.length; i++) expect(r.segments[i].x1_plot).toBe(r.segments[i - 1].x2_plot);
+    expect(r.totalX).toBe(297_000_000);
+    expect(r.totals.totalAbatement).toBe(297_000_000);
+    expect(r.totals.negCostAbatement).toBe(13_270_000);
+  });
+
+  it("fits the quadratic and walks the greedy budget", () => {
+    expect(r.fit.r2).toBeCloseTo(0.76042, 4);
+    expect(r.fit.a).toBeCloseTo(-2464.743, 2);
+    expect(r.targetX).toBe(14_850_000);
+    expect(r.budget.targetReached).toBe(14_850_000);
+    expect(r.budget.budget).toBeCloseTo(-119_562_000_000, -3);
+  });
+});
+
+describe("runMacc — all sectors, intensity mode", () => {
+  const r = runMacc({ ...sample, carbonPrice: 500, mode: "intensity", targetPct: 10 });
+
+  it("aggregates every selected measure", () => {
+    expect(r.segments).toHaveLength(95);
+    expect(r.totals.totalAbatement).toBe(865_101_777);
+    expect(r.totalX).toBeCloseTo(101.85217, 4);
+  });
+
+  it("reports the same budget as capacity mode, in % on the x-axis", () => {
+    const cap = runMacc({ ...sample, carbonPrice: 500, mode: "capacity", targetPct: 10 });
+    expect(r.budget.targetReached).toBeCloseTo(10, 9);
+    expect(r.budget.budget).toBeCloseTo(cap.budget.budget, -3);
+    expect(r.budget.budget).toBeCloseTo(-485_585_027_934.4, -3);
+  });
+});
+
+describe("runMacc — Steel, physical intensity mode", () => {
+  const steel = sample.baselines.Steel;
+  const I0 = steel.annual_emissions / steel.annual_production;
+  const r = runMacc({ ...sample, sector: "Steel", carbonPrice: 500, mode: "physical", targetIntensity: I0 * 0.9 });
+
+  it("plots abatement per unit of production", () => {
+    expect(r.totalX).toBeCloseTo(r.totals.totalAbatement / steel.annual_production, 9);
+  });
+
+  it("turns an absolute intensity target into the same budget as a % cut", () => {
+    const pct = runMacc({ ...sample, sector: "Steel", carbonPrice: 500, mode: "capacity", targetPct: 10 });
+    expect(r.targetX).toBeCloseTo(I0 * 0.1, 9);
+    expect(r.budget.targetReached).toBeCloseTo(I0 * 0.1, 9);
+    expect(r.budget.budget).toBeCloseTo(pct.budget.budget, -3);
+  });
+
+  it("clamps targets outside the baseline", () => {
+    expect(targetPctFromIntensity(5, { baselineEmissions: 200, baselineProduction: 100 })).toBe(0);
+    expect(targetPctFromIntensity(-1, { baselineEmissions: 200, baselineProduction: 100 })).toBe(100);
+    expect(targetPctFromIntensity(1.5, { baselineEmissions: 200, baselineProduction: 0 })).toBe(0);
+  });
+});
+
+describe("effective cost", () => {
+  it("subtracts the full carbon price from costs saved without it", () => {
+    expect(effectiveCost({ cost_per_tco2: 1000 }, 300)).toBe(700);
+  });
+
+  it("subtracts only the delta when the saved cost already included carbon price", () => {
+    const m = { cost_per_tco2: 1000, details: { saved_cost_includes_carbon_price: true, carbon_price_at_save: 200 } };
+    expect(effectiveCost(m, 300)).toBe(900);
+  });
+});
+
+describe("budgetToTarget", () => {
+  const sorted = sortByEffectiveCost([
+    { id: 1, abatement_tco2: 100, cost_per_tco2: 50 },
+    { id: 2, abatement_tco2: 100, cost_per_tco2: -20 },
+  ], 0);
+
+  it("takes a partial slice of the last step", () => {
+    const data = buildMaccData(sorted, { baselineEmissions: 1000 });
+    expect(budgetToTarget(data, { baselineEmissions: 1000, targetPct: 15 })).toEqual({
+      targetReached: 150, budget: 100 * -20 + 50 * 50, marginalCost: 50, averageCost: (100 * -20 + 50 * 50) / 150, noRegret: 100,
+    });
+  });
+
+  it("stops at the available potential", () => {
+    const data = buildMaccData(sorted, { baselineEmissions: 1000 });
+    expect(budgetToTarget(data, { baselineEmissions: 1000, targetPct: 50 }).targetReached).toBe(200);
+  });
+});
+
+describe("fitBudgetToTarget", () => {
+  const data = buildMaccData(sortByEffectiveCost([
+    { id: 1, abatement_tco2: 100, cost_per_tco2: -50 },
+    { id: 2, abatement_tco2: 100, cost_per_tco2: 50 },
+  ], 0), { baselineEmissions: 1000 });
+  // cost(x) = −100 + x: negative up to 100 t
+  const line = { model: "quadratic", params: { a: -100, b: 1, c: 0 } };
+
+  it("integrates the fitted cost up to the target", () => {
+    const r = fitBudgetToTarget(data, line, { baselineEmissions: 1000, targetPct: 15 });
+    expect(r.targetReached).toBe(150);
+    expect(r.budget).toBeCloseTo(-100 * 150 + 150 ** 2 / 2, 6);
+    expect(r.marginalCost).toBeCloseTo(50, 9);
+    expect(r.averageCost).toBeCloseTo(-25, 6);
+    expect(r.noRegret).toBeCloseTo(100, 6);
+    expect(fitBudgetToTarget(data, line, { baselineEmissions: 1000, targetPct: 50 }).targetReached).toBe(200);
+  });
+
+  it("converts plot units to tonnes and reads off the chosen fit in runMacc", () => {
+    const pct = fitBudgetToTarget(buildMaccData(sortByEffectiveCost([{ id: 1, abatement_tco2: 200, cost_per_tco2: 0 }], 0), { mode: "intensity", baselineEmissions: 1000 }),
+      { model: "quadratic", params: { a: 10, b: 0, c: 0 } }, { mode: "intensity", baselineEmissions: 1000, targetPct: 15 });
+    expect(pct.targetReached).toBe(15);
+    expect(pct.budget).toBeCloseTo(10 * 150, 6);
+    const r = runMacc({ ...sample, sector: "Steel", carbonPrice: 0, targetPct: 5, fitModel: "piecewise" });
+    expect(r.fitBudget.targetReached).toBe(r.budget.targetReached);
+    expect(r.fitBudget.marginalCost).toBeCloseTo(fitValue(r.curveFit, r.targetX), 9);
+  });
+});
+
+describe("aggregateBaseline", () => {
+  it("sums all sectors but skips the firm-level stub", () => {
+    const b = aggregateBaseline({
+      A: { production_label: "t", annual_production: 10, annual_emissions: 5 },
+      B: { production_label: "t", annual_production: 20, annual_emissions: 7 },
+      "Firm – X": { production_label: "units", annual_production: 99, annual_emissions: 99 },
+    }, "All sectors");
+    expect(b).toEqual({ production_label: "t", annual_production: 30, annual_emissions: 12 });
+  });
+});
+
+describe("year-specific curve", () => {
+  const tpl = {
+    id: 1, name: "Ramp", sector: "Steel", abatement_tco2: 100, cost_per_tco2: 500, selected: true,
+    details: {
+      mode: "template_db_multiline",
+      years: [2025, 2030, 2035],
+      per_year: [
+        { direct_t: 0, implied_cost_per_t_wo: 0, implied_cost_per_t_w: 0 },
+        { direct_t: 100, implied_cost_per_t_wo: 500, implied_cost_per_t_w: 400 },
+        { direct_t: 300, implied_cost_per_t_wo: 300, implied_cost_per_t_w: 200 },
+      ],
+    },
+  };
+  const quick = { id: 2, name: "Quick", sector: "Steel", abatement_tco2: 50, cost_per_tco2: 100, selected: true, details: { mode: "quick" } };
+
+  it("reads abatement and cost from the saved year", () => {
+    const m = measureAtYear(tpl, 2035);
+    expect(m.abatement_tco2).toBe(300);
+    expect(m.cost_per_tco2).toBe(300);
+  });
+
+  it("uses the with-CP cost when that is what was saved", () => {
+    const m = measureAtYear({ ...tpl, details: { ...tpl.details, saved_cost_includes_carbon_price: true } }, 2030);
+    expect(m.cost_per_tco2).toBe(400);
+  });
+
+  it("keeps a lifetime cost basis as saved", () => {
+    const m = measureAtYear({ ...tpl, cost_per_tco2: 420, details: { ...tpl.details, cost_basis: "levelized" } }, 2035);
+    expect(m.abatement_tco2).toBe(300);
+    expect(m.cost_per_tco2).toBe(420);
+  });
+
+  it("interpolates between saved years keeping net cost consistent", () => {
+    const row = perYearAt(tpl.details, 2032);
+    expect(row.direct_t).toBeCloseTo(180, 9);
+    // net cost ₹50k → ₹90k, 40 % of the way = ₹66k over 180 t
+    expect(row.implied_cost_per_t_wo).toBeCloseTo(66_000 / 180, 9);
+  });
+
+  it("drops a measure before its first saved year and keeps quick measures constant", () => {
+    const r = runMacc({ measures: [tpl, quick], baselines: { Steel: { annual_emissions: 1000 } }, year: 2025 });
+    expect(r.segments.map(s => s.id)).toEqual([2]);
+    const r2 = runMacc({ measures: [tpl, quick], baselines: { Steel: { annual_emissions: 1000 } }, year: 2035 });
+    expect(r2.totals.totalAbatement).toBe(350);
+  });
+
+  it("prices quick measures at the plotted year on a rising carbon price path", () => {
+    const carbonPrice = { years: [2025, 2040], prices: [100, 418] };
+    const big = { ...quick, cost_per_tco2: 500 };
+    expect(measureAtYear(big, 2040).year).toBe(2040);
+    expect(measureAtYear(big, null)).toBe(big);
+    expect(effectiveCost(measureAtYear(big, 2040), carbonPrice)).toBeCloseTo(82, 9);
+    const r = runMacc({ measures: [big], baselines: { Steel: { annual_emissions: 1000 } }, carbonPrice, year: 2040 });
+    expect(r.sorted[0].effective_cost).toBeCloseTo(82, 9);
+    expect(runMacc({ measures: [big], baselines: { Steel: { annual_emissions: 1000 } }, carbonPrice }).sorted[0].effective_cost).toBe(400);
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, expect } from "vitest";
+import { computeMeasure, runMacc, npv, annuityFactor, levelizedCost, costForBasis, INR_PER_CRORE } from "../index.js";
+import { loadSample, coalTemplate, YEARS } from "./sample.js";
+
+const { catalogs } = loadSample();
+describe("computeMeasure", () => {
+  it("applies adoption × Δ × catalog EF and price", () => {
+    const r = computeMeasure(coalTemplate(), { catalogs });
+    expect(r.perYear[0].direct_t).toBe(0);
+    expect(r.perYear[1].direct_t).toBeCloseTo(24_110, 6);
+    expect(r.perYear[1].pieces.driver_cr).toBeCloseTo(10_000 * 9485.91 / INR_PER_CRORE, 9);
+    expect(r.perYear[1].implied_cost_per_t_wo).toBeCloseTo(9485.91 / 2.411, 6);
+    expect(r.repIdx).toBe(1);
+    expect(r.rep.year).toBe(2030);
+  });
+
+  it("compounds price and EF drift from the base year", () => {
+    const t = coalTemplate();
+    t.drivers.fuel_lines[0].priceEscPctYr = 2;
+    t.drivers.fuel_lines[0].efEscPctYr = -1;
+    const y2040 = computeMeasure(t, { catalogs }).perYear[3];
+    expect(y2040.direct_t).toBeCloseTo(10_000 * 2.411 * Math.pow(0.99, 15), 6);
+    expect(y2040.pieces.driver_cr).toBeCloseTo(10_000 * 9485.91 * Math.pow(1.02, 15) / INR_PER_CRORE, 9);
+  });
+
+  it("credits the carbon price in the with-CP figures", () => {
+    const r = computeMeasure(coalTemplate(), { catalogs, carbonPrice: 1000 });
+    const y = r.perYear[1];
+    expect(y.implied_cost_per_t_wo - y.implied_cost_per_t_w).toBeCloseTo(1000, 6);
+    expect(y.cashflow_inr_w_cp - y.cashflow_inr_wo_cp).toBeCloseTo(1000 * y.direct_t, 3);
+    expect(r.finance.npvW).toBeGreaterThan(r.finance.npvWO);
+  });
+
+  it("converts financed capex to an annuity and discounts cash flows", () => {
+    const t = coalTemplate();
+    t.stack.capex_financed_cr = [100, 0, 0, 0, 0, 0];
+    t.stack.capex_upfront_cr = [50, 0, 0, 0, 0, 0];
+    const r = computeMeasure(t, { catalogs });
+    expect(r.perYear[0].pieces.financedAnnual_cr).toBeCloseTo(100 * annuityFactor(0.07, 10), 9);
+    const flows = r.annual.map(y => y.cashflow_inr_wo_cp);
+    expect(r.annual).toHaveLength(26);
+    expect(r.finance.npvWO).toBeCloseTo(npv(0.1, flows, r.annual.map(y => y.year), 2025), 3);
+    expect(flows[0]).toBeCloseTo(-(50 + 100 * annuityFactor(0.07, 10)) * INR_PER_CRORE, 3);
+    expect(flows[1]).toBeCloseTo(-100 * annuityFactor(0.07, 10) * INR_PER_CRORE, 3);
+  });
+
+  it("appraises every calendar year of each grid period", () => {
+    const r = computeMeasure(coalTemplate(), { catalogs });
+    // 2030–2034 all carry the 2030 grid year's cost and abatement
+    expect(r.annual.slice(5, 10).every(y => y.direct_t === r.perYear[1].direct_t && y.net_cost_cr === r.perYear[1].net_cost_cr)).toBe(true);
+    expect(r.finance.sumDirect).toBeCloseTo(21 * 24_110, 6);
+  });
+
+  it("uses per-year electricity EF overrides", () => {
+    const t = coalTemplate();
+    t.drivers.fuel_lines = [];
+    t.drivers.electricity_lines = [{ id: 1, state: "Gujarat", priceOv: null, priceEscPctYr: 0, efEscPctYr: 0, efOvPerYear: ["", "", 0.5, "", "", ""], deltaMWh: YEARS.map(() => 1000) }];
+    const r = computeMeasure(t, { catalogs });
+    expect(r.perYear[1].direct_t).toBeCloseTo(710, 9);
+    expect(r.perYear[2].direct_t).toBeCloseTo(500, 9);
+  });
+});
+
+describe("runMacc with template measures", () => {
+  it("recomputes per-year results from saved details", () => {
+    const details = { mode: "template_db_multiline", ...coalTemplate() };
+    const m = { id: 7, name: "Coal cut", sector: "Steel", abatement_tco2: 24_110, cost_per_tco2: 3934.43, selected: true, details };
+    const r = runMacc({ measures: [m], catalogs, baselines: {}, carbonPrice: 0 });
+    expect(r.perYear[7].perYear.map(y => y.year)).toEqual(YEARS);
+    expect(r.perYear[7].rep.direct_t).toBeCloseTo(24_110, 6);
+  });
+});
+
+describe("levelized cost of abatement", () => {
+  it("equals the flat implied cost when cost and abatement are constant", () => {
+    const t = coalTemplate({ adoption: YEARS.map(() => 1), years: YEARS });
+    const r = computeMeasure(t, { catalogs });
+    expect(r.finance.lcoaWO).toBeCloseTo(9485.91 / 2.411, 6);
+    expect(r.finance.lcoaYears).toBe(26);
+  });
+
+  it("discounts upfront capex and abatement over the project life", () => {
+    const annual = Array.from({ length: 11 }, (_, i) => 2025 + i);
+    const perYear = annual.map((year, i) => ({
+      year, direct_t: i === 0 ? 0 : 1000, net_cost_cr: 0,
+      pieces: { capex_upfront_cr: i === 0 ? 1 : 0 },
+    }));
+    const r = levelizedCost(perYear, { baseYear: 2025, discountRate: 0.1, lifeYears: 5, carbonPrice: 200 });
+    const disc = [1, 2, 3, 4].reduce((s, k) => s + 1000 / Math.pow(1.1, k), 0);
+    expect(r.years).toBe(5);
+    expect(r.wo).toBeCloseTo(INR_PER_CRORE / disc, 6);
+    expect(r.w).toBeCloseTo(r.wo - 200, 9);
+  });
+
+  it("levelizes on the same flows the NPV discounts", () => {
+    const t = coalTemplate();
+    t.stack.capex_upfront_cr = [30, 0, 10, 0, 0, 0];
+    t.stack.loans = [{ id: 1, drawdown_year: 2030, amount_cr: 40, rate_pct: 8, tenure_years: 7 }];
+    t.adoption = [0, 0.5, 1, 1, 1, 1];
+    const r = computeMeasure(t, { catalogs });
+    const discAbate = r.annual.reduce((s, y) => s + y.direct_t / Math.pow(1.1, y.year - 2025), 0);
+    expect(r.finance.lcoaYears).toBe(26);
+    expect(r.finance.lcoaWO * discAbate).toBeCloseTo(-r.finance.npvWO, 0);
+  });
+
+  it("selects the saved cost by basis", () => {
+    const r = computeMeasure(coalTemplate(), { catalogs, carbonPrice: 100 });
+    expect(costForBasis(r, "representative")).toBe(r.rep.implied_cost_per_t_wo);
+    expect(costForBasis(r, "average", true)).toBe(r.finance.avgCostW);
+    expect(costForBasis(r, "levelized")).toBe(r.finance.lcoaWO);
+  });
+});
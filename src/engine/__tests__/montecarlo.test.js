@@ -0,0 +1,99 @@
+import { describe, it, expect } from "vitest";
+import { normalizeRange, normalizeUncertainty, sampleRange, quantile, seededRandom, sampleMeasure, runMonteCarlo, runMacc } from "../index.js";
+import { loadSample } from "./sample.js";
+
+describe("ranges", () => {
+  it("needs low and high; mode defaults to the point value", () => {
+    expect(normalizeRange({ low: "", high: 5 })).toBeNull();
+    expect(normalizeRange({ low: 10, high: 2 }, 4)).toEqual({ dist: "triangular", low: 2, mode: 4, high: 10 });
+    expect(normalizeRange({ low: 0, high: 10 }, 50).mode).toBe(10);
+  });
+
+  it("inverts the triangular and uniform CDFs", () => {
+    const tri = { dist: "triangular", low: 0, mode: 2, high: 10 };
+    expect(sampleRange(tri, 0)).toBe(0);
+    expect(sampleRange(tri, 0.2)).toBeCloseTo(2, 9);
+    expect(sampleRange({ ...tri, dist: "uniform" }, 0.5)).toBe(5);
+  });
+
+  it("draws are reproducible and fall inside the range", () => {
+    const a = seededRandom(42), b = seededRandom(42);
+    const r = { low: -5, mode: 0, high: 20 };
+    for (let i = 0; i < 200; i++) {
+      const v = sampleRange(normalizeRange(r), a());
+      expect(v).toBe(sampleRange(normalizeRange(r), b()));
+      expect(v).toBeGreaterThanOrEqual(-5);
+      expect(v).toBeLessThanOrEqual(20);
+    }
+  });
+
+  it("interpolates quantiles", () => {
+    expect(quantile([0, 10], 0.5)).toBe(5);
+    expect(quantile([1, 2, 3, 4, 5], 0.9)).toBeCloseTo(4.6, 9);
+  });
+});
+
+describe("sampleMeasure", () => {
+  it("scales template activity and recomputes per-year results", () => {
+    const m = {
+      id: 1, abatement_tco2: 100, cost_per_tco2: 0,
+      details: {
+        mode: "template_db_multiline", years: [2025, 2030], adoption: [1, 1], meta: {},
+        drivers: { other_direct_t: [100, 100] },
+        stack: { opex_cr: [0.001, 0.001] },
+        uncertainty: { activity: { dist: "uniform", low: 50, high: 50 } },
+      },
+    };
+    const s = sampleMeasure(m, { catalogs: {}, rnd: () => 0.3 });
+    expect(s.abatement_tco2).toBe(50);
+    expect(s.cost_per_tco2).toBeCloseTo(200, 9); // ₹10,000 over 50 t
+    expect(s.details.per_year[1].direct_t).toBe(50);
+    expect(s.details.saved_cost_includes_carbon_price).toBe(false);
+  });
+
+  it("samples each gas's catalog factor", () => {
+    const catalogs = { raw: [{ name: "Nitric acid", unit: "ton", price_per_unit_inr: 0, ef_tco2_per_unit: 0.1, ef_n2o_per_unit: 0.007 }] };
+    const n2o = { dist: "uniform", low: 0.014, high: 0.014 };
+    const uncertainty = { catalogs: { "raw|Nitric acid": { ef_n2o: n2o } } };
+    expect(normalizeUncertainty(uncertainty).catalogs["raw|Nitric acid"].ef_n2o).toEqual(n2o);
+    const m = {
+      id: 1, sector: "Fertiliser", selected: true, abatement_tco2: 0, cost_per_tco2: 0,
+      details: {
+        mode: "template_db_multiline", years: [2025, 2030], adoption: [1, 1], meta: {},
+        drivers: { raw_lines: [{ id: 1, name: "Nitric acid", priceEscPctYr: 0, efEscPctYr: 0, delta: [1000, 1000] }] },
+        stack: {},
+      },
+    };
+    const r = runMonteCarlo({ measures: [m], catalogs, uncertainty, gwp: "AR5", runs: 3 });
+    expect(r.abatement.p50).toBeCloseTo(1000 * (0.1 + 0.014 * 265), 6);
+  });
+});
+
+describe("runMonteCarlo", () => {
+  const sample = loadSample();
+  const point = runMacc({ ...sample, sector: "Steel", targetPct: 5 });
+  const base = { ...sample, sector: "Steel", baselineEmissions: point.baseline.annual_emissions, targetPct: 5, runs: 50 };
+
+  it("collapses to the point curve without ranges", () => {
+    const r = runMonteCarlo(base);
+    expect(r.probTarget).toBe(1);
+    expect(r.budget.p10).toBeCloseTo(point.budget.budget, -3);
+    expect(r.budget.p90).toBeCloseTo(point.budget.budget, -3);
+    expect(r.abatement.p50).toBe(point.totalX);
+    expect(r.band.every(b => b.p10 === b.p90 && b.coverage === 1)).toBe(true);
+  });
+
+  it("spreads the band and the target probability with ranges", () => {
+    // Only PCI rate counts; make it uncertain around a 5% target
+    const target = 2_230_000 / point.baseline.annual_emissions * 100;
+    const measures = sample.measures.map(m => m.id === 1
+      ? { ...m, details: { mode: "quick", uncertainty: { abatement: { dist: "uniform", low: 1_000_000, high: 3_460_000 }, cost: { low: -15000, high: -8000 } } } }
+      : { ...m, selected: false });
+    const r = runMonteCarlo({ ...base, measures, targetPct: target, runs: 400, seed: 3 });
+    expect(r.probTarget).toBeGreaterThan(0.35);
+    expect(r.probTarget).toBeLessThan(0.65);
+    expect(r.band[0].p10).toBeLessThan(r.band[0].p90);
+    expect(r.budget.histogram.reduce((s, b) => s + b.count, 0)).toBe(400);
+    expect(runMonteCarlo({ ...base, measures, targetPct: target, runs: 400, seed: 3 })).toEqual(r);
+  });
+});
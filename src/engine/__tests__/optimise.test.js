@@ -0,0 +1,123 @@
+import { describe, it, expect } from "vitest";
+import { optimisePortfolio, greedyPortfolio, knapsack01, measureCapexCr, applyInteractions, runMacc } from "../index.js";
+import { loadSample } from "./sample.js";
+
+const template = (upfront, financed) => ({ details: { mode: "template_db_multiline", stack: { capex_upfront_cr: upfront, capex_financed_cr: financed } } });
+const m = (id, abatement_tco2, effective_cost, capex = 0) => ({ id, name: `M${id}`, abatement_tco2, effective_cost, ...template([capex], [0]) });
+
+describe("measureCapexCr", () => {
+  it("sums upfront and financed capex over the horizon", () => {
+    expect(measureCapexCr(template([10, 0, 5], [0, 20, 0]))).toBe(35);
+    expect(measureCapexCr({ details: { mode: "quick" } })).toBe(0);
+  });
+});
+
+describe("min cost to target", () => {
+  const list = [m(1, 60, 10), m(2, 45, 11), m(3, 40, 12)];
+  const opts = { goal: "min_cost", baselineEmissions: 1000, targetPct: 10 };
+
+  it("beats the whole-measure greedy walk", () => {
+    expect(greedyPortfolio(list, opts).chosenIds).toEqual([1, 2]);
+    const r = optimisePortfolio(list, opts);
+    expect(r.chosenIds).toEqual([1, 3]);
+    expect(r.cost).toBe(1080);
+    expect(r.feasible).toBe(true);
+    expect(r.exact).toBe(true);
+  });
+
+  it("always takes negative-cost measures", () => {
+    const r = optimisePortfolio([m(9, 5, -100), ...list], opts);
+    expect(r.chosenIds).toContain(9);
+    expect(r.abatement).toBeGreaterThanOrEqual(100);
+  });
+
+  it("reports an unreachable target", () => {
+    expect(optimisePortfolio(list, { ...opts, targetPct: 50 }).feasible).toBe(false);
+  });
+});
+
+describe("max abatement within capex", () => {
+  it("picks the best-fitting set rather than the cheapest first", () => {
+    const list = [m(1, 100, 5, 60), m(2, 70, 6, 50), m(3, 60, 7, 50)];
+    const opts = { goal: "max_abatement", capexBudgetCr: 100 };
+    expect(greedyPortfolio(list, opts).abatement).toBe(100);
+    const r = optimisePortfolio(list, opts);
+    expect(r.chosenIds).toEqual([2, 3]);
+    expect(r.capexCr).toBe(100);
+  });
+});
+
+describe("with interactions", () => {
+  const opts = { goal: "min_cost", baselineEmissions: 1000, targetPct: 4 };
+
+  it("applies an overlap only when its A measure is picked", () => {
+    const list = [m(2, 40, 10), m(1, 50, 100)];
+    const interactions = { overlaps: [{ a: 1, b: 2, pct: 50 }] };
+    expect(optimisePortfolio(applyInteractions(list, interactions).sorted, opts).chosenIds).toEqual([1]);
+    const r = optimisePortfolio(list, { ...opts, interactions });
+    expect(r.chosenIds).toEqual([2]);
+    expect(r.abatement).toBe(40);
+    expect(r.cost).toBe(400);
+  });
+
+  it("picks whichever group member serves the target", () => {
+    const list = [m(1, 30, 5), m(2, 60, 8)];
+    const r = optimisePortfolio(list, { ...opts, targetPct: 6, interactions: { groups: [{ members: [1, 2] }] } });
+    expect(r).toMatchObject({ chosenIds: [2], feasible: true, abatement: 60 });
+    expect(optimisePortfolio(list, { ...opts, targetPct: 6, interactions: { groups: [{ members: [1, 2], chosen: 1 }] } }).feasible).toBe(false);
+  });
+
+  it("matches exhaustive search over subsets", () => {
+    let seed = 11;
+    const rnd = () => ((seed = (seed * 16807) % 2147483647) / 2147483647);
+    const interactions = { groups: [{ members: [1, 4] }], overlaps: [{ a: 2, b: 3, pct: 40 }, { a: 5, b: 6, pct: 70 }, { a: 6, b: 2, pct: 20 }] };
+    for (let trial = 0; trial < 10; trial++) {
+      const list = Array.from({ length: 8 }, (_, i) => m(i + 1, Math.round(rnd() * 50) + 1, Math.round(rnd() * 200) - 40));
+      let best = Infinity;
+      for (let mask = 1; mask < 1 << list.length; mask++) {
+        const subset = list.filter((_, i) => mask & (1 << i));
+        const { sorted, dropped } = applyInteractions(subset, interactions);
+        if (dropped.length) continue;
+        const abate = sorted.reduce((s, x) => s + x.abatement_tco2, 0);
+        const cost = sorted.reduce((s, x) => s + x.abatement_tco2 * x.effective_cost, 0);
+        if (abate >= 80 && cost < best) best = cost;
+      }
+      const r = optimisePortfolio(list, { goal: "min_cost", baselineEmissions: 1000, targetPct: 8, interactions });
+      expect(r.exact).toBe(true);
+      expect(r.abatement).toBeGreaterThanOrEqual(80 - 1e-9);
+      expect(r.cost).toBeCloseTo(best, 6);
+    }
+  });
+});
+
+describe("knapsack01", () => {
+  it("matches exhaustive search", () => {
+    let seed = 7;
+    const rnd = () => ((seed = (seed * 16807) % 2147483647) / 2147483647);
+    for (let trial = 0; trial < 20; trial++) {
+      const items = Array.from({ length: 12 }, () => ({ value: Math.round(rnd() * 100), weight: Math.round(rnd() * 50) + 1 }));
+      const cap = 120;
+      let bestBrute = 0;
+      for (let mask = 0; mask < 1 << items.length; mask++) {
+        let w = 0, v = 0;
+        items.forEach((it, i) => { if (mask & (1 << i)) { w += it.weight; v += it.value; } });
+        if (w <= cap && v > bestBrute) bestBrute = v;
+      }
+      const { picked, exact } = knapsack01(items, cap);
+      expect(exact).toBe(true);
+      expect(picked.reduce((s, i) => s + items[i].weight, 0)).toBeLessThanOrEqual(cap);
+      expect(picked.reduce((s, i) => s + items[i].value, 0)).toBe(bestBrute);
+    }
+  });
+});
+
+describe("sample Steel portfolio", () => {
+  it("reaches 10% at no more than the greedy cost", () => {
+    const r = runMacc({ ...loadSample(), sector: "Steel" });
+    const opts = { goal: "min_cost", baselineEmissions: r.baseline.annual_emissions, targetPct: 10 };
+    const opt = optimisePortfolio(r.sorted, opts);
+    expect(opt.exact).toBe(true);
+    expect(opt.abatement).toBeGreaterThanOrEqual(opt.targetT);
+    expect(opt.cost).toBeLessThanOrEqual(greedyPortfolio(r.sorted, opts).cost);
+  });
+});
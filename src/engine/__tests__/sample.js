@@ -0,0 +1,51 @@
+/* Test fixtures: the sample firm shipped in public/data (uses node:fs) and a small coal template */
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { vi } from "vitest";
+import { csvToJson, normalizeMeasures } from "../index.js";
+
+const DATA_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../../../public/data");
+
+const readJson = (name) => JSON.parse(fs.readFileSync(path.join(DATA_DIR, name), "utf8"));
+
+export function loadSample() {
+  // measures.csv carries unquoted {"mode":"quick"} details which csvToJson reports and keeps as text
+  const spy = vi.spyOn(console, "error").mockImplementation(() => {});
+  try {
+    return {
+      measures: normalizeMeasures(csvToJson(fs.readFileSync(path.join(DATA_DIR, "measures.csv"), "utf8"))),
+      sectors: readJson("sectors.json"),
+      baselines: readJson("baselines.json"),
+      catalogs: {
+        fuels: readJson("fuels.json"),
+        raw: readJson("raw.json"),
+        transport: readJson("transport.json"),
+        waste: readJson("waste.json"),
+        electricity: readJson("electricity.json"),
+      },
+    };
+  } finally {
+    spy.mockRestore();
+  }
+}
+
+export const YEARS = [2025, 2030, 2035, 2040, 2045, 2050];
+const zeros = () => YEARS.map(() => 0);
+
+// 10 000 t/yr of industrial coal (₹9 485.91/t, 2.411 tCO₂/t) at full adoption from 2030
+export const coalTemplate = (overrides = {}) => ({
+  years: YEARS,
+  meta: { project_name: "Coal cut", sector: "Steel", discount_rate: 0.1, project_life_years: 30 },
+  adoption: [0, 1, 1, 1, 1, 1],
+  drivers: {
+    fuel_lines: [{ id: 1, name: "Coal (industrial)", priceOv: null, efOv: null, priceEscPctYr: 0, efEscPctYr: 0, delta: YEARS.map(() => 10_000) }],
+    raw_lines: [], transport_lines: [], waste_lines: [], electricity_lines: [],
+    other_direct_t: zeros(),
+  },
+  stack: {
+    opex_cr: zeros(), savings_cr: zeros(), other_cr: zeros(), capex_upfront_cr: zeros(),
+    capex_financed_cr: zeros(), financing_tenure_years: YEARS.map(() => 10), interest_rate_pct: YEARS.map(() => 7),
+  },
+  ...overrides,
+});
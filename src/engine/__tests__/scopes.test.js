@@ -0,0 +1,62 @@
+import { describe, it, expect } from "vitest";
+import { computeMeasure, measureAtYear, measureScopes, filterScopes, scopeTotals, scopeSplit, runMacc, complianceSummary } from "../index.js";
+import { loadSample, coalTemplate, YEARS } from "./sample.js";
+
+const { catalogs } = loadSample();
+
+// 10 000 t coal (Scope 1) and 1 000 MWh grid power (Scope 2) saved from 2030
+const mixed = (meta = {}, elecScope) => {
+  const t = coalTemplate();
+  t.meta = { ...t.meta, ...meta };
+  t.drivers.electricity_lines = [{ id: 1, state: "India", priceEscPctYr: 0, efEscPctYr: 0, deltaMWh: YEARS.map(() => 1000), ...(elecScope ? { scope: elecScope } : {}) }];
+  return t;
+};
+const COAL_T = 10_000 * 2.411, ELEC_T = 1000 * 0.71;
+
+describe("scope attribution", () => {
+  it("splits each year's abatement by driver scope", () => {
+    const r = computeMeasure(mixed(), { catalogs });
+    expect(r.perYear[1].scope_t[1]).toBeCloseTo(COAL_T, 6);
+    expect(r.perYear[1].scope_t[2]).toBeCloseTo(ELEC_T, 6);
+    expect(r.perYear[1].scope_t[3]).toBe(0);
+  });
+
+  it("honours category and per-line overrides", () => {
+    const byCategory = computeMeasure(mixed({ scopes: { fuel_lines: 3 } }), { catalogs }).perYear[1].scope_t;
+    expect(byCategory[3]).toBeCloseTo(COAL_T, 6);
+    const byLine = computeMeasure(mixed({}, 3), { catalogs }).perYear[1].scope_t;
+    expect(byLine[2]).toBe(0);
+    expect(byLine[3]).toBeCloseTo(ELEC_T, 6);
+  });
+
+  it("falls back to per-category pieces for rows saved without scope_t", () => {
+    const row = { direct_t: 30, pieces: { fuel_t: 10, raw_t: 5, elec_t: 15 } };
+    expect(scopeSplit(row, {})).toEqual({ 1: 10, 2: 15, 3: 5 });
+    expect(scopeSplit({ direct_t: 7 })).toEqual({ 1: 7, 2: 0, 3: 0 });
+  });
+});
+
+describe("scope filter on the curve", () => {
+  const r = computeMeasure(mixed(), { catalogs });
+  const tpl = {
+    id: 1, name: "Coal + power", sector: "Steel", selected: true, abatement_tco2: r.rep.direct_t, cost_per_tco2: 100,
+    details: { mode: "template_db_multiline", years: r.YEARS, per_year: r.perYear, representative_index: r.repIdx, meta: {} },
+  };
+  const quick = { id: 2, name: "Supplier switch", sector: "Steel", selected: true, abatement_tco2: 500, cost_per_tco2: 50, scope: 3 };
+
+  it("keeps only the listed scopes' abatement at the same unit cost", () => {
+    const [t, q] = filterScopes([measureAtYear(tpl, 2030), quick], [1]);
+    expect(t.abatement_tco2).toBeCloseTo(COAL_T, 6);
+    expect(t.cost_per_tco2).toBe(r.perYear[1].implied_cost_per_t_wo);
+    expect(q.abatement_tco2).toBe(0);
+    expect(filterScopes([quick], null)[0]).toBe(quick);
+    expect(measureScopes(quick)).toEqual({ 1: 0, 2: 0, 3: 500 });
+  });
+
+  it("totals by scope and narrows the curve, the MACC and CCTS compliance", () => {
+    expect(scopeTotals([tpl, quick])).toEqual({ 1: expect.closeTo(COAL_T, 6), 2: expect.closeTo(ELEC_T, 6), 3: 500 });
+    const baselines = { Steel: { production_label: "tonnes", annual_production: 100, annual_emissions: 100_000, gei_targets: { 2030: 900 } } };
+    expect(runMacc({ measures: [tpl, quick], baselines, year: 2030, scopes: [3] }).totalX).toBe(500);
+    expect(complianceSummary({ measures: [tpl, quick], baselines, sector: "Steel" })[0].abated).toBeCloseTo(COAL_T + ELEC_T, 6);
+  });
+});
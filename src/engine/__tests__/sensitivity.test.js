@@ -0,0 +1,50 @@
+import { describe, it, expect } from "vitest";
+import { tornado, rankTornado, sensitivityDrivers, computeMeasure } from "../index.js";
+import { loadSample, coalTemplate, YEARS } from "./sample.js";
+
+const { catalogs } = loadSample();
+const template = coalTemplate({
+  stack: {
+    opex_cr: YEARS.map(() => 1), savings_cr: YEARS.map(() => 5), other_cr: YEARS.map(() => 0),
+    capex_upfront_cr: [20, 0, 0, 0, 0, 0], capex_financed_cr: YEARS.map(() => 0),
+    financing_tenure_years: YEARS.map(() => 10), interest_rate_pct: YEARS.map(() => 7),
+  },
+});
+
+describe("sensitivity drivers", () => {
+  it("lists line and project drivers", () => {
+    const keys = sensitivityDrivers(template, catalogs).map(d => d.key);
+    expect(keys).toContain("fuel_lines.0.price");
+    expect(keys).toContain("fuel_lines.0.ef");
+    expect(keys).toEqual(expect.arrayContaining(["adoption", "discount_rate", "opex", "savings", "capex", "interest_rate"]));
+  });
+
+  it("scales the catalog price when no override is set", () => {
+    const drv = sensitivityDrivers(template, catalogs).find(d => d.key === "fuel_lines.0.price");
+    expect(drv.apply(template, 1.1).drivers.fuel_lines[0].priceOv).toBeCloseTo(9485.91 * 1.1, 6);
+  });
+});
+
+describe("tornado", () => {
+  const t = tornado(template, { catalogs, pct: 10 });
+
+  it("starts from the unperturbed measure", () => {
+    expect(t.base.npvWO).toBe(computeMeasure(template, { catalogs }).finance.npvWO);
+  });
+
+  it("ranks by swing and drops drivers with no effect", () => {
+    const rows = rankTornado(t, "npvWO");
+    const swings = rows.map(r => r.swing);
+    expect(swings).toEqual([...swings].sort((a, b) => b - a));
+    // savings recur every year of the horizon, the capex is paid once
+    expect(rows.slice(0, 2).map(r => r.key)).toEqual(["fuel_lines.0.price", "savings"]);
+    expect(rows.find(r => r.key === "fuel_lines.0.ef")).toBeUndefined(); // EF does not move NPV w/o CP
+    expect(rows.find(r => r.key === "interest_rate")).toBeUndefined(); // nothing financed
+  });
+
+  it("moves the saved cost with EF", () => {
+    const ef = rankTornado(t, "cost").find(r => r.key === "fuel_lines.0.ef");
+    expect(ef.low).toBeGreaterThan(0); // less abatement per ₹ → higher ₹/t
+    expect(ef.high).toBeLessThan(0);
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it, expect } from "vitest";
+import { buildYears, normalizeHorizon, resampleSeries, resampleLumps, resampleTemplate, computeMeasure, loanTranches, financedCapexCr, DEFAULT_YEARS } from "../index.js";
+
+describe("buildYears", () => {
+  it("defaults to the legacy 5‑yearly grid", () => {
+    expect(buildYears()).toEqual(DEFAULT_YEARS);
+  });
+
+  it("builds an annual grid", () => {
+    const ys = buildYears({ start: 2026, end: 2030, step: 1 });
+    expect(ys).toEqual([2026, 2027, 2028, 2029, 2030]);
+  });
+
+  it("always includes an off-step end year", () => {
+    expect(buildYears({ start: 2025, end: 2037, step: 5 })).toEqual([2025, 2030, 2035, 2037]);
+  });
+
+  it("clamps invalid input", () => {
+    expect(normalizeHorizon({ start: 2030, end: 2020, step: 3 })).toEqual({ start: 2030, end: 2030, step: 5 });
+  });
+});
+
+describe("resampleSeries", () => {
+  const five = [2025, 2030, 2035];
+
+  it("interpolates 5‑yearly values onto an annual grid", () => {
+    const out = resampleSeries([0, 0.5, 1], five, buildYears({ start: 2025, end: 2035, step: 1 }));
+    expect(out[0]).toBe(0);
+    expect(out[2]).toBeCloseTo(0.2, 12);
+    expect(out[5]).toBe(0.5);
+    expect(out[10]).toBe(1);
+  });
+
+  it("holds end values outside the source range", () => {
+    expect(resampleSeries([3, 4, 5], five, [2020, 2040])).toEqual([3, 5]);
+  });
+
+  it("keeps blanks outside the filled range when extrapolation is off", () => {
+    expect(resampleSeries(["", 0.5, ""], five, [2025, 2030, 2032, 2035], { extrapolate: false })).toEqual(["", 0.5, "", ""]);
+    const between = resampleSeries(["", 0.5, 1], five, [2025, 2032], { extrapolate: false });
+    expect(between[0]).toBe("");
+    expect(between[1]).toBeCloseTo(0.7, 12);
+  });
+});
+
+describe("resampleTemplate", () => {
+  it("re-grids every series so the measure computes on the new horizon", () => {
+    const tpl = {
+      mode: "template_db_multiline",
+      years: DEFAULT_YEARS,
+      meta: { discount_rate: 0.1 },
+      adoption: [0, 0.2, 0.4, 0.6, 0.8, 1],
+      drivers: { fuel_lines: [], raw_lines: [], transport_lines: [], waste_lines: [], electricity_lines: [], other_direct_t: [1000, 1000, 1000, 1000, 1000, 1000] },
+      stack: { opex_cr: [1, 1, 1, 1, 1, 1], financing_tenure_years: [10, 10, 10, 10, 10, 10] },
+      per_year: [{}],
+      representative_index: 1,
+    };
+    const annual = buildYears({ start: 2025, end: 2050, step: 1 });
+    const out = resampleTemplate(tpl, annual);
+    expect(out.years).toEqual(annual);
+    expect(out.adoption).toHaveLength(26);
+    expect(out.adoption[1]).toBeCloseTo(0.04, 12);
+    expect(out.stack.opex_cr.every(v => v === 1)).toBe(true);
+    expect(out.per_year).toBeUndefined();
+    const r = computeMeasure(out);
+    expect(r.perYear).toHaveLength(26);
+    expect(r.perYear[1].direct_t).toBeCloseTo(40, 9);
+  });
+
+  it("keeps one-off capex as lump sums through 5-yearly → annual → 5-yearly", () => {
+    const capex = [100, 0, 40, 0, 0, 25];
+    const tpl = { years: DEFAULT_YEARS, stack: { capex_upfront_cr: capex, opex_cr: [1, 1, 1, 1, 1, 1] } };
+    const annual = resampleTemplate(tpl, buildYears({ start: 2025, end: 2050, step: 1 }));
+    const sum = (a) => a.reduce((s, v) => s + v, 0);
+    expect(sum(annual.stack.capex_upfront_cr)).toBe(165);
+    expect(annual.stack.capex_upfront_cr.filter(v => v !== 0)).toEqual([100, 40, 25]);
+    const back = resampleTemplate(annual, DEFAULT_YEARS);
+    expect(back.stack.capex_upfront_cr).toEqual(capex);
+  });
+
+  it("keeps legacy financed capex as lump loans on an annual grid", () => {
+    const tpl = {
+      years: DEFAULT_YEARS,
+      stack: { capex_financed_cr: [0, 40, 0, 0, 0, 0], interest_rate_pct: [8, 8, 8, 8, 8, 8], financing_tenure_years: [10, 10, 10, 10, 10, 10] },
+    };
+    const annualYears = buildYears({ start: 2025, end: 2050, step: 1 });
+    const annual = resampleTemplate(tpl, annualYears);
+    expect(financedCapexCr(annual.stack, annualYears)).toBe(40);
+    expect(loanTranches(annual.stack, annualYears)).toEqual([
+      { id: 1, drawdown_year: 2030, amount_cr: 40, rate_pct: 8, tenure_years: 10, grace_years: 0, repayment: "annuity" },
+    ]);
+  });
+});
+
+describe("resampleLumps", () => {
+  it("moves each amount to the nearest target year", () => {
+    expect(resampleLumps([10, 20, 30], [2025, 2027, 2033], [2025, 2030, 2035])).toEqual([30, 0, 30]);
+    expect(resampleLumps([5, 7], [2020, 2060], [2025, 2030])).toEqual([5, 7]);
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect } from "vitest";
+import { normalizeTax, depreciationShare, depreciationSchedule, computeMeasure, costForBasis, npv, INR_PER_CRORE } from "../index.js";
+import { loadSample, coalTemplate, YEARS } from "./sample.js";
+
+const { catalogs } = loadSample();
+
+describe("depreciation", () => {
+  it("spreads straight line over the asset life", () => {
+    const t = { method: "slm", life_years: 4 };
+    expect([0, 1, 2, 3, 4].map(a => depreciationShare(t, a))).toEqual([0.25, 0.25, 0.25, 0.25, 0]);
+  });
+
+  it("writes down WDV and clears the balance in the last year", () => {
+    const t = { method: "wdv", life_years: 3, wdv_rate_pct: 50 };
+    expect([0, 1, 2].map(a => depreciationShare(t, a))).toEqual([0.5, 0.25, 0.25]);
+    const acc = { method: "accelerated", life_years: 10 };
+    expect(depreciationShare(acc, 0)).toBeCloseTo(0.4, 12);
+    expect(Array.from({ length: 10 }, (_, a) => depreciationShare(acc, a)).reduce((s, v) => s + v, 0)).toBeCloseTo(1, 12);
+  });
+
+  it("adds up each grid period's depreciation across capex vintages", () => {
+    const dep = depreciationSchedule([2025, 2030, 2035], [{ year: 2025, cr: 100 }, { year: 2030, cr: 50 }], { method: "slm", life_years: 8 });
+    expect(dep[0]).toBeCloseTo(5 * 12.5, 12);
+    expect(dep[1]).toBeCloseTo(3 * 12.5 + 5 * 6.25, 12);
+    expect(dep[2]).toBeCloseTo(6.25, 12);
+  });
+
+  it("clamps inputs and defaults to no tax", () => {
+    expect(normalizeTax(null).rate_pct).toBe(0);
+    expect(normalizeTax({ rate_pct: 150, method: "x", life_years: 0 })).toMatchObject({ rate_pct: 100, method: "slm", life_years: 1 });
+  });
+});
+
+describe("after-tax template cash flows", () => {
+  const taxed = (tax) => {
+    const t = coalTemplate();
+    t.stack.capex_upfront_cr = [40, 0, 0, 0, 0, 0];
+    t.stack.savings_cr = YEARS.map(() => 20);
+    t.meta = { ...t.meta, tax: { rate_pct: 25, method: "slm", life_years: 10, ...tax } };
+    return t;
+  };
+
+  it("leaves results unchanged at a 0% rate", () => {
+    const r = computeMeasure(coalTemplate(), { catalogs });
+    expect(r.finance.npvWO).toBe(r.finance.preTax.npvWO);
+    expect(r.perYear[1].cashflow_inr_wo_cp_at).toBe(r.perYear[1].cashflow_inr_wo_cp);
+    expect(r.finance.lcoaAtWO).toBeCloseTo(r.finance.lcoaWO, 9);
+  });
+
+  it("deducts depreciation and taxes operating gains", () => {
+    const r = computeMeasure(taxed(), { catalogs });
+    const y0 = r.perYear[0], y1 = r.perYear[1];
+    expect(y0.depreciation_cr).toBeCloseTo(4, 12);
+    expect(y0.tax_shield_cr).toBeCloseTo(1, 12);
+    expect(y0.tax_cr).toBeCloseTo(0.25 * (20 - 4), 12);
+    expect(y1.depreciation_cr).toBeCloseTo(4, 12);
+    expect(y1.tax_cr).toBeCloseTo(0.25 * (20 - y1.pieces.driver_cr - 4), 12);
+    expect(r.perYear[2].depreciation_cr).toBe(0);
+    const flows = r.annual.map(y => y.cashflow_inr_wo_cp_at);
+    expect(r.finance.npvWO).toBeCloseTo(npv(0.1, flows, r.annual.map(y => y.year), 2025), 3);
+    expect(r.finance.npvWO).toBeLessThan(r.finance.preTax.npvWO);
+  });
+
+  it("writes the whole asset off on a 5-yearly horizon", () => {
+    const r = computeMeasure(taxed({ life_years: 20 }), { catalogs });
+    const total = r.perYear.reduce((s, y) => s + y.depreciation_cr * y.period_years, 0);
+    expect(total).toBeCloseTo(40, 9);
+    const shield = r.perYear.reduce((s, y) => s + y.tax_shield_cr * y.period_years, 0);
+    expect(shield).toBeCloseTo(0.25 * 40, 9);
+    expect(depreciationSchedule(YEARS, [{ year: 2025, cr: 40 }], { method: "wdv", life_years: 20 }).reduce((s, v) => s + v, 0)).toBeCloseTo(40, 9);
+  });
+
+  it("taxes carbon revenue in the with-CP flows", () => {
+    const r = computeMeasure(taxed(), { catalogs, carbonPrice: 1000 });
+    const y = r.perYear[1];
+    expect(y.cashflow_inr_w_cp_at - y.cashflow_inr_wo_cp_at).toBeCloseTo(0.75 * 1000 * y.direct_t, 3);
+  });
+
+  it("front-loads the shield with accelerated depreciation", () => {
+    const slm = computeMeasure(taxed(), { catalogs });
+    const acc = computeMeasure(taxed({ method: "accelerated" }), { catalogs });
+    expect(acc.perYear[0].tax_shield_cr).toBeCloseTo(0.25 * 40 * (1 - Math.pow(0.6, 5)) / 5, 12);
+    expect(acc.finance.npvWO).toBeGreaterThan(slm.finance.npvWO);
+    expect(costForBasis(acc, "levelized_after_tax")).toBe(acc.finance.lcoaAtWO);
+    expect(acc.finance.lcoaAtWO).not.toBeCloseTo(acc.finance.lcoaWO, 3);
+    expect(acc.perYear[0].tax_cr * INR_PER_CRORE).toBeCloseTo(acc.perYear[0].cashflow_inr_wo_cp - acc.perYear[0].cashflow_inr_wo_cp_at, 3);
+  });
+});
@@ -0,0 +1,34 @@
+import { describe, it, expect } from "vitest";
+import { normalizeUnits, combineProduction, aggregateBaseline, projectBaseline, runMacc, ALL_SECTORS } from "../index.js";
+
+const baselines = {
+  Steel: { production_label: "tonnes", annual_production: 100, annual_emissions: 200 },
+  Cement: { production_label: "tonnes", annual_production: 300, annual_emissions: 180 },
+  Power: { production_label: "MWh", annual_production: 1000, annual_emissions: 800, bau: { production_growth_pct: 10 } },
+};
+const units = { common_label: "t-eq", factors: { tonnes: 1, MWh: 0.5 } };
+
+describe("unit-aware aggregation", () => {
+  it("sums like units", () => {
+    const { Power, ...tonnes } = baselines;
+    expect(aggregateBaseline(tonnes, ALL_SECTORS)).toEqual({ production_label: "tonnes", annual_production: 400, annual_emissions: 380 });
+  });
+
+  it("flags mixed units instead of adding them", () => {
+    const b = aggregateBaseline(baselines, ALL_SECTORS);
+    expect(b).toMatchObject({ production_label: "mixed units", annual_production: 0, annual_emissions: 1180, mixed_units: ["tonnes", "MWh"] });
+    expect(combineProduction(Object.values(baselines), { factors: { MWh: 0.5 } }).mixed_units).toEqual(["tonnes", "MWh"]);
+  });
+
+  it("converts through equivalence factors", () => {
+    expect(aggregateBaseline(baselines, ALL_SECTORS, units)).toMatchObject({ production_label: "t-eq", annual_production: 900, converted: true });
+    expect(projectBaseline(baselines, ALL_SECTORS, 2026, units).annual_production).toBeCloseTo(400 + 1100 * 0.5, 9);
+    expect(normalizeUnits({ factors: { " MWh ": "2", x: 0, y: "" } })).toEqual({ common_label: "", factors: { MWh: 2 } });
+  });
+
+  it("falls back from physical intensity to % of emissions with mixed units", () => {
+    const m = [{ id: 1, name: "Q", sector: "Steel", abatement_tco2: 118, cost_per_tco2: 10, selected: true }];
+    expect(runMacc({ measures: m, baselines, mode: "physical" })).toMatchObject({ mode: "intensity", totalX: 10 });
+    expect(runMacc({ measures: m, baselines, units, mode: "physical" }).totalX).toBeCloseTo(118 / 900, 12);
+  });
+});
@@ -0,0 +1,93 @@
+/*
+  Business-as-usual (BAU) emissions per sector. A baseline row is a base-year snapshot
+  { production_label, annual_production, annual_emissions } with an optional
+  bau: { base_year, production_growth_pct, intensity_improvement_pct, overrides: { [year]: tCO₂ } }.
+  Production compounds at the growth rate and intensity falls at the autonomous improvement rate:
+    emissions(y) = emissions₀ × (1 + g)^(y − base) × (1 − i)^(y − base), unless overridden for y.
+  A baseline without `bau` stays flat at its snapshot.
+*/
+
+import { DEFAULT_YEARS } from "./series.js";
+import { ALL_SECTORS, isFirmSectorLabel, aggregateBaseline, filterMeasures, measuresAtYear, sortByEffectiveCost } from "./macc.js";
+import { applyInteractions } from "./interactions.js";
+import { combineProduction } from "./units.js";
+import { filterScopes } from "./scopes.js";
+
+export const DEFAULT_BAU = { base_year: DEFAULT_YEARS[0], production_growth_pct: 0, intensity_improvement_pct: 0, overrides: {} };
+
+const num = (v, d = 0) => (v === "" || v == null || !Number.isFinite(Number(v)) ? d : Number(v));
+
+export function normalizeBau(bau) {
+  const overrides = {};
+  for (const [y, v] of Object.entries(bau?.overrides || {})) {
+    if (v !== "" && v != null && Number.isFinite(Number(v))) overrides[String(y)] = Math.max(0, Number(v));
+  }
+  return {
+    base_year: Math.round(num(bau?.base_year, DEFAULT_BAU.base_year)),
+    production_growth_pct: num(bau?.production_growth_pct),
+    intensity_improvement_pct: Math.min(100, num(bau?.intensity_improvement_pct)),
+    overrides,
+  };
+}
+
+// Generated (pre-override) emissions for a year; also used as the override placeholder
+export function generatedBauEmissions(baseline, year) {
+  const b = normalizeBau(baseline?.bau);
+  const n = year - b.base_year;
+  return num(baseline?.annual_emissions) * Math.pow(1 + b.production_growth_pct / 100, n) * Math.pow(1 - b.intensity_improvement_pct / 100, n);
+}
+
+// { year, production, emissions, intensity, overridden } for one sector row
+export function bauAt(baseline, year) {
+  const b = normalizeBau(baseline?.bau);
+  const production = num(baseline?.annual_production) * Math.pow(1 + b.production_growth_pct / 100, year - b.base_year);
+  const ov = b.overrides[String(year)];
+  const emissions = ov ?? generatedBauEmissions(baseline, year);
+  return { year, production, emissions, intensity: production > 0 ? emissions / production : 0, overridden: ov != null };
+}
+
+export const bauProjection = (baseline, years) => years.map(y => bauAt(baseline, y));
+
+/*
+  The baseline row a curve is measured against in `year`: the sector's (or the sum of all non-firm
+  sectors', unit-aware as in aggregateBaseline) BAU production and emissions. `year` null keeps the
+  base-year snapshot.
+*/
+export function projectBaseline(baselines, sector, year, units = null) {
+  const snapshot = aggregateBaseline(baselines, sector, units);
+  if (year == null) return snapshot;
+  if (sector !== ALL_SECTORS) {
+    if (!baselines?.[sector]) return snapshot;
+    const p = bauAt(snapshot, year);
+    return { ...snapshot, annual_production: p.production, annual_emissions: p.emissions };
+  }
+  const rows = Object.entries(baselines || {}).filter(([key]) => !isFirmSectorLabel(key)).map(([, b]) => ({ b, p: bauAt(b, year) }));
+  return {
+    ...snapshot,
+    ...combineProduction(rows.map(({ b, p }) => ({ production_label: b.production_label, annual_production: p.production })), units),
+    annual_emissions: rows.reduce((s, { p }) => s + p.emissions, 0),
+  };
+}
+
+/*
+  emissionsPathway({ measures, baselines, units, sector, scopes, years, targetPct, targetIntensity, carbonPrice, interactions })
+  Per year: BAU emissions, the target (BAU less targetPct %, or targetIntensity tCO₂/unit × BAU
+  production when given) and BAU less the abatement of the selected measures stacked in that year
+  (after interactions and the `scopes` filter), floored at zero. `measures` lists each stacked measure's abatement in cost
+  order — the wedges of the abatement wedge chart.
+*/
+export function emissionsPathway({
+  measures = [], baselines = {}, units = null, sector = ALL_SECTORS, scopes = null, years = DEFAULT_YEARS, targetPct = 0, targetIntensity = null, carbonPrice = 0, interactions = null,
+} = {}) {
+  return years.map(year => {
+    const row = projectBaseline(baselines, sector, year, units);
+    const bau = Number(row.annual_emissions || 0);
+    const target = targetIntensity != null ? Number(targetIntensity) * Number(row.annual_production || 0) : bau * (1 - Number(targetPct || 0) / 100);
+    const stacked = applyInteractions(sortByEffectiveCost(filterScopes(filterMeasures(measuresAtYear(measures, year), sector), scopes), carbonPrice), interactions).sorted;
+    const wedges = stacked
+      .map(m => ({ id: m.id, name: m.name, abatement: Math.max(0, Number(m.abatement_tco2 || 0)) }))
+      .filter(w => w.abatement > 0);
+    const abated = wedges.reduce((s, w) => s + w.abatement, 0);
+    return { year, bau, target, withMeasures: Math.max(0, bau - abated), abated, measures: wedges };
+  });
+}
@@ -0,0 +1,61 @@
+/*
+  Breakeven carbon prices. A measure's effective cost is its saved cost less the carbon price in its
+  year (less only the rise since saving when the saved cost already credited a carbon price), so it
+  is viable — effective cost ≤ 0 — from
+    breakeven = saved cost                      (saved without a carbon price)
+    breakeven = saved cost + carbon price at save  (saved with one; path or legacy scalar)
+  A flat carbon price shifts every effective cost by the same amount, so the MACC order (and the
+  interaction adjustments made on it) does not change with the price. Prices are on the curve's
+  price basis (base-year ₹ when the firm works in real terms).
+*/
+
+import { carbonPriceYear, savedCarbonPrice, targetToX, tonnesPerX } from "./macc.js";
+
+export function breakevenCarbonPrice(m) {
+  const cost = Number(m?.cost_per_tco2 || 0);
+  return m?.details?.saved_cost_includes_carbon_price ? cost + savedCarbonPrice(m, carbonPriceYear(m)) : cost;
+}
+
+/*
+  responseCurve(sorted, opts) — the stacked measures by breakeven price with the abatement viable at
+  that price: [{ id, name, sector, breakeven, abatement, cumAbate, x }], x in plot units (see macc.js).
+*/
+export function responseCurve(sorted, opts = {}) {
+  const per = tonnesPerX(opts);
+  let cum = 0;
+  return (sorted || [])
+    .map(m => ({ id: m.id, name: m.name, sector: m.sector, breakeven: breakevenCarbonPrice(m), abatement: Math.max(0, Number(m.abatement_tco2 || 0)) }))
+    .filter(p => p.abatement > 0)
+    .sort((a, b) => a.breakeven - b.breakeven)
+    .map(p => {
+      cum += p.abatement;
+      return { ...p, cumAbate: cum, x: per > 0 ? cum / per : 0 };
+    });
+}
+
+// Abatement (tCO₂) viable at a flat carbon price
+export const viableAbatement = (curve, price) =>
+  (curve || []).reduce((s, p) => (p.breakeven <= Number(price) ? s + p.abatement : s), 0);
+
+/*
+  targetCarbonPrice(curve, opts) — goal-seek of the lowest flat carbon price at which the target
+  (opts.targetPct of baseline emissions, measures taken cheapest first) is met at zero net cost:
+  Σ take × (breakeven − P) = 0, i.e. P = the tonne-weighted average breakeven of the tonnes taken.
+  Also the marginal price at which every tonne taken is viable on its own. `price` is floored at 0
+  (a negative average means the target already pays for itself); both are null when the curve
+  cannot reach the target.
+*/
+export function targetCarbonPrice(curve, opts = {}) {
+  const targetT = Number(opts.baselineEmissions || 0) * (Number(opts.targetPct || 0) / 100);
+  const total = curve?.length ? curve[curve.length - 1].cumAbate : 0;
+  const targetX = targetToX(opts.targetPct, opts);
+  if (!(targetT > 0) || total < targetT * (1 - 1e-12)) return { price: null, averagePrice: null, marginalPrice: null, targetX, reachable: targetT <= 0 };
+  let cum = 0, cost = 0, marginalPrice = null;
+  for (const p of curve) {
+    const take = Math.min(p.abatement, targetT - cum);
+    if (take <= 0) break;
+    cost += take * p.breakeven; cum += take; marginalPrice = p.breakeven;
+  }
+  const averagePrice = cost / targetT;
+  return { price: Math.max(0, averagePrice), averagePrice, marginalPrice, targetX, reachable: true };
+}
@@ -0,0 +1,46 @@
+/* Carbon price trajectory: firm path { start, growthPct, overrides } → per-year price series */
+
+export function normalizeCarbonPath(p, fallbackStart = 0) {
+  const overrides = {};
+  for (const [y, v] of Object.entries(p?.overrides || {})) {
+    if (v !== "" && v != null && Number.isFinite(Number(v))) overrides[String(Number(y))] = Number(v);
+  }
+  return {
+    start: Number(p?.start ?? fallbackStart) || 0,
+    growthPct: Number(p?.growthPct || 0),
+    overrides,
+  };
+}
+
+// Generated price for `year` (start compounding from baseYear), unless the year is overridden
+export function generatedCarbonPrice(path, year, baseYear) {
+  const g = Number(path?.growthPct || 0) / 100;
+  return Number(path?.start || 0) * Math.pow(1 + g, Math.max(0, Number(year) - Number(baseYear)));
+}
+
+export function carbonPriceSeries(path, years) {
+  const p = normalizeCarbonPath(path);
+  const base = years?.[0] ?? 0;
+  return {
+    years: [...(years || [])],
+    prices: (years || []).map(y => p.overrides[String(y)] ?? generatedCarbonPrice(p, y, base)),
+  };
+}
+
+/*
+  Carbon price in `year` from a number (flat) or a { years, prices } series: linear between
+  series years, flat outside. `year == null` gives the first (base-year) price.
+*/
+export function priceAt(cp, year) {
+  if (cp == null) return 0;
+  if (typeof cp === "number" || typeof cp === "string") return Number(cp) || 0;
+  const ys = cp.years || [], ps = cp.prices || [];
+  if (!ys.length) return 0;
+  if (year == null || Number(year) <= ys[0]) return Number(ps[0] || 0);
+  const y = Number(year);
+  if (y >= ys[ys.length - 1]) return Number(ps[ps.length - 1] || 0);
+  const hi = ys.findIndex(v => v >= y);
+  if (ys[hi] === y) return Number(ps[hi] || 0);
+  const w = (y - ys[hi - 1]) / (ys[hi] - ys[hi - 1]);
+  return Number(ps[hi - 1] || 0) + (Number(ps[hi] || 0) - Number(ps[hi - 1] || 0)) * w;
+}
@@ -0,0 +1,66 @@
+/* Catalog row getters & normalisers (fuels / raw / transport / waste / electricity) */
+
+// Normalize getters for wizard data sources
+export const getUnitPrice = (row) => (row?.price ?? row?.price_per_unit_inr ?? 0);
+export const getEFperUnit = (row) => (row?.ef_tco2_per_unit ?? row?.ef_t_per_unit ?? 0);
+export const getElecPricePerMWh = (row) => (row?.price_per_mwh ?? row?.price_per_mwh_inr ?? 500);
+export const getElecEFperMWh = (row) => (row?.ef_tco2_per_mwh ?? 0.710);
+
+// Non-CO₂ gases a row may carry factors for, in tonnes of gas per unit (see gases.js)
+export const NON_CO2_GASES = ["ch4", "n2o", "pfc", "sf6"];
+
+// ef_<gas>_per_<per> fields that are filled in, as numbers
+function gasFactors(row, per) {
+  const out = {};
+  for (const g of NON_CO2_GASES) {
+    const v = row[`ef_${g}_per_${per}`];
+    if (v !== "" && v != null && Number.isFinite(Number(v))) out[`ef_${g}_per_${per}`] = Number(v);
+  }
+  return out;
+}
+
+// Catalog field helpers (tolerant)
+export function normalizeFRTW(row) { // Fuels/Raw/Transport/Waste
+  return {
+    name: row.name ?? row.fuel ?? row.material ?? row.transport ?? row.item ?? "",
+    unit: row.unit ?? "",
+    price_per_unit_inr: Number(row.price_per_unit_inr ?? row.price_per_unit ?? row.price ?? 0),
+    ef_tco2_per_unit: Number(row.ef_tco2_per_unit ?? row.ef_t_per_unit ?? row.ef_t ?? 0),
+    ...gasFactors(row, "unit"),
+  };
+}
+export function normalizeElec(row) {
+  return {
+    state: row.state ?? row.region ?? row.grid ?? "",
+    price_per_mwh_inr: Number(row.price_per_mwh_inr ?? row.price_per_mwh ?? row.price ?? 0),
+    ef_tco2_per_mwh: Number(row.ef_tco2_per_mwh ?? row.ef_t_per_mwh ?? row.ef_t ?? 0.710),
+    ...gasFactors(row, "mwh"),
+  };
+}
+
+// Resolve catalogs for wizard use: sample | custom | merged (custom overrides sample by name/state)
+export function mergedBy(arrA, arrB, keyName) {
+  const map = new Map();
+  (arrA || []).forEach(x => { if (x?.[keyName]) map.set(String(x[keyName]).toLowerCase(), x); });
+  (arrB || []).forEach(x => { if (x?.[keyName]) map.set(String(x[keyName]).toLowerCase(), x); }); // custom overrides
+  return Array.from(map.values());
+}
+
+export function resolveCatalogs(sample, custom, catalogMode) {
+  if (catalogMode === "sample") {
+    return {
+      fuels: sample.fuels || [], raw: sample.raw || [], transport: sample.transport || [], waste: sample.waste || [], electricity: sample.electricity || []
+    };
+  } else if (catalogMode === "custom") {
+    return {
+      fuels: custom.fuels || [], raw: custom.raw || [], transport: custom.transport || [], waste: custom.waste || [], electricity: custom.electricity || []
+    };
+  }
+  return {
+    fuels: mergedBy(sample.fuels || [], custom.fuels || [], "name"),
+    raw: mergedBy(sample.raw || [], custom.raw || [], "name"),
+    transport: mergedBy(sample.transport || [], custom.transport || [], "name"),
+    waste: mergedBy(sample.waste || [], custom.waste || [], "name"),
+    electricity: mergedBy(sample.electricity || [], custom.electricity || [], "state"),
+  };
+}
@@ -0,0 +1,78 @@
+/*
+  India CCTS compliance. Obliged entities get notified Greenhouse Gas Emission Intensity (GEI)
+  targets per compliance year, in tCO₂e per unit of product, held on the baseline row as
+  gei_targets: { [year]: tCO₂e/unit }. Per year and sector:
+    allowed   = target × BAU production            achieved = max(0, BAU emissions − abatement)
+    credits   = allowed − achieved  (Carbon Credit Certificates, 1 CCC = 1 tCO₂e; < 0 is a shortfall)
+  Costs (₹) at the year's carbon price cp, with each stacked measure at its gross ₹/tCO₂ before
+  any carbon price credit (saved cost, plus the carbon price it was saved with, in that year):
+    buyOnly   = (BAU emissions − allowed) × cp      what meeting the target by trading alone costs
+    abatement = Σ abatement × gross cost            credits = −credits × cp (negative = sale revenue)
+    net       = abatement + credits                 saving  = buyOnly − net
+  Only abatement in the covered `scopes` counts toward the target (CCTS_SCOPES by default: direct
+  emissions and purchased electricity).
+*/
+
+import { priceAt } from "./carbon.js";
+import { ALL_SECTORS, isFirmSectorLabel, filterMeasures, measuresAtYear, savedCarbonPrice, sortByEffectiveCost } from "./macc.js";
+import { applyInteractions } from "./interactions.js";
+import { projectBaseline } from "./bau.js";
+import { filterScopes } from "./scopes.js";
+
+export function normalizeGeiTargets(x) {
+  const out = {};
+  for (const [y, v] of Object.entries(x || {})) {
+    const year = Math.round(Number(y));
+    if (Number.isFinite(year) && v !== "" && v != null && Number.isFinite(Number(v)) && Number(v) >= 0) out[String(year)] = Number(v);
+  }
+  return out;
+}
+
+// Compliance years with a notified target, ascending
+export const geiTargetYears = (baseline) => Object.keys(normalizeGeiTargets(baseline?.gei_targets)).map(Number).sort((a, b) => a - b);
+
+export const CCTS_SCOPES = [1, 2];
+
+function sectorYear({ measures, baselines, sector, year, carbonPrice, interactions, scopes }) {
+  const target = normalizeGeiTargets(baselines[sector]?.gei_targets)[String(year)];
+  if (target == null) return null;
+  const { annual_production: production, annual_emissions: bau } = projectBaseline(baselines, sector, year);
+  const cp = priceAt(carbonPrice, year);
+  const stacked = applyInteractions(sortByEffectiveCost(filterScopes(filterMeasures(measuresAtYear(measures, year), sector), scopes), carbonPrice), interactions).sorted;
+  let abated = 0, abatementCost = 0;
+  for (const m of stacked) {
+    const A = Math.max(0, Number(m.abatement_tco2 || 0));
+    abated += A;
+    const gross = Number(m.cost_per_tco2 || 0) + (m.details?.saved_cost_includes_carbon_price ? savedCarbonPrice(m, year) : 0);
+    abatementCost += A * gross;
+  }
+  const allowed = target * production;
+  const achieved = Math.max(0, bau - abated);
+  const credits = allowed - achieved;
+  const creditCost = -credits * cp;
+  const buyOnlyCost = (bau - allowed) * cp;
+  return {
+    year, sector, production, bau, abated, achieved, allowed, credits, carbonPrice: cp,
+    targetIntensity: target, bauIntensity: production > 0 ? bau / production : 0, achievedIntensity: production > 0 ? achieved / production : 0,
+    abatementCost, creditCost, netCost: abatementCost + creditCost, buyOnlyCost, saving: buyOnlyCost - (abatementCost + creditCost),
+  };
+}
+
+const SUMMED = ["production", "bau", "abated", "achieved", "allowed", "credits", "abatementCost", "creditCost", "netCost", "buyOnlyCost", "saving"];
+
+/*
+  complianceSummary({ measures, baselines, sector, carbonPrice, interactions, scopes })
+  One row per notified compliance year (see header). For "All sectors" the rows add up every
+  non-firm sector with a target that year; intensities are then per sector only, so they are null.
+*/
+export function complianceSummary({ measures = [], baselines = {}, sector = ALL_SECTORS, carbonPrice = 0, interactions = null, scopes = CCTS_SCOPES } = {}) {
+  const sectors = sector === ALL_SECTORS ? Object.keys(baselines || {}).filter(k => !isFirmSectorLabel(k)) : [sector];
+  const years = [...new Set(sectors.flatMap(s => geiTargetYears(baselines?.[s])))].sort((a, b) => a - b);
+  return years.map(year => {
+    const rows = sectors.map(s => sectorYear({ measures, baselines, sector: s, year, carbonPrice, interactions, scopes })).filter(Boolean);
+    if (sector !== ALL_SECTORS) return rows[0];
+    const out = { year, sector, carbonPrice: priceAt(carbonPrice, year), targetIntensity: null, bauIntensity: null, achievedIntensity: null, sectors: rows.length };
+    for (const k of SUMMED) out[k] = rows.reduce((s, r) => s + r[k], 0);
+    return out;
+  });
+}
@@ -0,0 +1,47 @@
+/* CSV <-> JSON (measures.csv carries a JSON "details" column) */
+
+export function csvToJson(text) {
+  const clean = (text || "").replace(/^\uFEFF/, "");
+  const lines = clean.split(/\r?\n/).filter((ln) => ln.trim().length > 0);
+  if (lines.length === 0) return [];
+  const parseLine = (line) => {
+    const result = []; let cur = ""; let inQuotes = false;
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (ch === '"') {
+        if (inQuotes && line[i + 1] === '"') { cur += '"'; i++; }
+        else { inQuotes = !inQuotes; }
+      } else if (ch === ',' && !inQuotes) { result.push(cur); cur = ""; }
+      else { cur += ch; }
+    }
+    result.push(cur);
+    return result.map((s) => s.trim());
+  };
+  const headers = parseLine(lines.shift());
+  return lines.map((line) => {
+    const cells = parseLine(line); const obj = {};
+    headers.forEach((h, i) => obj[h] = cells[i] !== undefined ? cells[i] : "");
+    if (obj.details) {
+      try { obj.details = JSON.parse(obj.details); } catch (e) { console.error("Failed to parse details JSON:", e); }
+    }
+    return obj;
+  });
+}
+
+export function jsonToCsv(arr) {
+  if (!arr || arr.length === 0) return "";
+  const processedArr = arr.map(row => {
+    const newRow = { ...row };
+    if (newRow.details) newRow.details = JSON.stringify(newRow.details);
+    return newRow;
+  });
+  const headers = Object.keys(processedArr[0]);
+  const esc = (v) => {
+    if (v === null || v === undefined) return "";
+    const s = String(v);
+    return /[",\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+  };
+  const headerLine = headers.map(esc).join(",");
+  const body = processedArr.map((row) => headers.map((h) => esc(row[h])).join(",")).join("\n");
+  return headerLine + "\n" + body;
+}
@@ -0,0 +1,96 @@
+/*
+  Currencies & FX. The model currency is INR: catalogs, cost stacks, measure costs and the carbon
+  price are stored in ₹. A firm's reporting currency converts figures for display and export.
+  FX table: { USD: { "2025": 83.2, "2030": 90 }, EUR: { … } } = ₹ per unit, linear between years,
+  flat outside (same reading as the carbon price path).
+*/
+
+import { priceAt } from "./carbon.js";
+
+export const MODEL_CURRENCY = "INR";
+
+export const CURRENCIES = {
+  INR: { symbol: "₹", label: "Indian rupee" },
+  USD: { symbol: "$", label: "US dollar" },
+  EUR: { symbol: "€", label: "Euro" },
+};
+
+// Placeholder rates so a new firm converts out of the box; the firm FX table overrides them
+export const DEFAULT_FX = { USD: { 2025: 80 }, EUR: { 2025: 88 } };
+
+// Code from a code or a legacy symbol ("₹" was the only stored value before multi-currency)
+export function currencyCode(v) {
+  const s = String(v ?? "").trim().toUpperCase();
+  if (CURRENCIES[s]) return s;
+  const bySymbol = Object.entries(CURRENCIES).find(([, c]) => c.symbol === String(v ?? "").trim());
+  return bySymbol ? bySymbol[0] : MODEL_CURRENCY;
+}
+
+export const currencySymbol = (code) => CURRENCIES[currencyCode(code)].symbol;
+
+export function normalizeFx(x) {
+  const out = {};
+  for (const code of Object.keys(CURRENCIES)) {
+    if (code === MODEL_CURRENCY) continue;
+    const rows = Object.entries(x?.[code] ?? DEFAULT_FX[code] ?? {})
+      .map(([y, r]) => [String(Math.round(Number(y))), Number(r)])
+      .filter(([y, r]) => Number.isFinite(Number(y)) && Number.isFinite(r) && r > 0);
+    out[code] = Object.fromEntries(rows);
+  }
+  return out;
+}
+
+// ₹ per 1 unit of `code` in `year` (null year = earliest entry); 1 for INR, null if no rate is known
+export function fxRate(fx, code, year = null) {
+  const c = currencyCode(code);
+  if (c === MODEL_CURRENCY) return 1;
+  const table = fx?.[c] || {};
+  const years = Object.keys(table).map(Number).sort((a, b) => a - b);
+  if (!years.length) return null;
+  return priceAt({ years, prices: years.map(y => table[String(y)]) }, year);
+}
+
+export function toInr(amount, code, fx, year = null) {
+  const r = fxRate(fx, code, year);
+  return r == null ? NaN : Number(amount) * r;
+}
+
+export function fromInr(amountInr, code, fx, year = null) {
+  const r = fxRate(fx, code, year);
+  return r == null ? NaN : Number(amountInr) / r;
+}
+
+const hasValue = (v) => v !== "" && v != null && Number.isFinite(Number(v));
+
+/*
+  Measure CSV row → ₹ cost. `cost_per_tco2` wins (in the row's `currency` column if given, else ₹);
+  otherwise the first of cost_per_tco2_usd / _eur is converted.
+*/
+export function measureCostToInr(row, fx, year = null) {
+  if (hasValue(row?.cost_per_tco2)) return toInr(row.cost_per_tco2, row.currency || MODEL_CURRENCY, fx, year);
+  for (const code of Object.keys(CURRENCIES)) {
+    const v = row?.[`cost_per_tco2_${code.toLowerCase()}`];
+    if (hasValue(v)) return toInr(v, code, fx, year);
+  }
+  return null;
+}
+
+/*
+  Catalog CSV row → row with ₹ price fields, for rows priced in another currency:
+  a `currency` column on price_per_unit / price_per_mwh, or price_per_unit_usd / _eur style columns.
+*/
+export function catalogRowToInr(row, fx, year = null) {
+  const out = { ...row };
+  for (const base of ["price_per_unit", "price_per_mwh"]) {
+    if (hasValue(row?.[`${base}_inr`])) continue;
+    if (hasValue(row?.[base]) && row.currency && currencyCode(row.currency) !== MODEL_CURRENCY) {
+      out[`${base}_inr`] = toInr(row[base], row.currency, fx, year);
+      continue;
+    }
+    for (const code of Object.keys(CURRENCIES)) {
+      const v = row?.[`${base}_${code.toLowerCase()}`];
+      if (code !== MODEL_CURRENCY && hasValue(v)) { out[`${base}_inr`] = toInr(v, code, fx, year); break; }
+    }
+  }
+  return out;
+}
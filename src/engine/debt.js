@@ -0,0 +1,95 @@
+/*
+  Debt for template measures: financing tranches → annual repayment schedule.
+  Tranche { id, drawdown_year, amount_cr, rate_pct, tenure_years, grace_years, repayment }:
+  the loan is drawn in drawdown_year, which is also the first payment period. The first
+  grace_years periods pay interest only (moratorium), then the principal is repaid over
+  tenure_years as equal instalments (EMI) or equal principal with interest on the balance.
+  Legacy templates kept one annuity per grid year in stack.capex_financed_cr / interest_rate_pct /
+  financing_tenure_years; loanTranches reads those as one tranche per year with financed capex.
+*/
+
+import { annuityFactor } from "./finance.js";
+import { DEFAULT_YEARS } from "./series.js";
+
+export const REPAYMENT_TYPES = {
+  annuity: "Equal instalments (EMI)",
+  equal_principal: "Equal principal",
+};
+
+const num = (v, d = 0) => (v === "" || v == null || !Number.isFinite(Number(v)) ? d : Number(v));
+
+export function normalizeTranche(t, i = 0) {
+  return {
+    id: num(t?.id, i + 1),
+    drawdown_year: Math.round(num(t?.drawdown_year)),
+    amount_cr: Math.max(0, num(t?.amount_cr)),
+    rate_pct: Math.max(0, num(t?.rate_pct)),
+    tenure_years: Math.max(1, Math.round(num(t?.tenure_years, 10))),
+    grace_years: Math.max(0, Math.round(num(t?.grace_years))),
+    repayment: REPAYMENT_TYPES[t?.repayment] ? t.repayment : "annuity",
+  };
+}
+
+// Tranches of a template stack: explicit stack.loans, else converted from the legacy per-year arrays
+export function loanTranches(stack, years) {
+  if (Array.isArray(stack?.loans)) return stack.loans.map(normalizeTranche);
+  const grid = Array.isArray(years) && years.length ? years : DEFAULT_YEARS;
+  const out = [];
+  (stack?.capex_financed_cr || []).forEach((v, i) => {
+    const amount = num(v);
+    if (amount <= 0) return;
+    out.push(normalizeTranche({
+      id: out.length + 1, drawdown_year: grid[i], amount_cr: amount,
+      rate_pct: num(stack?.interest_rate_pct?.[i]), tenure_years: num(stack?.financing_tenure_years?.[i], 10),
+    }));
+  });
+  return out;
+}
+
+export const financedCapexCr = (stack, years) => loanTranches(stack, years).reduce((s, t) => s + t.amount_cr, 0);
+
+// Annual rows { year, opening, interest, principal, payment, closing } (₹ cr) for one tranche
+export function amortise(tranche) {
+  const t = normalizeTranche(tranche);
+  const r = t.rate_pct / 100;
+  const emi = t.amount_cr * annuityFactor(r, t.tenure_years);
+  const rows = [];
+  let bal = t.amount_cr;
+  for (let k = 0; k < t.grace_years + t.tenure_years && bal > 1e-12; k++) {
+    const interest = bal * r;
+    let principal = 0;
+    if (k >= t.grace_years) {
+      const left = t.grace_years + t.tenure_years - k;
+      principal = left === 1 ? bal : t.repayment === "equal_principal" ? t.amount_cr / t.tenure_years : emi - interest;
+    }
+    rows.push({ year: t.drawdown_year + k, opening: bal, interest, principal, payment: interest + principal, closing: bal - principal });
+    bal -= principal;
+  }
+  return rows;
+}
+
+/*
+  Combined schedule over all tranches, one row per calendar year from the first drawdown to the
+  last payment: { year, drawdown, interest, principal, payment, closing } in ₹ cr.
+*/
+export function debtSchedule(tranches) {
+  const list = (tranches || []).map(normalizeTranche).filter(t => t.amount_cr > 0);
+  if (!list.length) return [];
+  const byYear = new Map();
+  const row = (y) => {
+    if (!byYear.has(y)) byYear.set(y, { year: y, drawdown: 0, interest: 0, principal: 0, payment: 0, closing: 0 });
+    return byYear.get(y);
+  };
+  for (const t of list) {
+    row(t.drawdown_year).drawdown += t.amount_cr;
+    for (const p of amortise(t)) {
+      const r = row(p.year);
+      r.interest += p.interest; r.principal += p.principal; r.payment += p.payment; r.closing += p.closing;
+    }
+  }
+  // A tranche pays every year until repaid, so years missing here carry no balance
+  const years = [...byYear.keys()];
+  const out = [];
+  for (let y = Math.min(...years); y <= Math.max(...years); y++) out.push(row(y));
+  return out;
+}
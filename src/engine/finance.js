@@ -0,0 +1,28 @@
+/* Finance helpers: NPV, IRR, annuity */
+
+export function npv(rate, amounts, years, baseYear) {
+  const r = Number(rate);
+  return amounts.reduce((acc, amt, i) => acc + (Number(amt) / Math.pow(1 + r, Math.max(0, years[i] - baseYear))), 0);
+}
+
+export function irr(amounts, years, baseYear, guessLow = -0.9, guessHigh = 3.0, tol = 1e-6, maxIter = 100) {
+  const f = (r) => npv(r, amounts, years, baseYear);
+  let lo = guessLow, hi = guessHigh;
+  let fLo = f(lo), fHi = f(hi);
+  if (Number.isNaN(fLo) || Number.isNaN(fHi)) return null;
+  if (fLo * fHi > 0) return null;
+  for (let it = 0; it < maxIter; it++) {
+    const mid = (lo + hi) / 2;
+    const fMid = f(mid);
+    if (Math.abs(fMid) < tol) return mid;
+    if (fLo * fMid < 0) { hi = mid; fHi = fMid; } else { lo = mid; fLo = fMid; }
+  }
+  return (lo + hi) / 2;
+}
+
+export function annuityFactor(r, n) {
+  const R = Number(r), N = Number(n);
+  if (!Number.isFinite(R) || !Number.isFinite(N) || N <= 0) return 0;
+  if (Math.abs(R) < 1e-9) return 1 / N;
+  return (R * Math.pow(1 + R, N)) / (Math.pow(1 + R, N) - 1);
+}
@@ -0,0 +1,330 @@
+/*
+  Curve fitting. Each model fits cost against x (the curve's plot units) by least squares:
+  quadratic, continuous piecewise linear (up to three segments, breakpoints at data points),
+  exponential a + b·e^(k·x), power law a + b·(x/x0)^c, and a monotone cubic (Fritsch–Carlson)
+  spline through binned knots. A fit is plain data — { model, params, k, n, r2, rmse, aic, domain } —
+  evaluated by fitValue, so it can be exported and rebuilt elsewhere. AIC = n·ln(SSE/n) + 2k.
+*/
+
+// Quadratic LS fit with R²
+export function quadraticFit(xs, ys) {
+  const n = xs.length;
+  if (n < 3) return { a: 0, b: 0, c: 0, r2: null };
+
+  let Sx = 0, Sx2 = 0, Sx3 = 0, Sx4 = 0, Sy = 0, Sxy = 0, Sx2y = 0;
+  for (let i = 0; i < n; i++) {
+    const x = Number(xs[i]);
+    const y = Number(ys[i]);
+    const x2 = x * x;
+    Sx  += x; Sx2 += x2; Sx3 += x2 * x; Sx4 += x2 * x2;
+    Sy  += y; Sxy += x * y; Sx2y += x2 * y;
+  }
+
+  const det = (m) =>
+    m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
+    m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
+    m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+
+  const M  = [[n,  Sx,  Sx2], [Sx,  Sx2, Sx3], [Sx2, Sx3, Sx4]];
+  const My = [[Sy, Sx,  Sx2], [Sxy, Sx2, Sx3], [Sx2y, Sx3, Sx4]];
+  const Mb = [[n,  Sy,  Sx2], [Sx,  Sxy, Sx3], [Sx2, Sx2y, Sx4]];
+  const Mc = [[n,  Sx,  Sy ], [Sx,  Sx2, Sxy], [Sx2, Sx3, Sx2y]];
+
+  const D = det(M);
+  if (Math.abs(D) < 1e-12) return { a: 0, b: 0, c: 0, r2: null };
+
+  const a = det(My) / D;
+  const b = det(Mb) / D;
+  const c = det(Mc) / D;
+
+  const yMean = ys.reduce((s, y) => s + Number(y), 0) / n;
+  let sse = 0, sst = 0;
+  for (let i = 0; i < n; i++) {
+    const x = Number(xs[i]);
+    const y = Number(ys[i]);
+    const yhat = a + b * x + c * x * x;
+    sse += (y - yhat) ** 2;
+    sst += (y - yMean) ** 2;
+  }
+  const r2 = sst > 0 ? 1 - (sse / sst) : null;
+  return { a, b, c, r2 };
+}
+
+export const FIT_MODELS = {
+  quadratic: "Quadratic",
+  piecewise: "Piecewise linear",
+  exponential: "Exponential",
+  power: "Power law",
+  spline: "Monotone cubic spline",
+};
+
+// Finite points sorted by x
+function pointsOf(xs, ys) {
+  return xs.map((x, i) => ({ x: Number(x), y: Number(ys[i]) }))
+    .filter(p => Number.isFinite(p.x) && Number.isFinite(p.y))
+    .sort((a, b) => a.x - b.x);
+}
+
+// Least squares over basis rows X (normal equations, partial pivoting); null when singular
+function leastSquares(X, ys) {
+  const k = X[0].length;
+  const A = Array.from({ length: k }, () => new Array(k + 1).fill(0));
+  X.forEach((row, r) => {
+    for (let i = 0; i < k; i++) {
+      for (let j = 0; j < k; j++) A[i][j] += row[i] * row[j];
+      A[i][k] += row[i] * ys[r];
+    }
+  });
+  const scale = Math.max(...A.map((row, i) => Math.abs(row[i])), 1e-300);
+  for (let c = 0; c < k; c++) {
+    let piv = c;
+    for (let r = c + 1; r < k; r++) if (Math.abs(A[r][c]) > Math.abs(A[piv][c])) piv = r;
+    if (Math.abs(A[piv][c]) < 1e-12 * scale) return null;
+    [A[c], A[piv]] = [A[piv], A[c]];
+    for (let r = 0; r < k; r++) {
+      if (r === c) continue;
+      const f = A[r][c] / A[c][c];
+      for (let j = c; j <= k; j++) A[r][j] -= f * A[c][j];
+    }
+  }
+  const coef = A.map((row, i) => row[k] / row[i]);
+  const sse = X.reduce((s, row, r) => s + (ys[r] - row.reduce((t, v, i) => t + v * coef[i], 0)) ** 2, 0);
+  return { coef, sse };
+}
+
+// Minimum of f over a grid, refined by golden-section search between the neighbouring grid points
+function minimiseOnGrid(f, grid) {
+  let best = -1, bestV = Infinity;
+  grid.forEach((g, i) => { const v = f(g); if (v < bestV) { bestV = v; best = i; } });
+  if (best < 0) return null;
+  let lo = grid[Math.max(0, best - 1)], hi = grid[Math.min(grid.length - 1, best + 1)];
+  const phi = (Math.sqrt(5) - 1) / 2;
+  let c = hi - phi * (hi - lo), d = lo + phi * (hi - lo), fc = f(c), fd = f(d);
+  for (let it = 0; it < 60; it++) {
+    if (fc < fd) { hi = d; d = c; fd = fc; c = hi - phi * (hi - lo); fc = f(c); }
+    else { lo = c; c = d; fc = fd; d = lo + phi * (hi - lo); fd = f(d); }
+  }
+  const x = fc < fd ? c : d;
+  return Math.min(fc, fd) <= bestV ? x : grid[best];
+}
+
+// Cubic Hermite on [x0, x1] with end values y and slopes m
+function hermite(x, a, b) {
+  const h = b.x - a.x, t = (x - a.x) / h, t2 = t * t, t3 = t2 * t;
+  return (2 * t3 - 3 * t2 + 1) * a.y + (t3 - 2 * t2 + t) * h * a.m + (-2 * t3 + 3 * t2) * b.y + (t3 - t2) * h * b.m;
+}
+
+// Index of the knot segment holding x (end segments extend outwards)
+const segmentOf = (knots, x) => {
+  let i = 0;
+  while (i < knots.length - 2 && x > knots[i + 1].x) i++;
+  return i;
+};
+
+// Cost of a fit at x
+export function fitValue(fit, x) {
+  const p = fit?.params;
+  if (!p) return NaN;
+  switch (fit.model) {
+    case "quadratic": return p.a + p.b * x + p.c * x * x;
+    case "exponential": return p.a + p.b * Math.exp(p.k * x);
+    case "power": return p.a + p.b * Math.pow(Math.max(0, x) / p.x0, p.c);
+    case "piecewise": {
+      const K = p.knots;
+      if (K.length === 1) return K[0].y;
+      const i = segmentOf(K, x), a = K[i], b = K[i + 1];
+      return a.y + (b.y - a.y) * (x - a.x) / (b.x - a.x);
+    }
+    case "spline": {
+      const K = p.knots;
+      if (K.length === 1) return K[0].y;
+      if (x <= K[0].x) return K[0].y + K[0].m * (x - K[0].x);
+      const last = K[K.length - 1];
+      if (x >= last.x) return last.y + last.m * (x - last.x);
+      const i = segmentOf(K, x);
+      return hermite(x, K[i], K[i + 1]);
+    }
+    default: return NaN;
+  }
+}
+
+// Goodness of fit on the fitted points: R², RMSE and AIC with k estimated parameters
+export function fitStats(fit, xs, ys) {
+  const pts = pointsOf(xs, ys), n = pts.length;
+  if (!fit || !n) return { n, r2: null, rmse: null, aic: null };
+  const mean = pts.reduce((s, p) => s + p.y, 0) / n;
+  let sse = 0, sst = 0;
+  for (const p of pts) { sse += (p.y - fitValue(fit, p.x)) ** 2; sst += (p.y - mean) ** 2; }
+  return {
+    n,
+    r2: sst > 0 ? 1 - sse / sst : null,
+    rmse: Math.sqrt(sse / n),
+    aic: sse > 0 ? n * Math.log(sse / n) + 2 * fit.k : null,
+  };
+}
+
+const withStats = (fit, pts) => {
+  if (!fit) return null;
+  const domain = [pts[0].x, pts[pts.length - 1].x];
+  return { ...fit, domain, ...fitStats(fit, pts.map(p => p.x), pts.map(p => p.y)) };
+};
+
+function quadraticModel(pts) {
+  if (pts.length < 3) return null;
+  const { a, b, c, r2 } = quadraticFit(pts.map(p => p.x), pts.map(p => p.y));
+  return r2 == null && a === 0 && b === 0 && c === 0 ? null : { model: "quadratic", params: { a, b, c }, k: 3 };
+}
+
+/* Continuous piecewise linear: hinge basis 1, x, (x − b)+ over up to `segments` − 1 breakpoints
+   tried at (at most 40) interior data points; params.knots are the segment ends. */
+function piecewiseModel(pts, { segments = 3 } = {}) {
+  const n = pts.length;
+  if (n < 3) return null;
+  const x0 = Math.max(...pts.map(p => Math.abs(p.x))) || 1;
+  const u = pts.map(p => p.x / x0), ys = pts.map(p => p.y);
+  const lo = u[0], hi = u[n - 1];
+  let cands = [...new Set(u)].filter(v => v > lo && v < hi);
+  if (cands.length > 40) cands = Array.from({ length: 40 }, (_, i) => cands[Math.round(i * (cands.length - 1) / 39)]);
+  const nb = Math.min(segments - 1, cands.length, n - 3);
+  let best = null;
+  const tryBreaks = (bs) => {
+    const r = leastSquares(u.map(v => [1, v, ...bs.map(b => Math.max(0, v - b))]), ys);
+    if (r && (!best || r.sse < best.sse)) best = { ...r, bs };
+  };
+  if (nb <= 0) tryBreaks([]);
+  else if (nb === 1) cands.forEach(b => tryBreaks([b]));
+  else cands.forEach((b1, i) => cands.slice(i + 1).forEach(b2 => tryBreaks([b1, b2])));
+  if (!best) return null;
+  const at = (v) => best.coef[0] + best.coef[1] * v + best.bs.reduce((s, b, i) => s + best.coef[2 + i] * Math.max(0, v - b), 0);
+  const knots = (hi > lo ? [lo, ...best.bs, hi] : [lo]).map(v => ({ x: v * x0, y: at(v) }));
+  return { model: "piecewise", params: { knots }, k: 2 + 2 * best.bs.length };
+}
+
+// a + b·g(u) for a fixed shape g; the nonlinear parameter is searched on a grid
+function shapeModel(pts, us, g, grid) {
+  const ys = pts.map(p => p.y);
+  const fitAt = (s) => leastSquares(us.map(u => [1, g(u, s)]), ys);
+  const s = minimiseOnGrid((v) => fitAt(v)?.sse ?? Infinity, grid);
+  const r = s == null ? null : fitAt(s);
+  return r && { s, a: r.coef[0], b: r.coef[1] };
+}
+
+// a + b·e^(k·x), searched as e^(c·x/x0) with c in ±20
+function exponentialModel(pts) {
+  if (pts.length < 3) return null;
+  const x0 = Math.max(...pts.map(p => Math.abs(p.x))) || 1;
+  const grid = Array.from({ length: 81 }, (_, i) => -20 + i * 0.5).filter(c => c !== 0);
+  const r = shapeModel(pts, pts.map(p => p.x / x0), (u, c) => Math.exp(c * u), grid);
+  return r && { model: "exponential", params: { a: r.a, b: r.b, k: r.s / x0 }, k: 3 };
+}
+
+// a + b·(x/x0)^c over x > 0, x0 = the largest x, c in 0.05–20
+function powerModel(pts) {
+  const pos = pts.filter(p => p.x > 0);
+  if (pos.length < 3) return null;
+  const x0 = pos[pos.length - 1].x;
+  const grid = Array.from({ length: 61 }, (_, i) => 0.05 * Math.pow(400, i / 60));
+  const r = shapeModel(pos, pos.map(p => p.x / x0), (u, c) => Math.pow(u, c), grid);
+  return r && { model: "power", params: { a: r.a, b: r.b, c: r.s, x0 }, k: 3 };
+}
+
+/* Monotone cubic spline (Fritsch–Carlson) through up to `knots` bin means of equal point count;
+   linear beyond the end knots. Knot slopes m are in cost per x unit. */
+function splineModel(pts, { knots = 6 } = {}) {
+  const n = pts.length;
+  if (n < 2) return null;
+  const m = Math.min(knots, n);
+  const K = [];
+  for (let j = 0; j < m; j++) {
+    const bin = pts.slice(Math.round(j * n / m), Math.round((j + 1) * n / m));
+    const x = bin.reduce((s, p) => s + p.x, 0) / bin.length, y = bin.reduce((s, p) => s + p.y, 0) / bin.length;
+    if (K.length && x <= K[K.length - 1].x) { K[K.length - 1].y = (K[K.length - 1].y + y) / 2; continue; }
+    K.push({ x, y, m: 0 });
+  }
+  if (K.length < 2) return null;
+  const d = K.slice(0, -1).map((k, i) => (K[i + 1].y - k.y) / (K[i + 1].x - k.x));
+  K.forEach((k, i) => {
+    k.m = i === 0 ? d[0] : i === K.length - 1 ? d[i - 1] : (d[i - 1] * d[i] <= 0 ? 0 : (d[i - 1] + d[i]) / 2);
+  });
+  d.forEach((di, i) => {
+    if (di === 0) { K[i].m = 0; K[i + 1].m = 0; return; }
+    const a = K[i].m / di, b = K[i + 1].m / di, h = a * a + b * b;
+    if (h > 9) { const t = 3 / Math.sqrt(h); K[i].m = t * a * di; K[i + 1].m = t * b * di; }
+  });
+  return { model: "spline", params: { knots: K }, k: K.length };
+}
+
+const MODEL_FITS = { quadratic: quadraticModel, piecewise: piecewiseModel, exponential: exponentialModel, power: powerModel, spline: splineModel };
+
+// Every model fitted to the points: { [model]: fit with stats | null }
+export function fitModels(xs, ys) {
+  const pts = pointsOf(xs, ys);
+  return Object.fromEntries(Object.keys(FIT_MODELS).map(k => [k, pts.length ? withStats(MODEL_FITS[k](pts), pts) : null]));
+}
+
+// Model with the lowest AIC (ties and missing AIC fall back to the highest R²)
+export function bestFitModel(fits) {
+  const ok = Object.values(fits || {}).filter(Boolean);
+  if (!ok.length) return null;
+  const score = (f) => [f.aic ?? Infinity, -(f.r2 ?? -Infinity)];
+  return ok.reduce((best, f) => {
+    const [a1, r1] = score(f), [a2, r2] = score(best);
+    return a1 < a2 || (a1 === a2 && r1 < r2) ? f : best;
+  }).model;
+}
+
+// Cost-side parameters scale with the cost unit (currency conversion); shape parameters do not
+export function scaleFit(fit, factor) {
+  if (!fit) return fit;
+  const p = fit.params, f = Number(factor);
+  const params =
+    fit.model === "quadratic" ? { a: p.a * f, b: p.b * f, c: p.c * f }
+    : fit.model === "exponential" || fit.model === "power" ? { ...p, a: p.a * f, b: p.b * f }
+    : { knots: p.knots.map(k => ({ ...k, y: k.y * f, ...(k.m != null ? { m: k.m * f } : {}) })) };
+  return {
+    ...fit, params,
+    ...(fit.rmse != null ? { rmse: fit.rmse * Math.abs(f) } : {}),
+    ...(fit.fitted ? { fitted: fit.fitted.map(q => ({ ...q, y: q.y * f })) } : {}),
+  };
+}
+
+const num = (v) => (Number.isFinite(v) ? Number(v.toPrecision(6)).toString() : "—");
+const signed = (v) => (v < 0 ? ` − ${num(-v)}` : ` + ${num(v)}`);
+
+// Human-readable equation of a fit
+export function fitEquation(fit) {
+  const p = fit?.params;
+  if (!p) return "";
+  switch (fit.model) {
+    case "quadratic": return `cost(x) = ${num(p.a)}${signed(p.b)}·x${signed(p.c)}·x²`;
+    case "exponential": return `cost(x) = ${num(p.a)}${signed(p.b)}·exp(${num(p.k)}·x)`;
+    case "power": return `cost(x) = ${num(p.a)}${signed(p.b)}·(x / ${num(p.x0)})^${num(p.c)}`;
+    case "piecewise": return `cost(x) = linear between (x, cost) knots ${p.knots.map(k => `(${num(k.x)}, ${num(k.y)})`).join(", ")}; end segments extended`;
+    case "spline": return `cost(x) = monotone cubic Hermite through (x, cost, slope) knots ${p.knots.map(k => `(${num(k.x)}, ${num(k.y)}, ${num(k.m)})`).join(", ")}; linear beyond the end knots`;
+    default: return "";
+  }
+}
+
+// Flat parameter list of a fit ({ name, value }), knots numbered from 1
+export function fitParams(fit) {
+  const p = fit?.params;
+  if (!p) return [];
+  if (!p.knots) return Object.entries(p).map(([name, value]) => ({ name, value }));
+  return p.knots.flatMap((k, i) => Object.entries(k).map(([key, value]) => ({ name: `knot${i + 1}_${key}`, value })));
+}
+
+/* Portable description of a fit for other models: equation, parameters, units and fit statistics.
+   `xUnit` / `costUnit` label the axes (e.g. "tCO2", "INR/tCO2e"). */
+export function fitExport(fit, { xUnit = "", costUnit = "" } = {}) {
+  if (!fit) return null;
+  return {
+    model: fit.model,
+    label: FIT_MODELS[fit.model],
+    equation: fitEquation(fit),
+    params: fit.params,
+    x_unit: xUnit,
+    cost_unit: costUnit,
+    domain: fit.domain,
+    n: fit.n, r2: fit.r2, rmse: fit.rmse, aic: fit.aic,
+  };
+}
@@ -0,0 +1,81 @@
+/*
+  Greenhouse gases and GWP sets. Catalog rows keep their CO₂ factor in ef_tco2_per_unit
+  (ef_tco2_per_mwh for electricity) and may add non-CO₂ factors in tonnes of gas per unit:
+  ef_ch4_per_unit, ef_n2o_per_unit, ef_pfc_per_unit (as CF₄), ef_sf6_per_unit (…_per_mwh for
+  electricity). A row's EF in tCO₂e is Σ gas × GWP-100 of the firm's set; a row without non-CO₂
+  factors is unchanged by the set. Results carry the tCO₂e split per gas as gas_tco2e.
+  Template lines may override single gases in efOvGas: { [gas]: tonnes of gas per unit }.
+*/
+
+import { getEFperUnit, getElecEFperMWh, NON_CO2_GASES as NON_CO2 } from "./catalogs.js";
+
+export const GASES = { co2: "CO₂", ch4: "CH₄", n2o: "N₂O", pfc: "PFC (CF₄)", sf6: "SF₆" };
+
+// 100-year GWPs of the IPCC assessment reports (AR6 CH₄ without the fossil CO₂ adjustment)
+export const GWP_SETS = {
+  AR4: { label: "IPCC AR4 (GWP-100)", co2: 1, ch4: 25, n2o: 298, pfc: 7390, sf6: 22800 },
+  AR5: { label: "IPCC AR5 (GWP-100)", co2: 1, ch4: 28, n2o: 265, pfc: 6630, sf6: 23500 },
+  AR6: { label: "IPCC AR6 (GWP-100)", co2: 1, ch4: 27.9, n2o: 273, pfc: 7380, sf6: 25200 },
+};
+export const DEFAULT_GWP = "AR5";
+
+export const normalizeGwp = (x) => (GWP_SETS[x] ? x : DEFAULT_GWP);
+
+// Was a saved template computed with the firm's GWP set? Measures saved before sets were tracked had CO₂ only.
+export const gwpMatches = (details, gwp) => details?.gwp_set == null || normalizeGwp(details.gwp_set) === normalizeGwp(gwp);
+
+export const emptyGasSplit = () => ({ co2: 0, ch4: 0, n2o: 0, pfc: 0, sf6: 0 });
+
+// Catalog field of a gas for a row kind ("unit" rows or "mwh" electricity rows)
+export const gasField = (gas, perMwh = false) => (gas === "co2" ? (perMwh ? "ef_tco2_per_mwh" : "ef_tco2_per_unit") : `ef_${gas}_per_${perMwh ? "mwh" : "unit"}`);
+
+// Tonnes of each gas per unit (per MWh for electricity rows)
+export function gasEFs(row, perMwh = false) {
+  const out = emptyGasSplit();
+  out.co2 = Number((perMwh ? getElecEFperMWh(row) : getEFperUnit(row)) || 0);
+  for (const g of NON_CO2) out[g] = Number(row?.[gasField(g, perMwh)] || 0);
+  return out;
+}
+
+// Per-gas EF overrides that are filled in, as numbers; null when there are none
+export function gasOverrides(x) {
+  const out = {};
+  for (const g of Object.keys(GASES)) {
+    const v = x?.[g];
+    if (v !== "" && v != null && Number.isFinite(Number(v))) out[g] = Number(v);
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+/*
+  efCO2e(row, gwp, perMwh, overrides) → { ef, split } — the row's EF in tCO₂e/unit, with any per-gas
+  overrides (see gasOverrides) laid over its factors, and each gas's share of it (all CO₂ when the
+  EF is zero), so an overridden total EF can be split the same way.
+*/
+export function efCO2e(row, gwp = DEFAULT_GWP, perMwh = false, overrides = null) {
+  const set = GWP_SETS[normalizeGwp(gwp)];
+  const gases = { ...gasEFs(row, perMwh), ...gasOverrides(overrides) };
+  const ef = Object.keys(gases).reduce((s, g) => s + gases[g] * set[g], 0);
+  const split = emptyGasSplit();
+  if (ef === 0) split.co2 = 1;
+  else for (const g of Object.keys(gases)) split[g] = gases[g] * set[g] / ef;
+  return { ef, split };
+}
+
+// Adds t tCO₂e to `into` in proportion to `split`
+export function addGasSplit(into, t, split) {
+  for (const g of Object.keys(into)) into[g] += t * Number(split?.[g] || 0);
+  return into;
+}
+
+// tCO₂e by gas of a measure as it stands (year row, else representative row), scaled to its abatement
+export function measureGases(m) {
+  const A = Number(m?.abatement_tco2 || 0);
+  const d = m?.details;
+  const split = m?.gas_tco2e || (d?.mode === "template_db_multiline" && Array.isArray(d.per_year) ? d.per_year[d.representative_index ?? 0]?.gas_tco2e : null);
+  if (!split) return { ...emptyGasSplit(), [GASES[m?.gas] ? m.gas : "co2"]: A };
+  const total = Object.keys(GASES).reduce((s, g) => s + Number(split[g] || 0), 0);
+  const out = emptyGasSplit();
+  for (const g of Object.keys(out)) out[g] = total > 0 ? A * Number(split[g] || 0) / total : (g === "co2" ? A : 0);
+  return out;
+}
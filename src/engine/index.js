@@ -0,0 +1,102 @@
+/* Headless MACC engine — pure JS, no React. Used by the UI and runnable from scripts/tests. */
+
+import { computeMeasure, isTemplateMeasure } from "./measure.js";
+import {
+  ALL_SECTORS, baselineIntensity, filterMeasures, sortByEffectiveCost,
+  computeTotals, buildSegments, buildMaccData, fitQuadratic, fitMaccCurves, budgetToTarget, fitBudgetToTarget, targetToX, measuresAtYear, targetPctFromIntensity,
+} from "./macc.js";
+import { applyInteractions } from "./interactions.js";
+import { deflateCarbonPrice } from "./inflation.js";
+import { projectBaseline } from "./bau.js";
+import { syncInventories } from "./inventory.js";
+import { filterScopes } from "./scopes.js";
+import { responseCurve, targetCarbonPrice } from "./breakeven.js";
+
+export * from "./finance.js";
+export * from "./series.js";
+export * from "./fit.js";
+export * from "./csv.js";
+export * from "./catalogs.js";
+export * from "./gases.js";
+export * from "./inventory.js";
+export * from "./carbon.js";
+export * from "./currency.js";
+export * from "./units.js";
+export * from "./scopes.js";
+export * from "./inflation.js";
+export * from "./tax.js";
+export * from "./debt.js";
+export * from "./lifecycle.js";
+export * from "./measure.js";
+export * from "./macc.js";
+export * from "./breakeven.js";
+export * from "./interactions.js";
+export * from "./bau.js";
+export * from "./ccts.js";
+export * from "./optimise.js";
+export * from "./montecarlo.js";
+export * from "./sensitivity.js";
+
+/*
+  runMacc({ measures, catalogs, baselines, units, carbonPrice, inflation, gwp, sector, scopes, mode, targetPct, targetIntensity, fitPositiveCostsOnly, fitModel, year, interactions })
+  One-shot evaluation of a firm: per-year results for template measures (recomputed from
+  their saved details against `catalogs`), the ordered curve, its fit and the target budget.
+  `year` builds the curve from each template measure's saved per-year results (null = representative year).
+  `scopes` (e.g. [1, 2]; null = all) keeps only that share of each measure's abatement (see scopes.js).
+  `interactions` (exclusivity groups, overlap pairs) are applied to the ordered list before stacking.
+  `inflation` sets the price basis (see inflation.js); the nominal carbon price is deflated to match.
+  `gwp` picks the GWP set non-CO₂ catalog factors are converted with (see gases.js).
+  Baselines with a linked activity inventory take their emissions from `catalogs` (see inventory.js).
+  Intensity % and the target are measured against the sector's BAU emissions in `year` (see bau.js);
+  `units` holds the equivalence factors for adding up production across sectors (see units.js).
+  In "physical" mode x is tCO₂ per production unit and `targetIntensity` (tCO₂/unit), if given,
+  sets the target instead of targetPct; with mixed units it falls back to "intensity" (returned `mode`).
+  `fit` is the quadratic; `fits` holds every curve model (see fit.js) and `curveFit` the `fitModel` one;
+  `fitBudget` reads the target budget off `curveFit` next to the step-walk `budget`.
+  `response` lists the stacked measures by breakeven carbon price with the abatement viable at each,
+  and `targetPrice` the lowest carbon price that meets the target at zero net cost (see breakeven.js).
+*/
+export function runMacc({
+  measures = [], catalogs = {}, baselines = {}, units = null, carbonPrice = 0, inflation = null, gwp = null,
+  sector = ALL_SECTORS, scopes = null, mode = "capacity", targetPct = 0, targetIntensity = null, fitPositiveCostsOnly = false, fitModel = "quadratic", year = null,
+  interactions = null,
+} = {}) {
+  const perYear = {};
+  for (const m of measures) {
+    if (isTemplateMeasure(m)) perYear[m.id] = computeMeasure(m.details, { catalogs, carbonPrice, inflation, gwp });
+  }
+
+  const baseline = projectBaseline(syncInventories(baselines, catalogs, gwp), sector, year, units);
+  // Without a common production unit there is no intensity to plot: fall back to % of emissions
+  if (mode === "physical" && baseline.mixed_units) mode = "intensity";
+  const opts = { mode, baselineEmissions: Number(baseline.annual_emissions || 0), baselineProduction: Number(baseline.annual_production || 0) };
+  if (mode === "physical" && targetIntensity != null) targetPct = targetPctFromIntensity(targetIntensity, opts);
+  const filtered = filterScopes(filterMeasures(measuresAtYear(measures, year), sector), scopes);
+  const { sorted, dropped, reduced } = applyInteractions(sortByEffectiveCost(filtered, deflateCarbonPrice(carbonPrice, inflation)), interactions);
+  const { segments, totalX } = buildSegments(sorted, opts);
+  const maccData = buildMaccData(sorted, opts);
+  const fits = fitMaccCurves(maccData, { positiveCostsOnly: fitPositiveCostsOnly });
+  const response = responseCurve(sorted, opts);
+
+  return {
+    mode,
+    baseline,
+    baselineIntensity: baselineIntensity(baseline),
+    perYear,
+    sorted,
+    dropped,
+    reduced,
+    totals: computeTotals(sorted, sorted),
+    segments,
+    totalX,
+    maccData,
+    fit: fitQuadratic(maccData, { positiveCostsOnly: fitPositiveCostsOnly }),
+    fits,
+    curveFit: fits[fitModel] || null,
+    targetX: targetToX(targetPct, opts),
+    budget: budgetToTarget(maccData, { ...opts, targetPct }),
+    fitBudget: fitBudgetToTarget(maccData, fits[fitModel], { ...opts, targetPct }),
+    response,
+    targetPrice: targetCarbonPrice(response, { ...opts, targetPct }),
+  };
+}
@@ -0,0 +1,65 @@
+/*
+  General inflation and the price basis of template results. Entered figures are read as nominal:
+  catalog prices with their escalation, the cost stack as spent, the carbon price path, and the
+  discount and interest rates.
+  - "nominal": results as entered, discounted at the nominal rate;
+  - "real": each year's cash flows, costs and carbon price are deflated to constant base-year ₹ by
+    (1 + π)^(year − base) and discounted at the Fisher real rate (1 + r) / (1 + π) − 1.
+  NPV is the same on both bases; IRR, per-year and per-tCO₂ figures are not.
+*/
+
+import { priceAt } from "./carbon.js";
+import { DEFAULT_YEARS } from "./series.js";
+
+export const PRICE_BASES = {
+  nominal: "Nominal (as-spent ₹)",
+  real: "Real (constant base-year ₹)",
+};
+
+export const DEFAULT_INFLATION = { ratePct: 0, basis: "nominal" };
+
+export function normalizeInflation(x) {
+  const ratePct = Number(x?.ratePct);
+  return {
+    ratePct: Number.isFinite(ratePct) && ratePct > -100 ? ratePct : 0,
+    basis: PRICE_BASES[x?.basis] ? x.basis : "nominal",
+  };
+}
+
+export const isRealBasis = (inflation) => normalizeInflation(inflation).basis === "real";
+
+// Fisher: (1 + nominal) / (1 + π) − 1, rates as fractions
+export function realRate(nominal, inflationPct) {
+  return (1 + Number(nominal || 0)) / (1 + Number(inflationPct || 0) / 100) - 1;
+}
+
+// Multiplier taking `year` ₹ to base-year ₹ (1 on a nominal basis)
+export function deflator(inflation, year, baseYear) {
+  const { ratePct, basis } = normalizeInflation(inflation);
+  if (basis !== "real") return 1;
+  return Math.pow(1 + ratePct / 100, -(Number(year) - Number(baseYear)));
+}
+
+// Discount rate matching the basis of the cash flows
+export function discountRateFor(nominal, inflation) {
+  const { ratePct, basis } = normalizeInflation(inflation);
+  return basis === "real" ? realRate(nominal, ratePct) : Number(nominal || 0);
+}
+
+/*
+  Carbon price (number or { years, prices }) on the basis of `inflation`: unchanged when nominal,
+  else a series deflated to its first year. A flat number is read on `years` (default grid).
+*/
+export function deflateCarbonPrice(cp, inflation, years = DEFAULT_YEARS) {
+  if (!isRealBasis(inflation)) return cp;
+  const ys = cp && typeof cp === "object" && cp.years?.length ? cp.years : years;
+  return { years: [...ys], prices: ys.map(y => priceAt(cp, y) * deflator(inflation, y, ys[0])) };
+}
+
+// Was a saved template computed on the firm's current basis? Legacy measures are nominal.
+export function priceBasisMatches(details, inflation) {
+  const saved = normalizeInflation(details?.price_basis);
+  const now = normalizeInflation(inflation);
+  if (saved.basis !== now.basis) return false;
+  return now.basis === "nominal" || saved.ratePct === now.ratePct;
+}
@@ -0,0 +1,65 @@
+/*
+  Measure interactions, applied to the cost-ordered list before it is stacked:
+  - exclusivity groups: only one member is stacked (the chosen one, else the cheapest);
+  - overlap pairs { a, b, pct }: if A is stacked, B's abatement drops by pct%.
+    Several overlaps on the same B apply one after another: (1 − p1)(1 − p2)…
+  Unit cost (₹/tCO₂) is kept, so a reduced measure costs proportionally less in total.
+*/
+
+export const EMPTY_INTERACTIONS = { groups: [], overlaps: [] };
+
+const toId = (v) => (v === "" || v == null || !Number.isFinite(Number(v)) ? null : Number(v));
+
+export function normalizeInteractions(x) {
+  const groups = (x?.groups || []).map((g, i) => ({
+    id: toId(g?.id) ?? (i + 1),
+    name: String(g?.name || `Group ${i + 1}`),
+    members: [...new Set((g?.members || []).map(toId).filter(v => v != null))],
+    chosen: toId(g?.chosen),
+  }));
+  const overlaps = (x?.overlaps || []).map((o, i) => ({
+    id: toId(o?.id) ?? (i + 1),
+    a: toId(o?.a),
+    b: toId(o?.b),
+    pct: Math.min(100, Math.max(0, Number(o?.pct || 0))),
+  }));
+  return { groups, overlaps };
+}
+
+/*
+  Returns { sorted, dropped, reduced }. `sorted` keeps the input order with group losers removed
+  and overlapped abatement scaled; reduced rows carry `interaction: { reducedPct, by, abatementBefore }`.
+  Only members with abatement > 0 compete in a group, so a member with nothing to abate in the
+  plotted year does not knock out the others.
+*/
+export function applyInteractions(sorted, interactions) {
+  const { groups, overlaps } = normalizeInteractions(interactions);
+  const list = sorted || [];
+  if (!groups.length && !overlaps.length) return { sorted: list, dropped: [], reduced: [] };
+
+  const droppedBy = new Map(); // id → group name
+  for (const g of groups) {
+    const live = list.filter(m => g.members.includes(m.id) && !droppedBy.has(m.id) && Number(m.abatement_tco2 || 0) > 0);
+    if (live.length < 2) continue;
+    const keep = live.find(m => m.id === g.chosen) || live[0];
+    live.forEach(m => { if (m !== keep) droppedBy.set(m.id, g.name); });
+  }
+
+  const kept = list.filter(m => !droppedBy.has(m.id));
+  const stacked = new Set(kept.map(m => m.id));
+  const nameOf = new Map(list.map(m => [m.id, m.name]));
+
+  const reduced = [];
+  const out = kept.map(m => {
+    const hits = overlaps.filter(o => o.b === m.id && o.a !== m.id && stacked.has(o.a) && o.pct > 0);
+    if (!hits.length) return m;
+    const factor = hits.reduce((f, o) => f * (1 - o.pct / 100), 1);
+    const before = Number(m.abatement_tco2 || 0);
+    const interaction = { reducedPct: (1 - factor) * 100, by: hits.map(o => nameOf.get(o.a)), abatementBefore: before };
+    reduced.push({ id: m.id, name: m.name, ...interaction });
+    return { ...m, abatement_tco2: before * factor, interaction };
+  });
+
+  const dropped = list.filter(m => droppedBy.has(m.id)).map(m => ({ id: m.id, name: m.name, sector: m.sector, group: droppedBy.get(m.id) }));
+  return { sorted: out, dropped, reduced };
+}
@@ -0,0 +1,96 @@
+/*
+  Firm emissions inventory from activity data. A baseline row may carry
+  inventory: { linked, lines: [{ id, source, item, qty }] } — annual quantities against catalog rows
+  (fuels/raw/transport/waste by name in the row's unit, electricity by state in MWh). Each line is
+  qty × the catalog EF in tCO₂e at the firm's GWP set (see gases.js), tagged with the scope of the
+  matching template driver category (see scopes.js: fuels Scope 1, grid electricity Scope 2,
+  purchased materials, transport and waste Scope 3) unless the line sets its own `scope`.
+  A linked inventory with lines sets the row's annual_emissions to its covered scopes (CCTS_SCOPES
+  by default), so a catalog EF change recalculates the baseline; emissions_by_scope keeps all three.
+*/
+
+import { efCO2e, emptyGasSplit, addGasSplit } from "./gases.js";
+import { SCOPES, ALL_SCOPES, emptyScopeSplit, lineScope } from "./scopes.js";
+import { CCTS_SCOPES } from "./ccts.js";
+
+export const INVENTORY_SOURCES = {
+  fuels: { label: "Fuel combustion", category: "fuel_lines", key: "name" },
+  raw: { label: "Process materials", category: "raw_lines", key: "name" },
+  transport: { label: "Transport", category: "transport_lines", key: "name" },
+  waste: { label: "Water & waste", category: "waste_lines", key: "name" },
+  electricity: { label: "Grid electricity", category: "electricity_lines", key: "state" },
+};
+
+// Scope of an inventory line: its own `scope`, else its source's driver category default
+export const inventoryLineScope = (line) => lineScope(line, INVENTORY_SOURCES[line?.source]?.category);
+
+export const EMPTY_INVENTORY = { linked: true, lines: [] };
+
+export function normalizeInventory(x) {
+  const lines = (x?.lines || [])
+    .filter(ln => INVENTORY_SOURCES[ln?.source])
+    .map((ln, i) => ({
+      id: ln.id ?? i + 1,
+      source: ln.source,
+      item: String(ln.item ?? ""),
+      qty: ln.qty === "" || ln.qty == null || !Number.isFinite(Number(ln.qty)) ? 0 : Math.max(0, Number(ln.qty)),
+      ...(SCOPES[Number(ln.scope)] ? { scope: Number(ln.scope) } : {}),
+    }));
+  return { linked: x?.linked !== false, lines };
+}
+
+// The catalog row a line points at (null when the catalog no longer has it)
+export function inventoryRow(line, catalogs) {
+  const src = INVENTORY_SOURCES[line?.source];
+  if (!src) return null;
+  const key = String(line.item ?? "").toLowerCase();
+  return (catalogs?.[line.source] || []).find(r => String(r?.[src.key] ?? "").toLowerCase() === key) || null;
+}
+
+/*
+  inventoryEmissions(inventory, catalogs, gwp)
+  → { lines: [{ ...line, scope, unit, ef, tco2, missing }], scope1, scope2, scope3, byScope, total, byGas }
+  in tCO₂e/yr. Lines whose catalog row is missing count as zero and are flagged.
+*/
+export function inventoryEmissions(inventory, catalogs, gwp = null) {
+  const byGas = emptyGasSplit();
+  const lines = normalizeInventory(inventory).lines.map(ln => {
+    const row = inventoryRow(ln, catalogs);
+    const elec = ln.source === "electricity";
+    const { ef, split } = row ? efCO2e(row, gwp, elec) : { ef: 0, split: null };
+    addGasSplit(byGas, ln.qty * ef, split);
+    return { ...ln, scope: inventoryLineScope(ln), unit: elec ? "MWh" : (row?.unit || ""), ef, tco2: ln.qty * ef, missing: !row };
+  });
+  const byScope = emptyScopeSplit();
+  for (const l of lines) byScope[l.scope] += l.tco2;
+  return { lines, scope1: byScope[1], scope2: byScope[2], scope3: byScope[3], byScope, total: byScope[1] + byScope[2] + byScope[3], byGas };
+}
+
+// tCO₂e of an inventory result in the given scopes
+export const coveredEmissions = (result, scopes = CCTS_SCOPES) => scopes.reduce((t, s) => t + Number(result?.byScope?.[s] || 0), 0);
+
+// Whether the inventory drives the row's annual_emissions
+export const inventoryDrives = (baseline) => {
+  const inv = normalizeInventory(baseline?.inventory);
+  return inv.linked && inv.lines.length > 0;
+};
+
+/*
+  syncInventories(baselines, catalogs, gwp, scopes)
+  Baselines with every linked inventory's emissions in the covered `scopes` written to
+  annual_emissions and its full split to emissions_by_scope ({ 1, 2, 3 } tCO₂e). Returns the same
+  object when nothing changed.
+*/
+export function syncInventories(baselines, catalogs, gwp = null, scopes = CCTS_SCOPES) {
+  let out = baselines;
+  for (const [sector, b] of Object.entries(baselines || {})) {
+    if (!inventoryDrives(b)) continue;
+    const result = inventoryEmissions(b.inventory, catalogs, gwp);
+    const covered = coveredEmissions(result, scopes);
+    const same = Number(b.annual_emissions) === covered && ALL_SCOPES.every(s => b.emissions_by_scope?.[s] === result.byScope[s]);
+    if (same) continue;
+    if (out === baselines) out = { ...baselines };
+    out[sector] = { ...b, annual_emissions: covered, emissions_by_scope: { ...result.byScope } };
+  }
+  return out;
+}
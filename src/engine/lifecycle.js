@@ -0,0 +1,57 @@
+/*
+  Project life for template measures: meta.project_life_years and meta.end_of_life.
+  Every capex vintage (upfront capex in a grid year, each loan at its drawdown) lasts the project life.
+  - "replace": a vintage reaching end of life inside the horizon is bought again outright at its
+    original cost escalated by firm inflation, booked in the first grid year on or after the due year;
+  - "retire":  the project stops at end of life, counted from the first capex (or the base year);
+    later grid years carry no abatement or operating flows, only debt service still owed.
+  The unexpired straight-line share of each vintage in service at the end of the horizon is credited
+  as salvage (residual value) in the final grid year. A missing life spans the whole horizon.
+*/
+
+export const END_OF_LIFE = {
+  replace: "Replace (re-purchase)",
+  retire: "Retire (stop)",
+};
+
+export function projectLife(meta, years) {
+  const v = Number(meta?.project_life_years);
+  if (Number.isFinite(v) && v > 0) return Math.max(1, Math.round(v));
+  return years[years.length - 1] - years[0] + 1;
+}
+
+/*
+  lifecycle(years, assets [{ year, cr }], { life, endOfLife, inflationPct })
+  → { end, replacements [{ year, due, cr }], replacement_cr, salvage_cr } with the two arrays aligned
+  with `years` (nominal ₹ cr). `end` is the last operating year (Infinity when assets are replaced).
+*/
+export function lifecycle(years, assets, { life, endOfLife = "replace", inflationPct = 0 } = {}) {
+  const L = Math.max(1, Math.round(Number(life) || 1));
+  const last = years[years.length - 1];
+  const infl = Number(inflationPct || 0) / 100;
+  const vintages = (assets || []).filter(a => Number(a.cr) > 0);
+  const retire = endOfLife === "retire";
+  const start = vintages.length ? Math.min(...vintages.map(a => a.year)) : years[0];
+  const end = retire ? start + L - 1 : Infinity;
+
+  const replacement_cr = years.map(() => 0);
+  const salvage_cr = years.map(() => 0);
+  const replacements = [];
+  for (const a of vintages) {
+    let bought = a.year, cost = Number(a.cr);
+    if (!retire) {
+      for (let due = a.year + L; due <= last; due += L) {
+        const idx = years.findIndex(y => y >= due);
+        cost = Number(a.cr) * Math.pow(1 + infl, due - a.year);
+        replacement_cr[idx] += cost;
+        replacements.push({ year: years[idx], due, cr: cost });
+        bought = due;
+      }
+    }
+    // Later vintages retire with the project; residual only counts while it still runs
+    const expires = Math.min(bought + L, end + 1);
+    const left = expires - (last + 1);
+    if (left > 0) salvage_cr[years.length - 1] += cost * Math.min(1, left / L);
+  }
+  return { end, replacements, replacement_cr, salvage_cr };
+}
@@ -0,0 +1,290 @@
+/* MACC curve: effective cost, ordering, segments, fit, budget to target */
+
+import { quadraticFit, fitModels, fitValue } from "./fit.js";
+import { priceAt } from "./carbon.js";
+import { combineProduction } from "./units.js";
+import { scopeSplit, emptyScopeSplit } from "./scopes.js";
+import { emptyGasSplit } from "./gases.js";
+
+export const ALL_SECTORS = "All sectors";
+
+export const isFirmSectorLabel = (label) => typeof label === "string" && label.startsWith("Firm – ");
+
+export function normalizeMeasures(arr) {
+  return (arr || []).map((m, i) => ({
+    ...m,
+    id: m.id ? Number(m.id) : (i + 1),
+    abatement_tco2: Number(m.abatement_tco2 || 0),
+    cost_per_tco2: Number(m.cost_per_tco2 || 0),
+    selected: String(m.selected ?? "true").toLowerCase() !== "false",
+  }));
+}
+
+/*
+  "All sectors" sums every non-firm baseline — production only in like units or through the
+  firm's equivalence factors (see units.js); otherwise the sector's own row.
+*/
+export function aggregateBaseline(baselines, selectedSector, units = null) {
+  if (selectedSector === ALL_SECTORS) {
+    const rows = Object.entries(baselines || {}).filter(([key]) => !isFirmSectorLabel(key)).map(([, b]) => b || {});
+    const emissions = rows.reduce((s, b) => s + Number(b.annual_emissions || 0), 0);
+    return { ...combineProduction(rows, units), annual_emissions: emissions };
+  }
+  return baselines?.[selectedSector] || { production_label: "units", annual_production: 1, annual_emissions: 1 };
+}
+
+export function baselineIntensity(baseline) {
+  const prod = Number(baseline?.annual_production || 0);
+  const emis = Number(baseline?.annual_emissions || 0);
+  return prod > 0 ? emis / prod : 0;
+}
+
+export function filterMeasures(measures, selectedSector) {
+  return (measures || []).filter(m => m.selected && (selectedSector === ALL_SECTORS || m.sector === selectedSector));
+}
+
+/*
+  Year the carbon price is read at for a measure: the curve year if one is selected (measureAtYear
+  sets m.year), else a template measure's representative year, else the base year (null).
+*/
+export function carbonPriceYear(m) {
+  if (m?.year != null) return m.year;
+  const d = m?.details;
+  if (d?.mode === "template_db_multiline" && Array.isArray(d.years)) return d.years[d.representative_index ?? 0] ?? null;
+  return null;
+}
+
+// Carbon price baked into a saved cost: the saved path if recorded, else the legacy scalar
+export function savedCarbonPrice(m, year) {
+  const d = m?.details || {};
+  if (d.carbon_price_path_at_save) return priceAt(d.carbon_price_path_at_save, year);
+  return Number(d.carbon_price_at_save || 0);
+}
+
+/*
+  Saved cost − carbon price; if the saved cost already included CP, only the delta is subtracted.
+  `carbonPrice` is a number or a { years, prices } path, read at carbonPriceYear(m).
+*/
+export function effectiveCost(m, carbonPrice) {
+  const baseCost = Number(m.cost_per_tco2 || 0);
+  const year = carbonPriceYear(m);
+  const cpNow = priceAt(carbonPrice, year);
+  const savedIncludesCP = Boolean(m?.details?.saved_cost_includes_carbon_price);
+  return savedIncludesCP ? (baseCost - (cpNow - savedCarbonPrice(m, year))) : (baseCost - cpNow);
+}
+
+export function sortByEffectiveCost(measures, carbonPrice) {
+  const copy = (measures || []).map(m => ({ ...m, effective_cost: effectiveCost(m, carbonPrice) }));
+  copy.sort((a, b) => (a.effective_cost || 0) - (b.effective_cost || 0));
+  return copy;
+}
+
+export function computeTotals(filtered, sorted) {
+  const totalAbatement = filtered.reduce((s, m) => s + Number(m.abatement_tco2 || 0), 0);
+  const avgCost = filtered.length ? filtered.reduce((s, m) => s + Number(m.cost_per_tco2 || 0), 0) / filtered.length : 0;
+  const negCostAbatement = sorted.filter(m => (m.effective_cost) < 0).reduce((s, m) => s + Number(m.abatement_tco2 || 0), 0);
+  return { totalAbatement, avgCost, negCostAbatement };
+}
+
+/* X-axis modes. Capacity: cumulative tCO₂; intensity: cumulative % of baseline emissions;
+   physical: cumulative intensity reduction in tCO₂ per production unit (abatement ÷ production). */
+export const X_MODES = {
+  capacity: "Capacity-based",
+  intensity: "Intensity-based",
+  physical: "Physical intensity",
+};
+
+function toPlotX(cum, { mode = "capacity", baselineEmissions = 0, baselineProduction = 0 } = {}) {
+  if (mode === "capacity") return cum;
+  const denom = Number((mode === "physical" ? baselineProduction : baselineEmissions) || 0);
+  if (denom <= 0) return 0;
+  return mode === "physical" ? cum / denom : (cum / denom) * 100;
+}
+
+// Baseline intensity (tCO₂/unit) of the curve options, 0 without production
+export function curveIntensity({ baselineEmissions = 0, baselineProduction = 0 } = {}) {
+  const p = Number(baselineProduction || 0);
+  return p > 0 ? Number(baselineEmissions || 0) / p : 0;
+}
+
+// Absolute intensity target (tCO₂/unit) → % cut in baseline emissions, clamped to 0–100
+export function targetPctFromIntensity(targetIntensity, opts = {}) {
+  const base = curveIntensity(opts);
+  const t = Number(targetIntensity);
+  if (base <= 0 || targetIntensity === "" || targetIntensity == null || !Number.isFinite(t)) return 0;
+  return Math.max(0, Math.min(100, (1 - t / base) * 100));
+}
+
+/* Step rectangles. `rank` is the position in the sorted list (drives palette colour). */
+export function buildSegments(sorted, opts = {}) {
+  let cum = 0; const segs = [];
+  sorted.forEach((m, idx) => {
+    const A = Number(m.abatement_tco2 || 0);
+    const C = Number(m.effective_cost || 0);
+    if (!Number.isFinite(A) || !Number.isFinite(C) || A <= 0) return;
+    const x1_cap = cum, x2_cap = cum + Math.max(0, A); cum = x2_cap;
+    const x1_plot = toPlotX(x1_cap, opts);
+    const x2_plot = toPlotX(x2_cap, opts);
+    segs.push({ id: m.id, name: m.name, sector: m.sector, x1_plot, x2_plot, cost: C, abatement: A, rank: idx, reducedPct: m.interaction?.reducedPct || 0 });
+  });
+  const totalX = segs.length ? segs[segs.length - 1].x2_plot : 0;
+  return { segments: segs, totalX };
+}
+
+/* Points at the right edge of each step (used for fitting and budget) */
+export function buildMaccData(sorted, opts = {}) {
+  let cumAbate = 0; const points = [];
+  for (const m of sorted) {
+    const A = Number(m.abatement_tco2 || 0); const C = Number(m.effective_cost || 0);
+    cumAbate += Math.max(0, A);
+    const x = toPlotX(cumAbate, opts);
+    points.push({ id: m.id, name: m.name, sector: m.sector, abatement: A, cost: C, cumAbate, x });
+  }
+  return points;
+}
+
+export function fitQuadratic(maccData, { positiveCostsOnly = false } = {}) {
+  const dataToFit = positiveCostsOnly ? maccData.filter(p => p.cost >= 0) : maccData;
+  if (dataToFit.length < 3) return null;
+
+  const xs = dataToFit.map(p => p.x);
+  const ys = dataToFit.map(p => p.cost);
+
+  const { a, b, c, r2 } = quadraticFit(xs, ys);
+
+  // draw across full x-domain
+  const fitted = maccData.map(p => ({ x: p.x, y: a + b * p.x + c * p.x * p.x }));
+
+  return { a, b, c, r2, fitted };
+}
+
+/* Every curve model (see fit.js) fitted to the step points, each with its curve across the full
+   x-domain: { [model]: { ...fit, fitted: [{ x, y }] } | null } */
+export function fitMaccCurves(maccData, { positiveCostsOnly = false } = {}) {
+  const dataToFit = positiveCostsOnly ? maccData.filter(p => p.cost >= 0) : maccData;
+  const fits = fitModels(dataToFit.map(p => p.x), dataToFit.map(p => p.cost));
+  for (const [k, fit] of Object.entries(fits)) {
+    if (fit) fits[k] = { ...fit, fitted: maccData.map(p => ({ x: p.x, y: fitValue(fit, p.x) })) };
+  }
+  return fits;
+}
+
+// Target on the x-axis: tCO₂ in capacity mode, % in intensity mode, tCO₂/unit in physical mode
+export function targetToX(targetPct, opts = {}) {
+  const { mode = "capacity", baselineEmissions = 0 } = opts;
+  const t = Number(targetPct || 0);
+  if (mode === "intensity") return t;
+  const baseEmis = Number(baselineEmissions || 0);
+  return baseEmis > 0 ? toPlotX(baseEmis * (t / 100), opts) : 0;
+}
+
+/* Greedy walk along the cost-ordered steps until the target is filled.
+   The walk is done in tCO₂ in both modes; `targetReached` is reported in plot units.
+   Also: the marginal cost at the target (cost of the last step taken; null before any),
+   the average cost (budget ÷ tCO₂ taken) and the no-regret volume (tCO₂ of negative-cost steps on the whole curve). */
+export function budgetToTarget(maccData, opts = {}) {
+  const { baselineEmissions = 0, targetPct = 0 } = opts;
+  if (!maccData.length) return { targetReached: 0, budget: 0, marginalCost: null, averageCost: null, noRegret: 0 };
+  const targetT = Number(baselineEmissions || 0) * (Number(targetPct || 0) / 100);
+  let cum = 0, budget = 0, marginalCost = null, noRegret = 0;
+  for (const p of maccData) {
+    const remaining = Math.max(0, targetT - cum);
+    const take = Math.min(remaining, Math.max(0, p.abatement));
+    if (take > 0) { budget += take * p.cost; cum += take; marginalCost = p.cost; }
+    if (p.cost < 0) noRegret += Math.max(0, p.abatement);
+  }
+  return { targetReached: toPlotX(cum, opts), budget, marginalCost, averageCost: cum > 0 ? budget / cum : null, noRegret };
+}
+
+// tCO₂ per plot unit on the x-axis
+export function tonnesPerX({ mode = "capacity", baselineEmissions = 0, baselineProduction = 0 } = {}) {
+  if (mode === "capacity") return 1;
+  return mode === "physical" ? Number(baselineProduction || 0) : Number(baselineEmissions || 0) / 100;
+}
+
+/* The same figures read off a fitted curve (see fit.js): budget = ∫₀^target fitted cost dx (Simpson,
+   in tCO₂), capped like the walk at the curve's total abatement; marginal cost = fitted cost at the
+   target (the carbon price that would pay for the last tonne); no-regret volume = tCO₂ on the curve
+   where the fitted cost is below zero. */
+export function fitBudgetToTarget(maccData, fit, opts = {}) {
+  const totalX = maccData.length ? maccData[maccData.length - 1].x : 0;
+  if (!fit || !(totalX > 0)) return null;
+  const { targetPct = 0 } = opts;
+  const xT = Math.min(targetToX(targetPct, opts), totalX);
+  const perX = tonnesPerX(opts);
+  const f = (x) => fitValue(fit, x);
+  const N = 1000;
+  let integral = 0;
+  if (xT > 0) {
+    const h = xT / N;
+    for (let i = 0; i <= N; i++) integral += (i === 0 || i === N ? 1 : i % 2 ? 4 : 2) * f(i * h);
+    integral *= h / 3;
+  }
+  // Length of x with negative fitted cost, zero crossings interpolated
+  let negX = 0;
+  const hAll = totalX / N;
+  for (let i = 0; i < N; i++) {
+    const a = f(i * hAll), b = f((i + 1) * hAll);
+    if (a < 0 && b < 0) negX += hAll;
+    else if (a < 0 || b < 0) negX += hAll * (a < 0 ? a / (a - b) : b / (b - a));
+  }
+  const budget = integral * perX, tonnes = xT * perX;
+  return {
+    targetReached: xT,
+    budget,
+    marginalCost: xT > 0 ? f(xT) : null,
+    averageCost: tonnes > 0 ? budget / tonnes : null,
+    noRegret: negX * perX,
+  };
+}
+
+/* ---- Year-specific curve ---- */
+
+// Saved per-year row for `year`; linear between saved years, held flat past the last one, 0 before the first
+export function perYearAt(details, year) {
+  const per = details?.per_year, years = details?.years;
+  if (!Array.isArray(per) || !Array.isArray(years) || !years.length) return null;
+  const y = Number(year);
+  const pick = (row) => ({
+    direct_t: Number(row?.direct_t || 0),
+    implied_cost_per_t_wo: Number(row?.implied_cost_per_t_wo || 0),
+    implied_cost_per_t_w: Number(row?.implied_cost_per_t_w || 0),
+    scope_t: scopeSplit(row, details.meta),
+    gas_tco2e: row?.gas_tco2e || null,
+  });
+  if (y < years[0]) return { direct_t: 0, implied_cost_per_t_wo: 0, implied_cost_per_t_w: 0, scope_t: emptyScopeSplit(), gas_tco2e: emptyGasSplit() };
+  if (y >= years[years.length - 1]) return pick(per[years.length - 1]);
+  const hi = years.findIndex(v => v >= y);
+  if (years[hi] === y) return pick(per[hi]);
+  const lo = hi - 1, w = (y - years[lo]) / (years[hi] - years[lo]);
+  const a = pick(per[lo]), b = pick(per[hi]);
+  // abatement interpolates linearly; cost follows the interpolated net cost so it stays ₹/t-consistent
+  const direct_t = a.direct_t + (b.direct_t - a.direct_t) * w;
+  const lerpCost = (k) => direct_t > 0 ? ((a[k] * a.direct_t) + ((b[k] * b.direct_t) - (a[k] * a.direct_t)) * w) / direct_t : 0;
+  const scope_t = emptyScopeSplit();
+  for (const k of Object.keys(scope_t)) scope_t[k] = a.scope_t[k] + (b.scope_t[k] - a.scope_t[k]) * w;
+  let gas_tco2e = null;
+  if (a.gas_tco2e && b.gas_tco2e) {
+    gas_tco2e = emptyGasSplit();
+    for (const g of Object.keys(gas_tco2e)) gas_tco2e[g] = Number(a.gas_tco2e[g] || 0) + (Number(b.gas_tco2e[g] || 0) - Number(a.gas_tco2e[g] || 0)) * w;
+  }
+  return { direct_t, implied_cost_per_t_wo: lerpCost("implied_cost_per_t_wo"), implied_cost_per_t_w: lerpCost("implied_cost_per_t_w"), scope_t, gas_tco2e };
+}
+
+/*
+  Measure as it stands in `year`: template measures take abatement from details.per_year and, when
+  saved on the representative-year basis, that year's implied cost (the with-CP cost if that is what
+  was saved); a lifetime cost basis (average, levelized) keeps the saved cost. Quick measures keep
+  their values. Every measure is stamped with the year so the carbon price is read there
+  (carbonPriceYear). `year == null` keeps the saved representative-year values.
+*/
+export function measureAtYear(m, year) {
+  if (year == null || !m) return m;
+  const row = m.details?.mode === "template_db_multiline" ? perYearAt(m.details, year) : null;
+  if (!row) return { ...m, year: Number(year) };
+  const lifetime = (m.details.cost_basis || "representative") !== "representative";
+  const cost = lifetime ? m.cost_per_tco2 : m.details.saved_cost_includes_carbon_price ? row.implied_cost_per_t_w : row.implied_cost_per_t_wo;
+  return { ...m, abatement_tco2: Math.max(0, row.direct_t), cost_per_tco2: cost, scope_t: row.scope_t, gas_tco2e: row.gas_tco2e, year: Number(year) };
+}
+
+export const measuresAtYear = (measures, year) => (measures || []).map(m => measureAtYear(m, year));
@@ -0,0 +1,361 @@
+/* Template measure: per-year drivers → abatement, cost stack, financing, NPV/IRR */
+
+import { npv, irr } from "./finance.js";
+import { DEFAULT_YEARS, periodYears, resampleSeries, resampleLumps, sameYears } from "./series.js";
+import { getUnitPrice, getElecPricePerMWh } from "./catalogs.js";
+import { priceAt } from "./carbon.js";
+import { deflator, discountRateFor, normalizeInflation } from "./inflation.js";
+import { normalizeTax, depreciationInYear } from "./tax.js";
+import { loanTranches, debtSchedule } from "./debt.js";
+import { projectLife, lifecycle } from "./lifecycle.js";
+import { emptyScopeSplit, driverScopes, lineScope } from "./scopes.js";
+import { emptyGasSplit, efCO2e, gasOverrides, addGasSplit, normalizeGwp, GASES } from "./gases.js";
+
+export const INR_PER_CRORE = 10_000_000;
+
+/*
+  Σ over catalog-backed lines (fuel/raw/transport/waste) for year index i, in tCO₂e at the `gwp`
+  set. Per-gas overrides (efOvGas, tonnes of gas per unit) replace those gases' catalog factors and
+  set the split; a legacy single efOv (tCO₂e/unit) keeps the catalog row's gas split. `scopeOf` tags each line.
+*/
+function sumCatalogLines(lines, catalog, i, a, yearsSinceBase, scopeOf, gwp) {
+  let t = 0, cr = 0;
+  const byScope = emptyScopeSplit(), byGas = emptyGasSplit();
+  for (const ln of lines || []) {
+    const base = (catalog || []).find(x => x.name === ln.name);
+    const basePrice = (ln.priceOv ?? getUnitPrice(base) ?? 0);
+    const priceEsc = Number(ln.priceEscPctYr || 0) / 100;
+    const effPrice = basePrice * Math.pow(1 + priceEsc, yearsSinceBase);
+
+    const gasOv = gasOverrides(ln.efOvGas);
+    const row = efCO2e(base, gwp, false, gasOv);
+    const baseEf = gasOv ? row.ef : (ln.efOv ?? row.ef);
+    const efEsc = Number(ln.efEscPctYr || 0) / 100;
+    const effEf = baseEf * Math.pow(1 + efEsc, yearsSinceBase);
+
+    const qty = a * Number(ln.delta?.[i] || 0);
+
+    t += qty * effEf;
+    byScope[scopeOf(ln)] += qty * effEf;
+    addGasSplit(byGas, qty * effEf, row.split);
+    cr += (qty * effPrice) / INR_PER_CRORE;
+  }
+  return { t, cr, byScope, byGas };
+}
+
+function sumElectricityLines(lines, catalog, i, a, yearsSinceBase, scopeOf, gwp) {
+  let t = 0, cr = 0;
+  const byScope = emptyScopeSplit(), byGas = emptyGasSplit();
+  const cat = catalog || [];
+  for (const ln of lines || []) {
+    const base = cat.find(x => x.state === ln.state) || cat[0];
+    const basePrice = (ln.priceOv ?? getElecPricePerMWh(base) ?? 0);
+    const priceEsc = Number(ln.priceEscPctYr || 0) / 100;
+    const effPrice = basePrice * Math.pow(1 + priceEsc, yearsSinceBase);
+
+    const efEsc = Number(ln.efEscPctYr || 0) / 100;
+    const ov = ln.efOvPerYear?.[i];
+    const hasPerYearOv = ov !== "" && ov != null;
+    const row = efCO2e(base, gwp, true, ln.efOvGas);
+    const effEf = hasPerYearOv ? Number(ov) : row.ef * Math.pow(1 + efEsc, yearsSinceBase);
+
+    const mwh = a * Number(ln.deltaMWh?.[i] || 0);
+
+    t += mwh * effEf;
+    byScope[scopeOf(ln)] += mwh * effEf;
+    addGasSplit(byGas, mwh * effEf, row.split);
+    cr += (mwh * effPrice) / INR_PER_CRORE;
+  }
+  return { t, cr, byScope, byGas };
+}
+
+/*
+  computeMeasure(template, { catalogs, carbonPrice, inflation, gwp })
+  carbonPrice: flat number or a { years, prices } path (see carbon.js), read at each grid year.
+  inflation: { ratePct, basis } (see inflation.js). On a real basis every ₹ figure in perYear is
+  deflated to base-year ₹ and NPV/IRR/LCOA use the real discount rate; the loan annuity is still
+  set at the nominal interest rate, so its fixed payments lose real value over the tenure.
+  Each grid year stands for its period (see periodYears; `period_years` on the row). Financing:
+  stack.loans tranches (see debt.js); each grid year carries the yearly average debt service over
+  its period, so every payment within the horizon is counted. The full schedule is returned as `debt`.
+  meta.project_life_years / meta.end_of_life: replacement capex, retirement and salvage (see
+  lifecycle.js); the schedule is returned as `lifecycle`.
+  meta.scopes / line.scope: GHG Protocol scope of each driver (see scopes.js); each year's
+  abatement is split into scope_t: { 1, 2, 3 }.
+  gwp: GWP set (see gases.js); abatement is in tCO₂e, split per gas into gas_tco2e. "Other" direct
+  tonnes are already tCO₂e and count as meta.other_gas (default CO₂).
+  meta.tax: { rate_pct, method, life_years, … } (see tax.js). NPV/IRR use the after-tax cash flows
+  (equal to pre-tax at a 0% rate); the pre-tax figures stay in finance.preTax.
+  template = { years?, meta, adoption, drivers: { fuel_lines, raw_lines, transport_lines, waste_lines,
+               electricity_lines, other_direct_t }, stack }  — i.e. the shape saved in measure.details.
+  NPV/IRR, the simple average and the LCOA are appraised on calendar-year flows (`annual`): each
+  grid year's recurring flows run through its period, one-off capex sits in the grid year.
+  Returns { YEARS, BASE_YEAR, perYear, annual, repIdx, rep, finance, debt, lifecycle }.
+*/
+export function computeMeasure(template, { catalogs = {}, carbonPrice = 0, inflation = null, gwp = null } = {}) {
+  const YEARS = Array.isArray(template?.years) && template.years.length ? template.years : DEFAULT_YEARS;
+  const BASE_YEAR = YEARS[0];
+  const meta = template?.meta || {};
+  const adoption = template?.adoption || [];
+  const drivers = template?.drivers || {};
+  const stack = template?.stack || {};
+  const otherDirectT = drivers.other_direct_t || [];
+  const priceBasis = normalizeInflation(inflation);
+  const cpByYear = YEARS.map(y => priceAt(carbonPrice, y));
+  const at = (arr, i) => Number(arr?.[i] || 0);
+  const tax = normalizeTax(meta.tax);
+  const taxRate = tax.rate_pct / 100;
+  const loans = loanTranches(stack, YEARS);
+  const debt = debtSchedule(loans);
+  const debtByYear = new Map(debt.map(r => [r.year, r]));
+  const PERIOD = periodYears(YEARS);
+  // Yearly average over grid period i of a calendar-year schedule (nominal ₹ cr), deflated year by year
+  const periodMean = (i, valueAt) => {
+    let s = 0;
+    for (let k = 0; k < PERIOD[i]; k++) s += valueAt(YEARS[i] + k) * deflator(priceBasis, YEARS[i] + k, BASE_YEAR);
+    return s / PERIOD[i];
+  };
+  // Capex vintages (nominal) for depreciation and project life: upfront on the grid, financed at each drawdown
+  const assets = [
+    ...YEARS.map((year, i) => ({ year, cr: at(stack.capex_upfront_cr, i) })),
+    ...loans.map(t => ({ year: t.drawdown_year, cr: t.amount_cr })),
+  ];
+  const life = lifecycle(YEARS, assets, {
+    life: projectLife(meta, YEARS), endOfLife: meta.end_of_life, inflationPct: priceBasis.ratePct,
+  });
+  const depAssets = [...assets, ...life.replacements];
+  const scopes = driverScopes(meta);
+  const scopeOf = (category) => (ln) => lineScope(ln, category, meta);
+  const gwpSet = normalizeGwp(gwp);
+  const otherGas = GASES[meta.other_gas] ? meta.other_gas : "co2";
+
+  const perYear = YEARS.map((year, i) => {
+    const running = year <= life.end ? 1 : 0;
+    const a = running * Math.max(0, Math.min(1, Number(adoption[i] || 0)));
+    const d = deflator(priceBasis, year, BASE_YEAR);
+    const cp = cpByYear[i] * d;
+    const yearsSinceBase = Math.max(0, year - BASE_YEAR);
+
+    const fuel = sumCatalogLines(drivers.fuel_lines, catalogs.fuels, i, a, yearsSinceBase, scopeOf("fuel_lines"), gwpSet);
+    const raw = sumCatalogLines(drivers.raw_lines, catalogs.raw, i, a, yearsSinceBase, scopeOf("raw_lines"), gwpSet);
+    const trans = sumCatalogLines(drivers.transport_lines, catalogs.transport, i, a, yearsSinceBase, scopeOf("transport_lines"), gwpSet);
+    const waste = sumCatalogLines(drivers.waste_lines, catalogs.waste, i, a, yearsSinceBase, scopeOf("waste_lines"), gwpSet);
+    const elec = sumElectricityLines(drivers.electricity_lines, catalogs.electricity, i, a, yearsSinceBase, scopeOf("electricity_lines"), gwpSet);
+
+    const fuel_t = fuel.t, raw_t = raw.t, trans_t = trans.t, waste_t = waste.t, elec_t = elec.t;
+    const driver_cr = (fuel.cr + raw.cr + trans.cr + waste.cr + elec.cr) * d;
+
+    const other_t = a * Number(otherDirectT[i] || 0);
+    const direct_t = fuel_t + raw_t + trans_t + waste_t + elec_t + other_t;
+    const scope_t = emptyScopeSplit();
+    for (const part of [fuel, raw, trans, waste, elec]) for (const k of Object.keys(scope_t)) scope_t[k] += part.byScope[k];
+    scope_t[scopes.other_direct_t] += other_t;
+    const gas_tco2e = emptyGasSplit();
+    for (const part of [fuel, raw, trans, waste, elec]) addGasSplit(gas_tco2e, 1, part.byGas);
+    gas_tco2e[otherGas] += other_t;
+
+    // Stack & financing
+    const opex_cr = running * at(stack.opex_cr, i) * d;
+    const savings_cr = running * at(stack.savings_cr, i) * d;
+    const other_cr = running * at(stack.other_cr, i) * d;
+    const capex_upfront_cr = at(stack.capex_upfront_cr, i) * d;
+    const replacement_cr = life.replacement_cr[i] * d;
+    const salvage_cr = life.salvage_cr[i] * d;
+
+    const financedAnnual_cr = periodMean(i, y => debtByYear.get(y)?.payment || 0);
+    const interest_cr = periodMean(i, y => debtByYear.get(y)?.interest || 0);
+
+    const net_cost_cr = (driver_cr + opex_cr + other_cr - savings_cr) + financedAnnual_cr;
+
+    // Cash flow in ₹
+    const cashflow_inr_wo_cp = (savings_cr - opex_cr - driver_cr - other_cr - financedAnnual_cr - capex_upfront_cr - replacement_cr + salvage_cr) * INR_PER_CRORE;
+    const cashflow_inr_w_cp = cashflow_inr_wo_cp + (cp * direct_t);
+
+    // Tax (₹ cr): depreciation (yearly average over the period) is deductible, carbon revenue is taxable; negative = tax saved.
+    // Salvage is recovered at book value, so it is not taxed
+    const depreciation_cr = periodMean(i, y => depreciationInYear(y, depAssets, tax));
+    const tax_cr = taxRate * (savings_cr - opex_cr - driver_cr - other_cr - depreciation_cr - interest_cr);
+    const tax_w_cr = tax_cr + taxRate * (cp * direct_t) / INR_PER_CRORE;
+    const cashflow_inr_wo_cp_at = cashflow_inr_wo_cp - tax_cr * INR_PER_CRORE;
+    const cashflow_inr_w_cp_at = cashflow_inr_w_cp - tax_w_cr * INR_PER_CRORE;
+
+    const implied_cost_per_t_wo = direct_t > 0 ? (net_cost_cr * INR_PER_CRORE) / direct_t : 0;
+    const implied_cost_per_t_w = direct_t > 0 ? ((net_cost_cr * INR_PER_CRORE) - (cp * direct_t)) / direct_t : 0;
+
+    return {
+      year, period_years: PERIOD[i], direct_t, scope_t, gas_tco2e, net_cost_cr, carbon_price: cp,
+      implied_cost_per_t_wo, implied_cost_per_t_w,
+      cashflow_inr_wo_cp, cashflow_inr_w_cp,
+      depreciation_cr, tax_cr, tax_shield_cr: taxRate * depreciation_cr,
+      cashflow_inr_wo_cp_at, cashflow_inr_w_cp_at,
+      pieces: { fuel_t, raw_t, trans_t, waste_t, elec_t, other_t, driver_cr, opex_cr, other_cr, savings_cr, financedAnnual_cr, interest_cr, capex_upfront_cr, replacement_cr, salvage_cr }
+    };
+  });
+
+  let repIdx = perYear.findIndex(y => y.direct_t > 0);
+  if (repIdx < 0) repIdx = YEARS.indexOf(2035) >= 0 ? YEARS.indexOf(2035) : Math.floor(YEARS.length / 2);
+
+  /*
+    Calendar-year flows for the appraisal: each grid year's recurring flows and abatement run through
+    its period, capex, replacements and salvage are booked in the grid year, debt service and
+    depreciation in the year they fall. NPV/IRR, the simple average and the LCOA all read these.
+  */
+  const annual = [];
+  perYear.forEach((row, i) => {
+    const p = row.pieces;
+    const dRow = deflator(priceBasis, row.year, BASE_YEAR);
+    for (let k = 0; k < PERIOD[i]; k++) {
+      const year = row.year + k;
+      const dy = deflator(priceBasis, year, BASE_YEAR);
+      // Recurring ₹ hold their nominal grid-year value through the period, deflated year by year
+      const scale = (year <= life.end ? 1 : 0) * (dy / dRow);
+      const operating_cr = scale * (p.savings_cr - p.opex_cr - p.driver_cr - p.other_cr);
+      const direct_t = year <= life.end ? row.direct_t : 0;
+      const carbon_price = row.carbon_price * (dy / dRow);
+      const financed_cr = (debtByYear.get(year)?.payment || 0) * dy;
+      const interest_cr = (debtByYear.get(year)?.interest || 0) * dy;
+      const depreciation_cr = depreciationInYear(year, depAssets, tax) * dy;
+      const oneOff = k === 0 ? { capex_upfront_cr: p.capex_upfront_cr, replacement_cr: p.replacement_cr, salvage_cr: p.salvage_cr } : { capex_upfront_cr: 0, replacement_cr: 0, salvage_cr: 0 };
+      const net_cost_cr = financed_cr - operating_cr;
+      const cashflow_inr_wo_cp = (operating_cr - financed_cr - oneOff.capex_upfront_cr - oneOff.replacement_cr + oneOff.salvage_cr) * INR_PER_CRORE;
+      const credit = carbon_price * direct_t;
+      const tax_cr = taxRate * (operating_cr - depreciation_cr - interest_cr);
+      const tax_w_cr = tax_cr + taxRate * credit / INR_PER_CRORE;
+      annual.push({
+        year, direct_t, net_cost_cr, carbon_price, depreciation_cr, tax_cr,
+        cashflow_inr_wo_cp, cashflow_inr_w_cp: cashflow_inr_wo_cp + credit,
+        cashflow_inr_wo_cp_at: cashflow_inr_wo_cp - tax_cr * INR_PER_CRORE, cashflow_inr_w_cp_at: cashflow_inr_wo_cp + credit - tax_w_cr * INR_PER_CRORE,
+        pieces: { ...oneOff, financedAnnual_cr: financed_cr, interest_cr },
+      });
+    }
+  });
+
+  const years = annual.map(y => y.year);
+  const r = discountRateFor(meta.discount_rate || 0.10, priceBasis);
+  const appraise = (wo, w) => {
+    const flowsWO = annual.map(y => y[wo]), flowsW = annual.map(y => y[w]);
+    return {
+      npvWO: npv(r, flowsWO, years, BASE_YEAR), npvW: npv(r, flowsW, years, BASE_YEAR),
+      irrWO: irr(flowsWO, years, BASE_YEAR), irrW: irr(flowsW, years, BASE_YEAR),
+    };
+  };
+  const preTax = appraise("cashflow_inr_wo_cp", "cashflow_inr_w_cp");
+  const { npvWO, npvW, irrWO, irrW } = taxRate > 0 ? appraise("cashflow_inr_wo_cp_at", "cashflow_inr_w_cp_at") : preTax;
+
+  const sumDirect = annual.reduce((s, y) => s + Math.max(0, y.direct_t), 0);
+  const sumCostInrWO = annual.reduce((s, y) => s + (y.net_cost_cr * INR_PER_CRORE), 0);
+  const sumCostInrW = annual.reduce((s, y) => s + ((y.net_cost_cr * INR_PER_CRORE) - y.carbon_price * y.direct_t), 0);
+  const avgCostWO = sumDirect > 0 ? sumCostInrWO / sumDirect : 0;
+  const avgCostW = sumDirect > 0 ? sumCostInrW / sumDirect : 0;
+
+  const lcoa = levelizedCost(annual, { baseYear: BASE_YEAR, discountRate: r, lifeYears: meta.project_life_years });
+  // After tax: cost net of tax saved, carbon credit net of tax on it
+  const lcoaAt = levelizedCost(
+    annual.map(y => ({ ...y, net_cost_cr: y.net_cost_cr + y.tax_cr, carbon_price: y.carbon_price * (1 - taxRate) })),
+    { baseYear: BASE_YEAR, discountRate: r, lifeYears: meta.project_life_years }
+  );
+
+  return {
+    YEARS, BASE_YEAR, perYear, annual, repIdx,
+    rep: perYear[repIdx] || { direct_t: 0, implied_cost_per_t_wo: 0, implied_cost_per_t_w: 0 },
+    finance: {
+      npvWO, npvW, irrWO, irrW, avgCostWO, avgCostW, sumDirect, lcoaWO: lcoa.wo, lcoaW: lcoa.w, lcoaYears: lcoa.years,
+      lcoaAtWO: lcoaAt.wo, lcoaAtW: lcoaAt.w,
+      discountRate: r, priceBasis, tax, preTax, gwp: gwpSet,
+    },
+    debt,
+    lifecycle: life,
+  };
+}
+
+/*
+  Levelized cost of abatement (₹/tCO₂): Σ discounted (net cost + upfront capex) / Σ discounted abatement
+  over the project life, starting at the base year and capped at the horizon end. Rows on a coarser
+  grid stand for their period (see periodYears): recurring cost and abatement repeat every calendar
+  year up to the next row, upfront capex (plus replacements, less salvage) stays a one-off in the row's
+  year — the same convention as the NPV. The with-CP figure credits each row's `carbon_price`
+  (falling back to the flat `carbonPrice`).
+*/
+export function levelizedCost(perYear, { baseYear, discountRate = 0.10, lifeYears, carbonPrice = 0 } = {}) {
+  const rows = perYear || [];
+  if (!rows.length) return { wo: 0, w: 0, years: 0 };
+  const base = Number(baseYear ?? rows[0].year);
+  const lastGrid = rows[rows.length - 1].year;
+  const life = Number(lifeYears) > 0 ? Math.round(Number(lifeYears)) : (lastGrid - base + 1);
+  const end = Math.min(lastGrid, base + life - 1);
+  const r = Number(discountRate || 0);
+  const cpOf = (p) => Number(p.carbon_price ?? carbonPrice ?? 0);
+
+  let num = 0, den = 0, credit = 0, n = 0;
+  for (let y = base; y <= end; y++) {
+    const idx = rows.findLastIndex(p => p.year <= y);
+    if (idx < 0) break;
+    const row = rows[idx];
+    const df = Math.pow(1 + r, -(y - base));
+    const p = row.year === y ? (row.pieces || {}) : {};
+    const capex = ((p.capex_upfront_cr || 0) + (p.replacement_cr || 0) - (p.salvage_cr || 0)) * INR_PER_CRORE;
+    const t = row.direct_t || 0;
+    num += ((row.net_cost_cr || 0) * INR_PER_CRORE + capex) * df;
+    den += t * df;
+    credit += cpOf(row) * t * df;
+    n++;
+  }
+  if (den <= 0) return { wo: 0, w: 0, years: n };
+  return { wo: num / den, w: (num - credit) / den, years: n };
+}
+
+/* Cost bases the wizard can write to the MACC */
+export const COST_BASES = {
+  representative: "Representative year",
+  average: "Simple average",
+  levelized: "Levelized (LCOA)",
+  levelized_after_tax: "Levelized after tax",
+};
+
+// ₹/tCO₂ for a computed measure under a cost basis, with or without the carbon price credited
+export function costForBasis(computed, basis = "representative", withCP = false) {
+  const f = computed?.finance || {};
+  if (basis === "average") return withCP ? f.avgCostW : f.avgCostWO;
+  if (basis === "levelized") return withCP ? f.lcoaW : f.lcoaWO;
+  if (basis === "levelized_after_tax") return withCP ? f.lcoaAtW : f.lcoaAtWO;
+  return withCP ? computed?.rep?.implied_cost_per_t_w : computed?.rep?.implied_cost_per_t_wo;
+}
+
+export const isTemplateMeasure = (m) => m?.details?.mode === "template_db_multiline";
+
+// Stack series booked once in their year rather than running every year (legacy financed capex included)
+export const ONE_OFF_STACK = ["capex_upfront_cr", "capex_financed_cr"];
+
+/* Re-grid a saved template (details) onto `toYears`; per_year results are dropped (recompute). */
+export function resampleTemplate(template, toYears) {
+  const fromYears = Array.isArray(template?.years) && template.years.length ? template.years : DEFAULT_YEARS;
+  if (sameYears(fromYears, toYears)) return template;
+  const rs = (arr, opts) => resampleSeries(Array.isArray(arr) ? arr : [], fromYears, toYears, opts);
+  const drivers = template.drivers || {};
+  const mapLines = (lines, keys) => (Array.isArray(lines) ? lines : []).map(ln => {
+    const out = { ...ln };
+    for (const [k, opts] of keys) if (Array.isArray(ln[k])) out[k] = rs(ln[k], opts);
+    return out;
+  });
+  const stack = {};
+  // Loan tranches are dated by calendar year and carry over as they are; one-off amounts move as lump sums
+  for (const [k, v] of Object.entries(template.stack || {})) {
+    stack[k] = !Array.isArray(v) || k === "loans" ? v : ONE_OFF_STACK.includes(k) ? resampleLumps(v, fromYears, toYears) : rs(v);
+  }
+  const { per_year, representative_index, ...rest } = template;
+  return {
+    ...rest,
+    years: [...toYears],
+    adoption: rs(template.adoption),
+    drivers: {
+      ...drivers,
+      fuel_lines: mapLines(drivers.fuel_lines, [["delta"]]),
+      raw_lines: mapLines(drivers.raw_lines, [["delta"]]),
+      transport_lines: mapLines(drivers.transport_lines, [["delta"]]),
+      waste_lines: mapLines(drivers.waste_lines, [["delta"]]),
+      electricity_lines: mapLines(drivers.electricity_lines, [["deltaMWh"], ["efOvPerYear", { extrapolate: false }]]),
+      other_direct_t: rs(drivers.other_direct_t),
+    },
+    stack,
+  };
+}
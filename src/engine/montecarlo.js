@@ -0,0 +1,236 @@
+/*
+  Monte Carlo uncertainty: ranges on Quick measures, catalog prices/EFs and template inputs are
+  sampled N times; each draw is stacked like the point curve (filter → year → scopes → order → interactions).
+  Ranges are { dist: "triangular" | "uniform", low, mode, high }:
+  - Quick measures, details.uncertainty.{abatement, cost}: absolute tCO₂ and ₹/tCO₂;
+  - catalog rows, firm uncertainty.catalogs["tab|name"].{price, ef, ef_ch4, ef_n2o, ef_pfc, ef_sf6}:
+    absolute, in the row's units (ef is the CO₂ factor, ef_<gas> the other gases' per-gas columns);
+  - template measures, details.uncertainty.{activity, capex, opex, savings}: % of the entered series
+    (mode 100), one draw per run applied to every year.
+*/
+
+import { computeMeasure, costForBasis } from "./measure.js";
+import { filterMeasures, sortByEffectiveCost, buildMaccData, budgetToTarget, measuresAtYear, ALL_SECTORS } from "./macc.js";
+import { applyInteractions } from "./interactions.js";
+import { deflateCarbonPrice } from "./inflation.js";
+import { filterScopes } from "./scopes.js";
+import { GASES, gasField } from "./gases.js";
+
+export const DISTRIBUTIONS = { triangular: "Triangular", uniform: "Uniform" };
+export const TEMPLATE_UNCERTAINTY_KEYS = { activity: "Activity (Δ quantities)", capex: "Capex", opex: "Opex", savings: "Savings" };
+export const EMPTY_UNCERTAINTY = { catalogs: {} };
+
+// Seeded PRNG (mulberry32) so a run can be repeated
+export function seededRandom(seed = 1) {
+  let a = (Number(seed) || 0) >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const num = (v) => (v === "" || v == null || !Number.isFinite(Number(v)) ? null : Number(v));
+
+// null unless both low and high are set; mode defaults to the point value and is clamped into [low, high]
+export function normalizeRange(r, point = 0) {
+  const low = num(r?.low), high = num(r?.high);
+  if (low == null || high == null) return null;
+  const lo = Math.min(low, high), hi = Math.max(low, high);
+  const mode = Math.min(hi, Math.max(lo, num(r?.mode) ?? Number(point || 0)));
+  return { dist: DISTRIBUTIONS[r?.dist] ? r.dist : "triangular", low: lo, mode, high: hi };
+}
+
+// Inverse CDF at u ∈ [0, 1)
+export function sampleRange(r, u) {
+  const { low: a, mode: c, high: b } = r;
+  if (b <= a) return a;
+  if (r.dist === "uniform") return a + u * (b - a);
+  const f = (c - a) / (b - a);
+  return u < f ? a + Math.sqrt(u * (b - a) * (c - a)) : b - Math.sqrt((1 - u) * (b - a) * (b - c));
+}
+
+export function quantile(sortedVals, q) {
+  const n = sortedVals.length;
+  if (!n) return null;
+  const pos = (n - 1) * q, lo = Math.floor(pos), hi = Math.ceil(pos);
+  return sortedVals[lo] + (sortedVals[hi] - sortedVals[lo]) * (pos - lo);
+}
+
+export const catalogKey = (tab, row) => `${tab}|${tab === "electricity" ? row?.state : row?.name}`;
+
+// Range key per gas on a catalog row: "ef" for CO₂ (kept from before per-gas factors), "ef_<gas>" otherwise
+export const efRangeKey = (gas) => (gas === "co2" ? "ef" : `ef_${gas}`);
+const CATALOG_RANGE_KEYS = ["price", ...Object.keys(GASES).map(efRangeKey)];
+
+export function normalizeUncertainty(x) {
+  const catalogs = {};
+  for (const [k, v] of Object.entries(x?.catalogs || {})) {
+    if (CATALOG_RANGE_KEYS.some(f => v?.[f])) catalogs[k] = Object.fromEntries(CATALOG_RANGE_KEYS.map(f => [f, v[f] || null]));
+  }
+  return { catalogs };
+}
+
+const CATALOG_PRICE_FIELDS = {
+  fuels: "price_per_unit_inr",
+  raw: "price_per_unit_inr",
+  transport: "price_per_unit_inr",
+  waste: "price_per_unit_inr",
+  electricity: "price_per_mwh_inr",
+};
+
+function sampleCatalogs(catalogs, ranges, rnd) {
+  const out = { ...catalogs };
+  for (const [tab, priceKey] of Object.entries(CATALOG_PRICE_FIELDS)) {
+    out[tab] = (catalogs?.[tab] || []).map(row => {
+      const r = ranges[catalogKey(tab, row)];
+      if (!r) return row;
+      const next = { ...row };
+      const price = normalizeRange(r.price, row[priceKey]);
+      if (price) next[priceKey] = sampleRange(price, rnd());
+      for (const g of Object.keys(GASES)) {
+        const field = gasField(g, tab === "electricity");
+        const ef = normalizeRange(r[efRangeKey(g)], row[field]);
+        if (ef) next[field] = sampleRange(ef, rnd());
+      }
+      return next;
+    });
+  }
+  return out;
+}
+
+const scaleSeries = (arr, f) => (Array.isArray(arr) ? arr.map(v => (v === "" || v == null ? v : Number(v) * f)) : arr);
+
+function sampleTemplateDetails(d, rnd) {
+  const u = d.uncertainty || {};
+  const factor = (k) => { const r = normalizeRange(u[k], 100); return r ? sampleRange(r, rnd()) / 100 : 1; };
+  const fa = factor("activity"), fc = factor("capex"), fo = factor("opex"), fs = factor("savings");
+  const dr = d.drivers || {};
+  const lines = (ls) => (ls || []).map(ln => ({ ...ln, delta: scaleSeries(ln.delta, fa) }));
+  return {
+    ...d,
+    drivers: {
+      ...dr,
+      fuel_lines: lines(dr.fuel_lines),
+      raw_lines: lines(dr.raw_lines),
+      transport_lines: lines(dr.transport_lines),
+      waste_lines: lines(dr.waste_lines),
+      electricity_lines: (dr.electricity_lines || []).map(ln => ({ ...ln, deltaMWh: scaleSeries(ln.deltaMWh, fa) })),
+      other_direct_t: scaleSeries(dr.other_direct_t, fa),
+    },
+    stack: {
+      ...(d.stack || {}),
+      capex_upfront_cr: scaleSeries(d.stack?.capex_upfront_cr, fc),
+      capex_financed_cr: scaleSeries(d.stack?.capex_financed_cr, fc),
+      ...(Array.isArray(d.stack?.loans) ? { loans: d.stack.loans.map(t => ({ ...t, amount_cr: Number(t.amount_cr || 0) * fc })) } : {}),
+      opex_cr: scaleSeries(d.stack?.opex_cr, fo),
+      savings_cr: scaleSeries(d.stack?.savings_cr, fs),
+    },
+  };
+}
+
+const hasRanges = (u) => Object.values(u || {}).some(r => normalizeRange(r) != null);
+
+/*
+  One draw of a measure. Template measures are recomputed (only if they or the catalogs carry
+  ranges) and stored without CP, so effectiveCost subtracts the current carbon price path.
+*/
+export function sampleMeasure(m, { catalogs, carbonPrice = 0, inflation = null, gwp = null, rnd, catalogsUncertain = false }) {
+  const d = m?.details;
+  if (d?.mode === "template_db_multiline") {
+    if (!catalogsUncertain && !hasRanges(d.uncertainty)) return m;
+    const c = computeMeasure(sampleTemplateDetails(d, rnd), { catalogs, carbonPrice, inflation, gwp });
+    return {
+      ...m,
+      abatement_tco2: Math.max(0, c.rep.direct_t),
+      cost_per_tco2: costForBasis(c, d.cost_basis || "representative", false),
+      details: { ...d, years: c.YEARS, per_year: c.perYear, representative_index: c.repIdx, saved_cost_includes_carbon_price: false },
+    };
+  }
+  const u = d?.uncertainty;
+  if (!u) return m;
+  const abate = normalizeRange(u.abatement, m.abatement_tco2);
+  const cost = normalizeRange(u.cost, m.cost_per_tco2);
+  return {
+    ...m,
+    ...(abate ? { abatement_tco2: Math.max(0, sampleRange(abate, rnd())) } : {}),
+    ...(cost ? { cost_per_tco2: sampleRange(cost, rnd()) } : {}),
+  };
+}
+
+// Cost of the step covering x (plot units) in a maccData list; null past the curve's end
+function costAt(points, x) {
+  for (const p of points) if (p.x >= x) return p.cost;
+  return null;
+}
+
+function summary(vals) {
+  const s = [...vals].sort((a, b) => a - b);
+  return { p10: quantile(s, 0.1), p50: quantile(s, 0.5), p90: quantile(s, 0.9), mean: s.reduce((t, v) => t + v, 0) / (s.length || 1) };
+}
+
+export function histogram(vals, bins = 20) {
+  if (!vals.length) return [];
+  const lo = Math.min(...vals), hi = Math.max(...vals);
+  const w = (hi - lo) / bins || 1;
+  const out = Array.from({ length: bins }, (_, i) => ({ x0: lo + i * w, x1: lo + (i + 1) * w, count: 0 }));
+  for (const v of vals) out[Math.min(bins - 1, Math.floor((v - lo) / w))].count++;
+  return out;
+}
+
+/*
+  runMonteCarlo({ measures, catalogs, uncertainty, carbonPrice, inflation, gwp, sector, scopes, year, interactions,
+                  mode, baselineEmissions, baselineProduction, targetPct, runs, seed, gridPoints })
+  → { runs, band: [{ x, p10, p50, p90, coverage }], probTarget, budget: {p10,p50,p90,mean,histogram},
+      abatement: {p10,p50,p90,mean} }
+  `band` is the marginal cost at evenly spaced x (plot units); `coverage` is the share of draws
+  whose curve reaches that x. The budget is budgetToTarget's greedy Σ cost × tCO₂ per draw.
+  `carbonPrice` is nominal; on a real `inflation` basis the stack reads it deflated.
+*/
+export function runMonteCarlo({
+  measures = [], catalogs = {}, uncertainty = EMPTY_UNCERTAINTY, carbonPrice = 0, inflation = null, gwp = null,
+  sector = ALL_SECTORS, scopes = null, year = null, interactions = null,
+  mode = "capacity", baselineEmissions = 0, baselineProduction = 0, targetPct = 0, runs = 500, seed = 1, gridPoints = 60,
+} = {}) {
+  const rnd = seededRandom(seed);
+  const ranges = normalizeUncertainty(uncertainty).catalogs;
+  const catalogsUncertain = Object.keys(ranges).length > 0;
+  const opts = { mode, baselineEmissions, baselineProduction };
+  const targetT = Number(baselineEmissions || 0) * (Number(targetPct || 0) / 100);
+  const pool = filterMeasures(measures, sector);
+  const stackPrice = deflateCarbonPrice(carbonPrice, inflation);
+  const n = Math.max(1, Math.round(Number(runs) || 1));
+
+  const curves = [], budgets = [], totals = [];
+  let reached = 0;
+  for (let k = 0; k < n; k++) {
+    const cats = catalogsUncertain ? sampleCatalogs(catalogs, ranges, rnd) : catalogs;
+    const drawn = pool.map(m => sampleMeasure(m, { catalogs: cats, carbonPrice, inflation, gwp, rnd, catalogsUncertain }));
+    const { sorted } = applyInteractions(sortByEffectiveCost(filterScopes(measuresAtYear(drawn, year), scopes), stackPrice), interactions);
+    const data = buildMaccData(sorted, opts);
+    const total = data.length ? data[data.length - 1].cumAbate : 0;
+    curves.push(data);
+    totals.push(total);
+    budgets.push(budgetToTarget(data, { ...opts, targetPct }).budget);
+    if (total >= targetT * (1 - 1e-12)) reached++;
+  }
+
+  const xMax = Math.max(0, ...curves.map(c => (c.length ? c[c.length - 1].x : 0)));
+  const band = [];
+  for (let i = 0; i < gridPoints && xMax > 0; i++) {
+    const x = xMax * (i + 0.5) / gridPoints;
+    const vals = curves.map(c => costAt(c, x)).filter(v => v != null).sort((a, b) => a - b);
+    if (!vals.length) continue;
+    band.push({ x, p10: quantile(vals, 0.1), p50: quantile(vals, 0.5), p90: quantile(vals, 0.9), coverage: vals.length / n });
+  }
+
+  return {
+    runs: n,
+    band,
+    probTarget: reached / n,
+    budget: { ...summary(budgets), histogram: histogram(budgets) },
+    abatement: summary(totals),
+  };
+}
@@ -0,0 +1,214 @@
+/*
+  Portfolio optimiser over the cost-ordered measures, with their interactions.
+  Measures are indivisible. Two goals:
+  - "min_cost":      reach the target % of baseline emissions at minimum Σ abatement × effective cost;
+  - "max_abatement": maximise abatement with total capex (upfront + financed, ₹ cr) within a budget.
+  Both reduce to a 0/1 knapsack solved exactly by depth-first branch and bound (no external solver).
+*/
+
+import { financedCapexCr } from "./debt.js";
+import { normalizeInteractions } from "./interactions.js";
+
+export const OPTIMISER_GOALS = {
+  min_cost: "Min cost to reach target",
+  max_abatement: "Max abatement within capex budget",
+};
+
+const sumArr = (arr) => (Array.isArray(arr) ? arr : [arr]).reduce((s, v) => s + (Number(v) || 0), 0);
+
+// Total capex over the saved horizon (₹ cr): upfront plus loan tranches. Quick measures carry no capex data.
+export function measureCapexCr(m) {
+  const st = m?.details?.mode === "template_db_multiline" ? m.details.stack : null;
+  if (!st) return 0;
+  return sumArr(st.capex_upfront_cr) + financedCapexCr(st, m.details.years);
+}
+
+function portfolioItems(sorted) {
+  return (sorted || [])
+    .map(m => {
+      const abatement = Math.max(0, Number(m.abatement_tco2 || 0));
+      const cost = Number(m.effective_cost || 0);
+      return { id: m.id, name: m.name, sector: m.sector, abatement, cost, total: abatement * cost, capexCr: measureCapexCr(m) };
+    })
+    .filter(it => it.abatement > 0 && Number.isFinite(it.cost));
+}
+
+/*
+  max Σ value s.t. Σ weight ≤ capacity over items { value, weight } with weight ≥ 0.
+  Zero-weight items with positive value are always taken. Returns { picked: index[], exact };
+  `exact` is false if the node limit cut the search short (best found so far is returned).
+*/
+export function knapsack01(items, capacity, { maxNodes = 500_000 } = {}) {
+  const picked = [];
+  const cand = [];
+  items.forEach((it, i) => {
+    if (it.value <= 0) return;
+    if (it.weight <= 0) picked.push(i); else cand.push(i);
+  });
+  cand.sort((i, j) => items[j].value / items[j].weight - items[i].value / items[i].weight);
+  const n = cand.length;
+  const tol = 1e-9 * Math.max(1, Math.abs(capacity));
+
+  // Fractional (LP) bound from position k
+  const bound = (k, cap, val) => {
+    for (; k < n; k++) {
+      const it = items[cand[k]];
+      if (it.weight <= cap) { cap -= it.weight; val += it.value; } else return val + it.value * (cap / it.weight);
+    }
+    return val;
+  };
+
+  let best = [], bestVal = 0, nodes = 0, exact = true;
+  // Seed with the ratio-greedy solution so pruning bites from the start
+  { let cap = capacity; for (let k = 0; k < n; k++) { const it = items[cand[k]]; if (it.weight <= cap + tol) { cap -= it.weight; best.push(k); bestVal += it.value; } } }
+
+  const chosen = [];
+  const dfs = (k, cap, val) => {
+    if (++nodes > maxNodes) { exact = false; return; }
+    if (val > bestVal) { bestVal = val; best = chosen.slice(); }
+    if (k === n) return;
+    if (bound(k, cap, val) <= bestVal * (1 + 1e-12)) return;
+    const it = items[cand[k]];
+    if (it.weight <= cap + tol) {
+      chosen.push(k); dfs(k + 1, cap - it.weight, val + it.value); chosen.pop();
+      if (!exact) return;
+    }
+    dfs(k + 1, cap, val);
+  };
+  if (capacity >= -tol) dfs(0, capacity, 0);
+
+  return { picked: [...picked, ...best.map(k => cand[k])], exact };
+}
+
+function summarise(goal, chosen, extra) {
+  return {
+    goal,
+    chosenIds: chosen.map(it => it.id),
+    chosen,
+    abatement: chosen.reduce((s, it) => s + it.abatement, 0),
+    cost: chosen.reduce((s, it) => s + it.total, 0),
+    capexCr: chosen.reduce((s, it) => s + it.capexCr, 0),
+    ...extra,
+  };
+}
+
+// Best portfolio of independent items, with `forced` items always in (their abatement and capex count)
+function solveIndependent(goal, items, forced, { targetT, budget, maxNodes }) {
+  const forcedAbate = forced.reduce((s, it) => s + it.abatement, 0);
+  if (goal === "max_abatement") {
+    const left = budget - forced.reduce((s, it) => s + it.capexCr, 0);
+    if (left < -1e-9 * Math.max(1, budget)) return null;
+    const { picked, exact } = knapsack01(items.map(it => ({ value: it.abatement, weight: it.capexCr })), Math.max(0, left), { maxNodes });
+    return { chosen: [...forced, ...items.filter((_, i) => picked.includes(i))], feasible: true, exact };
+  }
+  const free = items.filter(it => it.cost <= 0);
+  const paid = items.filter(it => it.cost > 0);
+  const needed = targetT - forcedAbate - free.reduce((s, it) => s + it.abatement, 0);
+  const spare = paid.reduce((s, it) => s + it.abatement, 0) - Math.max(0, needed);
+  // Target out of reach even with every measure
+  if (needed > 0 && spare < 0) return { chosen: [...forced, ...items], feasible: false, exact: true };
+  if (!(needed > 0)) return { chosen: [...forced, ...free], feasible: true, exact: true };
+  const drop = knapsack01(paid.map(it => ({ value: it.total, weight: it.abatement })), spare, { maxNodes });
+  return { chosen: [...forced, ...free, ...paid.filter((_, i) => !drop.picked.includes(i))], feasible: true, exact: drop.exact };
+}
+
+const MAX_SCENARIOS = 4096;
+
+/*
+  With interactions (see interactions.js) measures are no longer independent: a group stacks at
+  most one member and an overlap's A, when picked, cuts its B's abatement. Fixing which member of
+  each group may be picked (or none; a group's own chosen member or none) and which overlap A
+  measures are in makes the rest independent again, so each such scenario is a plain knapsack
+  over the remaining measures and the best scenario wins. Past MAX_SCENARIOS the search stops
+  (exact = false).
+*/
+function solveWithInteractions(goal, items, interactions, limits) {
+  const { groups, overlaps } = normalizeInteractions(interactions);
+  const byId = new Map(items.map(it => [it.id, it]));
+  const live = overlaps.filter(o => o.pct > 0 && o.a !== o.b && byId.has(o.a) && byId.has(o.b));
+  // Per group: the ids left out under each choice of the member that may be picked (or none)
+  const groupChoices = groups
+    .map(g => {
+      const ids = g.members.filter(id => byId.has(id));
+      if (ids.length < 2) return null;
+      return [...(ids.includes(g.chosen) ? [g.chosen] : ids), null].map(keep => ids.filter(id => id !== keep));
+    })
+    .filter(Boolean);
+  const overlapAs = [...new Set(live.map(o => o.a))];
+
+  let best = null, exact = true, scenarios = 0;
+  const better = (a, b) => {
+    if (!b) return true;
+    if (goal === "max_abatement") return a.abatement > b.abatement + 1e-9 || (Math.abs(a.abatement - b.abatement) <= 1e-9 && a.capexCr < b.capexCr);
+    if (a.feasible !== b.feasible) return a.feasible;
+    return a.feasible ? a.cost < b.cost - 1e-9 : a.abatement > b.abatement;
+  };
+  const solve = (out, inA) => {
+    const factor = (id) => live.filter(o => o.b === id && inA.has(o.a)).reduce((f, o) => f * (1 - o.pct / 100), 1);
+    const adjust = (it) => {
+      const abatement = it.abatement * factor(it.id);
+      return { ...it, abatement, total: abatement * it.cost };
+    };
+    const forced = items.filter(it => inA.has(it.id)).map(adjust);
+    const rest = items.filter(it => !out.has(it.id) && !overlapAs.includes(it.id)).map(adjust).filter(it => it.abatement > 0);
+    const r = solveIndependent(goal, rest, forced, limits);
+    if (!r) return;
+    if (!r.exact) exact = false;
+    const cand = { ...r, abatement: r.chosen.reduce((s, it) => s + it.abatement, 0), cost: r.chosen.reduce((s, it) => s + it.total, 0), capexCr: r.chosen.reduce((s, it) => s + it.capexCr, 0) };
+    if (better(cand, best)) best = cand;
+  };
+  const walkAs = (k, out, inA) => {
+    if (scenarios >= MAX_SCENARIOS) { exact = false; return; }
+    if (k === overlapAs.length) { scenarios++; solve(out, inA); return; }
+    const id = overlapAs[k];
+    if (!out.has(id)) walkAs(k + 1, out, new Set([...inA, id]));
+    walkAs(k + 1, new Set([...out, id]), inA);
+  };
+  const walkGroups = (k, out) => {
+    if (k === groupChoices.length) { walkAs(0, out, new Set()); return; }
+    for (const left of groupChoices[k]) walkGroups(k + 1, new Set([...out, ...left]));
+  };
+  walkGroups(0, new Set());
+  return { ...best, exact };
+}
+
+/*
+  optimisePortfolio(ordered, { goal, baselineEmissions, targetPct, capexBudgetCr, interactions })
+  → { goal, chosenIds, chosen, abatement (tCO₂), cost (₹), capexCr, feasible, exact, targetT? }
+  min_cost: measures with cost ≤ 0 are always taken; the rest is the complement of a knapsack
+  that drops the most cost while keeping enough abatement to reach the target.
+  Pass the cost-ordered list before applyInteractions together with `interactions`: overlaps and
+  exclusivity then follow the measures actually picked, and chosen abatement is net of overlaps.
+*/
+export function optimisePortfolio(ordered, { goal = "min_cost", baselineEmissions = 0, targetPct = 0, capexBudgetCr = 0, interactions = null, maxNodes } = {}) {
+  const items = portfolioItems(ordered);
+  const budget = Math.max(0, Number(capexBudgetCr || 0));
+  const targetT = Number(baselineEmissions || 0) * (Number(targetPct || 0) / 100);
+  const { groups, overlaps } = normalizeInteractions(interactions);
+  const limits = { targetT, budget, maxNodes };
+  const r = groups.length || overlaps.length
+    ? solveWithInteractions(goal, items, interactions, limits)
+    : solveIndependent(goal, items, [], limits);
+  const order = new Map(items.map((it, i) => [it.id, i]));
+  const chosen = [...r.chosen].sort((a, b) => order.get(a.id) - order.get(b.id));
+  const extra = goal === "max_abatement" ? { capexBudgetCr: budget } : { targetT };
+  return summarise(goal, chosen, { feasible: r.feasible, exact: r.exact, ...extra });
+}
+
+/*
+  Whole-measure greedy baseline for comparison: walk the cost order taking complete measures —
+  until the target is reached (min_cost), or while the capex still fits (max_abatement).
+*/
+export function greedyPortfolio(sorted, { goal = "min_cost", baselineEmissions = 0, targetPct = 0, capexBudgetCr = 0 } = {}) {
+  const items = portfolioItems(sorted);
+  const chosen = [];
+  if (goal === "max_abatement") {
+    let left = Math.max(0, Number(capexBudgetCr || 0));
+    for (const it of items) if (it.capexCr <= left) { chosen.push(it); left -= it.capexCr; }
+    return summarise(goal, chosen, { feasible: true, exact: true, capexBudgetCr: Math.max(0, Number(capexBudgetCr || 0)) });
+  }
+  const targetT = Number(baselineEmissions || 0) * (Number(targetPct || 0) / 100);
+  let cum = 0;
+  for (const it of items) { if (cum >= targetT) break; chosen.push(it); cum += it.abatement; }
+  return summarise(goal, chosen, { feasible: cum >= targetT, exact: true, targetT });
+}
@@ -0,0 +1,92 @@
+/*
+  GHG Protocol scope attribution of abatement. Each template driver category has a default scope
+  (fuels and "other" direct tonnes Scope 1, grid electricity Scope 2, purchased raw materials,
+  transport and waste Scope 3), overridable per category in meta.scopes and per line in `scope`.
+  computeMeasure splits each year's abatement into scope_t: { 1, 2, 3 }; quick measures carry a
+  single `scope` (default 1). Filtering a curve to some scopes keeps only that share of each
+  measure's abatement; unit cost (₹/tCO₂) is kept, as for overlaps.
+*/
+
+export const SCOPES = { 1: "Scope 1", 2: "Scope 2", 3: "Scope 3" };
+export const ALL_SCOPES = [1, 2, 3];
+
+export const DRIVER_SCOPES = {
+  fuel_lines: 1,
+  raw_lines: 3,
+  transport_lines: 3,
+  waste_lines: 3,
+  electricity_lines: 2,
+  other_direct_t: 1,
+};
+
+// Per-year pieces key of each driver category
+const PIECES = { fuel_lines: "fuel_t", raw_lines: "raw_t", transport_lines: "trans_t", waste_lines: "waste_t", electricity_lines: "elec_t", other_direct_t: "other_t" };
+
+export const normalizeScope = (v, fallback = 1) => (v !== "" && v != null && SCOPES[Number(v)] ? Number(v) : fallback);
+
+export const emptyScopeSplit = () => ({ 1: 0, 2: 0, 3: 0 });
+
+// Category defaults with the template's meta.scopes overrides
+export function driverScopes(meta) {
+  const out = { ...DRIVER_SCOPES };
+  for (const k of Object.keys(DRIVER_SCOPES)) out[k] = normalizeScope(meta?.scopes?.[k], DRIVER_SCOPES[k]);
+  return out;
+}
+
+export const lineScope = (line, category, meta) => normalizeScope(line?.scope, driverScopes(meta)[category]);
+
+/*
+  Scope split of a saved per-year row: its scope_t, or — for rows saved before scopes were
+  tracked — its per-category pieces at the template's category scopes.
+*/
+export function scopeSplit(row, meta) {
+  if (row?.scope_t) return { 1: Number(row.scope_t[1] || 0), 2: Number(row.scope_t[2] || 0), 3: Number(row.scope_t[3] || 0) };
+  const out = emptyScopeSplit();
+  if (!row?.pieces) { out[1] = Number(row?.direct_t || 0); return out; }
+  const scopes = driverScopes(meta);
+  for (const [cat, key] of Object.entries(PIECES)) out[scopes[cat]] += Number(row.pieces[key] || 0);
+  return out;
+}
+
+// Abatement by scope of a measure as it stands (see measureAtYear), scaled to its abatement_tco2
+export function measureScopes(m) {
+  const A = Number(m?.abatement_tco2 || 0);
+  const d = m?.details;
+  let split = m?.scope_t;
+  if (!split && d?.mode === "template_db_multiline" && Array.isArray(d.per_year)) split = scopeSplit(d.per_year[d.representative_index ?? 0], d.meta);
+  if (!split) return { ...emptyScopeSplit(), [normalizeScope(m?.scope)]: A };
+  const total = ALL_SCOPES.reduce((s, k) => s + Number(split[k] || 0), 0);
+  const out = emptyScopeSplit();
+  for (const k of ALL_SCOPES) out[k] = total > 0 ? A * Number(split[k] || 0) / total : 0;
+  return out;
+}
+
+export const normalizeScopeFilter = (scopes) => {
+  const list = [...new Set((scopes || []).map(Number).filter(s => SCOPES[s]))].sort();
+  return list.length ? list : [...ALL_SCOPES];
+};
+
+/*
+  filterScopes(measures, scopes) — measures with abatement cut to the listed scopes (null = all),
+  floored at zero, and scope_t left with only those scopes. Apply after measuresAtYear.
+*/
+export function filterScopes(measures, scopes) {
+  const keep = normalizeScopeFilter(scopes);
+  if (keep.length === ALL_SCOPES.length) return measures || [];
+  return (measures || []).map(m => {
+    const split = measureScopes(m);
+    const kept = emptyScopeSplit();
+    for (const k of keep) kept[k] = split[k];
+    return { ...m, abatement_tco2: Math.max(0, keep.reduce((s, k) => s + split[k], 0)), scope_t: kept };
+  });
+}
+
+// Σ abatement by scope over a list of measures
+export function scopeTotals(measures) {
+  const out = emptyScopeSplit();
+  for (const m of measures || []) {
+    const split = measureScopes(m);
+    for (const k of ALL_SCOPES) out[k] += split[k];
+  }
+  return out;
+}
@@ -0,0 +1,123 @@
+/*
+  One-at-a-time sensitivity of a template measure: each driver is scaled by (1 ± pct/100) and the
+  measure recomputed. Drivers: each line's price and EF, their escalation rates, the adoption ramp,
+  the discount rate, opex, savings, capex (upfront + financed) and the interest rate.
+*/
+
+import { computeMeasure, costForBasis } from "./measure.js";
+import { getUnitPrice, getElecPricePerMWh } from "./catalogs.js";
+import { efCO2e, gasEFs, gasOverrides } from "./gases.js";
+
+export const SENSITIVITY_METRICS = {
+  npvWO: "NPV w/o CP (₹)",
+  npvW: "NPV with CP (₹)",
+  cost: "Saved cost (₹/tCO₂)",
+};
+
+const LINE_GROUPS = [
+  ["fuel_lines", "fuels", "Fuel"],
+  ["raw_lines", "raw", "Raw material"],
+  ["transport_lines", "transport", "Transport"],
+  ["waste_lines", "waste", "Waste"],
+];
+
+const scale = (arr, f) => (Array.isArray(arr) ? arr.map(v => (v === "" || v == null ? v : Number(v) * f)) : arr);
+
+// Replace one line (by list key and position) in a template copy
+function withLine(t, listKey, idx, patch) {
+  const lines = [...(t.drivers?.[listKey] || [])];
+  lines[idx] = { ...lines[idx], ...patch };
+  return { ...t, drivers: { ...t.drivers, [listKey]: lines } };
+}
+
+const withStack = (t, keys, f) => ({ ...t, stack: { ...t.stack, ...Object.fromEntries(keys.map(k => [k, scale(t.stack?.[k], f)])) } });
+
+// Scale one field of every loan tranche (templates with stack.loans; legacy arrays go through withStack)
+const withLoans = (t, field, f) => (Array.isArray(t.stack?.loans)
+  ? { ...t, stack: { ...t.stack, loans: t.stack.loans.map(ln => ({ ...ln, [field]: Number(ln[field] || 0) * f })) } }
+  : t);
+
+/* [{ key, label, apply(template, f) → template }] for the drivers present in `template` */
+export function sensitivityDrivers(template, catalogs = {}, gwp = null) {
+  const drivers = [];
+  const years = template?.years || [];
+
+  for (const [listKey, catKey, kind] of LINE_GROUPS) {
+    (template?.drivers?.[listKey] || []).forEach((ln, idx) => {
+      const base = (catalogs[catKey] || []).find(x => x.name === ln.name);
+      const price = ln.priceOv ?? getUnitPrice(base) ?? 0;
+      const gasOv = gasOverrides(ln.efOvGas);
+      const ef = ln.efOv ?? efCO2e(base, gwp).ef;
+      // With per-gas overrides the EF driver scales every gas, so the split holds
+      const gasEf = { ...gasEFs(base), ...gasOv };
+      const scaleEf = (f) => (gasOv
+        ? { efOvGas: Object.fromEntries(Object.entries(gasEf).map(([g, v]) => [g, v * f])) }
+        : { efOv: ef * f });
+      const name = `${kind}: ${ln.name || `line ${idx + 1}`}`;
+      drivers.push(
+        { key: `${listKey}.${idx}.price`, label: `${name} — price`, apply: (t, f) => withLine(t, listKey, idx, { priceOv: price * f }) },
+        { key: `${listKey}.${idx}.ef`, label: `${name} — EF`, apply: (t, f) => withLine(t, listKey, idx, scaleEf(f)) },
+        { key: `${listKey}.${idx}.priceEsc`, label: `${name} — price drift`, apply: (t, f) => withLine(t, listKey, idx, { priceEscPctYr: Number(ln.priceEscPctYr || 0) * f }) },
+        { key: `${listKey}.${idx}.efEsc`, label: `${name} — EF drift`, apply: (t, f) => withLine(t, listKey, idx, { efEscPctYr: Number(ln.efEscPctYr || 0) * f }) },
+      );
+    });
+  }
+
+  const cat = catalogs.electricity || [];
+  (template?.drivers?.electricity_lines || []).forEach((ln, idx) => {
+    const base = cat.find(x => x.state === ln.state) || cat[0];
+    const price = ln.priceOv ?? getElecPricePerMWh(base) ?? 0;
+    const efEsc = Number(ln.efEscPctYr || 0) / 100;
+    // Per-year EF as computeMeasure resolves it (override, else catalog with drift), then scaled
+    const efPerYear = years.map((y, i) => {
+      const ov = ln.efOvPerYear?.[i];
+      return ov !== "" && ov != null ? Number(ov) : efCO2e(base, gwp, true, ln.efOvGas).ef * Math.pow(1 + efEsc, Math.max(0, y - years[0]));
+    });
+    const name = `Electricity: ${ln.state || `line ${idx + 1}`}`;
+    drivers.push(
+      { key: `electricity_lines.${idx}.price`, label: `${name} — price`, apply: (t, f) => withLine(t, "electricity_lines", idx, { priceOv: price * f }) },
+      { key: `electricity_lines.${idx}.ef`, label: `${name} — EF`, apply: (t, f) => withLine(t, "electricity_lines", idx, { efOvPerYear: efPerYear.map(v => v * f) }) },
+      { key: `electricity_lines.${idx}.priceEsc`, label: `${name} — price drift`, apply: (t, f) => withLine(t, "electricity_lines", idx, { priceEscPctYr: Number(ln.priceEscPctYr || 0) * f }) },
+    );
+  });
+
+  drivers.push(
+    { key: "adoption", label: "Adoption ramp", apply: (t, f) => ({ ...t, adoption: (t.adoption || []).map(v => Math.max(0, Math.min(1, Number(v || 0) * f))) }) },
+    { key: "discount_rate", label: "Discount rate", apply: (t, f) => ({ ...t, meta: { ...t.meta, discount_rate: Number(t.meta?.discount_rate ?? 0.10) * f } }) },
+    { key: "opex", label: "Opex", apply: (t, f) => withStack(t, ["opex_cr"], f) },
+    { key: "savings", label: "Savings", apply: (t, f) => withStack(t, ["savings_cr"], f) },
+    { key: "capex", label: "Capex (upfront + financed)", apply: (t, f) => withLoans(withStack(t, ["capex_upfront_cr", "capex_financed_cr"], f), "amount_cr", f) },
+    { key: "interest_rate", label: "Interest rate", apply: (t, f) => withLoans(withStack(t, ["interest_rate_pct"], f), "rate_pct", f) },
+  );
+  return drivers;
+}
+
+const metricsOf = (c, costBasis, withCP) => ({ npvWO: c.finance.npvWO, npvW: c.finance.npvW, cost: costForBasis(c, costBasis, withCP) });
+
+/*
+  tornado(template, { catalogs, carbonPrice, inflation, gwp, pct, costBasis, withCP })
+  → { base: { npvWO, npvW, cost }, rows: [{ key, label, low, high }] } where low/high are the
+  metrics with the driver at (1 − pct/100) and (1 + pct/100). `cost` follows the wizard's saved basis.
+*/
+export function tornado(template, { catalogs = {}, carbonPrice = 0, inflation = null, gwp = null, pct = 10, costBasis = "representative", withCP = false } = {}) {
+  const run = (t) => metricsOf(computeMeasure(t, { catalogs, carbonPrice, inflation, gwp }), costBasis, withCP);
+  const d = Number(pct || 0) / 100;
+  return {
+    base: run(template),
+    rows: sensitivityDrivers(template, catalogs, gwp).map(drv => ({
+      key: drv.key,
+      label: drv.label,
+      low: run(drv.apply(template, 1 - d)),
+      high: run(drv.apply(template, 1 + d)),
+    })),
+  };
+}
+
+// Rows for one metric, largest swing first; drivers with no effect are dropped
+export function rankTornado({ base, rows }, metric) {
+  return rows
+    .map(r => ({ key: r.key, label: r.label, low: r.low[metric] - base[metric], high: r.high[metric] - base[metric] }))
+    .map(r => ({ ...r, swing: Math.abs(r.high - r.low) }))
+    .filter(r => r.swing > 1e-9 * Math.max(1, Math.abs(base[metric])))
+    .sort((a, b) => b.swing - a.swing);
+}
@@ -0,0 +1,93 @@
+/* Year-series helpers */
+
+export const DEFAULT_YEARS = [2025, 2030, 2035, 2040, 2045, 2050];
+
+/* Interpolation across 5‑year steps */
+export function interpolateSeries(series) {
+  const s = [...series];
+  let lastIdx = null;
+  for (let i = 0; i < s.length; i++) {
+    if (s[i] === "" || s[i] == null || !Number.isFinite(Number(s[i]))) continue;
+    if (lastIdx === null) { lastIdx = i; continue; }
+    const dv = (Number(s[i]) - Number(s[lastIdx])) / (i - lastIdx);
+    for (let k = lastIdx + 1; k < i; k++) s[k] = Number(s[lastIdx]) + dv * (k - lastIdx);
+    lastIdx = i;
+  }
+  return s;
+}
+
+/* Modelling horizon: { start, end, step } with step 1 (annual) or 5 (5‑yearly) */
+export const DEFAULT_HORIZON = { start: 2025, end: 2050, step: 5 };
+export const HORIZON_STEPS = [1, 5];
+
+export function normalizeHorizon(h) {
+  const start = Math.round(Number(h?.start ?? DEFAULT_HORIZON.start)) || DEFAULT_HORIZON.start;
+  const endRaw = Math.round(Number(h?.end ?? DEFAULT_HORIZON.end)) || DEFAULT_HORIZON.end;
+  const end = Math.min(start + 100, Math.max(start, endRaw));
+  const step = HORIZON_STEPS.includes(Number(h?.step)) ? Number(h.step) : DEFAULT_HORIZON.step;
+  return { start, end, step };
+}
+
+// Year grid for a horizon; the end year is always included even if it is off-step
+export function buildYears(h) {
+  const { start, end, step } = normalizeHorizon(h);
+  const years = [];
+  for (let y = start; y <= end; y += step) years.push(y);
+  if (years[years.length - 1] !== end) years.push(end);
+  return years;
+}
+
+/*
+  Calendar years each grid year stands for: from the grid year up to the next one. The last grid
+  year is the horizon end and stands for itself.
+*/
+export const periodYears = (years) => (years || []).map((y, i) => (i < years.length - 1 ? years[i + 1] - y : 1));
+
+export const sameYears = (a, b) =>
+  Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((y, i) => Number(y) === Number(b[i]));
+
+/*
+  Move a series from one year grid onto another. Values are laid out on an annual grid,
+  filled with interpolateSeries, then read back at the target years. Years before/after the
+  first/last filled value hold that value unless `extrapolate` is false (then they stay blank,
+  e.g. per-year overrides where blank means "use the default").
+*/
+export function resampleSeries(series, fromYears, toYears, { extrapolate = true } = {}) {
+  if (sameYears(fromYears, toYears)) return [...(series || [])];
+  const src = (fromYears || []).map(Number);
+  const lo = Math.min(...src, ...toYears), hi = Math.max(...src, ...toYears);
+  const annual = Array.from({ length: hi - lo + 1 }, () => "");
+  src.forEach((y, i) => {
+    const v = series?.[i];
+    if (v !== "" && v != null && Number.isFinite(Number(v))) annual[y - lo] = Number(v);
+  });
+  const filled = interpolateSeries(annual);
+  const firstIdx = filled.findIndex(v => v !== "");
+  let lastIdx = -1;
+  for (let k = filled.length - 1; k >= 0; k--) if (filled[k] !== "") { lastIdx = k; break; }
+  return toYears.map((y) => {
+    const k = y - lo;
+    if (firstIdx < 0) return "";
+    if (k < firstIdx || k > lastIdx) return extrapolate ? filled[k < firstIdx ? firstIdx : lastIdx] : "";
+    return filled[k];
+  });
+}
+
+/*
+  Move one-off amounts (e.g. capex booked in a year) onto another grid: each amount goes to the
+  matching target year, else the nearest one (the earlier on a tie), and is never interpolated,
+  so the total is kept.
+*/
+export function resampleLumps(series, fromYears, toYears) {
+  if (sameYears(fromYears, toYears)) return [...(series || [])];
+  const out = toYears.map(() => 0);
+  if (!toYears.length) return out;
+  (fromYears || []).forEach((y, i) => {
+    const v = Number(series?.[i]);
+    if (!Number.isFinite(v) || v === 0) return;
+    let best = 0;
+    toYears.forEach((t, j) => { if (Math.abs(t - y) < Math.abs(toYears[best] - y)) best = j; });
+    out[best] += v;
+  });
+  return out;
+}
@@ -0,0 +1,60 @@
+/*
+  Corporate tax and depreciation for template measures. Capex (upfront + financed) is an asset
+  placed in service in the year it is entered and depreciated for tax over the asset life:
+  - "slm":         straight line, capex / life per year;
+  - "wdv":         written-down value at a % of the opening balance, rest written off in the last year;
+  - "accelerated": WDV at the accelerated rate allowed for RE assets (40% by default).
+  Each grid year carries the depreciation of its whole period (the calendar years up to the next
+  grid year, see periodYears), so assets are written off in full within the horizon.
+  Tax is rate × (savings − opex − drivers − other − depreciation − loan interest [+ carbon revenue]);
+  a negative figure is a saving against the firm's other profits.
+*/
+
+import { periodYears } from "./series.js";
+
+export const DEPRECIATION_METHODS = {
+  slm: "Straight line (SLM)",
+  wdv: "Written-down value (WDV)",
+  accelerated: "Accelerated (RE assets)",
+};
+
+export const DEFAULT_TAX = { rate_pct: 0, method: "slm", life_years: 20, wdv_rate_pct: 15, accel_rate_pct: 40 };
+
+const num = (v, d) => (v === "" || v == null || !Number.isFinite(Number(v)) ? d : Number(v));
+
+export function normalizeTax(x) {
+  return {
+    rate_pct: Math.max(0, Math.min(100, num(x?.rate_pct, DEFAULT_TAX.rate_pct))),
+    method: DEPRECIATION_METHODS[x?.method] ? x.method : DEFAULT_TAX.method,
+    life_years: Math.max(1, Math.round(num(x?.life_years, DEFAULT_TAX.life_years))),
+    wdv_rate_pct: Math.max(0, Math.min(100, num(x?.wdv_rate_pct, DEFAULT_TAX.wdv_rate_pct))),
+    accel_rate_pct: Math.max(0, Math.min(100, num(x?.accel_rate_pct, DEFAULT_TAX.accel_rate_pct))),
+  };
+}
+
+// Depreciation of 1 unit of capex at `age` years after it was placed in service
+export function depreciationShare(tax, age) {
+  const t = normalizeTax(tax);
+  if (age < 0 || age >= t.life_years) return 0;
+  if (t.method === "slm") return 1 / t.life_years;
+  const r = (t.method === "accelerated" ? t.accel_rate_pct : t.wdv_rate_pct) / 100;
+  const opening = Math.pow(1 - r, age);
+  return age === t.life_years - 1 ? opening : opening * r;
+}
+
+// Depreciation (₹ cr) in calendar year `year` of assets [{ year, cr }] placed in service in their `year`
+export const depreciationInYear = (year, assets, tax) =>
+  (assets || []).reduce((s, a) => s + Number(a.cr || 0) * depreciationShare(tax, year - a.year), 0);
+
+/*
+  Depreciation (₹ cr) over the period of each of `years` for assets [{ year, cr }].
+  Returns an array of period totals aligned with `years`.
+*/
+export function depreciationSchedule(years, assets, tax) {
+  const period = periodYears(years);
+  return years.map((y, i) => {
+    let s = 0;
+    for (let k = 0; k < period[i]; k++) s += depreciationInYear(y + k, assets, tax);
+    return s;
+  });
+}
@@ -0,0 +1,44 @@
+/*
+  Production units for multi-sector aggregation. Sectors are summed only when their production
+  labels match; mixed labels are converted when every label has an equivalence factor
+  (common units per 1 unit of that label), e.g. { common_label: "t product-eq", factors: { MWh: 0.25 } }.
+  Otherwise production cannot be added up: the aggregate carries `mixed_units` and only its
+  emissions are meaningful.
+*/
+
+export const DEFAULT_UNITS = { common_label: "", factors: {} };
+
+export const unitKey = (label) => String(label ?? "").trim() || "units";
+
+export function normalizeUnits(x) {
+  const factors = {};
+  for (const [label, v] of Object.entries(x?.factors || {})) {
+    if (v !== "" && v != null && Number.isFinite(Number(v)) && Number(v) > 0) factors[unitKey(label)] = Number(v);
+  }
+  return { common_label: String(x?.common_label || "").trim(), factors };
+}
+
+// Distinct production labels across baseline rows, in first-seen order
+export const productionLabels = (rows) => [...new Set((rows || []).map(r => unitKey(r?.production_label)))];
+
+/*
+  combineProduction(rows [{ production_label, annual_production }], units)
+  → { production_label, annual_production }, plus `converted: true` when factors were applied or
+  `mixed_units: labels[]` (and no production) when they could not be.
+*/
+export function combineProduction(rows, units) {
+  const labels = productionLabels(rows);
+  const prod = (r) => Number(r?.annual_production || 0);
+  if (labels.length <= 1) {
+    return { production_label: labels[0] || "units", annual_production: (rows || []).reduce((s, r) => s + prod(r), 0) };
+  }
+  const u = normalizeUnits(units);
+  if (labels.every(l => u.factors[l] != null)) {
+    return {
+      production_label: u.common_label || "common units",
+      annual_production: rows.reduce((s, r) => s + prod(r) * u.factors[unitKey(r.production_label)], 0),
+      converted: true,
+    };
+  }
+  return { production_label: "mixed units", annual_production: 0, mixed_units: labels };
+}